@@ -1,12 +1,33 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './App.css';
 import ScreenWrapper from './components/ScreenWrapper';
 import Header from './components/Header';
 import TVFocusable from './components/TVFocusable';
 import Row from './components/Row';
-import { EXERCISE_SECTIONS } from './data/exercises';
+import { EXERCISE_SECTIONS, findExerciseById, formatExerciseVolume } from './data/exercises';
 import WorkoutTimer from './components/WorkoutTimer';
 import ExerciseModal from './components/ExerciseModal';
+import WorkoutPlayer from './components/WorkoutPlayer';
+import WorkoutBuilder from './components/WorkoutBuilder';
+import HistoryScreen from './components/HistoryScreen';
+import StatsScreen from './components/StatsScreen';
+import BrowseScreen from './components/BrowseScreen';
+import SearchScreen from './components/SearchScreen';
+import SettingsScreen from './components/SettingsScreen';
+import ImportExportScreen from './components/ImportExportScreen';
+import ResumeBanner from './components/ResumeBanner';
+import ProfilePicker from './components/ProfilePicker';
+import { useFocusManager } from './components/FocusManager';
+import { useRouter } from './components/Router';
+import { usePreferences } from './components/Preferences';
+import { SCREENS } from './utils/routes';
+import { getRoutineTotalSeconds, findRoutineById } from './data/routines';
+import { loadCustomRoutines, saveCustomRoutine, deleteCustomRoutine, findAnyRoutineById } from './data/customRoutines';
+import { loadCustomExercises } from './data/customExercises';
+import { ACTIVE_SESSION_KINDS, loadResumableSession, clearActiveSession } from './data/activeSession';
+import { getLastProfileId, loadProfiles, selectProfile } from './data/profiles';
+import { FAVORITE_KINDS, loadFavorites, setFavorite, subscribeFavorites, toggleFavorite } from './data/favorites';
+import { SESSION_STATUS, getRecentlyPlayed, loadHistory, subscribeHistory } from './data/history';
 import { debugLog } from './utils/debug';
 import DebugOverlay from './components/DebugOverlay';
 
@@ -14,28 +35,68 @@ import DebugOverlay from './components/DebugOverlay';
  * PUBLIC_INTERFACE
  * App
  * Root of the Android TV Fitness Timer and Workout Guide UI.
- * Renders ScreenWrapper -> Header -> Rows of exercises.
- * Includes focus-ready layout that integrates with FocusManager key routing.
+ * Renders ScreenWrapper -> Header -> Rows of exercises on Home, or the routed screen
+ * (see Router/routes.js). Includes focus-ready layout that integrates with FocusManager key routing.
  */
 function App() {
-  const [theme, setTheme] = useState('light');
+  // Theme and the rest of the user's preferences persist across launches (see Settings)
+  const { preferences, updatePreferences } = usePreferences();
+  const { theme } = preferences;
 
   // Modal state
   const [selectedExercise, setSelectedExercise] = useState(null);
   const lastFocusedRef = useRef(null);
 
-  // Apply theme to document
+  // Screen routing (Home/Browse/Player/History/Stats/Builder/Settings/Share) with a back stack
+  const { route, navigate, back, replace } = useRouter();
+
+  const fm = useFocusManager();
+
+  // Who is working out; history, routines, preferences and resumable runs follow the profile.
+  // With profiles set up, every launch starts at the "Who's working out?" picker.
+  const [profile, setProfile] = useState(null);
+  const [pickingProfile, setPickingProfile] = useState(() => loadProfiles().length > 0);
+
+  // A run left unfinished by a previous launch, offered on Home until resumed or discarded
+  const [resumable, setResumable] = useState(() => loadResumableSession());
+  // Snapshot handed to the timer/player that mounts to continue it
+  const [resumeFrom, setResumeFrom] = useState(null);
+  // Bumped to remount the Quick Timer so it picks up a resume snapshot
+  const [quickTimerRun, setQuickTimerRun] = useState(0);
+
+  // Custom routines built with the WorkoutBuilder (persisted locally)
+  const [customRoutines, setCustomRoutines] = useState(() => loadCustomRoutines());
+  // Exercises added from shared files (Import & Export screen)
+  const [customExercises, setCustomExercises] = useState(() => loadCustomExercises());
+
+  // Home's "Favorites" and "Continue / Recently played" rows follow their stores
+  const [favorites, setFavorites] = useState(() => loadFavorites());
+  const [sessions, setSessions] = useState(() => loadHistory());
+  useEffect(() => subscribeFavorites(setFavorites), []);
+  useEffect(() => subscribeHistory(setSessions), []);
+  // Focus target once the Favorites row has re-rendered without a card that was just unstarred
+  const refocusAfterFavoritesRef = useRef(null);
   useEffect(() => {
-    try {
-      document.documentElement.setAttribute('data-theme', theme);
-    } catch {
-      /* ignore */
-    }
-  }, [theme]);
+    if (!refocusAfterFavoritesRef.current) return;
+    fm.setFocus(refocusAfterFavoritesRef.current);
+    refocusAfterFavoritesRef.current = null;
+  }, [favorites, fm]);
+
+  // Memoized so the player keeps the same routine object (a new one restarts it)
+  const routineId = route.screen === SCREENS.PLAYER ? route.params.routineId : null;
+  const activeRoutine = useMemo(
+    () => (routineId ? findRoutineById(routineId) || customRoutines.find((r) => r.id === routineId) || null : null),
+    [routineId, customRoutines]
+  );
+
+  // Deep links to an unknown routine fall back to Home
+  useEffect(() => {
+    if (route.screen === SCREENS.PLAYER && !activeRoutine) replace(SCREENS.HOME);
+  }, [route.screen, activeRoutine, replace]);
 
   // PUBLIC_INTERFACE
   const toggleTheme = () => {
-    setTheme((prev) => (prev === 'light' ? 'dark' : 'light'));
+    updatePreferences({ theme: theme === 'light' ? 'dark' : 'light' });
   };
 
   // When opening modal, capture active element to restore later
@@ -50,6 +111,135 @@ function App() {
     setSelectedExercise(exercise);
   };
 
+  // Resume snapshots are handed over for one mount (consumers read them when they mount)
+  useEffect(() => {
+    if (resumeFrom) setResumeFrom(null);
+  }, [resumeFrom]);
+
+  const discardResumable = () => {
+    clearActiveSession();
+    setResumable(null);
+  };
+
+  // Reopens the saved run where it was: the routine player, an exercise's timer or the Quick Timer
+  const resumeSession = () => {
+    const session = resumable;
+    setResumable(null);
+    if (!session) return;
+    debugLog('App', 'resume', { kind: session.kind, routineId: session.routineId, timerId: session.timerId });
+    if (session.kind === ACTIVE_SESSION_KINDS.ROUTINE) {
+      if (!findAnyRoutineById(session.routineId)) return;
+      setResumeFrom(session);
+      navigate(SCREENS.PLAYER, { routineId: session.routineId });
+      return;
+    }
+    if (session.timerId === 'exercise-timer') {
+      const exercise = findExerciseById(session.exerciseId);
+      if (!exercise) return;
+      setResumeFrom(session);
+      openExercise(exercise);
+      return;
+    }
+    setResumeFrom(session);
+    setQuickTimerRun((n) => n + 1);
+    setTimeout(() => fm.setFocus('timer-btn-playpause'), 0);
+  };
+
+  // Switches every per-profile store over and starts the new profile on Home
+  const chooseProfile = (next) => {
+    debugLog('App', 'chooseProfile', next.id);
+    setProfile(selectProfile(next.id));
+    setPickingProfile(false);
+    setSelectedExercise(null);
+    setResumeFrom(null);
+    setResumable(loadResumableSession());
+    setCustomRoutines(loadCustomRoutines());
+    setSessions(loadHistory());
+    replace(SCREENS.HOME);
+  };
+
+  // Edits in the picker may rename or delete the active profile; deleting it drops its data too
+  const refreshProfile = () => {
+    if (!profile || profile.guest) return;
+    const updated = loadProfiles().find((p) => p.id === profile.id) || null;
+    setProfile(updated);
+    if (!updated) {
+      setResumable(loadResumableSession());
+      setCustomRoutines(loadCustomRoutines());
+      setSessions(loadHistory());
+    }
+  };
+
+  // Screens replace the home screen; the router restores focus when navigating back
+  const openRoutine = (routineId) => {
+    const routine = findAnyRoutineById(routineId);
+    if (!routine) return;
+    debugLog('App', 'openRoutine', { id: routine.id });
+    navigate(SCREENS.PLAYER, { routineId: routine.id });
+  };
+
+  // Favorites and history refer to exercises/routines by id; Home cards are built from what they
+  // point at, and entries whose exercise or routine is gone are left out
+  const favoriteKeys = useMemo(() => new Set(favorites.map((f) => `${f.kind}:${f.refId}`)), [favorites]);
+  const toHomeItem = (kind, refId, subtitlePrefix = '') => {
+    const target =
+      kind === FAVORITE_KINDS.ROUTINE
+        ? findRoutineById(refId) || customRoutines.find((r) => r.id === refId)
+        : findExerciseById(refId);
+    if (!target) return null;
+    const detail =
+      kind === FAVORITE_KINDS.ROUTINE
+        ? `${Math.max(1, Math.round(getRoutineTotalSeconds(target) / 60))} min • ${target.items.length} exercises`
+        : `${formatExerciseVolume(target)} • ${target.difficulty || 'Beginner'}`;
+    return {
+      id: `${kind}:${refId}`,
+      kind,
+      refId,
+      name: target.name,
+      subtitle: `${subtitlePrefix}${detail}`,
+      thumbnail: target.thumbnail,
+      favorite: favoriteKeys.has(`${kind}:${refId}`),
+    };
+  };
+  const favoriteItems = favorites.map((f) => toHomeItem(f.kind, f.refId)).filter(Boolean);
+  const recentItems = getRecentlyPlayed(sessions)
+    .map((r) => toHomeItem(r.kind, r.refId, r.status === SESSION_STATUS.ABANDONED ? 'Continue • ' : ''))
+    .filter(Boolean);
+
+  // Catalog cards that start a routine are favorited as that routine
+  const catalogEntry = (it) =>
+    it.routineId ? { kind: FAVORITE_KINDS.ROUTINE, refId: it.routineId } : { kind: FAVORITE_KINDS.EXERCISE, refId: it.id };
+
+  // Long-pressing a Home card stars or unstars it. Unstarring from the Favorites row removes the
+  // focused card, so focus moves to its neighbour (or the header once the row is empty).
+  const toggleHomeFavorite = ({ kind, refId }, fromRowId = null) => {
+    const index = fromRowId === 'row-favorites' ? favoriteItems.findIndex((it) => it.refId === refId && it.kind === kind) : -1;
+    const favorite = toggleFavorite(kind, refId);
+    debugLog('App', 'toggleFavorite', { kind, refId, favorite });
+    if (index < 0 || favorite) return;
+    const remaining = favoriteItems.length - 1;
+    refocusAfterFavoritesRef.current = remaining > 0 ? `row-favorites-item-${Math.min(index, remaining - 1)}` : 'header-start-btn';
+  };
+
+  const openHomeItem = (item, e) => {
+    if (item.kind === FAVORITE_KINDS.ROUTINE) {
+      openRoutine(item.refId);
+      return;
+    }
+    openExercise(findExerciseById(item.refId), e);
+  };
+
+  const handleSaveRoutine = (routine) => {
+    setCustomRoutines(saveCustomRoutine(routine));
+    back();
+  };
+
+  const handleDeleteRoutine = (routineId) => {
+    debugLog('App', 'deleteRoutine', routineId);
+    setCustomRoutines(deleteCustomRoutine(routineId));
+    setFavorite(FAVORITE_KINDS.ROUTINE, routineId, false);
+  };
+
   const closeExercise = () => {
     setSelectedExercise(null);
     // Restore focus to previously focused card if available
@@ -65,11 +255,108 @@ function App() {
     }
   };
 
+  // Exercise details modal, shared by Home, Browse and Search
+  const exerciseModal = selectedExercise ? (
+    <ExerciseModal
+      exercise={selectedExercise}
+      onClose={closeExercise}
+      initialFocusId="exercise-close"
+      resumeFrom={resumeFrom}
+    />
+  ) : null;
+
+  if (pickingProfile) {
+    return (
+      <ScreenWrapper theme={theme}>
+        <DebugOverlay />
+        <div className="App">
+          <ProfilePicker
+            activeProfileId={profile ? profile.id : getLastProfileId()}
+            onChoose={chooseProfile}
+            onProfilesChanged={refreshProfile}
+            onClose={profile || !loadProfiles().length ? () => setPickingProfile(false) : undefined}
+          />
+        </div>
+      </ScreenWrapper>
+    );
+  }
+
+  if (activeRoutine) {
+    return (
+      <ScreenWrapper theme={theme}>
+        <DebugOverlay />
+        <WorkoutPlayer routine={activeRoutine} onClose={back} resumeFrom={resumeFrom} />
+      </ScreenWrapper>
+    );
+  }
+
+  const screen = {
+    [SCREENS.BROWSE]: () => (
+      <>
+        <BrowseScreen onClose={back} onSelectExercise={openExercise} />
+        {exerciseModal}
+      </>
+    ),
+    [SCREENS.SEARCH]: () => (
+      <>
+        <SearchScreen
+          onClose={back}
+          onSelectExercise={(exercise) => (exercise.routineId ? openRoutine(exercise.routineId) : openExercise(exercise))}
+        />
+        {exerciseModal}
+      </>
+    ),
+    [SCREENS.BUILDER]: () => (
+      <WorkoutBuilder
+        onSave={handleSaveRoutine}
+        onCancel={back}
+        savedRoutines={customRoutines}
+        onDeleteRoutine={handleDeleteRoutine}
+      />
+    ),
+    [SCREENS.HISTORY]: () => <HistoryScreen onClose={back} />,
+    [SCREENS.STATS]: () => <StatsScreen onClose={back} />,
+    [SCREENS.SETTINGS]: () => (
+      <SettingsScreen
+        onClose={back}
+        onOpenImportExport={() => navigate(SCREENS.SHARE)}
+      />
+    ),
+    [SCREENS.SHARE]: () => (
+      <ImportExportScreen
+        onClose={back}
+        onImported={() => {
+          setCustomRoutines(loadCustomRoutines());
+          setCustomExercises(loadCustomExercises());
+        }}
+      />
+    ),
+  }[route.screen];
+
+  if (screen) {
+    return (
+      <ScreenWrapper theme={theme}>
+        <DebugOverlay />
+        <div className="App">{screen()}</div>
+      </ScreenWrapper>
+    );
+  }
+
   return (
     <ScreenWrapper theme={theme}>
       <DebugOverlay />
       <div className="App">
-        <Header theme={theme} onToggleTheme={toggleTheme} />
+        <Header
+          theme={theme}
+          onToggleTheme={toggleTheme}
+          profile={profile}
+          onSwitchProfile={() => setPickingProfile(true)}
+          onOpenBrowse={() => navigate(SCREENS.BROWSE)}
+          onOpenSearch={() => navigate(SCREENS.SEARCH)}
+          onOpenHistory={() => navigate(SCREENS.HISTORY)}
+          onOpenStats={() => navigate(SCREENS.STATS)}
+          onOpenSettings={() => navigate(SCREENS.SETTINGS)}
+        />
 
         {/* Hero/Intro Row */}
         <section
@@ -82,6 +369,8 @@ function App() {
             Pick a workout or browse exercises to get started.
           </div>
 
+          <ResumeBanner session={resumable} onResume={resumeSession} onDiscard={discardResumable} />
+
           {/* Quick access demo timer */}
           <div
             className="row-enter row-enter-active"
@@ -115,7 +404,13 @@ function App() {
               />
               <div style={{ position: 'relative', zIndex: 1 }}>
                 <div className="h3" style={{ marginBottom: 'var(--space-4)', color: '#fff' }}>Quick Timer</div>
-                <WorkoutTimer seconds={60} title="1-Minute Timer" />
+                <WorkoutTimer
+                  key={`quick-${quickTimerRun}`}
+                  seconds={60}
+                  title="1-Minute Timer"
+                  exerciseId="quick-timer"
+                  resumeFrom={resumeFrom}
+                />
               </div>
             </div>
 
@@ -135,9 +430,7 @@ function App() {
                 color: '#fff',
               }}
               tabIndex={0}
-              onSelect={() => {
-                /* hook to start Quick HIIT */
-              }}
+              onSelect={() => openRoutine('quick-hiit')}
             >
               <div
                 aria-hidden="true"
@@ -170,9 +463,7 @@ function App() {
                 color: '#fff',
               }}
               tabIndex={0}
-              onSelect={() => {
-                /* hook to start Core Starter */
-              }}
+              onSelect={() => openRoutine('core-starter')}
             >
               <div
                 aria-hidden="true"
@@ -191,43 +482,107 @@ function App() {
           </div>
         </section>
 
-        {/* Data-driven Rows */}
-        {(Array.isArray(EXERCISE_SECTIONS) ? EXERCISE_SECTIONS : []).map((section) => {
-          if (!section) return null;
-          const items = Array.isArray(section.items) ? section.items : [];
-          return (
-            <Row
-              key={section.id}
-              id={`row-${section.id}`}
-              title={section.title}
-              items={items.map((it) => ({
-                id: it.id,
-                name: it.name,
-                subtitle: `${Math.max(1, Math.floor(it.durationDefault || 60))}s • ${it.difficulty || 'Beginner'}`,
-                thumbnail: it.thumbnail,
-              }))}
-              onSelectItem={(item, e) => {
-                const chosen = items.find((x) => x.id === item.id) || {
-                  id: item.id,
-                  name: item.name,
-                  description: '',
-                  durationDefault: parseInt((item.subtitle || '60s').split('s')[0], 10) || 60,
-                  difficulty: (item.subtitle || '').split('•')[1]?.trim() || 'Beginner',
-                };
-                openExercise(chosen, e);
-              }}
-            />
-          );
-        })}
+        {/* Starred exercises and routines, newest first (star in the exercise modal or hold OK) */}
+        {favoriteItems.length ? (
+          <Row
+            id="row-favorites"
+            title="Favorites"
+            items={favoriteItems}
+            onSelectItem={openHomeItem}
+            onLongPressItem={(item) => toggleHomeFavorite(item, 'row-favorites')}
+          />
+        ) : null}
 
-        {/* Modal */}
-        {selectedExercise ? (
-          <ExerciseModal
-            exercise={selectedExercise}
-            onClose={closeExercise}
-            initialFocusId="exercise-close"
+        {/* Latest sessions, one card per exercise or routine; unfinished ones are marked Continue */}
+        {recentItems.length ? (
+          <Row
+            id="row-recent"
+            title="Continue / Recently played"
+            items={recentItems}
+            onSelectItem={openHomeItem}
+            onLongPressItem={toggleHomeFavorite}
+          />
+        ) : null}
+
+        {/* Custom routines row: "New Workout" opens the builder, saved routines play directly */}
+        <Row
+          id="row-my-workouts"
+          title="My Workouts"
+          items={[
+            {
+              id: 'builder-new',
+              name: '+ New Workout',
+              subtitle: 'Build your own routine',
+              thumbnail: 'gradient:ocean',
+            },
+            ...customRoutines.map((r) => ({
+              id: r.id,
+              name: r.name,
+              subtitle: `${Math.max(1, Math.round(getRoutineTotalSeconds(r) / 60))} min • ${r.items.length} exercises`,
+              thumbnail: r.thumbnail,
+              favorite: favoriteKeys.has(`${FAVORITE_KINDS.ROUTINE}:${r.id}`),
+            })),
+          ]}
+          onSelectItem={(item) => {
+            if (item.id === 'builder-new') navigate(SCREENS.BUILDER);
+            else openRoutine(item.id);
+          }}
+          onLongPressItem={(item) => {
+            if (item.id !== 'builder-new') toggleHomeFavorite({ kind: FAVORITE_KINDS.ROUTINE, refId: item.id });
+          }}
+        />
+
+        {/* Exercises imported from shared files */}
+        {customExercises.length ? (
+          <Row
+            id="row-my-exercises"
+            title="My Exercises"
+            items={customExercises.map((it) => ({
+              id: it.id,
+              name: it.name,
+              subtitle: `${formatExerciseVolume(it)} • ${it.difficulty || 'Beginner'}`,
+              thumbnail: it.thumbnail,
+              favorite: favoriteKeys.has(`${FAVORITE_KINDS.EXERCISE}:${it.id}`),
+            }))}
+            onSelectItem={(item, e) => {
+              const chosen = customExercises.find((x) => x.id === item.id);
+              if (chosen) openExercise(chosen, e);
+            }}
+            onLongPressItem={(item) => toggleHomeFavorite({ kind: FAVORITE_KINDS.EXERCISE, refId: item.id })}
           />
         ) : null}
+
+        {/* Data-driven Rows (the catalog's shape is checked by data/catalogValidation.js) */}
+        {EXERCISE_SECTIONS.map((section) => (
+          <Row
+            key={section.id}
+            id={`row-${section.id}`}
+            title={section.title}
+            items={section.items.map((it) => ({
+              id: it.id,
+              name: it.name,
+              subtitle: `${formatExerciseVolume(it)} • ${it.difficulty}`,
+              thumbnail: it.thumbnail,
+              favorite: favoriteKeys.has(`${catalogEntry(it).kind}:${catalogEntry(it).refId}`),
+            }))}
+            onLongPressItem={(item) => {
+              const chosen = section.items.find((x) => x.id === item.id);
+              if (chosen) toggleHomeFavorite(catalogEntry(chosen));
+            }}
+            onSelectItem={(item, e) => {
+              const chosen = section.items.find((x) => x.id === item.id);
+              if (!chosen) return;
+              if (chosen.routineId) {
+                openRoutine(chosen.routineId);
+                return;
+              }
+              openExercise(chosen, e);
+            }}
+          />
+        ))}
+
+        {/* Modal */}
+        {exerciseModal}
       </div>
     </ScreenWrapper>
   );
@@ -0,0 +1,205 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import ExerciseCard from './ExerciseCard';
+import { FocusGroup } from './FocusManager';
+import useDpadNavigation from '../hooks/useDpadNavigation';
+import {
+  FILTER_FACETS,
+  BROWSE_SORTS,
+  getBrowseCatalog,
+  getFilterOptions,
+  createEmptyFilters,
+  countActiveFilters,
+  toggleFilter,
+  filterExercises,
+  sortExercises,
+} from '../data/browse';
+import { formatExerciseVolume } from '../data/exercises';
+import { debugLog } from '../utils/debug';
+
+// Grid geometry; keep in sync with the grid's inline styles
+const CARD_MIN_WIDTH = 296;
+const GRID_GAP = 24;
+
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+// Columns that fit the grid's current width (at least one)
+function measureColumns(el) {
+  const width = el ? el.clientWidth : 0;
+  return Math.max(1, Math.floor((width + GRID_GAP) / (CARD_MIN_WIDTH + GRID_GAP)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * BrowseScreen
+ * The full exercise catalog (imported exercises included) as a responsive grid of ExerciseCards with
+ * multi-select filter chips (category, difficulty, equipment, tags), sort options and a result
+ * count. The grid uses 2D useDpadNavigation; Up from its first row and the chip rows move
+ * spatially via FocusManager.
+ * Selecting an exercise opens its details; Back is handled by the router.
+ *
+ * Props:
+ * - onClose: () => void
+ * - onSelectExercise: (exercise) => void
+ */
+export default function BrowseScreen({ onClose, onSelectExercise }) {
+  const catalog = useMemo(() => getBrowseCatalog(), []);
+  const options = useMemo(() => getFilterOptions(catalog), [catalog]);
+  const [filters, setFilters] = useState(createEmptyFilters);
+  const [sortId, setSortId] = useState(BROWSE_SORTS[0].id);
+  const [columns, setColumns] = useState(1);
+  const cellRefs = useRef([]);
+
+  const results = useMemo(
+    () => sortExercises(filterExercises(catalog, filters), sortId),
+    [catalog, filters, sortId]
+  );
+  const activeCount = countActiveFilters(filters);
+
+  const select = (exercise) => {
+    if (!exercise || typeof onSelectExercise !== 'function') return;
+    debugLog('Browse', 'select', { id: exercise.id });
+    onSelectExercise(exercise);
+  };
+
+  const { syncFocused, containerRef } = useDpadNavigation({
+    rowCount: Math.ceil(results.length / columns),
+    colCount: columns,
+    itemCount: results.length,
+    loop: false,
+    getRef: (r, c) => ({
+      current: cellRefs.current[r * columns + c]?.querySelector('[data-focusable="true"]') || null,
+    }),
+    onEnter: (r, c) => select(results[r * columns + c]),
+  });
+
+  // Track how many columns the responsive grid currently shows
+  useEffect(() => {
+    const update = () => setColumns(measureColumns(containerRef.current));
+    update();
+    window.addEventListener('resize', update);
+    return () => window.removeEventListener('resize', update);
+  }, [containerRef, results.length]);
+
+  const chipClass = (active) => (active ? 'btn' : 'btn btn-surface');
+  const chipStyle = { padding: '8px 16px', fontSize: 'var(--font-size-sm)' };
+  const labelStyle = { minWidth: 120, color: 'var(--color-text-secondary)', fontWeight: 700 };
+
+  return (
+    <section className="px-container" aria-label="Browse exercises" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-6)' }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: 'var(--space-4)' }}>
+          <div className="h1" style={{ margin: 0 }}>Browse</div>
+          <span aria-live="polite" style={{ color: 'var(--color-text-secondary)' }}>
+            {results.length === catalog.length
+              ? `${catalog.length} exercises`
+              : `${results.length} of ${catalog.length} exercises`}
+          </span>
+        </div>
+        <TVFocusable id="browse-back" as="button" className="btn btn-surface" onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      {/* Filter chips: multi-select within each facet */}
+      <div style={{ display: 'grid', gap: 'var(--space-3)', marginBottom: 'var(--space-6)' }}>
+        {FILTER_FACETS.map((facet) => (
+          <FocusGroup key={facet.id} id={`browse-facet-${facet.id}`}>
+            <div role="group" aria-label={`${facet.label} filters`} style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--space-2)' }}>
+              <span style={labelStyle}>{facet.label}</span>
+              {options[facet.id].map((value) => {
+                const active = filters[facet.id].includes(value);
+                return (
+                  <TVFocusable
+                    key={value}
+                    id={`browse-filter-${facet.id}-${slug(value)}`}
+                    as="button"
+                    className={chipClass(active)}
+                    aria-pressed={active}
+                    style={chipStyle}
+                    onSelect={() => setFilters((prev) => toggleFilter(prev, facet.id, value))}
+                  >
+                    {value}
+                  </TVFocusable>
+                );
+              })}
+            </div>
+          </FocusGroup>
+        ))}
+
+        <FocusGroup id="browse-sort">
+          <div role="group" aria-label="Sort" style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--space-2)' }}>
+            <span style={labelStyle}>Sort by</span>
+            {BROWSE_SORTS.map((s) => (
+              <TVFocusable
+                key={s.id}
+                id={`browse-sort-${s.id}`}
+                as="button"
+                className={chipClass(s.id === sortId)}
+                aria-pressed={s.id === sortId}
+                style={chipStyle}
+                onSelect={() => setSortId(s.id)}
+              >
+                {s.label}
+              </TVFocusable>
+            ))}
+            {activeCount ? (
+              <TVFocusable
+                id="browse-clear"
+                as="button"
+                className="btn btn-secondary"
+                style={{ ...chipStyle, marginLeft: 'var(--space-4)' }}
+                onSelect={() => setFilters(createEmptyFilters())}
+              >
+                Clear filters ({activeCount})
+              </TVFocusable>
+            ) : null}
+          </div>
+        </FocusGroup>
+      </div>
+
+      {results.length === 0 ? (
+        <div className="tv-card" style={{ padding: 'var(--space-8)', display: 'grid', gap: 'var(--space-4)', justifyItems: 'start' }}>
+          <div className="h3" style={{ margin: 0 }}>No exercises match these filters</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>Try removing a filter or two.</div>
+          <TVFocusable id="browse-empty-clear" as="button" className="btn" onSelect={() => setFilters(createEmptyFilters())}>
+            Clear filters
+          </TVFocusable>
+        </div>
+      ) : null}
+
+      <FocusGroup id="browse-grid">
+        <div
+          ref={containerRef}
+          role="list"
+          aria-label="Exercises"
+          style={{
+            display: 'grid',
+            gridTemplateColumns: `repeat(auto-fill, minmax(${CARD_MIN_WIDTH}px, 1fr))`,
+            gap: GRID_GAP,
+            paddingBottom: 'var(--space-10)',
+          }}
+        >
+          {results.map((exercise, idx) => (
+            <div
+              key={exercise.id}
+              role="listitem"
+              ref={(node) => { cellRefs.current[idx] = node; }}
+              onFocus={() => syncFocused(Math.floor(idx / columns), idx % columns)}
+            >
+              <ExerciseCard
+                id={`browse-item-${exercise.id}`}
+                name={exercise.name}
+                subtitle={`${formatExerciseVolume(exercise)} • ${exercise.difficulty || 'Beginner'} • ${exercise.category}`}
+                thumbnail={exercise.thumbnail}
+                autoFocus={idx === 0}
+                onSelect={() => select(exercise)}
+                style={{ minHeight: 220 }}
+              />
+            </div>
+          ))}
+        </div>
+      </FocusGroup>
+    </section>
+  );
+}
@@ -1,18 +1,23 @@
-import React, { useEffect, useState } from 'react';
-import { getFeatureFlags } from '../theme';
+import React, { useEffect, useMemo, useState } from 'react';
 import { normalizeTVKey } from '../utils/tvKeyMap';
 import { debugLog } from '../utils/debug';
+import { reportCatalogProblems } from '../data/catalogValidation';
+import useFeatureFlags from '../hooks/useFeatureFlags';
 
 /**
  * PUBLIC_INTERFACE
  * DebugOverlay
- * A small on-screen overlay to display current focus id and last key pressed.
- * Shown only when REACT_APP_FEATURE_FLAGS includes debugFocus=true.
+ * A small on-screen overlay to display current focus id and last key pressed, plus any problems
+ * found in the exercise catalog (see data/catalogValidation.js).
+ * Shown only while the debugFocus feature flag is on; the safeAreaGuides flag adds an outline of
+ * the TV title-safe area.
  */
 export default function DebugOverlay() {
-  const { debugFocus } = getFeatureFlags();
+  const { debugFocus, safeAreaGuides } = useFeatureFlags();
   const [lastKey, setLastKey] = useState('');
   const [activeId, setActiveId] = useState('');
+  // Checked once per mount; problems are also logged via debugLog
+  const catalogProblems = useMemo(() => (debugFocus ? reportCatalogProblems() : []), [debugFocus]);
 
   useEffect(() => {
     if (!debugFocus) return undefined;
@@ -40,30 +45,53 @@ export default function DebugOverlay() {
     };
   }, [debugFocus]);
 
-  if (!debugFocus) return null;
-
-  return (
+  const guides = safeAreaGuides ? (
     <div
       aria-hidden="true"
+      data-testid="safe-area-guides"
       style={{
         position: 'fixed',
-        left: 12,
-        bottom: 12,
-        zIndex: 99999,
-        background: 'rgba(0,0,0,0.65)',
-        color: '#fff',
-        border: '1px solid rgba(255,255,255,0.25)',
-        borderRadius: 12,
-        padding: '8px 10px',
-        fontSize: 14,
-        lineHeight: 1.35,
-        boxShadow: '0 6px 18px rgba(0,0,0,0.35)',
+        inset: '5%',
+        zIndex: 99998,
+        border: '2px dashed rgba(245,158,11,0.9)',
         pointerEvents: 'none',
-        minWidth: 180,
       }}
-    >
-      <div><strong>Focus</strong>: {activeId || '(none)'}</div>
-      <div><strong>Last key</strong>: {lastKey || '(n/a)'}</div>
-    </div>
+    />
+  ) : null;
+
+  if (!debugFocus) return guides;
+
+  return (
+    <>
+      {guides}
+      <div
+        aria-hidden="true"
+        style={{
+          position: 'fixed',
+          left: 12,
+          bottom: 12,
+          zIndex: 99999,
+          background: 'rgba(0,0,0,0.65)',
+          color: '#fff',
+          border: '1px solid rgba(255,255,255,0.25)',
+          borderRadius: 12,
+          padding: '8px 10px',
+          fontSize: 14,
+          lineHeight: 1.35,
+          boxShadow: '0 6px 18px rgba(0,0,0,0.35)',
+          pointerEvents: 'none',
+          minWidth: 180,
+        }}
+      >
+        <div><strong>Focus</strong>: {activeId || '(none)'}</div>
+        <div><strong>Last key</strong>: {lastKey || '(n/a)'}</div>
+        <div>
+          <strong>Catalog</strong>: {catalogProblems.length ? `${catalogProblems.length} problem(s)` : 'OK'}
+        </div>
+        {catalogProblems.slice(0, 3).map((p) => (
+          <div key={p.message} style={{ color: '#FCA5A5', maxWidth: 420 }}>{p.message}</div>
+        ))}
+      </div>
+    </>
   );
 }
@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { FocusGroup, KEY_PRIORITY, useFocusManager } from './FocusManager';
+import {
+  FEATURE_FLAGS,
+  FLAG_SOURCES,
+  clearFlagOverrides,
+  getFlagSources,
+  setFlagOverride,
+} from '../utils/featureFlags';
+import { normalizeTVKey, isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useFeatureFlags from '../hooks/useFeatureFlags';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+// PUBLIC_INTERFACE
+/** Remote key sequence that opens the developer menu: ↑ ↑ ↓ ↓ ← → ← → */
+export const DEV_MENU_SEQUENCE = Object.freeze([
+  'ArrowUp',
+  'ArrowUp',
+  'ArrowDown',
+  'ArrowDown',
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowLeft',
+  'ArrowRight',
+]);
+
+// The whole sequence has to be entered without pausing longer than this between keys
+const SEQUENCE_GAP_MS = 1500;
+
+const SOURCE_LABELS = {
+  [FLAG_SOURCES.DEFAULT]: 'default',
+  [FLAG_SOURCES.BUILD]: 'build',
+  [FLAG_SOURCES.DEVICE]: 'this device',
+  [FLAG_SOURCES.URL]: 'URL',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * DevMenu
+ * Hidden developer menu for toggling feature flags live, without rebuilding the app. Opens when
+ * DEV_MENU_SEQUENCE is pressed on the remote (keys still do their normal job meanwhile). Each
+ * toggle saves a device override (see utils/featureFlags.js); "Reset" returns to the build's
+ * flags. Back closes the menu and returns focus to where it was.
+ * Mount once, inside FocusManagerProvider.
+ */
+export default function DevMenu() {
+  const [open, setOpen] = useState(false);
+  const flags = useFeatureFlags();
+  const sources = getFlagSources();
+  const containerRef = useRef(null);
+  const returnFocusRef = useRef(null);
+  const { setFocus } = useFocusManager();
+
+  // Watches keys without consuming them, so the sequence also moves focus around as usual
+  useEffect(() => {
+    if (open) return undefined;
+    let progress = 0;
+    let lastAt = 0;
+    const onKeyDown = (e) => {
+      const now = Date.now();
+      if (now - lastAt > SEQUENCE_GAP_MS) progress = 0;
+      lastAt = now;
+      const k = normalizeTVKey(e);
+      if (k === DEV_MENU_SEQUENCE[progress]) progress += 1;
+      else progress = k === DEV_MENU_SEQUENCE[0] ? 1 : 0;
+      if (progress < DEV_MENU_SEQUENCE.length) return;
+      progress = 0;
+      debugLog('DevMenu', 'open');
+      returnFocusRef.current = document.activeElement;
+      setOpen(true);
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [open]);
+
+  // Take focus from whatever had it when the sequence finished
+  useEffect(() => {
+    if (open) setFocus(`devmenu-flag-${Object.keys(FEATURE_FLAGS)[0]}`);
+  }, [open, setFocus]);
+
+  const close = () => {
+    setOpen(false);
+    const el = returnFocusRef.current;
+    if (el && typeof el.focus === 'function') {
+      setTimeout(() => {
+        try {
+          el.focus();
+        } catch {
+          // ignore
+        }
+      }, 0);
+    }
+  };
+
+  useKeyHandler(
+    (_e, k) => {
+      if (!isBackKey(k)) return false;
+      close();
+      return true;
+    },
+    { priority: KEY_PRIORITY.MODAL, scopeRef: containerRef, blocking: true, enabled: open }
+  );
+
+  if (!open) return null;
+
+  return (
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Developer menu"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 10000,
+        display: 'grid',
+        placeItems: 'center',
+        background: 'rgba(5,15,28,0.65)',
+      }}
+    >
+      <FocusGroup id="dev-menu" trap>
+        <div className="tv-card" style={{ padding: 'var(--space-8)', minWidth: 560, maxWidth: '80vw' }}>
+          <div className="h2" style={{ marginTop: 0 }}>Developer menu</div>
+          <div style={{ color: 'var(--color-text-secondary)', marginBottom: 'var(--space-6)' }}>
+            Feature flags apply right away and are kept on this device.
+          </div>
+
+          <div role="list" aria-label="Feature flags" style={{ display: 'grid', gap: 'var(--space-3)' }}>
+            {Object.entries(FEATURE_FLAGS).map(([name, def]) => (
+              <div
+                key={name}
+                role="listitem"
+                style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 'var(--space-6)' }}
+              >
+                <div>
+                  <div style={{ fontWeight: 800 }}>{name}</div>
+                  <div style={{ color: 'var(--color-text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                    {def.description} • set by {SOURCE_LABELS[sources[name]]}
+                  </div>
+                </div>
+                <TVFocusable
+                  id={`devmenu-flag-${name}`}
+                  as="button"
+                  className={flags[name] ? 'btn' : 'btn btn-surface'}
+                  aria-pressed={flags[name]}
+                  aria-label={`${name}: ${flags[name] ? 'on' : 'off'}`}
+                  onSelect={() => {
+                    debugLog('DevMenu', 'toggle', name, !flags[name]);
+                    setFlagOverride(name, !flags[name]);
+                  }}
+                  style={{ minWidth: 96 }}
+                >
+                  {flags[name] ? 'On' : 'Off'}
+                </TVFocusable>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--space-4)', marginTop: 'var(--space-8)' }}>
+            <TVFocusable id="devmenu-reset" as="button" className="btn btn-surface" onSelect={clearFlagOverrides}>
+              Reset to build flags
+            </TVFocusable>
+            <TVFocusable id="devmenu-close" as="button" className="btn" onSelect={close}>
+              Close
+            </TVFocusable>
+          </div>
+        </div>
+      </FocusGroup>
+    </div>
+  );
+}
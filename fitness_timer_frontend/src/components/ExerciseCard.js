@@ -12,6 +12,9 @@ import TVFocusable from './TVFocusable';
  * - subtitle?: string - secondary info (e.g., duration, difficulty)
  * - thumbnail?: string | null - optional data URL or gradient token for background
  * - onSelect?: () => void - invoked when user presses OK/Enter/Space
+ * - onLongPress?: () => void - invoked when OK is held (e.g., to toggle a favorite)
+ * - favorite?: boolean - shows the favorite badge
+ * - autoFocus?: boolean - request initial focus on mount
  * - style?: React.CSSProperties - optional inline styles
  * - className?: string - extra classes
  */
@@ -21,6 +24,9 @@ export default function ExerciseCard({
   subtitle,
   thumbnail,
   onSelect,
+  onLongPress,
+  favorite = false,
+  autoFocus = false,
   style = {},
   className = '',
 }) {
@@ -65,9 +71,11 @@ export default function ExerciseCard({
       id={id}
       role="button"
       tabIndex={0}
-      ariaLabel={`${name || ''}${subtitle ? `, ${subtitle}` : ''}`}
+      ariaLabel={`${name || ''}${subtitle ? `, ${subtitle}` : ''}${favorite ? ', favorite' : ''}`}
       className={`exercise-card tv-card ${className}`.trim()}
       onSelect={onSelect}
+      onLongPress={onLongPress}
+      autoFocus={autoFocus}
       style={{
         display: 'flex',
         flexDirection: 'column',
@@ -148,9 +156,10 @@ export default function ExerciseCard({
           </div>
         ) : null}
       </div>
-      {/* Badge hook (top-right) */}
+      {/* Favorite badge (top-right) */}
       <div
         aria-hidden="true"
+        data-testid={favorite ? 'favorite-badge' : undefined}
         style={{
           position: 'absolute',
           top: 'var(--space-4)',
@@ -161,10 +170,11 @@ export default function ExerciseCard({
           color: '#fff',
           fontSize: 'var(--font-size-xs)',
           boxShadow: '0 2px 6px rgba(0,0,0,0.2)',
-          display: 'none', /* show when needed */
+          zIndex: 2,
+          display: favorite ? 'block' : 'none',
         }}
       >
-        Badge
+        ★ Favorite
       </div>
     </TVFocusable>
   );
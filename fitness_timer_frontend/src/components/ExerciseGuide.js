@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { FocusGroup, KEY_PRIORITY } from './FocusManager';
+import { debugLog } from '../utils/debug';
+import { getScrollBehavior } from '../utils/motion';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+// Seconds per step when the timer has no fixed length (stopwatch): the steps loop
+const OPEN_ENDED_STEP_SECONDS = 10;
+// Fraction of the visible body height scrolled per Up/Down press
+const SCROLL_FRACTION = 0.8;
+
+/**
+ * PUBLIC_INTERFACE
+ * getGuidePages
+ * Guide pages available for an exercise, in display order; pages without content are skipped.
+ * Returns Array<{ id: 'steps'|'cues'|'mistakes'|'muscles', label }>.
+ */
+export function getGuidePages(exercise) {
+  if (!exercise) return [];
+  const has = (list) => Array.isArray(list) && list.length > 0;
+  const pages = [];
+  if (has(exercise.steps)) pages.push({ id: 'steps', label: 'Steps' });
+  if (has(exercise.formCues)) pages.push({ id: 'cues', label: 'Form cues' });
+  if (has(exercise.mistakes)) pages.push({ id: 'mistakes', label: 'Mistakes' });
+  if (has(exercise.muscles) || exercise.breathing) pages.push({ id: 'muscles', label: 'Muscles & breathing' });
+  return pages;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getGuideStepIndex
+ * Step to follow for a timer's progress: steps are spread evenly over a fixed-length run and
+ * loop every OPEN_ENDED_STEP_SECONDS for open-ended ones. Returns null while the timer is idle or
+ * finished, or when there are no steps.
+ * - stepCount: number
+ * - progress: { started, completed, elapsedSeconds, totalSeconds } (see WorkoutTimer onProgress)
+ */
+export function getGuideStepIndex(stepCount, progress) {
+  if (!stepCount || !progress || !progress.started || progress.completed) return null;
+  const elapsed = Math.max(0, progress.elapsedSeconds || 0);
+  if (progress.totalSeconds > 0) {
+    return Math.min(stepCount - 1, Math.floor((elapsed / progress.totalSeconds) * stepCount));
+  }
+  return Math.floor(elapsed / OPEN_ENDED_STEP_SECONDS) % stepCount;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ExerciseGuide
+ * Paginated how-to guide for an exercise: ordered steps, form cues, common mistakes, and target
+ * muscles with breathing guidance. Page tabs are focus stops; on the focused guide body Up/Down
+ * scroll long pages and Left/Right flip pages (at either end the arrow moves focus as usual).
+ * While a timer runs, `activeStep` highlights the current step and keeps it scrolled into view;
+ * starting the timer brings the Steps page forward.
+ *
+ * Props:
+ * - exercise: { steps?, formCues?, mistakes?, muscles?, breathing? } (see data/exercises.js)
+ * - activeStep?: number|null - index into exercise.steps to highlight (see getGuideStepIndex)
+ * - idPrefix?: string (focus id prefix, default 'guide')
+ */
+export default function ExerciseGuide({ exercise, activeStep = null, idPrefix = 'guide' }) {
+  const pages = useMemo(() => getGuidePages(exercise), [exercise]);
+  const [pageIndex, setPageIndex] = useState(0);
+  const bodyRef = useRef(null);
+  const stepRefs = useRef([]);
+  const following = activeStep !== null;
+
+  const page = pages[Math.min(pageIndex, pages.length - 1)] || null;
+
+  // A different exercise starts over on the first page
+  useEffect(() => {
+    setPageIndex(0);
+  }, [exercise]);
+
+  // The timer starting brings the steps forward; after that the user may browse freely
+  useEffect(() => {
+    if (!following) return;
+    const stepsIndex = pages.findIndex((p) => p.id === 'steps');
+    if (stepsIndex >= 0) setPageIndex(stepsIndex);
+  }, [following, pages]);
+
+  // Keep the current step visible inside the scrollable body
+  useEffect(() => {
+    const body = bodyRef.current;
+    const node = activeStep !== null ? stepRefs.current[activeStep] : null;
+    if (!body || !node || page?.id !== 'steps') return;
+    const top = Math.max(0, node.offsetTop - body.clientHeight / 3);
+    if (typeof body.scrollTo === 'function') body.scrollTo({ top, behavior: getScrollBehavior() });
+    else body.scrollTop = top;
+  }, [activeStep, page]);
+
+  // Reset scroll when flipping pages
+  useEffect(() => {
+    if (bodyRef.current) bodyRef.current.scrollTop = 0;
+  }, [pageIndex]);
+
+  const goToPage = (index) => {
+    if (index < 0 || index >= pages.length) return false;
+    debugLog('Guide', 'page', pages[index].id);
+    setPageIndex(index);
+    return true;
+  };
+
+  // Scrolls the body by most of a screen; false when it is already at that edge
+  const scrollBody = (direction) => {
+    const body = bodyRef.current;
+    if (!body) return false;
+    const max = body.scrollHeight - body.clientHeight;
+    if ((direction < 0 && body.scrollTop <= 0) || (direction > 0 && body.scrollTop >= max)) return false;
+    body.scrollTop = Math.max(0, Math.min(max, body.scrollTop + direction * body.clientHeight * SCROLL_FRACTION));
+    return true;
+  };
+
+  useKeyHandler(
+    (_e, k) => {
+      if (k === 'ArrowUp') return scrollBody(-1);
+      if (k === 'ArrowDown') return scrollBody(1);
+      if (k === 'ArrowLeft') return goToPage(pageIndex - 1);
+      if (k === 'ArrowRight') return goToPage(pageIndex + 1);
+      return false;
+    },
+    { priority: KEY_PRIORITY.SURFACE, scopeRef: bodyRef, focusWithin: true, enabled: pages.length > 0 }
+  );
+
+  if (!page) return null;
+
+  const listStyle = { margin: 0, paddingLeft: '1.4em', display: 'grid', gap: 'var(--space-3)', lineHeight: 1.45 };
+
+  let content = null;
+  if (page.id === 'steps') {
+    content = (
+      <ol style={{ ...listStyle, listStyle: 'none', paddingLeft: 0 }}>
+        {exercise.steps.map((step, i) => {
+          const current = i === activeStep;
+          return (
+            <li
+              key={`step-${i}`}
+              ref={(node) => {
+                stepRefs.current[i] = node;
+              }}
+              aria-current={current ? 'step' : undefined}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: '2em 1fr',
+                gap: 'var(--space-3)',
+                padding: 'var(--space-2) var(--space-3)',
+                borderRadius: 'var(--radius-md)',
+                borderLeft: `4px solid ${current ? 'var(--color-secondary)' : 'transparent'}`,
+                background: current ? 'rgba(245,158,11,0.18)' : 'transparent',
+                transition: 'background var(--transition-med), border-color var(--transition-med)',
+              }}
+            >
+              <span style={{ fontWeight: 800, color: current ? 'var(--color-secondary)' : 'rgba(255,255,255,0.7)' }}>
+                {i + 1}
+              </span>
+              <span>{step}</span>
+            </li>
+          );
+        })}
+      </ol>
+    );
+  } else if (page.id === 'cues' || page.id === 'mistakes') {
+    const items = page.id === 'cues' ? exercise.formCues : exercise.mistakes;
+    content = (
+      <ul style={listStyle}>
+        {items.map((text, i) => (
+          <li key={`${page.id}-${i}`}>{text}</li>
+        ))}
+      </ul>
+    );
+  } else {
+    content = (
+      <div style={{ display: 'grid', gap: 'var(--space-4)' }}>
+        {Array.isArray(exercise.muscles) && exercise.muscles.length ? (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-2)' }} aria-label="Target muscles">
+            {exercise.muscles.map((m) => (
+              <span
+                key={m}
+                style={{
+                  padding: '4px 12px',
+                  borderRadius: 999,
+                  background: 'rgba(255,255,255,0.12)',
+                  border: '1px solid rgba(255,255,255,0.2)',
+                  fontSize: 'var(--font-size-sm)',
+                }}
+              >
+                {m}
+              </span>
+            ))}
+          </div>
+        ) : null}
+        {exercise.breathing ? (
+          <div>
+            <div style={{ fontWeight: 700, marginBottom: 'var(--space-1)' }}>Breathing</div>
+            <div>{exercise.breathing}</div>
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 'var(--space-3)' }}>
+      <FocusGroup id={`${idPrefix}-pages`}>
+        <div role="tablist" aria-label="Guide pages" style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-2)' }}>
+          {pages.map((p, i) => (
+            <TVFocusable
+              key={p.id}
+              id={`${idPrefix}-page-${p.id}`}
+              as="button"
+              role="tab"
+              aria-selected={p.id === page.id}
+              className={p.id === page.id ? 'btn' : 'btn btn-surface'}
+              onSelect={() => goToPage(i)}
+            >
+              {p.label}
+            </TVFocusable>
+          ))}
+        </div>
+      </FocusGroup>
+
+      <TVFocusable
+        ref={bodyRef}
+        id={`${idPrefix}-body`}
+        role="tabpanel"
+        aria-label={`${page.label}, page ${pages.indexOf(page) + 1} of ${pages.length}`}
+        style={{
+          position: 'relative',
+          maxHeight: 260,
+          overflowY: 'auto',
+          padding: 'var(--space-3)',
+          borderRadius: 'var(--radius-lg)',
+          background: 'rgba(0,0,0,0.18)',
+          color: 'rgba(255,255,255,0.92)',
+        }}
+      >
+        {content}
+      </TVFocusable>
+
+      <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: 'var(--font-size-sm)' }}>
+        Page {pages.indexOf(page) + 1} of {pages.length}
+        {pages.length > 1 ? ' • ◀ ▶ to flip pages' : ''}
+        {following ? ' • following the timer' : ''}
+      </div>
+    </div>
+  );
+}
@@ -1,27 +1,63 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import TVFocusable from './TVFocusable';
 import WorkoutTimer from './WorkoutTimer';
-import { normalizeTVKey, isBackKey, isArrow } from '../utils/tvKeyMap';
+import ExerciseGuide, { getGuideStepIndex } from './ExerciseGuide';
+import VariationSwitcher from './VariationSwitcher';
+import SetTracker from './SetTracker';
+import { formatExerciseVolume, getRepScheme } from '../data/exercises';
+import { FAVORITE_KINDS, isFavorite, toggleFavorite } from '../data/favorites';
+import { FocusGroup, KEY_PRIORITY } from './FocusManager';
+import { usePreferences } from './Preferences';
+import { isBackKey, isArrow } from '../utils/tvKeyMap';
 import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
 
 /**
  * PUBLIC_INTERFACE
  * ExerciseModal
  * Full-screen overlay modal for TV that shows selected exercise details and embeds a WorkoutTimer
- * initialized with the exercise's default duration. Focus is trapped within the modal; Back closes
+ * initialized with the exercise's default duration, plus its how-to guide (ExerciseGuide) whose
+ * current step follows the running timer. "Make it easier / harder" swaps in a variation in place;
+ * the timer keeps running with its current time. Rep-based exercises open on a set tracker
+ * (SetTracker) instead, with the timer one toggle away. A swap never replaces the tracker on
+ * screen: the timer stays up even when the variation counts reps, and while sets are tracked only
+ * rep-based variations are offered. The star button adds the shown exercise to
+ * the profile's favorites (Home's "Favorites" row). Focus is trapped within the modal; Back closes
  * the modal and restores focus to the previously focused element in the caller.
  *
  * Props:
- * - exercise: { id, name, description, durationDefault, difficulty, equipment }
+ * - exercise: { id, name, description, durationDefault, difficulty, equipment, steps?, ... }
  * - onClose: () => void
  * - initialFocusId?: string - id to assign to the first focusable control in the modal
+ * - resumeFrom?: saved snapshot of the modal's timer to continue (see WorkoutTimer)
  */
-export default function ExerciseModal({ exercise, onClose, initialFocusId = 'exercise-close' }) {
+export default function ExerciseModal({ exercise: openedExercise, onClose, initialFocusId = 'exercise-close', resumeFrom = null }) {
+  // The shown exercise; starts as the opened one and changes when a variation is swapped in
+  const [exercise, setExercise] = useState(openedExercise);
+  useEffect(() => {
+    setExercise(openedExercise);
+  }, [openedExercise]);
+  const { preferences } = usePreferences();
   const safeDuration = Math.max(1, Math.floor(exercise?.durationDefault || 60));
   const [seconds, setSeconds] = useState(safeDuration);
+  const [timerProgress, setTimerProgress] = useState(null);
+  // 'sets' or 'timer'; only rep-based exercises offer sets, and a resumed timer stays a timer
+  const [tracking, setTracking] = useState(resumeFrom ? 'timer' : 'sets');
+  const repBased = !!getRepScheme(exercise);
+  const showSets = repBased && tracking === 'sets';
+  const activeStep = showSets ? null : getGuideStepIndex(exercise?.steps?.length || 0, timerProgress);
   const containerRef = useRef(null);
   const focusablesRef = useRef([]);
-  const listenerAttachedRef = useRef(false);
+  const exerciseId = exercise?.id;
+  // Keep whichever tracker is showing, so its running state survives the swap
+  const swapVariation = (variation) => {
+    if (!showSets) setTracking('timer');
+    setExercise(variation);
+  };
+  const [favorite, setFavorite] = useState(() => !!exerciseId && isFavorite(FAVORITE_KINDS.EXERCISE, exerciseId));
+  useEffect(() => {
+    setFavorite(!!exerciseId && isFavorite(FAVORITE_KINDS.EXERCISE, exerciseId));
+  }, [exerciseId]);
 
   // Collect focusable elements within modal for trapping
   const collectFocusable = useCallback(() => {
@@ -54,59 +90,26 @@ export default function ExerciseModal({ exercise, onClose, initialFocusId = 'exe
     return () => clearTimeout(t);
   }, [collectFocusable, initialFocusId]);
 
-  // Key handler for trapping and Back to close - only attach while modal is mounted
-  useEffect(() => {
-    if (!exercise) return undefined;
-    if (listenerAttachedRef.current) return undefined;
-
-    const onKeyDown = (e) => {
-      const k = normalizeTVKey(e);
+  // Top-most key surface while mounted: Back closes, and keys never reach the screen behind.
+  // Arrows inside the modal move spatially within its trap FocusGroup; only pull focus back in
+  // when it has escaped the modal.
+  useKeyHandler(
+    (_e, k) => {
       if (isBackKey(k)) {
-        try { e.preventDefault(); } catch { /* noop */ }
-        try { e.stopPropagation(); } catch { /* noop */ }
         debugLog('Modal', 'back to close');
         if (typeof onClose === 'function') onClose();
-        return;
+        return true;
       }
-
-      // Trap focus navigation horizontally between first row of focusables
       if (isArrow(k)) {
         const f = collectFocusable();
-        if (!f.length) return;
-
-        const active = document.activeElement;
-        const idx = f.findIndex((el) => el === active);
-        if (idx >= 0) {
-          let nextIdx = idx;
-          if (k === 'ArrowRight') nextIdx = Math.min(f.length - 1, idx + 1);
-          if (k === 'ArrowLeft') nextIdx = Math.max(0, idx - 1);
-          if (nextIdx !== idx) {
-            try { e.preventDefault(); } catch { /* noop */ }
-            try { e.stopPropagation(); } catch { /* noop */ }
-            try { f[nextIdx].focus(); } catch { /* noop */ }
-          }
-        } else {
-          try { e.preventDefault(); } catch { /* noop */ }
-          try { e.stopPropagation(); } catch { /* noop */ }
-          try { f[0].focus(); } catch { /* noop */ }
-        }
-      }
-    };
-
-    window.addEventListener('keydown', onKeyDown, true);
-    listenerAttachedRef.current = true;
-    debugLog('Modal', 'keydown listener attached');
-
-    return () => {
-      try {
-        window.removeEventListener('keydown', onKeyDown, true);
-        listenerAttachedRef.current = false;
-        debugLog('Modal', 'keydown listener removed');
-      } catch {
-        /* ignore */
+        if (!f.length || f.includes(document.activeElement)) return false;
+        try { f[0].focus(); } catch { /* noop */ }
+        return true;
       }
-    };
-  }, [exercise, onClose, collectFocusable]);
+      return false;
+    },
+    { priority: KEY_PRIORITY.MODAL, scopeRef: containerRef, blocking: true, enabled: !!exercise }
+  );
 
   if (!exercise) return null;
 
@@ -130,98 +133,165 @@ export default function ExerciseModal({ exercise, onClose, initialFocusId = 'exe
         paddingBottom: 'env(safe-area-inset-bottom)',
       }}
     >
-      {/* Top bar: title and Close */}
-      <div
-        className="px-container"
-        style={{
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'space-between',
-          paddingTop: 'var(--space-6)',
-          paddingBottom: 'var(--space-4)',
-        }}
-      >
-        <div>
-          <div className="h2" style={{ color: '#fff', margin: 0 }}>{exercise.name}</div>
-          <div style={{ color: 'rgba(255,255,255,0.86)', marginTop: 4, fontSize: 'var(--font-size-sm)' }}>
-            {exercise.durationDefault}s • {exercise.difficulty} {exercise.equipment ? `• ${exercise.equipment}` : ''}
+      <FocusGroup id="exercise-modal" trap>
+        {/* Top bar: title and Close */}
+        <div
+          className="px-container"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingTop: 'var(--space-6)',
+            paddingBottom: 'var(--space-4)',
+          }}
+        >
+          <div>
+            <div className="h2" style={{ color: '#fff', margin: 0 }}>{exercise.name}</div>
+            <div style={{ color: 'rgba(255,255,255,0.86)', marginTop: 4, fontSize: 'var(--font-size-sm)' }}>
+              {formatExerciseVolume(exercise)} • {exercise.difficulty} {exercise.equipment ? `• ${exercise.equipment}` : ''}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--space-3)' }}>
+            <TVFocusable
+              id="exercise-favorite"
+              as="button"
+              tabIndex={0}
+              role="button"
+              className="btn btn-secondary"
+              aria-pressed={favorite}
+              aria-label={favorite ? `Remove ${exercise.name} from favorites` : `Add ${exercise.name} to favorites`}
+              onSelect={() => {
+                const next = toggleFavorite(FAVORITE_KINDS.EXERCISE, exercise.id);
+                debugLog('Modal', 'favorite', exercise.id, next);
+                setFavorite(next);
+              }}
+            >
+              {favorite ? '★ Favorite' : '☆ Favorite'}
+            </TVFocusable>
+            <TVFocusable
+              id="exercise-close"
+              as="button"
+              tabIndex={0}
+              role="button"
+              className="btn btn-secondary"
+              aria-label="Close"
+              onSelect={onClose}
+            >
+              <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}>
+                <span style={{ display: 'inline-flex', width: 20, height: 20, alignItems: 'center', justifyContent: 'center' }}>
+                  <img
+                    src={require('../assets/icons/arrow.svg')}
+                    alt="Back"
+                    aria-hidden="true"
+                    width={20}
+                    height={20}
+                    onError={(e) => {
+                      e.currentTarget.style.display = 'none';
+                      const span = document.createElement('span');
+                      span.textContent = '⬅';
+                      span.style.fontSize = '1.0em';
+                      e.currentTarget.parentElement.appendChild(span);
+                    }}
+                  />
+                </span>
+                <span>Back</span>
+              </span>
+            </TVFocusable>
           </div>
         </div>
 
-        <TVFocusable
-          id="exercise-close"
-          as="button"
-          tabIndex={0}
-          role="button"
-          className="btn btn-secondary"
-          aria-label="Close"
-          onSelect={onClose}
+        {/* Content */}
+        <div
+          className="px-container"
+          style={{
+            display: 'grid',
+            gridTemplateColumns: '1.05fr 1fr',
+            gap: 'var(--space-8)',
+            alignItems: 'start',
+            paddingBottom: 'var(--space-10)',
+            overflow: 'auto',
+          }}
         >
-          <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}>
-            <span style={{ display: 'inline-flex', width: 20, height: 20, alignItems: 'center', justifyContent: 'center' }}>
-              <img
-                src={require('../assets/icons/arrow.svg')}
-                alt="Back"
-                aria-hidden="true"
-                width={20}
-                height={20}
-                onError={(e) => {
-                  e.currentTarget.style.display = 'none';
-                  const span = document.createElement('span');
-                  span.textContent = '⬅';
-                  span.style.fontSize = '1.0em';
-                  e.currentTarget.parentElement.appendChild(span);
-                }}
+          {/* Left: Details */}
+          <div className="tv-card" style={{ padding: 'var(--space-6)', background: 'rgba(255,255,255,0.06)', borderColor: 'rgba(255,255,255,0.18)' }}>
+            <div className="h3" style={{ color: '#fff', marginTop: 0, marginBottom: 'var(--space-4)' }}>About</div>
+            <div style={{ color: 'rgba(255,255,255,0.9)', lineHeight: 1.5 }}>
+              {exercise.description}
+            </div>
+
+            <div style={{ marginTop: 'var(--space-4)' }}>
+              <VariationSwitcher
+                exercise={exercise}
+                onSwap={swapVariation}
+                idPrefix="exercise-variation"
+                canSwap={showSets ? (v) => !!getRepScheme(v) : undefined}
               />
-            </span>
-            <span>Back</span>
-          </span>
-        </TVFocusable>
-      </div>
+            </div>
 
-      {/* Content */}
-      <div
-        className="px-container"
-        style={{
-          display: 'grid',
-          gridTemplateColumns: '1.05fr 1fr',
-          gap: 'var(--space-8)',
-          alignItems: 'start',
-          paddingBottom: 'var(--space-10)',
-          overflow: 'auto',
-        }}
-      >
-        {/* Left: Details */}
-        <div className="tv-card" style={{ padding: 'var(--space-6)', background: 'rgba(255,255,255,0.06)', borderColor: 'rgba(255,255,255,0.18)' }}>
-          <div className="h3" style={{ color: '#fff', marginTop: 0, marginBottom: 'var(--space-4)' }}>About</div>
-          <div style={{ color: 'rgba(255,255,255,0.9)', lineHeight: 1.5 }}>
-            {exercise.description}
-          </div>
+            <div style={{ marginTop: 'var(--space-6)' }}>
+              <ExerciseGuide exercise={exercise} activeStep={activeStep} idPrefix="exercise-guide" />
+            </div>
 
-          {/* Presets as focusable chips for quick duration set */}
-          <div style={{ marginTop: 'var(--space-6)', color: 'rgba(255,255,255,0.92)' }}>
-            <div style={{ marginBottom: 'var(--space-3)' }}>Quick presets:</div>
-            <div style={{ display: 'flex', gap: 'var(--space-3)', flexWrap: 'wrap' }}>
-              {[30, 45, 60, 90].map((s) => (
-                <TVFocusable
-                  key={`modal-preset-${s}`}
-                  id={`modal-preset-${s}`}
-                  as="button"
-                  className="btn btn-surface"
-                  onSelect={() => setSeconds(s)}
-                >
-                  {s}s
-                </TVFocusable>
-              ))}
+            {/* Presets as focusable chips for quick duration set */}
+            <div style={{ marginTop: 'var(--space-6)', color: 'rgba(255,255,255,0.92)', display: showSets ? 'none' : undefined }}>
+              <div style={{ marginBottom: 'var(--space-3)' }}>Quick presets:</div>
+              <div style={{ display: 'flex', gap: 'var(--space-3)', flexWrap: 'wrap' }}>
+                {preferences.timerPresets.map((s) => (
+                  <TVFocusable
+                    key={`modal-preset-${s}`}
+                    id={`modal-preset-${s}`}
+                    as="button"
+                    className="btn btn-surface"
+                    onSelect={() => setSeconds(s)}
+                  >
+                    {s}s
+                  </TVFocusable>
+                ))}
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Right: Timer */}
-        <div className="tv-card" style={{ padding: 'var(--space-6)', background: 'rgba(255,255,255,0.06)', borderColor: 'rgba(255,255,255,0.18)' }}>
-          <WorkoutTimer seconds={seconds} title={`${exercise.name} Timer`} />
+          {/* Right: Timer, or sets for rep-based exercises */}
+          <div className="tv-card" style={{ padding: 'var(--space-6)', background: 'rgba(255,255,255,0.06)', borderColor: 'rgba(255,255,255,0.18)' }}>
+            {repBased ? (
+              <div
+                role="group"
+                aria-label="Track by"
+                style={{ display: 'flex', justifyContent: 'center', gap: 'var(--space-3)', marginBottom: 'var(--space-4)' }}
+              >
+                {[
+                  { id: 'sets', label: 'Sets & reps' },
+                  { id: 'timer', label: 'Timer' },
+                ].map((opt) => (
+                  <TVFocusable
+                    key={opt.id}
+                    id={`exercise-track-${opt.id}`}
+                    as="button"
+                    className={tracking === opt.id ? 'btn' : 'btn btn-surface'}
+                    aria-pressed={tracking === opt.id}
+                    onSelect={() => setTracking(opt.id)}
+                  >
+                    {opt.label}
+                  </TVFocusable>
+                ))}
+              </div>
+            ) : null}
+            {showSets ? (
+              <SetTracker id="exercise-sets" exercise={exercise} />
+            ) : (
+              <WorkoutTimer
+                id="exercise-timer"
+                seconds={seconds}
+                title={`${exercise.name} Timer`}
+                exerciseId={exercise.id}
+                resumeFrom={resumeFrom}
+                onProgress={setTimerProgress}
+              />
+            )}
+          </div>
         </div>
-      </div>
+      </FocusGroup>
 
       {/* Local styles for modal visual polish */}
       <style>{`
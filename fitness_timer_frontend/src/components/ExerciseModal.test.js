@@ -0,0 +1,43 @@
+import { screen, waitFor, within } from '@testing-library/react';
+import ExerciseModal from './ExerciseModal';
+import { pressEnter, renderWithProviders } from '../testUtils';
+import { deleteCustomExercise, saveCustomExercises } from '../data/customExercises';
+import { findExerciseById } from '../data/exercises';
+
+// A timed hold whose harder variation counts reps
+const HOLD = { id: 'cx-hold', name: 'Wall Hold', category: 'Strength', durationDefault: 30, harder: 'cx-reps' };
+const REPS = { id: 'cx-reps', name: 'Wall Presses', category: 'Strength', durationDefault: 45, reps: 10, easier: 'cx-hold' };
+
+beforeEach(() => {
+  localStorage.clear();
+  saveCustomExercises([HOLD, REPS]);
+});
+
+afterEach(() => {
+  deleteCustomExercise(HOLD.id);
+  deleteCustomExercise(REPS.id);
+});
+
+function renderModal(id) {
+  return renderWithProviders(<ExerciseModal exercise={findExerciseById(id)} onClose={() => {}} />);
+}
+
+test('swapping a running timer to a rep-based variation keeps the timer', async () => {
+  renderModal(HOLD.id);
+  pressEnter(screen.getByRole('button', { name: 'Start timer' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Pause timer' })).toBeInTheDocument());
+
+  pressEnter(screen.getByRole('button', { name: 'Make it harder: Wall Presses' }));
+  expect(screen.getByText('Wall Presses Timer')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Pause timer' })).toBeInTheDocument();
+  const trackBy = within(screen.getByRole('group', { name: 'Track by' }));
+  expect(trackBy.getByRole('button', { name: 'Timer' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('while sets are tracked only rep-based variations are offered', () => {
+  renderModal(REPS.id);
+  expect(screen.queryByRole('button', { name: 'Make it easier: Wall Hold' })).toBeNull();
+
+  pressEnter(within(screen.getByRole('group', { name: 'Track by' })).getByRole('button', { name: 'Timer' }));
+  expect(screen.getByRole('button', { name: 'Make it easier: Wall Hold' })).toBeInTheDocument();
+});
@@ -9,15 +9,19 @@ import React, {
 } from 'react';
 import { normalizeTVKey, isArrow } from '../utils/tvKeyMap';
 import { debugLog } from '../utils/debug';
+import { getScrollBehavior } from '../utils/motion';
 
 /**
  * PUBLIC_INTERFACE
  * FocusManagerContext
  * Provides TV D-pad focus management for Android TV remotes.
- * Exposes register, setInitialFocus, setFocus, getFocus to integrate with hooks/components.
+ * Exposes register, registerGroup, addKeyHandler, setInitialFocus, setFocus, getFocus to integrate
+ * with hooks/components.
  */
 const FocusManagerContext = createContext({
   register: () => () => {},
+  registerGroup: () => () => {},
+  addKeyHandler: () => () => {},
   setInitialFocus: () => {},
   setFocus: () => {},
   getFocus: () => null,
@@ -25,82 +29,196 @@ const FocusManagerContext = createContext({
   currentId: null,
 });
 
+/**
+ * PUBLIC_INTERFACE
+ * KEY_PRIORITY
+ * Priorities for the key-routing stack. Higher priorities hear keys first; on equal priority the
+ * most recently mounted surface wins.
+ */
+export const KEY_PRIORITY = {
+  ROUTER: 0,
+  ROW: 10,
+  SURFACE: 20,
+  SCREEN: 30,
+  PLAYER: 40,
+  MODAL: 50,
+};
+
+// Group id provided by the nearest FocusGroup (null at the top level)
+const FocusGroupContext = createContext(null);
+
+// Rect overlap tolerance so scaled (focused) cards do not count as overlapping their neighbours
+const EDGE_TOLERANCE = 10;
+// Weight of misalignment on the cross axis relative to distance along the pressed direction
+const CROSS_AXIS_WEIGHT = 2;
+
+/**
+ * PUBLIC_INTERFACE
+ * findNearestInDirection
+ * Pure spatial search: returns the id of the candidate nearest to `fromRect` in the arrow
+ * direction, or null when nothing lies that way.
+ * - fromRect: { left, top, right, bottom }
+ * - candidates: Array<{ id, rect: { left, top, right, bottom } }>
+ * - key: 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
+ */
+export function findNearestInDirection(fromRect, candidates, key) {
+  const horizontal = key === 'ArrowLeft' || key === 'ArrowRight';
+  let best = null;
+  let bestScore = Infinity;
+
+  (candidates || []).forEach(({ id, rect }) => {
+    let primary;
+    if (key === 'ArrowRight') primary = rect.left - fromRect.right;
+    else if (key === 'ArrowLeft') primary = fromRect.left - rect.right;
+    else if (key === 'ArrowDown') primary = rect.top - fromRect.bottom;
+    else if (key === 'ArrowUp') primary = fromRect.top - rect.bottom;
+    else return;
+    if (primary < -EDGE_TOLERANCE) return;
+
+    // Gap on the cross axis (0 when the two rects overlap on it), then centre offset as tie-breaker
+    const [aStart, aEnd, bStart, bEnd] = horizontal
+      ? [fromRect.top, fromRect.bottom, rect.top, rect.bottom]
+      : [fromRect.left, fromRect.right, rect.left, rect.right];
+    const crossGap = Math.max(0, Math.max(aStart, bStart) - Math.min(aEnd, bEnd));
+    const centreOffset = Math.abs((aStart + aEnd) / 2 - (bStart + bEnd) / 2);
+
+    const score = Math.max(0, primary) + crossGap * CROSS_AXIS_WEIGHT + centreOffset * 0.01;
+    if (score < bestScore) {
+      bestScore = score;
+      best = id;
+    }
+  });
+
+  return best;
+}
+
 /**
  * Focusable registry to store focusable elements and their DOM refs
- * Shape: { id: string, ref: React.RefObject, meta?: object }
+ * Shape: { id: string, ref: React.RefObject, meta?: { groupId?: string } }
+ * Groups shape: { id: string, trap: boolean, rememberLast: boolean }
  */
 function useFocusableRegistry() {
   const registryRef = useRef(new Map());
+  const groupsRef = useRef(new Map());
 
-  const register = (id, ref, meta = {}) => {
+  const register = useCallback((id, ref, meta = {}) => {
     const entry = { id, ref, meta };
     registryRef.current.set(id, entry);
     return () => {
-      registryRef.current.delete(id);
+      if (registryRef.current.get(id) === entry) registryRef.current.delete(id);
     };
-  };
+  }, []);
 
-  const getById = (id) => registryRef.current.get(id);
+  const registerGroup = useCallback((id, options = {}) => {
+    const group = { id, trap: !!options.trap, rememberLast: options.rememberLast !== false, lastFocusedId: null };
+    const prev = groupsRef.current.get(id);
+    // Keep the remembered child across re-registration (e.g. a row re-rendering)
+    if (prev) group.lastFocusedId = prev.lastFocusedId;
+    groupsRef.current.set(id, group);
+    return () => {
+      if (groupsRef.current.get(id) === group) groupsRef.current.delete(id);
+    };
+  }, []);
+
+  const getById = useCallback((id) => registryRef.current.get(id), []);
+
+  return { register, registerGroup, getById, registryRef, groupsRef };
+}
+
+// Visible, attached DOM rect for a registry entry, or null
+function getEntryRect(entry) {
+  const node = entry?.ref?.current;
+  if (!node || node.isConnected === false || typeof node.getBoundingClientRect !== 'function') return null;
+  const r = node.getBoundingClientRect();
+  if (!r || (r.width === 0 && r.height === 0)) return null;
+  return r;
+}
 
-  return { register, getById, registryRef };
+function focusNode(node) {
+  try {
+    if (typeof node.scrollIntoView === 'function') {
+      node.scrollIntoView({
+        block: 'nearest',
+        inline: 'nearest',
+        behavior: getScrollBehavior(),
+      });
+    }
+  } catch {
+    try {
+      node.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    } catch {
+      /* ignore */
+    }
+  }
+  try {
+    if (typeof node.focus === 'function') node.focus();
+  } catch {
+    /* ignore */
+  }
 }
 
 /**
  * PUBLIC_INTERFACE
  * FocusManagerProvider
  * Wrap your app in this provider to enable keyboard/D-pad focus handling.
- * - Listens to Arrow keys to move focus linearly when no grid handler overrides it
+ * - Owns the key-routing stack (see useKeyHandler): only the top-most surface hears Enter/Back
+ * - Arrow keys no handler consumed move focus spatially to the nearest focusable in that direction
+ * - Entering a FocusGroup lands on the group's last focused child; trap groups keep focus inside
  * - Tracks current focus id
- * - Exposes register(), setInitialFocus(), setFocus(), getFocus()
+ * - Exposes register(), registerGroup(), addKeyHandler(), setInitialFocus(), setFocus(), getFocus()
  */
 export function FocusManagerProvider({ children, initialFocusId = null }) {
-  const { register, getById, registryRef } = useFocusableRegistry();
+  const { register, registerGroup, getById, registryRef, groupsRef } = useFocusableRegistry();
   const [currentId, setCurrentId] = useState(initialFocusId);
+  const currentIdRef = useRef(initialFocusId);
   const initialFocusSetRef = useRef(false);
   const listenerAttachedRef = useRef(false);
+  const keyHandlersRef = useRef([]);
+  const keyHandlerSeqRef = useRef(0);
+
+  // Single place that records the current id and the per-group memory
+  const trackFocus = useCallback(
+    (id) => {
+      currentIdRef.current = id;
+      setCurrentId(id);
+      const groupId = getById(id)?.meta?.groupId;
+      const group = groupId ? groupsRef.current.get(groupId) : null;
+      if (group && group.rememberLast) group.lastFocusedId = id;
+    },
+    [getById, groupsRef]
+  );
 
   // Programmatic focus setter
   const setFocus = useCallback(
     (id) => {
-      setCurrentId(id);
+      trackFocus(id);
       const entry = getById(id);
       const node = entry?.ref?.current;
       if (node) {
-        requestAnimationFrame(() => {
-          // Robust scrollIntoView with guards
-          try {
-            if (typeof node.scrollIntoView === 'function') {
-              node.scrollIntoView({
-                block: 'nearest',
-                inline: 'nearest',
-                behavior: 'smooth',
-              });
-            }
-          } catch {
-            try {
-              node.scrollIntoView({ block: 'nearest', inline: 'nearest' });
-            } catch {
-              /* ignore */
-            }
-          }
-          try {
-            if (typeof node.focus === 'function') node.focus();
-          } catch {
-            /* ignore */
-          }
-        });
+        requestAnimationFrame(() => focusNode(node));
       }
     },
-    [getById]
+    [getById, trackFocus]
   );
 
-  // Set initial focus on first mount if provided
+  // Set initial focus on first mount if provided. Never steals focus from a registered element
+  // that already holds it (e.g. one restored when navigating back to a screen).
   const setInitialFocus = useCallback(
     (id) => {
+      try {
+        const active = document.activeElement;
+        const activeId = active?.getAttribute?.('data-focus-id');
+        if (activeId && activeId !== id && registryRef.current.has(activeId) && active.isConnected) {
+          debugLog('FocusManager', 'setInitialFocus skipped, focus already on', activeId);
+          return;
+        }
+      } catch {
+        /* ignore */
+      }
       debugLog('FocusManager', 'setInitialFocus', id);
       setFocus(id);
     },
-    [setFocus]
+    [setFocus, registryRef]
   );
 
   useEffect(() => {
@@ -110,62 +228,127 @@ export function FocusManagerProvider({ children, initialFocusId = null }) {
     }
   }, [initialFocusId, setInitialFocus]);
 
-  // Basic linear navigation fallback: order by insertion
-  const getOrderedEntries = () => Array.from(registryRef.current.values());
-
-  const moveFocus = (delta) => {
-    const entries = getOrderedEntries();
-    if (entries.length === 0) return;
-    const currentIndex = Math.max(0, entries.findIndex((e) => e.id === currentId));
-    let nextIndex = currentIndex + delta;
-    if (nextIndex < 0) nextIndex = 0;
-    if (nextIndex >= entries.length) nextIndex = entries.length - 1;
-    const next = entries[nextIndex];
-    const node = next?.ref?.current;
-    if (next && node) {
-      setCurrentId(next.id);
-      try {
-        if (typeof node.scrollIntoView === 'function') {
-          node.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
-        }
-      } catch {
-        try {
-          node.scrollIntoView({ block: 'nearest', inline: 'nearest' });
-        } catch {
-          /* ignore */
-        }
-      }
+  // Keep currentId in sync with focus moved by pointer, grids or programmatic node.focus()
+  useEffect(() => {
+    const onFocusIn = (e) => {
+      const id = e.target?.getAttribute?.('data-focus-id');
+      if (id && registryRef.current.has(id) && id !== currentIdRef.current) trackFocus(id);
+    };
+    document.addEventListener('focusin', onFocusIn);
+    return () => document.removeEventListener('focusin', onFocusIn);
+  }, [registryRef, trackFocus]);
+
+  const moveFocus = useCallback(
+    (key) => {
+      const entries = Array.from(registryRef.current.values());
+      if (entries.length === 0) return;
+
+      // Prefer the element that actually has DOM focus
+      let fromId = currentIdRef.current;
       try {
-        if (typeof node.focus === 'function') node.focus();
+        const activeId = document.activeElement?.getAttribute?.('data-focus-id');
+        if (activeId && registryRef.current.has(activeId)) fromId = activeId;
       } catch {
         /* ignore */
       }
+      const fromEntry = fromId ? registryRef.current.get(fromId) : null;
+      const fromRect = getEntryRect(fromEntry);
+
+      // Trap groups confine navigation to their own members
+      const fromGroupId = fromEntry?.meta?.groupId || null;
+      const fromGroup = fromGroupId ? groupsRef.current.get(fromGroupId) : null;
+      const pool = entries.filter(
+        (e) => e.id !== fromId && (!fromGroup || !fromGroup.trap || e.meta?.groupId === fromGroupId)
+      );
+      const candidates = pool
+        .map((e) => ({ id: e.id, rect: getEntryRect(e), groupId: e.meta?.groupId || null }))
+        .filter((c) => c.rect);
+      if (candidates.length === 0) return;
+
+      let nextId;
+      if (!fromRect) {
+        // Nothing focused yet: start at the top-left-most focusable
+        nextId = candidates
+          .slice()
+          .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left)[0].id;
+      } else {
+        nextId = findNearestInDirection(fromRect, candidates, key);
+      }
+      if (!nextId) return;
+
+      // Entering another group: land on its remembered child when it is still on screen
+      const nextGroupId = registryRef.current.get(nextId)?.meta?.groupId || null;
+      if (nextGroupId && nextGroupId !== fromGroupId) {
+        const remembered = groupsRef.current.get(nextGroupId)?.lastFocusedId;
+        if (remembered && candidates.some((c) => c.id === remembered)) nextId = remembered;
+      }
+
+      const node = registryRef.current.get(nextId)?.ref?.current;
+      if (!node) return;
+      debugLog('FocusManager', 'move', key, fromId, '->', nextId);
+      trackFocus(nextId);
+      focusNode(node);
+    },
+    [registryRef, groupsRef, trackFocus]
+  );
+
+  // Key-routing stack: entries are { handler, priority, scopeRef, blocking, focusWithin, seq }
+  const addKeyHandler = useCallback((options) => {
+    keyHandlerSeqRef.current += 1;
+    const entry = { priority: KEY_PRIORITY.SURFACE, ...options, seq: keyHandlerSeqRef.current };
+    keyHandlersRef.current = [...keyHandlersRef.current, entry];
+    return () => {
+      keyHandlersRef.current = keyHandlersRef.current.filter((h) => h !== entry);
+    };
+  }, []);
+
+  // Offers the key to the stack, top-most first. A blocking surface hides every lower handler
+  // that is not nested inside its scope. Returns true when a handler consumed the key.
+  const dispatchKey = useCallback((e, key) => {
+    const handlers = keyHandlersRef.current
+      .slice()
+      .sort((a, b) => b.priority - a.priority || b.seq - a.seq);
+    const active = typeof document !== 'undefined' ? document.activeElement : null;
+    let blocker = null;
+
+    for (let i = 0; i < handlers.length; i += 1) {
+      const h = handlers[i];
+      const scopeEl = (h.scopeRef && h.scopeRef.current) || null;
+      if (blocker) {
+        const nested = blocker !== true && scopeEl && scopeEl !== blocker && blocker.contains(scopeEl);
+        if (!nested) continue;
+      }
+      const inScope = !scopeEl || scopeEl.contains(active);
+      if ((!h.focusWithin || inScope) && h.handler(e, key) === true) return true;
+      if (h.blocking && !blocker) blocker = scopeEl || true;
     }
-  };
+    return false;
+  }, []);
 
-  // Central keydown router: attach once, capture phase, prevent default only for handled arrow keys.
+  // Central keydown router: attach once in the capture phase. The handler stack gets every key
+  // first; arrows nobody consumed move focus spatially. Prevent default only for handled keys.
   useEffect(() => {
     if (listenerAttachedRef.current) return undefined;
 
     const onKeyDown = (e) => {
       const k = normalizeTVKey(e);
-      if (!isArrow(k)) return;
-      // prevent native scroll only for handled arrow keys
+      let handled = dispatchKey(e, k);
+      if (!handled && isArrow(k)) {
+        debugLog('FocusManager', 'keydown', k, 'currentId=', currentIdRef.current);
+        moveFocus(k);
+        handled = true;
+      }
+      if (!handled) return;
+      // prevent native scroll/activation only for handled keys
       try {
         e.preventDefault();
         e.stopPropagation();
       } catch {
         /* noop */
       }
-      debugLog('FocusManager', 'keydown', k, 'currentId=', currentId);
-      if (k === 'ArrowRight' || k === 'ArrowDown') {
-        moveFocus(1);
-      } else if (k === 'ArrowLeft' || k === 'ArrowUp') {
-        moveFocus(-1);
-      }
     };
 
-    window.addEventListener('keydown', onKeyDown, true); // capture
+    window.addEventListener('keydown', onKeyDown, true);
     listenerAttachedRef.current = true;
     debugLog('FocusManager', 'global keydown listener attached');
 
@@ -178,9 +361,7 @@ export function FocusManagerProvider({ children, initialFocusId = null }) {
         /* ignore */
       }
     };
-    // attach once
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [moveFocus, dispatchKey]);
 
   const getFocus = useCallback(() => currentId, [currentId]);
   const getCurrentDom = useCallback(() => {
@@ -191,18 +372,47 @@ export function FocusManagerProvider({ children, initialFocusId = null }) {
   const value = useMemo(
     () => ({
       register,
+      registerGroup,
+      addKeyHandler,
       setInitialFocus,
       setFocus,
       getFocus,
       getCurrentDom,
       currentId,
     }),
-    [register, setInitialFocus, setFocus, getFocus, getCurrentDom, currentId]
+    [register, registerGroup, addKeyHandler, setInitialFocus, setFocus, getFocus, getCurrentDom, currentId]
   );
 
   return <FocusManagerContext.Provider value={value}>{children}</FocusManagerContext.Provider>;
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * FocusGroup
+ * Groups focusables registered beneath it (e.g. the cards of a Row) for spatial navigation.
+ * Props:
+ * - id: string (required) - stable group id
+ * - rememberLast?: boolean (default true) - re-entering the group focuses its last focused child
+ * - trap?: boolean (default false) - arrows never leave the group (modals/overlays)
+ * - children
+ */
+export function FocusGroup({ id, rememberLast = true, trap = false, children }) {
+  const { registerGroup } = useContext(FocusManagerContext);
+
+  useEffect(() => {
+    if (!id || typeof registerGroup !== 'function') return undefined;
+    return registerGroup(id, { rememberLast, trap });
+  }, [id, rememberLast, trap, registerGroup]);
+
+  return <FocusGroupContext.Provider value={id || null}>{children}</FocusGroupContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export function useFocusGroupId() {
+  /** Returns the id of the nearest enclosing FocusGroup, or null. */
+  return useContext(FocusGroupContext);
+}
+
 // PUBLIC_INTERFACE
 export function useFocusManager() {
   /** Hook to access FocusManager context */
@@ -228,17 +438,18 @@ export function Focusable({
   ...rest
 }) {
   const { register, setInitialFocus } = useFocusManager();
+  const groupId = useFocusGroupId();
   const ref = useRef(null);
 
   useEffect(() => {
     if (!id) return undefined;
-    const unregister = register(id, ref);
+    const unregister = register(id, ref, { groupId });
     if (autoFocus) {
       // Schedule after mount
       requestAnimationFrame(() => setInitialFocus(id));
     }
     return unregister;
-  }, [id, register, setInitialFocus, autoFocus]);
+  }, [id, groupId, register, setInitialFocus, autoFocus]);
 
   // Clone child to attach ref and a11y props
   const child = React.Children.only(children);
@@ -1,5 +1,6 @@
 import React from 'react';
 import TVFocusable from './TVFocusable';
+import { ProfileAvatar } from './ProfilePicker';
 
 // Small icon helper with fallback
 function Icon({ src, label, fallback, size = 20 }) {
@@ -31,8 +32,29 @@ function Icon({ src, label, fallback, size = 20 }) {
  * TV-friendly header with brand and primary actions.
  * - Uses Ocean Professional theme tokens
  * - Focusable buttons for remote navigation
+ *
+ * Props:
+ * - theme: 'light' | 'dark'
+ * - onToggleTheme: () => void
+ * - onOpenBrowse?: () => void
+ * - onOpenSearch?: () => void
+ * - onOpenHistory?: () => void
+ * - onOpenStats?: () => void
+ * - onOpenSettings?: () => void
+ * - profile?: { name, color, guest? } | null - who is working out (shown on the profile button)
+ * - onSwitchProfile?: () => void - opens the "Who's working out?" picker
  */
-export default function Header({ theme, onToggleTheme }) {
+export default function Header({
+  theme,
+  onToggleTheme,
+  onOpenBrowse,
+  onOpenSearch,
+  onOpenHistory,
+  onOpenStats,
+  onOpenSettings,
+  profile,
+  onSwitchProfile,
+}) {
   return (
     <header
       className="px-container"
@@ -94,11 +116,59 @@ export default function Header({ theme, onToggleTheme }) {
           role="button"
           tabIndex={0}
           aria-label="Browse Exercises"
-          onSelect={() => { /* hook up to navigation when implemented */ }}
+          onSelect={onOpenBrowse}
         >
           Browse
         </TVFocusable>
 
+        <TVFocusable
+          id="header-search-btn"
+          as="button"
+          className="btn btn-surface"
+          role="button"
+          tabIndex={0}
+          aria-label="Search Exercises"
+          onSelect={onOpenSearch}
+        >
+          Search
+        </TVFocusable>
+
+        <TVFocusable
+          id="header-history-btn"
+          as="button"
+          className="btn btn-surface"
+          role="button"
+          tabIndex={0}
+          aria-label="Workout History"
+          onSelect={onOpenHistory}
+        >
+          History
+        </TVFocusable>
+
+        <TVFocusable
+          id="header-stats-btn"
+          as="button"
+          className="btn btn-surface"
+          role="button"
+          tabIndex={0}
+          aria-label="Workout Stats"
+          onSelect={onOpenStats}
+        >
+          Stats
+        </TVFocusable>
+
+        <TVFocusable
+          id="header-settings-btn"
+          as="button"
+          className="btn btn-surface"
+          role="button"
+          tabIndex={0}
+          aria-label="Settings"
+          onSelect={onOpenSettings}
+        >
+          Settings
+        </TVFocusable>
+
         <TVFocusable
           id="header-theme-btn"
           as="button"
@@ -110,6 +180,21 @@ export default function Header({ theme, onToggleTheme }) {
         >
           {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
         </TVFocusable>
+
+        {onSwitchProfile ? (
+          <TVFocusable
+            id="header-profile-btn"
+            as="button"
+            className="btn btn-surface"
+            role="button"
+            tabIndex={0}
+            aria-label={profile ? `Profile: ${profile.name}. Switch profile` : 'Choose a profile'}
+            onSelect={onSwitchProfile}
+          >
+            {profile ? <ProfileAvatar profile={profile} size={28} /> : null}
+            <span>{profile ? profile.name : 'Profiles'}</span>
+          </TVFocusable>
+        ) : null}
       </div>
       <style>{`
         header .btn:hover { transform: translateY(-1px) scale(1.01); transition: transform var(--transition-fast); }
@@ -0,0 +1,144 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import {
+  loadHistory,
+  subscribeHistory,
+  groupSessionsByDay,
+  getDayKey,
+  SESSION_STATUS,
+  REPS_SESSION_MODE,
+} from '../data/history';
+import { formatSeconds } from '../utils/time';
+import { KEY_PRIORITY } from './FocusManager';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+// "Today", "Yesterday" or a short weekday/date label for a day group
+function formatDayLabel(date) {
+  const today = new Date();
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  const key = getDayKey(date.getTime());
+  if (key === getDayKey(today.getTime())) return 'Today';
+  if (key === getDayKey(yesterday.getTime())) return 'Yesterday';
+  return date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * HistoryScreen
+ * Lists recorded workout sessions grouped by day (newest first). Each entry shows the exercise
+ * or routine, actual vs. planned duration, pauses and whether it was completed or stopped early.
+ * Updates live as sessions are recorded. Back closes the screen.
+ *
+ * Props:
+ * - onClose: () => void
+ */
+export default function HistoryScreen({ onClose }) {
+  const [sessions, setSessions] = useState(() => loadHistory());
+
+  useEffect(() => subscribeHistory(setSessions), []);
+
+  const days = useMemo(() => groupSessionsByDay(sessions), [sessions]);
+
+  useKeyHandler(
+    (_e, k) => {
+      if (!isBackKey(k)) return false;
+      debugLog('History', 'back to close');
+      if (typeof onClose === 'function') onClose();
+      return true;
+    },
+    { priority: KEY_PRIORITY.SCREEN, blocking: true }
+  );
+
+  return (
+    <section className="px-container" aria-label="Workout history" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-8)' }}>
+        <div className="h1" style={{ margin: 0 }}>History</div>
+        <TVFocusable id="history-back" as="button" className="btn btn-surface" autoFocus={days.length === 0} onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      {days.length === 0 ? (
+        <div className="tv-card" style={{ padding: 'var(--space-8)', color: 'var(--color-text-secondary)' }}>
+          No workouts yet. Finish a timer or routine and it will show up here.
+        </div>
+      ) : null}
+
+      {days.map((day, dayIdx) => {
+        const totalActive = day.sessions.reduce((acc, s) => acc + (s.actualSeconds || 0), 0);
+        return (
+          <div key={day.dayKey} style={{ marginBottom: 'var(--space-10)' }}>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: 'var(--space-4)', marginBottom: 'var(--space-4)' }}>
+              <h2 className="h2" style={{ margin: 0 }}>{formatDayLabel(day.date)}</h2>
+              <span style={{ color: 'var(--color-text-secondary)' }}>
+                {day.sessions.length} {day.sessions.length === 1 ? 'session' : 'sessions'} • {formatSeconds(totalActive)} active
+              </span>
+            </div>
+            <div role="list" style={{ display: 'grid', gap: 'var(--space-3)' }}>
+              {day.sessions.map((s, i) => {
+                const done = s.status === SESSION_STATUS.COMPLETED;
+                const setTracked = s.mode === REPS_SESSION_MODE;
+                const amount = setTracked
+                  ? `${s.sets || 0} ${s.sets === 1 ? 'set' : 'sets'} • ${s.reps || 0} reps`
+                  : formatSeconds(s.actualSeconds);
+                return (
+                  <TVFocusable
+                    key={s.id}
+                    id={`history-${s.id}`}
+                    role="listitem"
+                    autoFocus={dayIdx === 0 && i === 0}
+                    className="tv-card"
+                    ariaLabel={`${s.name}, ${done ? 'completed' : 'stopped early'}, ${amount}`}
+                    style={{
+                      display: 'grid',
+                      gridTemplateColumns: 'auto 1fr auto auto',
+                      alignItems: 'center',
+                      gap: 'var(--space-6)',
+                      padding: 'var(--space-4) var(--space-6)',
+                    }}
+                  >
+                    <span style={{ color: 'var(--color-text-secondary)', minWidth: 96 }}>{formatClock(s.startedAt)}</span>
+                    <span>
+                      <span style={{ fontWeight: 800 }}>{s.name || s.refId || 'Workout'}</span>
+                      <span style={{ color: 'var(--color-text-secondary)', marginLeft: 'var(--space-3)' }}>
+                        {s.kind === 'routine' ? 'Routine' : setTracked ? 'Sets' : s.mode || 'Timer'}
+                        {s.pauses ? ` • ${s.pauses} ${s.pauses === 1 ? 'pause' : 'pauses'}` : ''}
+                      </span>
+                    </span>
+                    <span style={{ fontWeight: 700 }}>
+                      {amount}
+                      {setTracked && s.plannedSets ? (
+                        <span style={{ color: 'var(--color-text-secondary)', fontWeight: 400 }}> / {s.plannedSets} sets</span>
+                      ) : null}
+                      {s.plannedSeconds ? (
+                        <span style={{ color: 'var(--color-text-secondary)', fontWeight: 400 }}> / {formatSeconds(s.plannedSeconds)}</span>
+                      ) : null}
+                    </span>
+                    <span
+                      style={{
+                        padding: '6px 12px',
+                        borderRadius: 'var(--radius-pill)',
+                        fontSize: 'var(--font-size-xs)',
+                        fontWeight: 700,
+                        background: done ? 'var(--color-success)' : 'var(--color-border)',
+                        color: done ? '#fff' : 'var(--color-text)',
+                      }}
+                    >
+                      {done ? 'Completed' : 'Stopped early'}
+                    </span>
+                  </TVFocusable>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </section>
+  );
+}
@@ -0,0 +1,309 @@
+import React, { useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { KEY_PRIORITY } from './FocusManager';
+import {
+  CONFLICT_STRATEGIES,
+  IMPORT_CONFLICTS,
+  buildShareFile,
+  getShareFileName,
+  importShareData,
+  parseShareText,
+  planImport,
+} from '../data/importExport';
+import { loadCustomExercises } from '../data/customExercises';
+import { loadCustomRoutines } from '../data/customRoutines';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+const isTextInput = (el) => !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA');
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// Saves text as a file through a temporary download link; false where downloads are unsupported
+function downloadText(fileName, text) {
+  try {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ImportExportScreen
+ * Share custom routines and imported exercises between TVs as JSON files (see data/importExport.js).
+ * Export downloads a file or shows its JSON for copying; import reads a chosen file or pasted
+ * text, explains any problems, previews what will be added and how clashing ids are handled,
+ * and saves on confirmation. Back closes (Backspace still edits the paste box).
+ *
+ * Props:
+ * - onClose: () => void
+ * - onImported?: (result) => void - called after saving, with the resolveImport() result
+ */
+export default function ImportExportScreen({ onClose, onImported }) {
+  const [text, setText] = useState('');
+  // { ok, errors, warnings, data } from parseShareText, plus the source label
+  const [check, setCheck] = useState(null);
+  const [strategy, setStrategy] = useState(CONFLICT_STRATEGIES.KEEP_BOTH);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const customExercises = loadCustomExercises();
+  const customRoutines = loadCustomRoutines();
+  const exportCount = customExercises.length + customRoutines.length;
+
+  useKeyHandler(
+    (e, k) => {
+      if (!isBackKey(k)) return false;
+      if (e.key === 'Backspace' && isTextInput(e.target)) return false;
+      debugLog('Share', 'back to close');
+      if (typeof onClose === 'function') onClose();
+      return true;
+    },
+    { priority: KEY_PRIORITY.SCREEN, blocking: true }
+  );
+
+  const exportText = () => JSON.stringify(buildShareFile(), null, 2);
+
+  const download = () => {
+    if (!exportCount) {
+      setMessage('Nothing to export yet: build a workout or import exercises first.');
+      return;
+    }
+    const name = getShareFileName();
+    const ok = downloadText(name, exportText());
+    debugLog('Share', 'export download', { name, ok });
+    setMessage(ok ? `Saved ${name}.` : 'Downloads are not available here; use "Show JSON" and copy the text instead.');
+  };
+
+  const showJson = () => {
+    setText(exportText());
+    setCheck(null);
+    setResult(null);
+    setMessage('The export is in the box below, ready to copy.');
+  };
+
+  const runCheck = (input, source) => {
+    const next = parseShareText(input);
+    debugLog('Share', 'check', { source, ok: next.ok, errors: next.errors.length });
+    setResult(null);
+    setMessage('');
+    setCheck({ ...next, source });
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const content = String(reader.result || '');
+      setText(content);
+      runCheck(content, file.name);
+    };
+    reader.onerror = () => setCheck({ ok: false, errors: [`Could not read ${file.name}.`], warnings: [], source: file.name });
+    reader.readAsText(file);
+  };
+
+  const confirmImport = () => {
+    if (!check || !check.ok) return;
+    const imported = importShareData(check.data, { onCustomConflict: strategy });
+    debugLog('Share', 'imported', { exercises: imported.exercises.length, routines: imported.routines.length });
+    setResult(imported);
+    setCheck(null);
+    setText('');
+    if (typeof onImported === 'function') onImported(imported);
+  };
+
+  const plan = check && check.ok ? planImport(check.data) : null;
+  const planned = plan ? [...plan.exercises.map((p) => ({ ...p, kind: 'exercise' })), ...plan.routines.map((p) => ({ ...p, kind: 'routine' }))] : [];
+  const builtInClashes = planned.filter((p) => p.conflict === IMPORT_CONFLICTS.BUILT_IN);
+  const customClashes = planned.filter((p) => p.conflict === IMPORT_CONFLICTS.CUSTOM);
+
+  const cardStyle = { padding: 'var(--space-6)', display: 'grid', gap: 'var(--space-4)', marginTop: 'var(--space-4)' };
+  const rowStyle = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 'var(--space-3)' };
+  const listStyle = { margin: 0, paddingLeft: '1.4em', display: 'grid', gap: 'var(--space-2)' };
+
+  return (
+    <section className="px-container" aria-label="Import and export" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-8)' }}>
+        <div className="h1" style={{ margin: 0 }}>Import & Export</div>
+        <TVFocusable id="share-back" as="button" className="btn btn-surface" onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      <div className="tv-card" style={cardStyle}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Export</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            {exportCount
+              ? `${plural(customRoutines.length, 'custom routine')} and ${plural(customExercises.length, 'imported exercise')}`
+              : 'No custom routines or imported exercises yet'}
+          </div>
+        </div>
+        <div style={rowStyle}>
+          <TVFocusable id="share-export" as="button" autoFocus className="btn" onSelect={download}>
+            ⬇ Download file
+          </TVFocusable>
+          <TVFocusable id="share-export-text" as="button" className="btn btn-surface" onSelect={showJson}>
+            Show JSON
+          </TVFocusable>
+        </div>
+        {message ? <div role="status">{message}</div> : null}
+      </div>
+
+      <div className="tv-card" style={cardStyle}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Import</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            Choose a workout file or paste its contents, then check it before anything is saved.
+          </div>
+        </div>
+        <div style={rowStyle}>
+          <TVFocusable
+            id="share-choose-file"
+            as="button"
+            className="btn btn-surface"
+            onSelect={() => fileInputRef.current && fileInputRef.current.click()}
+          >
+            📂 Choose file
+          </TVFocusable>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            aria-label="Workout file"
+            tabIndex={-1}
+            style={{ display: 'none' }}
+            onChange={readFile}
+          />
+          <TVFocusable
+            id="share-check"
+            as="button"
+            className="btn btn-surface"
+            onSelect={() => runCheck(text, 'pasted text')}
+          >
+            Check pasted text
+          </TVFocusable>
+        </div>
+        <TVFocusable
+          id="share-paste"
+          as="textarea"
+          role="textbox"
+          value={text}
+          placeholder={`Paste a workout file here ("format": "fitness-tv-workouts")`}
+          aria-label="Workout file contents"
+          spellCheck={false}
+          onChange={(e) => setText(e.target.value)}
+          style={{
+            minHeight: 160,
+            padding: 'var(--space-4)',
+            borderRadius: 'var(--radius-lg)',
+            border: '1px solid var(--color-border)',
+            background: 'var(--color-surface)',
+            color: 'var(--color-text)',
+            fontFamily: 'monospace',
+            fontSize: 'var(--font-size-sm)',
+            resize: 'vertical',
+          }}
+        />
+
+        {check && !check.ok ? (
+          <div role="alert" style={{ display: 'grid', gap: 'var(--space-2)' }}>
+            <div style={{ fontWeight: 800 }}>Could not import {check.source}:</div>
+            <ul style={listStyle}>
+              {check.errors.map((err) => (
+                <li key={err}>{err}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        {plan ? (
+          <div style={{ display: 'grid', gap: 'var(--space-3)' }}>
+            <div style={{ fontWeight: 800 }}>
+              Ready to import {plural(plan.exercises.length, 'exercise')} and {plural(plan.routines.length, 'routine')} from{' '}
+              {check.source}
+            </div>
+            {builtInClashes.length ? (
+              <ul style={listStyle} aria-label="Built-in id conflicts">
+                {builtInClashes.map((p) => (
+                  <li key={`${p.kind}-${p.id}`}>
+                    {p.name} ({p.id}) has the id of a built-in {p.kind} and will be added as a copy with a new id.
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {customClashes.length ? (
+              <div style={{ display: 'grid', gap: 'var(--space-2)' }}>
+                <div>
+                  Already on this TV: {customClashes.map((p) => `${p.name} (${p.id})`).join(', ')}
+                </div>
+                <div role="group" aria-label="When an item already exists" style={rowStyle}>
+                  {[
+                    { id: CONFLICT_STRATEGIES.KEEP_BOTH, label: 'Keep both' },
+                    { id: CONFLICT_STRATEGIES.REPLACE, label: 'Replace existing' },
+                  ].map((opt) => (
+                    <TVFocusable
+                      key={opt.id}
+                      id={`share-conflict-${opt.id}`}
+                      as="button"
+                      className={strategy === opt.id ? 'btn' : 'btn btn-surface'}
+                      aria-pressed={strategy === opt.id}
+                      onSelect={() => setStrategy(opt.id)}
+                    >
+                      {opt.label}
+                    </TVFocusable>
+                  ))}
+                </div>
+              </div>
+            ) : null}
+            {check.warnings.length ? (
+              <ul style={{ ...listStyle, color: 'var(--color-text-secondary)' }} aria-label="Warnings">
+                {check.warnings.map((w) => (
+                  <li key={w}>{w}</li>
+                ))}
+              </ul>
+            ) : null}
+            <div style={rowStyle}>
+              <TVFocusable id="share-import" as="button" className="btn" onSelect={confirmImport}>
+                Import
+              </TVFocusable>
+              <TVFocusable id="share-import-cancel" as="button" className="btn btn-surface" onSelect={() => setCheck(null)}>
+                Cancel
+              </TVFocusable>
+            </div>
+          </div>
+        ) : null}
+
+        {result ? (
+          <div role="status" style={{ display: 'grid', gap: 'var(--space-2)' }}>
+            <div style={{ fontWeight: 800 }}>
+              Imported {plural(result.exercises.length, 'exercise')} and {plural(result.routines.length, 'routine')}.
+            </div>
+            {result.renamed.length ? (
+              <ul style={listStyle}>
+                {result.renamed.map((r) => (
+                  <li key={`${r.kind}-${r.from}`}>
+                    {r.kind === 'exercise' ? 'Exercise' : 'Routine'} {r.from} was saved as {r.to}.
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { FocusGroup, KEY_PRIORITY } from './FocusManager';
+import useKeyHandler from '../hooks/useKeyHandler';
+import { debugLog } from '../utils/debug';
+
+// PUBLIC_INTERFACE
+/**
+ * KEYBOARD_LAYOUTS
+ * Character rows per layout; the action row (space, backspace, clear, layout switch) is shared.
+ */
+export const KEYBOARD_LAYOUTS = {
+  qwerty: { label: 'QWERTY', rows: ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'] },
+  abc: { label: 'ABC', rows: ['abcdefg', 'hijklmn', 'opqrstu', 'vwxyz', '1234567890'] },
+};
+
+const KEY_SIZE = 64;
+
+/**
+ * PUBLIC_INTERFACE
+ * OnScreenKeyboard
+ * D-pad operable keyboard for TV text entry. Keys are focus stops in one FocusGroup, so arrows
+ * move between neighbouring keys and returning to the keyboard lands on the last key used.
+ * A hardware keyboard also works while focus is on the keyboard: letters/digits type and
+ * Backspace deletes (Backspace on an empty value is left to Back handling).
+ *
+ * Props:
+ * - value: string
+ * - onChange: (value: string) => void
+ * - idPrefix?: string (focus id prefix, default 'kb')
+ * - initialLayout?: 'qwerty' | 'abc' (default 'qwerty')
+ * - maxLength?: number (default 40)
+ * - autoFocus?: boolean - focus the first letter key on mount
+ */
+export default function OnScreenKeyboard({
+  value = '',
+  onChange,
+  idPrefix = 'kb',
+  initialLayout = 'qwerty',
+  maxLength = 40,
+  autoFocus = false,
+}) {
+  const [layout, setLayout] = useState(KEYBOARD_LAYOUTS[initialLayout] ? initialLayout : 'qwerty');
+  const rootRef = useRef(null);
+  const { rows } = KEYBOARD_LAYOUTS[layout];
+
+  const emit = (next) => {
+    if (typeof onChange === 'function') onChange(next.slice(0, maxLength));
+  };
+  const type = (ch) => {
+    if (value.length >= maxLength) return;
+    debugLog('Keyboard', 'type', ch);
+    emit(value + ch);
+  };
+  const backspace = () => emit(value.slice(0, -1));
+  const space = () => {
+    if (value && !value.endsWith(' ')) type(' ');
+  };
+  const clear = () => emit('');
+
+  // Hardware keyboard while focus is on the keyboard
+  useKeyHandler(
+    (e) => {
+      if (e.key === 'Backspace') {
+        if (!value) return false;
+        backspace();
+        return true;
+      }
+      if (typeof e.key === 'string' && /^[a-z0-9]$/i.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        type(e.key.toLowerCase());
+        return true;
+      }
+      return false;
+    },
+    { priority: KEY_PRIORITY.SURFACE, scopeRef: rootRef, focusWithin: true }
+  );
+
+  const keyStyle = {
+    minWidth: KEY_SIZE,
+    height: KEY_SIZE,
+    padding: 0,
+    justifyContent: 'center',
+    fontSize: 'var(--font-size-lg)',
+    fontWeight: 700,
+  };
+  const firstLetter = rows.find((r) => /[a-z]/.test(r))?.match(/[a-z]/)[0];
+
+  return (
+    <FocusGroup id={`${idPrefix}-keys`}>
+      <div ref={rootRef} role="group" aria-label="On-screen keyboard" style={{ display: 'grid', gap: 'var(--space-2)', justifyContent: 'start' }}>
+        {rows.map((row) => (
+          <div key={row} style={{ display: 'flex', gap: 'var(--space-2)' }}>
+            {row.split('').map((ch) => (
+              <TVFocusable
+                key={ch}
+                id={`${idPrefix}-key-${ch}`}
+                as="button"
+                className="btn btn-surface"
+                aria-label={ch}
+                autoFocus={autoFocus && ch === firstLetter}
+                style={keyStyle}
+                onSelect={() => type(ch)}
+              >
+                {ch.toUpperCase()}
+              </TVFocusable>
+            ))}
+          </div>
+        ))}
+        <div style={{ display: 'flex', gap: 'var(--space-2)' }}>
+          <TVFocusable id={`${idPrefix}-space`} as="button" className="btn btn-surface" aria-label="Space" style={{ ...keyStyle, minWidth: KEY_SIZE * 3 }} onSelect={space}>
+            Space
+          </TVFocusable>
+          <TVFocusable id={`${idPrefix}-backspace`} as="button" className="btn btn-surface" aria-label="Backspace" style={{ ...keyStyle, minWidth: KEY_SIZE * 1.5 }} onSelect={backspace}>
+            ⌫
+          </TVFocusable>
+          <TVFocusable id={`${idPrefix}-clear`} as="button" className="btn btn-surface" aria-label="Clear" style={{ ...keyStyle, minWidth: KEY_SIZE * 1.5, fontSize: 'var(--font-size-sm)' }} onSelect={clear}>
+            Clear
+          </TVFocusable>
+          <TVFocusable
+            id={`${idPrefix}-layout`}
+            as="button"
+            className="btn btn-surface"
+            aria-label={`Switch to ${layout === 'qwerty' ? 'ABC' : 'QWERTY'} layout`}
+            style={{ ...keyStyle, minWidth: KEY_SIZE * 2, fontSize: 'var(--font-size-sm)' }}
+            onSelect={() => setLayout((l) => (l === 'qwerty' ? 'abc' : 'qwerty'))}
+          >
+            {layout === 'qwerty' ? 'ABC' : 'QWERTY'}
+          </TVFocusable>
+        </div>
+      </div>
+    </FocusGroup>
+  );
+}
@@ -0,0 +1,37 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { getPreferences, subscribePreferences, updatePreferences } from '../utils/preferences';
+
+/**
+ * PUBLIC_INTERFACE
+ * PreferencesContext
+ * The user's preferences (see utils/preferences.js) and updatePreferences(patch).
+ * Null when no provider is mounted; usePreferences() then reads the store directly.
+ */
+const PreferencesContext = createContext(null);
+
+/**
+ * PUBLIC_INTERFACE
+ * PreferencesProvider
+ * Re-renders consumers whenever preferences change, whoever changed them (Settings, the header's
+ * theme button, or the audio/voice modules).
+ */
+export function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(getPreferences);
+
+  useEffect(() => {
+    // Catch an update made between the first render and subscribing
+    setPreferences(getPreferences());
+    return subscribePreferences(setPreferences);
+  }, []);
+
+  const value = useMemo(() => ({ preferences, updatePreferences }), [preferences]);
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export function usePreferences() {
+  /** Hook to access { preferences, updatePreferences } */
+  const value = useContext(PreferencesContext);
+  return value || { preferences: getPreferences(), updatePreferences };
+}
@@ -0,0 +1,326 @@
+import React, { useState } from 'react';
+import TVFocusable from './TVFocusable';
+import OnScreenKeyboard from './OnScreenKeyboard';
+import { FocusGroup, KEY_PRIORITY } from './FocusManager';
+import {
+  FITNESS_LEVELS,
+  GUEST_PROFILE,
+  MAX_PROFILES,
+  PROFILE_COLORS,
+  PROFILE_NAME_MAX_LENGTH,
+  createProfile,
+  deleteProfile,
+  loadProfiles,
+  updateProfile,
+} from '../data/profiles';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+const isTextInput = (el) => !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA');
+
+/**
+ * PUBLIC_INTERFACE
+ * ProfileAvatar
+ * Round avatar showing a profile's initial on its color.
+ *
+ * Props:
+ * - profile: { name, color }
+ * - size?: number (px, default 96)
+ */
+export function ProfileAvatar({ profile, size = 96 }) {
+  return (
+    <span
+      aria-hidden="true"
+      style={{
+        width: size,
+        height: size,
+        borderRadius: '50%',
+        display: 'inline-grid',
+        placeItems: 'center',
+        flex: 'none',
+        background: profile.color,
+        color: '#fff',
+        fontSize: size * 0.45,
+        fontWeight: 800,
+        textShadow: '0 1px 3px rgba(0,0,0,0.35)',
+        boxShadow: 'var(--shadow-md)',
+      }}
+    >
+      {profile.guest ? '?' : (profile.name || '?').charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ProfilePicker
+ * "Who's working out?" screen shown at launch and from the header's profile button. Lists the
+ * household's profiles plus Guest (nothing recorded) and lets profiles be added, renamed,
+ * recolored, re-leveled and deleted (with all of their data; asks first).
+ * Back leaves the edit form, then closes the picker when `onClose` is given.
+ *
+ * Props:
+ * - activeProfileId?: string | null - highlighted and focused first
+ * - onChoose: (profile) => void - a profile or GUEST_PROFILE was picked
+ * - onProfilesChanged?: () => void - called after a profile is added, edited or deleted
+ * - onClose?: () => void - omit at launch, when a choice is required
+ */
+export default function ProfilePicker({ activeProfileId = null, onChoose, onProfilesChanged, onClose }) {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [managing, setManaging] = useState(false);
+  // Edit form: null when listing; { id: null } adds a profile
+  const [editing, setEditing] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const changed = () => {
+    setProfiles(loadProfiles());
+    if (typeof onProfilesChanged === 'function') onProfilesChanged();
+  };
+
+  const openForm = (profile) => {
+    setConfirmDelete(false);
+    setEditing(
+      profile
+        ? { id: profile.id, name: profile.name, color: profile.color, level: profile.level }
+        : { id: null, name: '', color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length].value, level: FITNESS_LEVELS[0] }
+    );
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setConfirmDelete(false);
+  };
+
+  const save = () => {
+    const { id, ...fields } = editing;
+    if (id) updateProfile(id, fields);
+    else createProfile(fields);
+    debugLog('Profiles', id ? 'edited' : 'added', fields.name);
+    closeForm();
+    changed();
+  };
+
+  const remove = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    deleteProfile(editing.id);
+    closeForm();
+    changed();
+    if (loadProfiles().length === 0) setManaging(false);
+  };
+
+  const choose = (profile) => {
+    if (managing && !profile.guest) {
+      openForm(profile);
+      return;
+    }
+    if (typeof onChoose === 'function') onChoose(profile);
+  };
+
+  useKeyHandler(
+    (e, k) => {
+      if (!isBackKey(k)) return false;
+      if (e.key === 'Backspace' && isTextInput(e.target)) return false;
+      if (editing) {
+        closeForm();
+        return true;
+      }
+      if (managing) {
+        setManaging(false);
+        return true;
+      }
+      if (typeof onClose === 'function') onClose();
+      // At launch a choice is required; Back goes nowhere
+      return true;
+    },
+    { priority: KEY_PRIORITY.SCREEN, blocking: true }
+  );
+
+  const tileStyle = {
+    display: 'grid',
+    justifyItems: 'center',
+    gap: 'var(--space-3)',
+    padding: 'var(--space-6)',
+    minWidth: 180,
+  };
+
+  if (editing) {
+    const chipRow = { display: 'flex', flexWrap: 'wrap', gap: 'var(--space-3)' };
+    return (
+      <section className="px-container" aria-label={editing.id ? 'Edit profile' : 'Add profile'} style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+        <div className="h1" style={{ marginBottom: 'var(--space-8)' }}>{editing.id ? 'Edit profile' : 'Add profile'}</div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 'var(--space-8)', alignItems: 'start' }}>
+          <div style={{ display: 'grid', gap: 'var(--space-4)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-4)' }}>
+              <ProfileAvatar profile={{ name: editing.name, color: editing.color }} size={64} />
+              <TVFocusable
+                id="profile-name"
+                as="input"
+                type="text"
+                className="tv-card"
+                value={editing.name}
+                maxLength={PROFILE_NAME_MAX_LENGTH}
+                placeholder="Name"
+                aria-label="Profile name"
+                onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                style={{ padding: 'var(--space-3) var(--space-4)', fontSize: 'var(--font-size-xl)', fontWeight: 700, minWidth: 320 }}
+              />
+            </div>
+            <OnScreenKeyboard
+              value={editing.name}
+              onChange={(name) => setEditing((prev) => ({ ...prev, name }))}
+              idPrefix="profile-kb"
+              maxLength={PROFILE_NAME_MAX_LENGTH}
+              autoFocus
+            />
+          </div>
+
+          <div style={{ display: 'grid', gap: 'var(--space-6)' }}>
+            <div>
+              <div style={{ fontWeight: 800, marginBottom: 'var(--space-3)' }}>Color</div>
+              <FocusGroup id="profile-colors">
+                <div role="group" aria-label="Avatar color" style={chipRow}>
+                  {PROFILE_COLORS.map((c) => (
+                    <TVFocusable
+                      key={c.id}
+                      id={`profile-color-${c.id}`}
+                      as="button"
+                      className={editing.color === c.value ? 'btn' : 'btn btn-surface'}
+                      aria-label={c.label}
+                      aria-pressed={editing.color === c.value}
+                      onSelect={() => setEditing((prev) => ({ ...prev, color: c.value }))}
+                    >
+                      <span aria-hidden="true" style={{ width: 24, height: 24, borderRadius: '50%', background: c.value, display: 'inline-block' }} />
+                    </TVFocusable>
+                  ))}
+                </div>
+              </FocusGroup>
+            </div>
+
+            <div>
+              <div style={{ fontWeight: 800, marginBottom: 'var(--space-3)' }}>Fitness level</div>
+              <div role="group" aria-label="Fitness level" style={chipRow}>
+                {FITNESS_LEVELS.map((level) => (
+                  <TVFocusable
+                    key={level}
+                    id={`profile-level-${level.toLowerCase()}`}
+                    as="button"
+                    className={editing.level === level ? 'btn' : 'btn btn-surface'}
+                    aria-pressed={editing.level === level}
+                    onSelect={() => setEditing((prev) => ({ ...prev, level }))}
+                  >
+                    {level}
+                  </TVFocusable>
+                ))}
+              </div>
+            </div>
+
+            <div style={chipRow}>
+              <TVFocusable id="profile-save" as="button" className="btn" onSelect={save}>
+                Save
+              </TVFocusable>
+              <TVFocusable id="profile-cancel" as="button" className="btn btn-surface" onSelect={closeForm}>
+                Cancel
+              </TVFocusable>
+              {editing.id ? (
+                <TVFocusable
+                  id="profile-delete"
+                  as="button"
+                  className="btn btn-surface"
+                  aria-label={confirmDelete ? `Confirm deleting ${editing.name} and all their workouts` : `Delete ${editing.name}`}
+                  onSelect={remove}
+                  onBlur={() => setConfirmDelete(false)}
+                  style={confirmDelete ? { color: 'var(--color-error)', fontWeight: 800 } : undefined}
+                >
+                  {confirmDelete ? 'Press again to delete' : 'Delete'}
+                </TVFocusable>
+              ) : null}
+            </div>
+            {confirmDelete ? (
+              <div role="alert" style={{ color: 'var(--color-error)' }}>
+                Deleting removes this profile's history, routines and settings.
+              </div>
+            ) : null}
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  const tiles = managing ? profiles : [...profiles, GUEST_PROFILE];
+  const focusId = profiles.some((p) => p.id === activeProfileId) ? activeProfileId : tiles[0]?.id;
+
+  return (
+    <section className="px-container" aria-label="Choose a profile" style={{ marginTop: 'var(--space-12, 48px)', textAlign: 'center' }}>
+      <div className="h1" style={{ marginBottom: 'var(--space-2)' }}>{managing ? 'Edit profiles' : "Who's working out?"}</div>
+      <div style={{ color: 'var(--color-text-secondary)', marginBottom: 'var(--space-8)' }}>
+        {managing ? 'Choose a profile to rename, restyle or delete' : 'Each profile keeps its own history, routines and settings'}
+      </div>
+
+      <FocusGroup id="profile-list" rememberLast>
+        <div role="list" aria-label="Profiles" style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 'var(--space-6)' }}>
+          {tiles.map((p) => (
+            <div key={p.id} role="listitem">
+              <TVFocusable
+                id={`profile-${p.id}`}
+                as="button"
+                className="tv-card"
+                autoFocus={p.id === focusId}
+                aria-label={managing ? `Edit ${p.name}` : p.guest ? 'Guest, nothing is saved' : `${p.name}, ${p.level}`}
+                aria-current={p.id === activeProfileId ? 'true' : undefined}
+                onSelect={() => choose(p)}
+                style={{ ...tileStyle, outline: p.id === activeProfileId ? '3px solid var(--color-primary)' : undefined }}
+              >
+                <ProfileAvatar profile={p} />
+                <span style={{ fontSize: 'var(--font-size-lg)', fontWeight: 800 }}>
+                  {managing ? `✎ ${p.name}` : p.name}
+                </span>
+                <span style={{ color: 'var(--color-text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                  {p.guest ? 'Nothing is saved' : p.level}
+                </span>
+              </TVFocusable>
+            </div>
+          ))}
+          {!managing && profiles.length < MAX_PROFILES ? (
+            <div role="listitem">
+              <TVFocusable
+                id="profile-add"
+                as="button"
+                className="tv-card"
+                autoFocus={!focusId}
+                aria-label="Add profile"
+                onSelect={() => openForm(null)}
+                style={tileStyle}
+              >
+                <ProfileAvatar profile={{ name: '+', color: 'var(--color-border)' }} />
+                <span style={{ fontSize: 'var(--font-size-lg)', fontWeight: 800 }}>Add profile</span>
+              </TVFocusable>
+            </div>
+          ) : null}
+        </div>
+      </FocusGroup>
+
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 'var(--space-4)', marginTop: 'var(--space-8)' }}>
+        {profiles.length ? (
+          <TVFocusable
+            id="profile-manage"
+            as="button"
+            className={managing ? 'btn' : 'btn btn-surface'}
+            aria-pressed={managing}
+            onSelect={() => setManaging((m) => !m)}
+          >
+            {managing ? 'Done' : 'Edit profiles'}
+          </TVFocusable>
+        ) : null}
+        {typeof onClose === 'function' ? (
+          <TVFocusable id="profile-close" as="button" className="btn btn-surface" onSelect={onClose}>
+            Back
+          </TVFocusable>
+        ) : null}
+      </div>
+    </section>
+  );
+}
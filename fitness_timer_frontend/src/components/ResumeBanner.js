@@ -0,0 +1,59 @@
+import React from 'react';
+import TVFocusable from './TVFocusable';
+import { formatSeconds } from '../utils/time';
+
+// "just now", "5 min ago", "2 h ago"
+function formatAgo(timestamp) {
+  const minutes = Math.floor(Math.max(0, Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)} h ago`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ResumeBanner
+ * "Resume where you left off" card for a run saved by a previous launch (see data/activeSession.js).
+ *
+ * Props:
+ * - session: saved snapshot ({ label, detail, elapsedSeconds, savedAt })
+ * - onResume: () => void
+ * - onDiscard: () => void
+ */
+export default function ResumeBanner({ session, onResume, onDiscard }) {
+  if (!session) return null;
+  const details = [session.detail, `${formatSeconds(session.elapsedSeconds || 0)} done`, `left ${formatAgo(session.savedAt)}`]
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <div
+      className="tv-card"
+      role="region"
+      aria-label="Resume where you left off"
+      style={{
+        padding: 'var(--space-5) var(--space-6)',
+        marginBottom: 'var(--space-6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: 'var(--space-6)',
+        textAlign: 'left',
+      }}
+    >
+      <div>
+        <div style={{ color: 'var(--color-text-secondary)', fontWeight: 700 }}>Resume where you left off</div>
+        <div className="h3" style={{ margin: 'var(--space-1) 0' }}>{session.label}</div>
+        <div style={{ color: 'var(--color-text-secondary)' }}>{details}</div>
+      </div>
+      <div style={{ display: 'flex', gap: 'var(--space-3)' }}>
+        <TVFocusable id="resume-continue" as="button" className="btn" onSelect={onResume}>
+          ▶ Resume
+        </TVFocusable>
+        <TVFocusable id="resume-discard" as="button" className="btn btn-surface" onSelect={onDiscard}>
+          Discard
+        </TVFocusable>
+      </div>
+    </div>
+  );
+}
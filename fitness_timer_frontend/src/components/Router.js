@@ -0,0 +1,141 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { SCREENS, createRoute, parseHash, formatHash, isSameRoute } from '../utils/routes';
+import { KEY_PRIORITY } from './FocusManager';
+import useKeyHandler from '../hooks/useKeyHandler';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+
+const HOME = createRoute(SCREENS.HOME);
+
+/**
+ * PUBLIC_INTERFACE
+ * RouterContext
+ * In-app screen router. Exposes the current route, navigate(), replace(), back() and canGoBack.
+ */
+const RouterContext = createContext({
+  route: HOME,
+  navigate: () => {},
+  replace: () => {},
+  back: () => false,
+  canGoBack: false,
+});
+
+function readLocationHash() {
+  try {
+    return typeof window !== 'undefined' ? window.location.hash : '';
+  } catch {
+    return '';
+  }
+}
+
+// Stack for a (deep-linked) route: Home is always underneath so Back has somewhere to go
+function initialStack() {
+  const route = parseHash(readLocationHash());
+  return route.screen === SCREENS.HOME ? [{ route: HOME }] : [{ route: HOME }, { route }];
+}
+
+function currentFocusId() {
+  try {
+    return document.activeElement?.getAttribute?.('data-focus-id') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * RouterProvider
+ * Keeps a back stack of { route, focusId } entries.
+ * - navigate(screen, params) pushes a screen, remembering the focused element of the screen it leaves
+ * - back() pops and restores focus on the revealed screen; the normalized Back key does the same
+ *   for screens that do not handle Back themselves (lowest priority on the key-routing stack)
+ * - The top route is mirrored into the URL hash; a hash opened or edited by hand navigates there
+ */
+export function RouterProvider({ children }) {
+  const [stack, setStack] = useState(initialStack);
+  const stackRef = useRef(stack);
+  stackRef.current = stack;
+  const pendingFocusRef = useRef(null);
+
+  const top = stack[stack.length - 1];
+
+  const navigate = useCallback((screen, params = {}) => {
+    const route = createRoute(screen, params);
+    const current = stackRef.current;
+    if (isSameRoute(current[current.length - 1].route, route)) return;
+    debugLog('Router', 'navigate', formatHash(route));
+    const leaving = { ...current[current.length - 1], focusId: currentFocusId() };
+    setStack([...current.slice(0, -1), leaving, { route }]);
+  }, []);
+
+  const replace = useCallback((screen, params = {}) => {
+    const route = createRoute(screen, params);
+    debugLog('Router', 'replace', formatHash(route));
+    setStack((prev) => [...prev.slice(0, -1), { route }]);
+  }, []);
+
+  const back = useCallback(() => {
+    const current = stackRef.current;
+    if (current.length <= 1) return false;
+    const revealed = current[current.length - 2];
+    debugLog('Router', 'back to', formatHash(revealed.route));
+    pendingFocusRef.current = revealed.focusId || null;
+    setStack(current.slice(0, -1));
+    return true;
+  }, []);
+
+  // Restore focus on the revealed screen once it has rendered
+  useEffect(() => {
+    const focusId = pendingFocusRef.current;
+    if (!focusId) return undefined;
+    pendingFocusRef.current = null;
+    const t = setTimeout(() => {
+      try {
+        const el = document.querySelector(`[data-focus-id="${focusId}"]`);
+        if (el) el.focus();
+      } catch {
+        /* ignore */
+      }
+    }, 0);
+    return () => clearTimeout(t);
+  }, [stack]);
+
+  // Mirror the top route into the hash without adding browser history entries
+  useEffect(() => {
+    const hash = formatHash(top.route);
+    if (readLocationHash() === hash || (hash === '#/' && !readLocationHash())) return;
+    try {
+      window.history.replaceState(null, '', hash);
+    } catch {
+      /* ignore */
+    }
+  }, [top]);
+
+  // Deep links typed or pasted while the app is open
+  useEffect(() => {
+    const onHashChange = () => {
+      const route = parseHash(readLocationHash());
+      const current = stackRef.current;
+      if (isSameRoute(current[current.length - 1].route, route)) return;
+      if (route.screen === SCREENS.HOME) setStack([{ route: HOME }]);
+      else navigate(route.screen, route.params);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [navigate]);
+
+  useKeyHandler((_e, k) => isBackKey(k) && back(), { priority: KEY_PRIORITY.ROUTER });
+
+  const value = useMemo(
+    () => ({ route: top.route, navigate, replace, back, canGoBack: stack.length > 1 }),
+    [top, navigate, replace, back, stack.length]
+  );
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export function useRouter() {
+  /** Hook to access the router: { route, navigate, replace, back, canGoBack } */
+  return useContext(RouterContext);
+}
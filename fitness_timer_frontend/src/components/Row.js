@@ -1,23 +1,31 @@
 import React, { useMemo, useRef } from 'react';
 import ExerciseCard from './ExerciseCard';
+import { FocusGroup } from './FocusManager';
 import useDpadNavigation from '../hooks/useDpadNavigation';
+import useReducedMotion from '../hooks/useReducedMotion';
 import { debugLog } from '../utils/debug';
 
 /**
  * PUBLIC_INTERFACE
  * Row
  * A horizontally scrollable row of ExerciseCard components with TV D-pad navigation.
+ * Left/Right move within the row; Up/Down (and the row edges) hand off to FocusManager, which
+ * moves spatially to the neighbouring row. The row is a FocusGroup, so coming back to it lands
+ * on the card that was focused last.
  *
  * Props:
  * - id: string - unique id for the row (used for focus ids)
  * - title: string - category title displayed above the row
- * - items: Array<{ id: string, name: string, subtitle?: string, thumbnail?: string }>
+ * - items: Array<{ id: string, name: string, subtitle?: string, thumbnail?: string, favorite?: boolean }>
  * - onSelectItem?: (item) => void - called when OK/Enter/Space pressed on focused item
+ * - onLongPressItem?: (item) => void - called when OK is held on an item; cards then select on
+ *   release instead of on press
  * - initialIndex?: number - initial focused column index (default 0)
+ * - autoFocus?: boolean - focus the card at initialIndex on mount (default false)
  */
-export default function Row({ id = 'row', title, items = [], onSelectItem, initialIndex = 0 }) {
+export default function Row({ id = 'row', title, items = [], onSelectItem, onLongPressItem, initialIndex = 0, autoFocus = false }) {
   const safeItems = Array.isArray(items) ? items : [];
-  const scrollerRef = useRef(null);
+  const reducedMotion = useReducedMotion();
   const cellRefs = useRef(safeItems.map(() => React.createRef()));
 
   // Keep refs count in sync when items length changes
@@ -25,14 +33,16 @@ export default function Row({ id = 'row', title, items = [], onSelectItem, initi
     cellRefs.current = safeItems.map((_, i) => cellRefs.current[i] || React.createRef());
   }
 
-  const { focusedColIndex, setFocused } = useDpadNavigation({
+  const { focusedColIndex, syncFocused, containerRef } = useDpadNavigation({
     rowCount: 1,
     colCount: safeItems.length,
     initialRow: 0,
     initialCol: initialIndex,
     loop: false,
-    getRef: (_r, c) => cellRefs.current[c],
-    onEnter: (_r, c) => {
+    // Focus the card inside the cell; the cell wrapper itself is not focusable
+    getRef: (_r, c) => ({ current: cellRefs.current[c]?.current?.querySelector('[data-focusable="true"]') || null }),
+    // With long press, OK is left to the card, which tells a press from a hold
+    onEnter: typeof onLongPressItem === 'function' ? undefined : (_r, c) => {
       const item = safeItems[c];
       if (item && typeof onSelectItem === 'function') {
         debugLog('Row', 'onEnter select', { rowId: id, itemId: item.id });
@@ -49,59 +59,73 @@ export default function Row({ id = 'row', title, items = [], onSelectItem, initi
     }
   };
 
+  const handleCardLongPress = (itemIndex) => {
+    const item = safeItems[itemIndex];
+    if (item && typeof onLongPressItem === 'function') {
+      debugLog('Row', 'onLongPress', { rowId: id, itemId: item.id });
+      onLongPressItem(item);
+    }
+  };
+
   const rowIdPrefix = useMemo(() => id || `row-${Math.random().toString(36).slice(2, 8)}`, [id]);
 
   return (
     <section className="px-container" aria-label={title} style={{ marginTop: 'var(--space-12)' }}>
-      <div className="h2" style={{ marginBottom: 'var(--space-6)' }}>
+      <h2 className="h2" style={{ marginTop: 0, marginBottom: 'var(--space-6)' }}>
         {title}
-      </div>
+      </h2>
 
-      <div
-        ref={scrollerRef}
-        className="row-scroller"
-        style={{
-          display: 'grid',
-          gridAutoFlow: 'column',
-          gridAutoColumns: 'minmax(296px, 320px)',
-          gap: 'var(--space-6)',
+      <FocusGroup id={rowIdPrefix}>
+        <div
+          ref={containerRef}
+          className="row-scroller"
+          style={{
+            display: 'grid',
+            gridAutoFlow: 'column',
+            gridAutoColumns: 'minmax(296px, 320px)',
+            gap: 'var(--space-6)',
 
-          // Enable smooth horizontal scrolling and scroll snap
-          overflowX: 'auto',
-          overflowY: 'hidden',
-          WebkitOverflowScrolling: 'touch',
-          paddingBottom: 'var(--space-2)',
-          // Hide native scrollbar visually but keep it accessible
-          scrollbarWidth: 'none',
-          scrollBehavior: 'smooth',
-        }}
-      >
-        {safeItems.map((item, idx) => (
-          <div
-            key={item.id || idx}
-            ref={cellRefs.current[idx]}
-            style={{
-              scrollSnapAlign: 'center',
-              scrollSnapStop: 'always',
-              outline: 'none',
-              minWidth: 296,
-              maxWidth: 320,
-            }}
-          >
-            <ExerciseCard
-              id={`${rowIdPrefix}-item-${idx}`}
-              name={item.name}
-              subtitle={item.subtitle}
-              thumbnail={item.thumbnail}
-              onSelect={() => handleCardSelect(idx)}
-              className={focusedColIndex === idx ? 'row-card-focused' : ''}
+            // Smooth horizontal scrolling (unless motion is reduced) and scroll snap
+            overflowX: 'auto',
+            overflowY: 'hidden',
+            WebkitOverflowScrolling: 'touch',
+            paddingBottom: 'var(--space-2)',
+            // Hide native scrollbar visually but keep it accessible
+            scrollbarWidth: 'none',
+            scrollBehavior: reducedMotion ? 'auto' : 'smooth',
+          }}
+        >
+          {safeItems.map((item, idx) => (
+            <div
+              key={item.id || idx}
+              ref={cellRefs.current[idx]}
+              onFocus={() => syncFocused(0, idx)}
               style={{
-                minHeight: 260,
+                scrollSnapAlign: 'center',
+                scrollSnapStop: 'always',
+                outline: 'none',
+                minWidth: 296,
+                maxWidth: 320,
               }}
-            />
-          </div>
-        ))}
-      </div>
+            >
+              <ExerciseCard
+                id={`${rowIdPrefix}-item-${idx}`}
+                name={item.name}
+                subtitle={item.subtitle}
+                thumbnail={item.thumbnail}
+                favorite={!!item.favorite}
+              autoFocus={autoFocus && idx === initialIndex}
+                onSelect={() => handleCardSelect(idx)}
+                onLongPress={typeof onLongPressItem === 'function' ? () => handleCardLongPress(idx) : undefined}
+                className={focusedColIndex === idx ? 'row-card-focused' : ''}
+                style={{
+                  minHeight: 260,
+                }}
+              />
+            </div>
+          ))}
+        </div>
+      </FocusGroup>
     </section>
   );
 }
@@ -1,30 +1,43 @@
 import React, { useEffect } from 'react';
 import '../theme/oceanTheme.css';
+import { getTextSizePx } from '../utils/preferences';
+import { usePreferences } from './Preferences';
+import useReducedMotion from '../hooks/useReducedMotion';
+import { applyMotionToDocument } from '../utils/motion';
 
 /**
  * PUBLIC_INTERFACE
  * ScreenWrapper
  * Wraps screen content with Ocean Professional theme base styles for TV-scale UI.
  * - Applies data-theme attribute to documentElement
- * - Sets root font size (rem base) targeting 10-foot experience
+ * - Sets root font size (rem base) from the text size preference for the 10-foot experience
+ * - Turns animations off (html[data-animations-off]) while motion is reduced: the animationsOff
+ *   feature flag, the OS prefers-reduced-motion setting or the Reduce motion preference
+ *   (see utils/motion.js)
  * - Provides padded, gradient background container
  *
  * Props:
- * - theme: 'light' | 'dark' (string) - used to set data-theme attribute (reserved for future dark mode)
+ * - theme?: 'light' | 'dark' (string) - defaults to the theme preference
  * - className: additional class names for the container
  * - style: inline style overrides
  * - children: ReactNode
  */
-export default function ScreenWrapper({ theme = 'light', className = '', style = {}, children }) {
+export default function ScreenWrapper({ theme: themeProp, className = '', style = {}, children }) {
+  const { preferences } = usePreferences();
+  const theme = themeProp || preferences.theme;
+  const fontSizePx = getTextSizePx(preferences.textSize);
+  const reducedMotion = useReducedMotion();
+
   useEffect(() => {
-    // Set data-theme for global CSS vars (future dark mode support)
+    // Set data-theme for global CSS vars
     if (theme) {
       document.documentElement.setAttribute('data-theme', theme);
     }
-    // Set a TV-scale base font size for rem units (18–22px recommended)
-    document.documentElement.style.setProperty('--font-size-base', '20px');
+    // TV-scale base font size for rem units (18–26px)
+    document.documentElement.style.setProperty('--font-size-base', `${fontSizePx}px`);
     document.documentElement.style.fontSize = 'var(--font-size-base)';
-  }, [theme]);
+    applyMotionToDocument();
+  }, [theme, fontSizePx, reducedMotion]);
 
   return (
     <div
@@ -0,0 +1,130 @@
+import React, { useMemo, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import OnScreenKeyboard from './OnScreenKeyboard';
+import { FocusGroup } from './FocusManager';
+import { getAllExercises } from '../data/exercises';
+import { searchExercises, splitHighlights } from '../utils/search';
+import { debugLog } from '../utils/debug';
+
+// Results beyond this are rarely useful on a TV and cost focus stops
+const MAX_RESULTS = 24;
+
+const markStyle = {
+  background: 'transparent',
+  color: 'var(--color-primary)',
+  fontWeight: 800,
+  textDecoration: 'underline',
+  textUnderlineOffset: 4,
+};
+
+// Text with matched ranges wrapped in <mark>
+function Highlighted({ text, ranges }) {
+  return splitHighlights(text, ranges).map((seg, i) =>
+    seg.match ? (
+      <mark key={i} style={markStyle}>{seg.text}</mark>
+    ) : (
+      <React.Fragment key={i}>{seg.text}</React.Fragment>
+    )
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SearchScreen
+ * Full-text exercise search: an OnScreenKeyboard on the left, results on the right that update as
+ * each letter is entered. Matching is fuzzy and accent-insensitive across name, description,
+ * tags and equipment (see utils/search.js), with matched text highlighted. Back is handled by the
+ * router (Backspace first deletes typed letters while the keyboard has focus).
+ *
+ * Props:
+ * - onClose: () => void
+ * - onSelectExercise: (exercise) => void
+ */
+export default function SearchScreen({ onClose, onSelectExercise }) {
+  const [query, setQuery] = useState('');
+  const catalog = useMemo(() => getAllExercises(), []);
+  const results = useMemo(() => searchExercises(catalog, query), [catalog, query]);
+  const shown = results.slice(0, MAX_RESULTS);
+  const hasQuery = query.trim().length > 0;
+
+  const select = (exercise) => {
+    if (!exercise || typeof onSelectExercise !== 'function') return;
+    debugLog('Search', 'select', { id: exercise.id, query });
+    onSelectExercise(exercise);
+  };
+
+  return (
+    <section className="px-container" aria-label="Search exercises" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-6)' }}>
+        <div className="h1" style={{ margin: 0 }}>Search</div>
+        <TVFocusable id="search-back" as="button" className="btn btn-surface" onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 'var(--space-8)', alignItems: 'start' }}>
+        <div style={{ display: 'grid', gap: 'var(--space-4)' }}>
+          <div
+            className="tv-card"
+            role="searchbox"
+            aria-label="Search query"
+            aria-readonly="true"
+            style={{ padding: 'var(--space-4) var(--space-6)', fontSize: 'var(--font-size-xl)', fontWeight: 700, minHeight: 40 }}
+          >
+            {query || <span style={{ color: 'var(--color-text-secondary)', fontWeight: 400 }}>Type to search…</span>}
+          </div>
+          <OnScreenKeyboard value={query} onChange={setQuery} idPrefix="search-kb" autoFocus />
+        </div>
+
+        <div style={{ display: 'grid', gap: 'var(--space-3)' }}>
+          <span aria-live="polite" style={{ color: 'var(--color-text-secondary)' }}>
+            {hasQuery
+              ? `${results.length} ${results.length === 1 ? 'result' : 'results'}`
+              : 'Search by name, muscle, equipment or tag'}
+          </span>
+
+          {hasQuery && results.length === 0 ? (
+            <div className="tv-card" style={{ padding: 'var(--space-6)' }}>
+              <div className="h3" style={{ margin: 0 }}>No exercises found</div>
+              <div style={{ color: 'var(--color-text-secondary)' }}>Check the spelling or try a shorter word.</div>
+            </div>
+          ) : null}
+
+          <FocusGroup id="search-results">
+            <div role="list" aria-label="Search results" style={{ display: 'grid', gap: 'var(--space-3)' }}>
+              {shown.map(({ exercise, highlights }) => (
+                <div key={exercise.id} role="listitem">
+                  <TVFocusable
+                    id={`search-result-${exercise.id}`}
+                    as="button"
+                    className="tv-card"
+                    onSelect={() => select(exercise)}
+                    style={{ width: '100%', padding: 'var(--space-4) var(--space-6)', textAlign: 'left', display: 'grid', gap: 'var(--space-1)', cursor: 'pointer' }}
+                  >
+                    <span style={{ fontSize: 'var(--font-size-lg)', fontWeight: 800 }}>
+                      <Highlighted text={exercise.name} ranges={highlights.name} />
+                    </span>
+                    {exercise.description ? (
+                      <span style={{ color: 'var(--color-text-secondary)' }}>
+                        <Highlighted text={exercise.description} ranges={highlights.description} />
+                      </span>
+                    ) : null}
+                    <span style={{ color: 'var(--color-text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                      {exercise.equipment ? <Highlighted text={exercise.equipment} ranges={highlights.equipment} /> : null}
+                      {(exercise.tags || []).map((tag) => (
+                        <React.Fragment key={tag}>
+                          {' • #'}
+                          <Highlighted text={tag} ranges={highlights.tags[tag]} />
+                        </React.Fragment>
+                      ))}
+                    </span>
+                  </TVFocusable>
+                </div>
+              ))}
+            </div>
+          </FocusGroup>
+        </div>
+      </div>
+    </section>
+  );
+}
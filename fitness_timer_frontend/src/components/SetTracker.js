@@ -0,0 +1,251 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { countdown, formatSeconds, TIMER_CUES } from '../utils/time';
+import { getRepScheme } from '../data/exercises';
+import { REPS_SESSION_MODE } from '../data/history';
+import { debugLog } from '../utils/debug';
+import { playCue } from '../utils/audioCues';
+import { getVoiceCoach } from '../utils/voiceCoach';
+import useSessionRecorder from '../hooks/useSessionRecorder';
+
+// Used when the exercise has no rep scheme of its own
+const FALLBACK_SCHEME = { reps: 10, sets: 3, restSeconds: 60 };
+
+/**
+ * PUBLIC_INTERFACE
+ * SetTracker
+ * Set counter for rep-based exercises (see getRepScheme), shown in place of the timer ring.
+ * The user does a set at their own pace and presses "Set done"; the reps logged for the set can be
+ * adjusted first. Between sets a rest countdown runs (with the usual 3-2-1 beeps) and can be
+ * skipped. The session is written to history with its sets and reps when the last set is done,
+ * or as stopped early when the tracker closes after at least one set.
+ *
+ * Props:
+ * - id?: string (focus id prefix, default 'sets')
+ * - exercise: exercise with reps/sets/restSeconds; may change mid-session (variation swap)
+ * - onComplete?: () => void - called once the last set is done
+ * - className?: string
+ */
+export default function SetTracker({ id = 'sets', exercise, onComplete, className = '' }) {
+  const scheme = getRepScheme(exercise) || FALLBACK_SCHEME;
+  const [loggedSets, setLoggedSets] = useState([]);
+  const [repCount, setRepCount] = useState(scheme.reps);
+  // Seconds of rest left between sets, null while a set is in progress
+  const [restRemaining, setRestRemaining] = useState(null);
+
+  const restRef = useRef(null);
+  const startedAtRef = useRef(Date.now());
+  const schemeRef = useRef(scheme);
+  schemeRef.current = scheme;
+  const loggedRef = useRef(loggedSets);
+  loggedRef.current = loggedSets;
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  const recorder = useSessionRecorder({
+    kind: 'exercise',
+    refId: exercise?.id || null,
+    name: exercise?.name || 'Sets',
+  });
+
+  const completed = loggedSets.length >= scheme.sets;
+  const resting = restRemaining !== null;
+
+  const summarize = (list) => ({
+    sets: list.length,
+    plannedSets: schemeRef.current.sets,
+    reps: list.reduce((acc, r) => acc + r, 0),
+    setReps: list,
+    targetReps: schemeRef.current.reps,
+  });
+  const summarizeRef = useRef(summarize);
+  summarizeRef.current = summarize;
+  const elapsedSeconds = () => Math.floor((Date.now() - startedAtRef.current) / 1000);
+
+  const stopRest = useCallback(() => {
+    if (restRef.current) restRef.current.cancel();
+    restRef.current = null;
+  }, []);
+
+  // One session per mount (or "Start over"); closing after some sets records it as stopped early
+  useEffect(() => {
+    startedAtRef.current = Date.now();
+    recorder.start({ plannedSeconds: 0, mode: REPS_SESSION_MODE });
+    return () => {
+      stopRest();
+      const list = loggedRef.current;
+      if (list.length > 0 && list.length < schemeRef.current.sets) {
+        recorder.abandon(Math.floor((Date.now() - startedAtRef.current) / 1000), summarizeRef.current(list));
+      }
+    };
+  }, [recorder, stopRest]);
+
+  // A swapped-in variation brings its own target for the sets still to come
+  useEffect(() => {
+    if (restRef.current === null) setRepCount(scheme.reps);
+  }, [scheme.reps]);
+
+  const beginSet = (setNumber) => {
+    stopRest();
+    setRestRemaining(null);
+    setRepCount(schemeRef.current.reps);
+    playCue(TIMER_CUES.PHASE);
+    getVoiceCoach().say(`Set ${setNumber}. ${schemeRef.current.reps} reps.`);
+  };
+
+  const finish = (list) => {
+    debugLog('Sets', 'complete', summarize(list));
+    recorder.complete(elapsedSeconds(), summarize(list));
+    playCue(TIMER_CUES.FINISH);
+    getVoiceCoach().say('All sets done. Great work!');
+    if (typeof onCompleteRef.current === 'function') onCompleteRef.current();
+  };
+
+  const markSetDone = () => {
+    if (completed || resting) return;
+    const next = [...loggedSets, repCount];
+    debugLog('Sets', 'set done', { set: next.length, reps: repCount });
+    setLoggedSets(next);
+    if (next.length >= scheme.sets) {
+      finish(next);
+      return;
+    }
+    const nextSet = next.length + 1;
+    if (scheme.restSeconds <= 0) {
+      beginSet(nextSet);
+      return;
+    }
+    getVoiceCoach().say(`Rest. Set ${nextSet} is next.`);
+    restRef.current = countdown({
+      durationSeconds: scheme.restSeconds,
+      onTick: setRestRemaining,
+      // The set start cue replaces the finish tone
+      onCue: (cue, info) => {
+        if (cue !== TIMER_CUES.FINISH) playCue(cue, info);
+      },
+      onComplete: () => beginSet(nextSet),
+      tickRateMs: 200,
+    });
+  };
+
+  const startOver = () => {
+    stopRest();
+    setRestRemaining(null);
+    setLoggedSets([]);
+    setRepCount(scheme.reps);
+    startedAtRef.current = Date.now();
+    recorder.start({ plannedSeconds: 0, mode: REPS_SESSION_MODE });
+  };
+
+  // One primary button whose action follows the state, so focus stays put between sets
+  let primaryLabel = '✓ Set done';
+  let primaryAction = markSetDone;
+  if (completed) {
+    primaryLabel = '↺ Start over';
+    primaryAction = startOver;
+  } else if (resting) {
+    primaryLabel = 'Skip rest ⏭';
+    primaryAction = () => beginSet(loggedSets.length + 1);
+  }
+
+  const currentSet = Math.min(loggedSets.length + 1, scheme.sets);
+  let statusText = `Set ${currentSet} of ${scheme.sets}`;
+  if (resting) statusText = `Rest • set ${currentSet} next`;
+  if (completed) statusText = 'All sets done';
+
+  return (
+    <div
+      className={className}
+      style={{
+        display: 'grid',
+        gap: 'var(--space-6)',
+        justifyItems: 'center',
+        padding: 'var(--space-6)',
+        borderRadius: 'var(--radius-xl)',
+        background: 'var(--color-surface)',
+        border: '1px solid var(--color-border)',
+        boxShadow: 'var(--shadow-sm)',
+      }}
+    >
+      <div className="h2" style={{ margin: 0 }}>
+        {exercise?.name ? `${exercise.name} Sets` : 'Sets'}
+      </div>
+
+      {/* Set counter in place of the timer ring */}
+      <div
+        style={{
+          width: 240,
+          height: 240,
+          borderRadius: '50%',
+          display: 'grid',
+          placeItems: 'center',
+          alignContent: 'center',
+          border: `14px solid ${resting ? 'var(--color-primary)' : 'var(--color-secondary)'}`,
+          boxSizing: 'border-box',
+        }}
+      >
+        <div aria-live="polite" style={{ display: 'grid', justifyItems: 'center' }}>
+          <div style={{ fontSize: 'calc(var(--font-size-3xl) + 10px)', fontWeight: 800 }}>
+            {resting ? formatSeconds(restRemaining) : `${loggedSets.length}/${scheme.sets}`}
+          </div>
+          <div style={{ color: 'var(--color-text-secondary)', marginTop: 6 }}>{statusText}</div>
+        </div>
+      </div>
+
+      {/* Reps for the current set: target by default, adjustable before logging */}
+      {!completed ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-4)' }}>
+          <TVFocusable
+            id={`${id}-reps-minus`}
+            as="button"
+            className="btn btn-surface"
+            aria-label="Fewer reps"
+            onSelect={() => setRepCount((r) => Math.max(0, r - 1))}
+          >
+            −
+          </TVFocusable>
+          <div style={{ minWidth: 140, textAlign: 'center' }} aria-label={`${repCount} reps`}>
+            <span style={{ fontSize: 'var(--font-size-xl)', fontWeight: 800 }}>{repCount}</span>
+            <span style={{ color: 'var(--color-text-secondary)' }}> reps</span>
+          </div>
+          <TVFocusable
+            id={`${id}-reps-plus`}
+            as="button"
+            className="btn btn-surface"
+            aria-label="More reps"
+            onSelect={() => setRepCount((r) => r + 1)}
+          >
+            +
+          </TVFocusable>
+        </div>
+      ) : null}
+
+      <TVFocusable id={`${id}-primary`} as="button" className="btn" onSelect={primaryAction}>
+        {primaryLabel}
+      </TVFocusable>
+
+      {/* Sets logged so far */}
+      <div
+        role="list"
+        aria-label="Completed sets"
+        style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 'var(--space-2)', minHeight: 32 }}
+      >
+        {loggedSets.map((r, i) => (
+          <span
+            key={`set-${i}`}
+            role="listitem"
+            style={{
+              padding: '4px 12px',
+              borderRadius: 'var(--radius-pill)',
+              background: 'var(--color-border)',
+              fontSize: 'var(--font-size-sm)',
+              fontWeight: 700,
+            }}
+          >
+            Set {i + 1}: {r}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+import React, { useEffect, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { usePreferences } from './Preferences';
+import { AUDIO_VOLUME_LEVELS, setAudioSettings, playTestSound } from '../utils/audioCues';
+import {
+  VOICE_RATES,
+  VOICE_PRIORITY,
+  getVoiceCoach,
+  setVoiceSettings,
+  listVoices,
+  onVoicesChanged,
+} from '../utils/voiceCoach';
+import { PREP_COUNTDOWN_OPTIONS, TEXT_SIZES, TIMER_PRESET_SETS } from '../utils/preferences';
+import { getMotionSources } from '../utils/motion';
+import useReducedMotion from '../hooks/useReducedMotion';
+
+/**
+ * PUBLIC_INTERFACE
+ * SettingsScreen
+ * App settings, saved as user preferences (utils/preferences.js): light/dark theme, text size,
+ * reduced motion, countdown presets, the routine "Get Ready" countdown, timer sound (volume, mute)
+ * and the voice coach (on/off, voice, rate), plus the way to the Import & Export screen.
+ * Back is handled by the router.
+ *
+ * Props:
+ * - onClose: () => void
+ * - onOpenImportExport?: () => void
+ */
+export default function SettingsScreen({ onClose, onOpenImportExport }) {
+  const { preferences, updatePreferences } = usePreferences();
+  const { theme, sound: audio, voice } = preferences;
+  // Motion can also be reduced by the TV's own setting (or a feature flag) with this one off
+  const reducedMotion = useReducedMotion();
+  const motionReducedElsewhere = reducedMotion && !preferences.reducedMotion;
+
+  const updateAudio = (patch) => {
+    const next = setAudioSettings(patch);
+    if (!next.muted) playTestSound(next.volume);
+  };
+
+  const [voices, setVoices] = useState(listVoices);
+  const speechAvailable = getVoiceCoach().isAvailable();
+
+  useEffect(() => onVoicesChanged(() => setVoices(listVoices())), []);
+
+  const updateVoice = (patch) => {
+    const next = setVoiceSettings(patch);
+    if (next.enabled) {
+      getVoiceCoach().cancel();
+      getVoiceCoach().say('Voice coach ready.', { priority: VOICE_PRIORITY.HIGH });
+    }
+  };
+
+  // The voice button cycles through system default and each installed voice
+  const voiceIndex = voices.findIndex((v) => v.voiceURI === voice.voiceURI);
+  const currentVoiceName = voiceIndex >= 0 ? voices[voiceIndex].name : 'System default';
+  const cycleVoice = () => {
+    const nextIndex = voiceIndex + 1 >= voices.length ? -1 : voiceIndex + 1;
+    updateVoice({ voiceURI: nextIndex >= 0 ? voices[nextIndex].voiceURI : null });
+  };
+
+  const cardStyle = {
+    padding: 'var(--space-6)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 'var(--space-6)',
+  };
+  const groupStyle = { display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: 'var(--space-3)' };
+  const textSizeLabel = (TEXT_SIZES.find((t) => t.id === preferences.textSize) || {}).label;
+  const volumeLabel = (AUDIO_VOLUME_LEVELS.find((l) => l.value === audio.volume) || {}).label || `${Math.round(audio.volume * 100)}%`;
+
+  return (
+    <section className="px-container" aria-label="Settings" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-8)' }}>
+        <div className="h1" style={{ margin: 0 }}>Settings</div>
+        <TVFocusable id="settings-back" as="button" className="btn btn-surface" onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      <div className="tv-card" style={cardStyle}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Theme</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>{theme === 'light' ? 'Light' : 'Dark'}</div>
+        </div>
+        <div role="group" aria-label="Theme" style={groupStyle}>
+          {['light', 'dark'].map((t) => (
+            <TVFocusable
+              key={t}
+              id={`settings-theme-${t}`}
+              as="button"
+              autoFocus={t === theme}
+              className={t === theme ? 'btn' : 'btn btn-surface'}
+              aria-pressed={t === theme}
+              onSelect={() => updatePreferences({ theme: t })}
+            >
+              {t === 'light' ? '☀️ Light' : '🌙 Dark'}
+            </TVFocusable>
+          ))}
+        </div>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Text size</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>{textSizeLabel} · for reading from the couch</div>
+        </div>
+        <div role="group" aria-label="Text size" style={groupStyle}>
+          {TEXT_SIZES.map((t) => (
+            <TVFocusable
+              key={t.id}
+              id={`settings-text-${t.id}`}
+              as="button"
+              className={preferences.textSize === t.id ? 'btn' : 'btn btn-surface'}
+              aria-pressed={preferences.textSize === t.id}
+              onSelect={() => updatePreferences({ textSize: t.id })}
+            >
+              {t.label}
+            </TVFocusable>
+          ))}
+        </div>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Reduce motion</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            {preferences.reducedMotion
+              ? 'On · animations and transitions are turned off'
+              : motionReducedElsewhere
+                ? `Off · motion is already reduced by ${getMotionSources().system ? "your TV's settings" : 'a feature flag'}`
+                : 'Off'}
+          </div>
+        </div>
+        <TVFocusable
+          id="settings-reduced-motion"
+          as="button"
+          className={preferences.reducedMotion ? 'btn' : 'btn btn-surface'}
+          aria-pressed={preferences.reducedMotion}
+          onSelect={() => updatePreferences({ reducedMotion: !preferences.reducedMotion })}
+        >
+          {preferences.reducedMotion ? 'On' : 'Off'}
+        </TVFocusable>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Timer presets</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            {preferences.timerPresets.map((v) => `${v}s`).join(' · ')}
+          </div>
+        </div>
+        <div role="group" aria-label="Timer presets" style={groupStyle}>
+          {TIMER_PRESET_SETS.map((set) => {
+            const active = set.values.join() === preferences.timerPresets.join();
+            return (
+              <TVFocusable
+                key={set.id}
+                id={`settings-presets-${set.id}`}
+                as="button"
+                className={active ? 'btn' : 'btn btn-surface'}
+                aria-pressed={active}
+                onSelect={() => updatePreferences({ timerPresets: set.values })}
+              >
+                {set.label}
+              </TVFocusable>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Get Ready countdown</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>Before each routine starts</div>
+        </div>
+        <div role="group" aria-label="Get Ready countdown" style={groupStyle}>
+          {PREP_COUNTDOWN_OPTIONS.map((opt) => (
+            <TVFocusable
+              key={opt.id}
+              id={`settings-prep-${opt.id}`}
+              as="button"
+              className={preferences.prepSeconds === opt.value ? 'btn' : 'btn btn-surface'}
+              aria-pressed={preferences.prepSeconds === opt.value}
+              onSelect={() => updatePreferences({ prepSeconds: opt.value })}
+            >
+              {opt.label}
+            </TVFocusable>
+          ))}
+        </div>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Timer sounds</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            {audio.muted ? 'Muted' : `${volumeLabel} · 3-2-1 beeps, halfway, phase and finish tones`}
+          </div>
+        </div>
+        <div role="group" aria-label="Timer sound volume" style={groupStyle}>
+          {AUDIO_VOLUME_LEVELS.map((level) => {
+            const active = !audio.muted && audio.volume === level.value;
+            return (
+              <TVFocusable
+                key={level.id}
+                id={`settings-volume-${level.id}`}
+                as="button"
+                className={active ? 'btn' : 'btn btn-surface'}
+                aria-pressed={active}
+                onSelect={() => updateAudio({ volume: level.value, muted: false })}
+              >
+                {level.label}
+              </TVFocusable>
+            );
+          })}
+          <TVFocusable
+            id="settings-mute"
+            as="button"
+            className={audio.muted ? 'btn' : 'btn btn-surface'}
+            aria-pressed={audio.muted}
+            onSelect={() => updateAudio({ muted: !audio.muted })}
+          >
+            {audio.muted ? '🔇 Muted' : '🔈 Mute'}
+          </TVFocusable>
+        </div>
+      </div>
+
+      <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Voice coach</div>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            {!speechAvailable
+              ? 'Speech is not supported on this device'
+              : voice.enabled
+                ? `${currentVoiceName} · announces moves, rest and time left`
+                : 'Off'}
+          </div>
+        </div>
+        {speechAvailable ? (
+          <div role="group" aria-label="Voice coach" style={groupStyle}>
+            <TVFocusable
+              id="settings-voice-toggle"
+              as="button"
+              className={voice.enabled ? 'btn' : 'btn btn-surface'}
+              aria-pressed={voice.enabled}
+              onSelect={() => updateVoice({ enabled: !voice.enabled })}
+            >
+              {voice.enabled ? '🗣️ On' : 'Off'}
+            </TVFocusable>
+            {voice.enabled ? (
+              <>
+                <TVFocusable id="settings-voice-next" as="button" className="btn btn-surface" aria-label={`Voice: ${currentVoiceName}`} onSelect={cycleVoice}>
+                  Voice: {currentVoiceName}
+                </TVFocusable>
+                {VOICE_RATES.map((r) => (
+                  <TVFocusable
+                    key={r.id}
+                    id={`settings-voice-rate-${r.id}`}
+                    as="button"
+                    className={voice.rate === r.value ? 'btn' : 'btn btn-surface'}
+                    aria-pressed={voice.rate === r.value}
+                    onSelect={() => updateVoice({ rate: r.value })}
+                  >
+                    {r.label}
+                  </TVFocusable>
+                ))}
+              </>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+
+      {typeof onOpenImportExport === 'function' ? (
+        <div className="tv-card" style={{ ...cardStyle, marginTop: 'var(--space-4)' }}>
+          <div>
+            <div style={{ fontWeight: 800 }}>Import & export</div>
+            <div style={{ color: 'var(--color-text-secondary)' }}>Share routines and exercises as JSON files</div>
+          </div>
+          <TVFocusable id="settings-import-export" as="button" className="btn btn-surface" onSelect={onOpenImportExport}>
+            Open
+          </TVFocusable>
+        </div>
+      ) : null}
+    </section>
+  );
+}
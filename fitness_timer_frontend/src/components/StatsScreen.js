@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { loadHistory, subscribeHistory } from '../data/history';
+import { computeStatsSummary } from '../data/stats';
+import { clamp } from '../utils/time';
+import { KEY_PRIORITY } from './FocusManager';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+// Ocean palette for category series
+const CATEGORY_COLORS = ['var(--color-primary)', 'var(--color-secondary)', 'var(--color-success)', '#1E3A8A', '#14B8A6'];
+
+const FOCUS_STROKE = 'var(--focus-ring-color)';
+
+function formatWeekLabel(date) {
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Streak ring: current streak as a share of the longest streak
+function StreakRing({ current, longest }) {
+  const R = 80;
+  const CIRC = 2 * Math.PI * R;
+  const ratio = longest > 0 ? clamp(current / longest, 0, 1) : 0;
+  const dash = CIRC * ratio;
+  return (
+    <svg width="200" height="200" viewBox="0 0 200 200" aria-hidden="true">
+      <circle cx="100" cy="100" r={R} stroke="var(--color-border)" strokeWidth="16" fill="none" />
+      <circle
+        cx="100"
+        cy="100"
+        r={R}
+        stroke="var(--color-secondary)"
+        strokeWidth="16"
+        fill="none"
+        strokeLinecap="round"
+        strokeDasharray={`${dash} ${CIRC - dash}`}
+        transform="rotate(-90 100 100)"
+      />
+      <text x="100" y="98" textAnchor="middle" fontSize="48" fontWeight="800" fill="var(--color-text)">
+        {current}
+      </text>
+      <text x="100" y="132" textAnchor="middle" fontSize="18" fill="var(--color-text-secondary)">
+        {current === 1 ? 'day' : 'days'}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * StatsScreen
+ * Dashboard over workout history: current/longest day streak, minutes per week and time per
+ * exercise category, drawn as SVG ring/bar charts. Every bar is a D-pad focus stop that reveals
+ * its value. Recomputes live whenever a session is recorded. Back closes the screen.
+ *
+ * Props:
+ * - onClose: () => void
+ */
+export default function StatsScreen({ onClose }) {
+  const [sessions, setSessions] = useState(() => loadHistory());
+  const [focusedKey, setFocusedKey] = useState(null);
+
+  useEffect(() => subscribeHistory(setSessions), []);
+
+  const stats = useMemo(() => computeStatsSummary(sessions), [sessions]);
+
+  useKeyHandler(
+    (_e, k) => {
+      if (!isBackKey(k)) return false;
+      debugLog('Stats', 'back to close');
+      if (typeof onClose === 'function') onClose();
+      return true;
+    },
+    { priority: KEY_PRIORITY.SCREEN, blocking: true }
+  );
+
+  // Weekly chart geometry
+  const W = 720;
+  const H = 300;
+  const PAD_B = 40;
+  const barGap = 18;
+  const barW = (W - barGap * (stats.weekly.length + 1)) / Math.max(1, stats.weekly.length);
+  const maxWeek = Math.max(10, ...stats.weekly.map((w) => w.minutes));
+
+  // Category chart geometry
+  const CW = 720;
+  const rowH = 56;
+  const labelW = 170;
+  const maxCat = Math.max(1, ...stats.categories.map((c) => c.minutes));
+
+  const focusedWeek = stats.weekly.find((w, i) => focusedKey === `week-${i}`);
+  const focusedCat = stats.categories.find((c) => focusedKey === `cat-${c.category}`);
+
+  const tileStyle = { padding: 'var(--space-6)', display: 'grid', gap: 'var(--space-2)', alignContent: 'start' };
+
+  return (
+    <section className="px-container" aria-label="Workout stats" style={{ marginTop: 'var(--space-8)', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-8)' }}>
+        <div className="h1" style={{ margin: 0 }}>Stats</div>
+        <TVFocusable id="stats-back" as="button" className="btn btn-surface" onSelect={onClose}>
+          Back
+        </TVFocusable>
+      </div>
+
+      {/* Summary tiles */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 1fr 1fr', gap: 'var(--space-6)', marginBottom: 'var(--space-8)' }}>
+        <TVFocusable
+          id="stats-streak"
+          autoFocus
+          className="tv-card"
+          ariaLabel={`Current streak ${stats.streaks.current} days, longest ${stats.streaks.longest} days`}
+          style={{ ...tileStyle, justifyItems: 'center' }}
+        >
+          <StreakRing current={stats.streaks.current} longest={stats.streaks.longest} />
+          <div style={{ fontWeight: 700 }}>Current streak</div>
+        </TVFocusable>
+        {[
+          { id: 'stats-longest', label: 'Longest streak', value: `${stats.streaks.longest} days` },
+          { id: 'stats-week', label: 'This week', value: `${stats.thisWeekMinutes} min` },
+          { id: 'stats-total', label: 'Workouts completed', value: String(stats.completedCount) },
+        ].map((t) => (
+          <TVFocusable key={t.id} id={t.id} className="tv-card" ariaLabel={`${t.label}: ${t.value}`} style={tileStyle}>
+            <div style={{ color: 'var(--color-text-secondary)' }}>{t.label}</div>
+            <div style={{ fontSize: 'var(--font-size-3xl)', fontWeight: 800 }}>{t.value}</div>
+          </TVFocusable>
+        ))}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--space-8)', alignItems: 'start' }}>
+        {/* Minutes per week */}
+        <div className="tv-card" style={{ padding: 'var(--space-6)' }}>
+          <h2 className="h3" style={{ marginTop: 0 }}>Minutes per week</h2>
+          <div style={{ color: 'var(--color-text-secondary)', minHeight: '1.5em', marginBottom: 'var(--space-3)' }} aria-live="polite">
+            {focusedWeek ? `Week of ${formatWeekLabel(focusedWeek.weekStart)}: ${focusedWeek.minutes} min` : `${stats.totalMinutes} min total`}
+          </div>
+          <svg width="100%" viewBox={`0 0 ${W} ${H}`} role="img" aria-label="Minutes per week bar chart">
+            <line x1="0" y1={H - PAD_B} x2={W} y2={H - PAD_B} stroke="var(--color-border)" strokeWidth="2" />
+            {stats.weekly.map((w, i) => {
+              const key = `week-${i}`;
+              const h = ((H - PAD_B - 20) * w.minutes) / maxWeek;
+              const x = barGap + i * (barW + barGap);
+              const isCurrent = i === stats.weekly.length - 1;
+              return (
+                <TVFocusable
+                  key={key}
+                  id={`stats-${key}`}
+                  as="g"
+                  ariaLabel={`Week of ${formatWeekLabel(w.weekStart)}, ${w.minutes} minutes`}
+                  onFocus={() => setFocusedKey(key)}
+                  onBlur={() => setFocusedKey(null)}
+                >
+                  <rect x={x} y={20} width={barW} height={H - PAD_B - 20} rx="10" fill="transparent" />
+                  <rect
+                    x={x}
+                    y={H - PAD_B - h}
+                    width={barW}
+                    height={Math.max(0, h)}
+                    rx="10"
+                    fill={isCurrent ? 'var(--color-secondary)' : 'var(--color-primary)'}
+                    stroke={focusedKey === key ? FOCUS_STROKE : 'none'}
+                    strokeWidth="5"
+                  />
+                  <text x={x + barW / 2} y={H - 12} textAnchor="middle" fontSize="18" fill="var(--color-text-secondary)">
+                    {formatWeekLabel(w.weekStart)}
+                  </text>
+                </TVFocusable>
+              );
+            })}
+          </svg>
+        </div>
+
+        {/* Time per category */}
+        <div className="tv-card" style={{ padding: 'var(--space-6)' }}>
+          <h2 className="h3" style={{ marginTop: 0 }}>Time by category</h2>
+          <div style={{ color: 'var(--color-text-secondary)', minHeight: '1.5em', marginBottom: 'var(--space-3)' }} aria-live="polite">
+            {focusedCat ? `${focusedCat.category}: ${focusedCat.minutes} min` : 'All time'}
+          </div>
+          <svg
+            width="100%"
+            viewBox={`0 0 ${CW} ${rowH * stats.categories.length}`}
+            role="img"
+            aria-label="Minutes by category bar chart"
+          >
+            {stats.categories.map((c, i) => {
+              const key = `cat-${c.category}`;
+              const w = ((CW - labelW - 90) * c.minutes) / maxCat;
+              const y = i * rowH;
+              return (
+                <TVFocusable
+                  key={key}
+                  id={`stats-${key}`}
+                  as="g"
+                  ariaLabel={`${c.category}, ${c.minutes} minutes`}
+                  onFocus={() => setFocusedKey(key)}
+                  onBlur={() => setFocusedKey(null)}
+                >
+                  <text x="0" y={y + rowH / 2 + 7} fontSize="22" fontWeight="700" fill="var(--color-text)">
+                    {c.category}
+                  </text>
+                  <rect x={labelW} y={y + 10} width={CW - labelW - 90} height={rowH - 20} rx="10" fill="var(--color-border)" opacity="0.5" />
+                  <rect
+                    x={labelW}
+                    y={y + 10}
+                    width={Math.max(0, w)}
+                    height={rowH - 20}
+                    rx="10"
+                    fill={CATEGORY_COLORS[i % CATEGORY_COLORS.length]}
+                    stroke={focusedKey === key ? FOCUS_STROKE : 'none'}
+                    strokeWidth="5"
+                  />
+                  <text x={CW - 80} y={y + rowH / 2 + 7} fontSize="20" fill="var(--color-text-secondary)">
+                    {c.minutes}m
+                  </text>
+                </TVFocusable>
+              );
+            })}
+          </svg>
+        </div>
+      </div>
+    </section>
+  );
+}
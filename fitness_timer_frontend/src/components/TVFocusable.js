@@ -1,7 +1,8 @@
 import React, { forwardRef, useCallback, useEffect, useMemo, useRef } from 'react';
 import useTVFocusRing from '../hooks/useTVFocusRing';
+import useLongPress from '../hooks/useLongPress';
 import { normalizeTVKey, isActivationKey } from '../utils/tvKeyMap';
-import { useFocusManager } from './FocusManager';
+import { useFocusManager, useFocusGroupId } from './FocusManager';
 import { debugLog } from '../utils/debug';
 
 /**
@@ -11,12 +12,14 @@ import { debugLog } from '../utils/debug';
  *
  * Features:
  * - Adds data-focusable attribute for discoverability.
- * - Integrates with FocusManager registry using a stable id (if provided).
+ * - Integrates with FocusManager registry using a stable id (if provided), inside the nearest FocusGroup.
  * - Manages focus ring class via useTVFocusRing and native focus/blur events.
  * - Handles Enter/OK/Space to invoke onSelect callback.
  * - Safely merges refs between parent forwardRef, focus ring hook, and child element.
  * - Sets role/tabIndex for accessibility and D-pad focusability.
  * - Also wires mouse/touch click to onSelect for desktop users.
+ * - Optional long press: with onLongPress, OK selects on release and holding it (or a pointer)
+ *   calls onLongPress instead.
  *
  * Props:
  * - id?: string            - identifier used by FocusManager for programmatic focus
@@ -26,7 +29,9 @@ import { debugLog } from '../utils/debug';
  * - className?: string
  * - autoFocus?: boolean    - request initial focus on mount (default false)
  * - onSelect?: (event) => void - invoked on Enter/OK/Space/Click
+ * - onLongPress?: () => void - invoked when OK or a pointer is held (see useLongPress)
  * - onKeyDown?: (event) => void - additional keydown handler
+ * - onKeyUp?: (event) => void - additional keyup handler
  * - onFocus?: (event) => void
  * - onBlur?: (event) => void
  * - ariaLabel?: string     - optional aria-label for screen readers
@@ -47,7 +52,9 @@ const TVFocusable = forwardRef(function TVFocusable(
     className = '',
     autoFocus = false,
     onSelect,
+    onLongPress,
     onKeyDown,
+    onKeyUp,
     onFocus,
     onBlur,
     ariaLabel,
@@ -59,6 +66,9 @@ const TVFocusable = forwardRef(function TVFocusable(
   const { ref: focusRingRef, focus: focusRingFocus } = useTVFocusRing();
   const localRef = useRef(null);
   const fm = useFocusManager();
+  const groupId = useFocusGroupId();
+  const longPress = useLongPress(onLongPress);
+  const hasLongPress = typeof onLongPress === 'function';
 
   // Merge multiple refs into one assignment target
   const setRefs = useCallback(
@@ -71,16 +81,19 @@ const TVFocusable = forwardRef(function TVFocusable(
     [forwardedRef, focusRingRef]
   );
 
-  // Register with FocusManager when id is provided
+  // Register with FocusManager when id is provided. Depends on the stable callbacks rather than
+  // the context value, which changes on every focus move and would re-run autoFocus.
+  const register = fm && fm.register;
+  const setInitialFocus = fm && fm.setInitialFocus;
   useEffect(() => {
-    if (!id || !fm || typeof fm.register !== 'function') return undefined;
-    const unregister = fm.register(id, { current: localRef.current }, { focusable: true });
-    if (autoFocus && typeof fm.setInitialFocus === 'function') {
+    if (!id || typeof register !== 'function') return undefined;
+    const unregister = register(id, { current: localRef.current }, { focusable: true, groupId });
+    if (autoFocus && typeof setInitialFocus === 'function') {
       // schedule after mount to ensure element is present
-      requestAnimationFrame(() => fm.setInitialFocus(id));
+      requestAnimationFrame(() => setInitialFocus(id));
     }
     return unregister;
-  }, [id, fm, autoFocus]);
+  }, [id, register, setInitialFocus, groupId, autoFocus]);
 
   // Auto-focus if requested even without FocusManager id (fallback for missing provider)
   useEffect(() => {
@@ -115,26 +128,56 @@ const TVFocusable = forwardRef(function TVFocusable(
     (e) => {
       const norm = normalizeTVKey(e);
       if (isActivationKey(norm)) {
-        activate(e);
+        if (!hasLongPress) {
+          activate(e);
+          return;
+        }
+        // Select on release unless the press turns into a long press
+        try { e.preventDefault(); } catch { /* noop */ }
+        if (!e.repeat) longPress.start();
         return;
       }
       if (typeof onKeyDown === 'function') {
         onKeyDown(e);
       }
     },
-    [activate, onKeyDown]
+    [activate, onKeyDown, hasLongPress, longPress]
+  );
+
+  const handleKeyUp = useCallback(
+    (e) => {
+      if (hasLongPress && isActivationKey(normalizeTVKey(e))) {
+        const shortPress = longPress.end();
+        longPress.consumeLongPress();
+        if (shortPress) activate(e);
+        return;
+      }
+      if (typeof onKeyUp === 'function') onKeyUp(e);
+    },
+    [activate, onKeyUp, hasLongPress, longPress]
   );
 
   const handleClick = useCallback(
     (e) => {
-      // Mouse/touch click support for parity and fallback when FocusManager is unavailable
+      // Mouse/touch click support for parity and fallback when FocusManager is unavailable.
+      // The click that ends a held pointer is not a selection.
+      if (hasLongPress && longPress.consumeLongPress()) return;
       if (typeof onSelect === 'function') {
         activate(e);
       }
     },
-    [activate, onSelect]
+    [activate, onSelect, hasLongPress, longPress]
   );
 
+  const pointerProps = hasLongPress
+    ? {
+        onPointerDown: () => longPress.start(),
+        onPointerUp: () => longPress.cancel(),
+        onPointerLeave: () => longPress.cancel(),
+        onPointerCancel: () => longPress.cancel(),
+      }
+    : {};
+
   const handleFocus = useCallback(
     (e) => {
       if (typeof onFocus === 'function') onFocus(e);
@@ -171,6 +214,8 @@ const TVFocusable = forwardRef(function TVFocusable(
       data-focusable="true"
       data-focus-id={id || undefined}
       onKeyDown={handleKeyDown}
+      onKeyUp={handleKeyUp}
+      {...pointerProps}
       onFocus={handleFocus}
       onBlur={handleBlur}
       onClick={handleClick}
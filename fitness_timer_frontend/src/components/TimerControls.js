@@ -37,6 +37,7 @@ function Icon({ src, label, fallback, size = 22 }) {
  * - onPlay: () => void
  * - onPause: () => void
  * - onReset: () => void
+ * - idPrefix?: string (focus id prefix, default 'timer')
  * - className?: string
  */
 export default function TimerControls({
@@ -44,6 +45,7 @@ export default function TimerControls({
   onPlay,
   onPause,
   onReset,
+  idPrefix = 'timer',
   className = '',
 }) {
   const playIcon = process.env.PUBLIC_URL
@@ -62,7 +64,7 @@ export default function TimerControls({
       }}
     >
       <TVFocusable
-        id="timer-btn-playpause"
+        id={`${idPrefix}-btn-playpause`}
         as="button"
         className="btn"
         role="button"
@@ -83,7 +85,7 @@ export default function TimerControls({
       </TVFocusable>
 
       <TVFocusable
-        id="timer-btn-reset"
+        id={`${idPrefix}-btn-reset`}
         as="button"
         className="btn btn-surface"
         aria-label="Reset timer"
@@ -0,0 +1,66 @@
+import React from 'react';
+import TVFocusable from './TVFocusable';
+import { useFocusManager } from './FocusManager';
+import { getVariation } from '../data/exercises';
+import { debugLog } from '../utils/debug';
+
+/**
+ * PUBLIC_INTERFACE
+ * VariationSwitcher
+ * "Make it easier / harder" buttons for an exercise's variations (see getVariation). Renders
+ * nothing when the exercise has neither; a missing direction simply has no button. When the
+ * chosen variation cannot go further that way, focus moves to the button pointing back.
+ * canSwap can rule variations out (their button is hidden), e.g. ones a running tracker cannot take.
+ *
+ * Props:
+ * - exercise: exercise object, or null
+ * - onSwap: (variation) => void - called with the chosen variation's exercise object
+ * - idPrefix?: string (focus ids `${idPrefix}-easier` / `${idPrefix}-harder`, default 'variation')
+ * - canSwap?: (variation) => boolean - offer only the variations it accepts (default: all)
+ */
+export default function VariationSwitcher({ exercise, onSwap, idPrefix = 'variation', canSwap }) {
+  const { setFocus } = useFocusManager();
+  const offered = (from, direction) => {
+    const variation = getVariation(from, direction);
+    return variation && (typeof canSwap !== 'function' || canSwap(variation)) ? variation : null;
+  };
+  const easier = offered(exercise, 'easier');
+  const harder = offered(exercise, 'harder');
+  if (!easier && !harder) return null;
+
+  const swap = (variation, direction) => {
+    debugLog('Variation', 'swap', exercise.id, '->', variation.id);
+    if (typeof onSwap === 'function') onSwap(variation);
+    if (!offered(variation, direction) && typeof setFocus === 'function') {
+      const back = direction === 'easier' ? 'harder' : 'easier';
+      setTimeout(() => setFocus(`${idPrefix}-${back}`), 0);
+    }
+  };
+
+  return (
+    <div role="group" aria-label="Variations" style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-3)' }}>
+      {easier ? (
+        <TVFocusable
+          id={`${idPrefix}-easier`}
+          as="button"
+          className="btn btn-surface"
+          aria-label={`Make it easier: ${easier.name}`}
+          onSelect={() => swap(easier, 'easier')}
+        >
+          ▼ Easier: {easier.name}
+        </TVFocusable>
+      ) : null}
+      {harder ? (
+        <TVFocusable
+          id={`${idPrefix}-harder`}
+          as="button"
+          className="btn btn-surface"
+          aria-label={`Make it harder: ${harder.name}`}
+          onSelect={() => swap(harder, 'harder')}
+        >
+          ▲ Harder: {harder.name}
+        </TVFocusable>
+      ) : null}
+    </div>
+  );
+}
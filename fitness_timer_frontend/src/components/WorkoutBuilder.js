@@ -0,0 +1,362 @@
+import React, { useMemo, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import { EXERCISE_SECTIONS, findExerciseById } from '../data/exercises';
+import { getRoutineTotalSeconds } from '../data/routines';
+import { BUILDER_LIMITS, createCustomRoutine } from '../data/customRoutines';
+import { loadCustomExercises } from '../data/customExercises';
+import { clamp, formatSeconds } from '../utils/time';
+import { KEY_PRIORITY, useFocusManager } from './FocusManager';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import useKeyHandler from '../hooks/useKeyHandler';
+
+// Small -/+ control pair for numeric settings
+function Stepper({ idPrefix, label, value, onChange, min, max, step = 1, format = (v) => String(v) }) {
+  return (
+    <div style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--space-2)' }}>
+      <span style={{ color: 'var(--color-text-secondary)', fontSize: 'var(--font-size-sm)' }}>{label}</span>
+      <TVFocusable
+        id={`${idPrefix}-dec`}
+        as="button"
+        className="btn btn-surface"
+        aria-label={`Decrease ${label}`}
+        aria-disabled={value <= min}
+        onSelect={() => onChange(clamp(value - step, min, max))}
+      >
+        −
+      </TVFocusable>
+      <span style={{ minWidth: 56, textAlign: 'center', fontWeight: 700 }}>{format(value)}</span>
+      <TVFocusable
+        id={`${idPrefix}-inc`}
+        as="button"
+        className="btn btn-surface"
+        aria-label={`Increase ${label}`}
+        aria-disabled={value >= max}
+        onSelect={() => onChange(clamp(value + step, min, max))}
+      >
+        +
+      </TVFocusable>
+    </div>
+  );
+}
+
+const isTextInput = (el) => !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA');
+
+/**
+ * PUBLIC_INTERFACE
+ * WorkoutBuilder
+ * D-pad-driven screen for composing a custom routine from the exercise catalog (imported custom
+ * exercises included, as "My Exercises").
+ * Pick exercises from the catalog rows, tune per-exercise work/rest seconds and the round count,
+ * reorder or remove items, name the routine and save it. Back cancels.
+ * Saved routines are listed below with a Delete button that asks to be pressed again.
+ *
+ * Props:
+ * - onSave: (routine) => void - receives a routine created by createCustomRoutine()
+ * - onCancel: () => void
+ * - savedRoutines?: Array<routine> - the profile's saved routines
+ * - onDeleteRoutine?: (id) => void - called once a delete is confirmed
+ */
+export default function WorkoutBuilder({ onSave, onCancel, savedRoutines = [], onDeleteRoutine }) {
+  const [name, setName] = useState('');
+  const [rounds, setRounds] = useState(2);
+  const [items, setItems] = useState([]);
+  const [message, setMessage] = useState('');
+  // Id of the saved routine whose Delete button was pressed once
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const { setFocus } = useFocusManager();
+
+  const catalog = useMemo(() => {
+    const sections = EXERCISE_SECTIONS.filter((s) => s && s.id !== 'quick' && Array.isArray(s.items));
+    const custom = loadCustomExercises();
+    return custom.length ? [...sections, { id: 'custom', title: 'My Exercises', items: custom }] : sections;
+  }, []);
+
+  const draft = useMemo(
+    () => ({ prepSeconds: BUILDER_LIMITS.prepSeconds, rounds, items, cooldown: [] }),
+    [rounds, items]
+  );
+  const totalSeconds = useMemo(() => getRoutineTotalSeconds(draft), [draft]);
+
+  const addExercise = (exercise) => {
+    if (items.length >= BUILDER_LIMITS.maxItems) {
+      setMessage(`A routine can hold up to ${BUILDER_LIMITS.maxItems} exercises.`);
+      return;
+    }
+    const workSeconds = clamp(
+      Math.floor(exercise.durationDefault || 40),
+      BUILDER_LIMITS.minWorkSeconds,
+      BUILDER_LIMITS.maxWorkSeconds
+    );
+    setItems((prev) => [
+      ...prev,
+      { key: `${exercise.id}-${Date.now().toString(36)}-${prev.length}`, exerciseId: exercise.id, workSeconds, restSeconds: 15 },
+    ]);
+    setMessage(`Added ${exercise.name}`);
+  };
+
+  const updateItem = (index, patch) => {
+    setItems((prev) => prev.map((it, i) => (i === index ? { ...it, ...patch } : it)));
+  };
+
+  const moveItem = (index, delta) => {
+    setItems((prev) => {
+      const target = index + delta;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = prev.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeItem = (index) => {
+    setItems((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const save = () => {
+    if (!items.length) {
+      setMessage('Add at least one exercise before saving.');
+      return;
+    }
+    const routine = createCustomRoutine({ name, rounds, items });
+    debugLog('Builder', 'save', { id: routine.id, items: items.length, rounds });
+    if (typeof onSave === 'function') onSave(routine);
+  };
+
+  const deleteRoutine = (routine, index) => {
+    if (confirmDeleteId !== routine.id) {
+      setConfirmDeleteId(routine.id);
+      return;
+    }
+    debugLog('Builder', 'delete', routine.id);
+    setConfirmDeleteId(null);
+    if (typeof onDeleteRoutine === 'function') onDeleteRoutine(routine.id);
+    setMessage(`Deleted ${routine.name}`);
+    // The button goes away with the routine; land on the next one, or back on Save
+    const next = savedRoutines[index + 1] || savedRoutines[index - 1];
+    setTimeout(() => setFocus(next ? `builder-delete-${next.id}` : 'builder-save'), 0);
+  };
+
+  // Back cancels, except Backspace while typing the name
+  useKeyHandler(
+    (e, k) => {
+      if (!isBackKey(k)) return false;
+      if (e.key === 'Backspace' && isTextInput(e.target)) return false;
+      debugLog('Builder', 'back to cancel');
+      if (typeof onCancel === 'function') onCancel();
+      return true;
+    },
+    { priority: KEY_PRIORITY.SCREEN, blocking: true }
+  );
+
+  const panelStyle = { padding: 'var(--space-6)', textAlign: 'left' };
+
+  return (
+    <section className="px-container" aria-label="Workout builder" style={{ marginTop: 'var(--space-8)' }}>
+      {/* Top bar: name + actions */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 'var(--space-4)',
+          flexWrap: 'wrap',
+          marginBottom: 'var(--space-8)',
+        }}
+      >
+        <div className="h1" style={{ margin: 0, marginRight: 'auto' }}>Build a Workout</div>
+        <TVFocusable
+          id="builder-name"
+          as="input"
+          role="textbox"
+          type="text"
+          autoFocus
+          value={name}
+          maxLength={40}
+          placeholder="Routine name"
+          aria-label="Routine name"
+          onChange={(e) => setName(e.target.value)}
+          style={{
+            minHeight: 64,
+            minWidth: 360,
+            padding: '0 var(--space-5)',
+            borderRadius: 'var(--radius-pill)',
+            border: '1px solid var(--color-border)',
+            background: 'var(--color-surface)',
+            color: 'var(--color-text)',
+            fontSize: 'var(--font-size-md)',
+          }}
+        />
+        <TVFocusable id="builder-save" as="button" className="btn" onSelect={save}>
+          Save
+        </TVFocusable>
+        <TVFocusable id="builder-cancel" as="button" className="btn btn-surface" onSelect={onCancel}>
+          Cancel
+        </TVFocusable>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1.1fr 1fr', gap: 'var(--space-8)', alignItems: 'start' }}>
+        {/* Left: catalog rows */}
+        <div className="tv-card" style={panelStyle} aria-label="Exercise catalog">
+          <div className="h3">Add exercises</div>
+          {catalog.map((section) => (
+            <div key={section.id} style={{ marginBottom: 'var(--space-6)' }}>
+              <div style={{ fontWeight: 700, marginBottom: 'var(--space-3)' }}>{section.title}</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-3)' }}>
+                {section.items.map((ex) => (
+                  <TVFocusable
+                    key={ex.id}
+                    id={`builder-add-${ex.id}`}
+                    as="button"
+                    className="btn btn-surface"
+                    aria-label={`Add ${ex.name}`}
+                    onSelect={() => addExercise(ex)}
+                  >
+                    + {ex.name}
+                  </TVFocusable>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Right: routine being built */}
+        <div className="tv-card" style={panelStyle} aria-label="Your routine">
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 'var(--space-4)' }}>
+            <div className="h3" style={{ margin: 0 }}>Your routine</div>
+            <div style={{ color: 'var(--color-text-secondary)' }}>
+              {items.length} exercises • {formatSeconds(totalSeconds)}
+            </div>
+          </div>
+
+          <div style={{ margin: 'var(--space-4) 0' }}>
+            <Stepper
+              idPrefix="builder-rounds"
+              label="Rounds"
+              value={rounds}
+              min={BUILDER_LIMITS.minRounds}
+              max={BUILDER_LIMITS.maxRounds}
+              onChange={setRounds}
+            />
+          </div>
+
+          {items.length === 0 ? (
+            <div style={{ color: 'var(--color-text-secondary)', padding: 'var(--space-6) 0' }}>
+              Pick exercises on the left to start building.
+            </div>
+          ) : (
+            <ol style={{ listStyle: 'none', padding: 0, margin: 0, display: 'grid', gap: 'var(--space-4)' }}>
+              {items.map((item, index) => {
+                const exercise = findExerciseById(item.exerciseId);
+                const prefix = `builder-item-${index}`;
+                return (
+                  <li
+                    key={item.key}
+                    style={{
+                      display: 'grid',
+                      gap: 'var(--space-3)',
+                      padding: 'var(--space-4)',
+                      borderRadius: 'var(--radius-lg)',
+                      border: '1px solid var(--color-border)',
+                    }}
+                  >
+                    <div style={{ fontWeight: 800 }}>
+                      {index + 1}. {exercise ? exercise.name : item.exerciseId}
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 'var(--space-4)' }}>
+                      <Stepper
+                        idPrefix={`${prefix}-work`}
+                        label="Work"
+                        value={item.workSeconds}
+                        min={BUILDER_LIMITS.minWorkSeconds}
+                        max={BUILDER_LIMITS.maxWorkSeconds}
+                        step={BUILDER_LIMITS.stepSeconds}
+                        format={(v) => `${v}s`}
+                        onChange={(v) => updateItem(index, { workSeconds: v })}
+                      />
+                      <Stepper
+                        idPrefix={`${prefix}-rest`}
+                        label="Rest"
+                        value={item.restSeconds}
+                        min={BUILDER_LIMITS.minRestSeconds}
+                        max={BUILDER_LIMITS.maxRestSeconds}
+                        step={BUILDER_LIMITS.stepSeconds}
+                        format={(v) => `${v}s`}
+                        onChange={(v) => updateItem(index, { restSeconds: v })}
+                      />
+                      <TVFocusable
+                        id={`${prefix}-up`}
+                        as="button"
+                        className="btn btn-surface"
+                        aria-label="Move up"
+                        aria-disabled={index === 0}
+                        onSelect={() => moveItem(index, -1)}
+                      >
+                        ↑
+                      </TVFocusable>
+                      <TVFocusable
+                        id={`${prefix}-down`}
+                        as="button"
+                        className="btn btn-surface"
+                        aria-label="Move down"
+                        aria-disabled={index === items.length - 1}
+                        onSelect={() => moveItem(index, 1)}
+                      >
+                        ↓
+                      </TVFocusable>
+                      <TVFocusable
+                        id={`${prefix}-remove`}
+                        as="button"
+                        className="btn btn-surface"
+                        aria-label="Remove"
+                        onSelect={() => removeItem(index)}
+                      >
+                        ✕
+                      </TVFocusable>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          <div aria-live="polite" style={{ marginTop: 'var(--space-4)', color: 'var(--color-text-secondary)', minHeight: '1.5em' }}>
+            {message}
+          </div>
+        </div>
+      </div>
+
+      {/* Saved routines, deletable */}
+      {savedRoutines.length ? (
+        <div className="tv-card" style={{ ...panelStyle, marginTop: 'var(--space-8)' }} aria-label="Saved workouts">
+          <div className="h3">Saved workouts</div>
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0, display: 'grid', gap: 'var(--space-3)' }}>
+            {savedRoutines.map((routine, index) => {
+              const confirming = confirmDeleteId === routine.id;
+              return (
+                <li key={routine.id} style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-4)' }}>
+                  <div style={{ fontWeight: 800, marginRight: 'auto' }}>
+                    {routine.name}
+                    <span style={{ color: 'var(--color-text-secondary)', fontWeight: 400 }}>
+                      {' '}• {formatSeconds(getRoutineTotalSeconds(routine))}
+                    </span>
+                  </div>
+                  <TVFocusable
+                    id={`builder-delete-${routine.id}`}
+                    as="button"
+                    className="btn btn-surface"
+                    aria-label={confirming ? `Confirm deleting ${routine.name}` : `Delete ${routine.name}`}
+                    onSelect={() => deleteRoutine(routine, index)}
+                    onBlur={() => setConfirmDeleteId((id) => (id === routine.id ? null : id))}
+                    style={confirming ? { color: 'var(--color-error)', fontWeight: 800 } : undefined}
+                  >
+                    {confirming ? 'Press again to delete' : 'Delete'}
+                  </TVFocusable>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,57 @@
+import { act, fireEvent, screen } from '@testing-library/react';
+import WorkoutBuilder from './WorkoutBuilder';
+import { renderWithProviders } from '../testUtils';
+import { deleteCustomExercise, saveCustomExercises } from '../data/customExercises';
+
+const IMPORTED = { id: 'cx-wall-sit', name: 'Wall Sit', category: 'Strength', durationDefault: 45 };
+const SAVED = [
+  { id: 'custom-a', name: 'Morning Mix', prepSeconds: 10, rounds: 1, items: [{ exerciseId: 'st-plank', workSeconds: 30, restSeconds: 10 }] },
+  { id: 'custom-b', name: 'Leg Day', prepSeconds: 10, rounds: 2, items: [{ exerciseId: 'st-squats', workSeconds: 40, restSeconds: 15 }] },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+  saveCustomExercises([IMPORTED]);
+});
+
+afterEach(() => {
+  deleteCustomExercise(IMPORTED.id);
+});
+
+function renderBuilder(props = {}) {
+  return renderWithProviders(<WorkoutBuilder onSave={() => {}} onCancel={() => {}} {...props} />);
+}
+
+test('imported exercises can be added and saved in a routine', () => {
+  const onSave = jest.fn();
+  renderBuilder({ onSave });
+  expect(screen.getByText('My Exercises')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add Wall Sit' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+  expect(onSave).toHaveBeenCalledTimes(1);
+  expect(onSave.mock.calls[0][0].items).toEqual([{ exerciseId: IMPORTED.id, workSeconds: 45, restSeconds: 15 }]);
+});
+
+test('deleting a saved routine takes a second press', () => {
+  const onDeleteRoutine = jest.fn();
+  renderBuilder({ savedRoutines: SAVED, onDeleteRoutine });
+
+  const remove = screen.getByRole('button', { name: 'Delete Morning Mix' });
+  act(() => {
+    remove.focus();
+  });
+  fireEvent.click(remove);
+  expect(onDeleteRoutine).not.toHaveBeenCalled();
+  expect(remove).toHaveTextContent('Press again to delete');
+
+  // Moving away cancels the pending delete
+  act(() => {
+    screen.getByRole('button', { name: 'Delete Leg Day' }).focus();
+  });
+  expect(screen.getByRole('button', { name: 'Delete Morning Mix' })).toHaveTextContent('Delete');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Delete Leg Day' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Confirm deleting Leg Day' }));
+  expect(onDeleteRoutine).toHaveBeenCalledWith('custom-b');
+});
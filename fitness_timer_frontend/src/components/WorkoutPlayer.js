@@ -0,0 +1,419 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import TVFocusable from './TVFocusable';
+import VariationSwitcher from './VariationSwitcher';
+import { intervalSequence, normalizePhases, PHASE_TYPES } from '../utils/intervals';
+import { clamp, formatSeconds } from '../utils/time';
+import { buildRoutinePhases } from '../data/routines';
+import {
+  ACTIVE_SESSION_KINDS,
+  clearActiveSession,
+  createSessionSaver,
+  getSessionOwner,
+} from '../data/activeSession';
+import { findExerciseById } from '../data/exercises';
+import { FAVORITE_KINDS, isFavorite, toggleFavorite } from '../data/favorites';
+import { KEY_PRIORITY } from './FocusManager';
+import { usePreferences } from './Preferences';
+import { isBackKey } from '../utils/tvKeyMap';
+import { debugLog } from '../utils/debug';
+import { playCue } from '../utils/audioCues';
+import { announceCue, announcePhase, getVoiceCoach } from '../utils/voiceCoach';
+import useKeyHandler from '../hooks/useKeyHandler';
+import useSessionRecorder from '../hooks/useSessionRecorder';
+import usePauseWhenHidden from '../hooks/usePauseWhenHidden';
+import useReducedMotion from '../hooks/useReducedMotion';
+
+const isExercisePhase = (p) => p && (p.type === PHASE_TYPES.WORK || p.type === PHASE_TYPES.COOLDOWN);
+
+/**
+ * PUBLIC_INTERFACE
+ * WorkoutPlayer
+ * Full-screen guided workout player. Walks through a routine's phases with intervalSequence(),
+ * showing the current move and its poster, the next-up exercise and overall progress.
+ * The sequence starts immediately (routines begin with a prep phase, whose length the user can
+ * override in Settings). Back closes the player.
+ * Phase changes are announced by the voice coach (move names, "Rest", "Next up") with audio cues.
+ * The run is recorded in workout history as completed, or abandoned when closed early, with the
+ * seconds the clock actually ran (skipped time and pauses do not count).
+ * Its position is saved while it runs (see data/activeSession.js) so a reload can resume it, and
+ * it pauses itself when the app is backgrounded.
+ * "Make it easier / harder" swaps the current (or, while resting, the upcoming) move for one of its
+ * variations for the rest of the run; the clock carries on untouched. The star button adds the
+ * routine to the profile's favorites (Home's "Favorites" row).
+ *
+ * Props:
+ * - routine: { id, name, prepSeconds, rounds, items: [{ exerciseId, workSeconds, restSeconds }], cooldown? }
+ * - onClose: () => void
+ * - onComplete?: () => void - called once when the last phase ends
+ * - resumeFrom?: saved snapshot of this routine; the run continues from it, paused
+ */
+export default function WorkoutPlayer({ routine, onClose, onComplete, resumeFrom = null }) {
+  const { preferences } = usePreferences();
+  const reducedMotion = useReducedMotion();
+  // The prep length chosen in Settings, fixed for the run; a resumed run keeps the one it started
+  // with so its saved phase index still lines up
+  const [prepSeconds] = useState(() =>
+    resumeFrom && resumeFrom.routineId === routine?.id && resumeFrom.prepSeconds !== undefined
+      ? resumeFrom.prepSeconds
+      : preferences.prepSeconds
+  );
+  const phases = useMemo(() => normalizePhases(buildRoutinePhases(routine, { prepSeconds })), [routine, prepSeconds]);
+  const totalSeconds = useMemo(() => phases.reduce((acc, p) => acc + p.durationSeconds, 0), [phases]);
+  const exercisePhaseCount = useMemo(() => phases.filter(isExercisePhase).length, [phases]);
+
+  const [state, setState] = useState(null);
+  const [running, setRunning] = useState(true);
+  const [completed, setCompleted] = useState(false);
+  const engineRef = useRef(null);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+  const recorder = useSessionRecorder({ kind: 'routine', refId: routine?.id || null, name: routine?.name || '' });
+  // Read once, when the run starts
+  const resumeRef = useRef(resumeFrom);
+  // Variations swapped in during this run: routine exercise id -> variation id. Phases (and so the
+  // running engine) stay as they are; only what is shown and announced changes.
+  const [swaps, setSwaps] = useState({});
+  const swapsRef = useRef(swaps);
+  swapsRef.current = swaps;
+  const exerciseFor = useCallback((exerciseId) => findExerciseById(swapsRef.current[exerciseId] || exerciseId), []);
+  const routineId = routine?.id;
+  const [favorite, setFavorite] = useState(() => !!routineId && isFavorite(FAVORITE_KINDS.ROUTINE, routineId));
+  useEffect(() => {
+    setFavorite(!!routineId && isFavorite(FAVORITE_KINDS.ROUTINE, routineId));
+  }, [routineId]);
+
+  // Drive the routine; restart only when the routine itself changes
+  useEffect(() => {
+    if (!phases.length) return undefined;
+    const resume = resumeRef.current && resumeRef.current.routineId === routine.id ? resumeRef.current : null;
+    const owner = getSessionOwner({ kind: ACTIVE_SESSION_KINDS.ROUTINE, routineId: routine.id });
+    // Seconds the clock ran, for history; the engine's elapsedSeconds is a position and jumps on skip
+    let activeSeconds = resume && Number.isFinite(resume.activeSeconds) ? resume.activeSeconds : 0;
+    let lastTick = null;
+    const countActive = (st) => {
+      // The final tick jumps to the end, also when the last phase was skipped
+      if (st.completed) return;
+      if (lastTick && !st.paused) {
+        if (st.index === lastTick.index) activeSeconds += Math.max(0, lastTick.remaining - st.remaining);
+        else if (st.phase) activeSeconds += Math.max(0, st.phase.durationSeconds - st.remaining);
+      }
+      lastTick = { index: st.index, remaining: st.remaining };
+    };
+    const save = createSessionSaver((st) => ({
+      kind: ACTIVE_SESSION_KINDS.ROUTINE,
+      routineId: routine.id,
+      label: routine.name,
+      prepSeconds,
+      activeSeconds,
+      detail: (isExercisePhase(st.phase) && exerciseFor(st.phase.exerciseId)?.name) || st.phase?.label || '',
+    }));
+    setCompleted(false);
+    setSwaps({});
+    setRunning(!resume);
+    recorder.start({ plannedSeconds: totalSeconds, mode: 'routine' });
+    if (resume) debugLog('Player', 'resume', { index: resume.index, phaseElapsed: resume.phaseElapsed });
+    const engine = intervalSequence({
+      phases,
+      startIndex: resume ? resume.index : 0,
+      startPhaseElapsed: resume ? resume.phaseElapsed : 0,
+      startPaused: !!resume,
+      onTick: (st) => {
+        countActive(st);
+        setState(st);
+        save(st);
+      },
+      onPhaseChange: (p, i) => {
+        debugLog('Player', 'phase', { index: i, type: p.type, exerciseId: p.exerciseId });
+        const next = phases.slice(i + 1).find(isExercisePhase);
+        announcePhase(p, {
+          exercise: isExercisePhase(p) ? exerciseFor(p.exerciseId) : null,
+          nextExercise: next ? exerciseFor(next.exerciseId) : null,
+          // Describe a move only the first time it comes up in the routine
+          withDescription: phases.findIndex((q) => q.exerciseId === p.exerciseId) === i,
+        });
+      },
+      onComplete: () => {
+        clearActiveSession(owner);
+        recorder.complete(activeSeconds);
+        setRunning(false);
+        setCompleted(true);
+        if (typeof onCompleteRef.current === 'function') onCompleteRef.current();
+      },
+      onCue: (cue, info) => {
+        playCue(cue, info);
+        announceCue(cue, info);
+      },
+      tickRateMs: 200,
+    });
+    engineRef.current = engine;
+    return () => {
+      // Closing before the end records the run as abandoned (no-op once completed)
+      recorder.abandon(activeSeconds);
+      engine.cancel();
+      engineRef.current = null;
+      getVoiceCoach().cancel();
+      clearActiveSession(owner);
+    };
+  }, [phases, totalSeconds, recorder, routine, exerciseFor, prepSeconds]);
+
+  const togglePlay = useCallback(() => {
+    const engine = engineRef.current;
+    if (!engine || completed) return;
+    if (running) {
+      engine.pause();
+      recorder.notePause();
+      getVoiceCoach().cancel();
+    } else {
+      engine.resume();
+    }
+    setRunning(!running);
+  }, [running, completed, recorder]);
+
+  // Backgrounding pauses the run (the pause tick saves the paused position)
+  usePauseWhenHidden(() => {
+    if (running && !completed) togglePlay();
+  });
+
+  const skip = useCallback(() => {
+    if (engineRef.current) engineRef.current.skip();
+  }, []);
+
+  const previous = useCallback(() => {
+    if (engineRef.current) engineRef.current.previous();
+  }, []);
+
+  // Back closes the player while it is mounted
+  useKeyHandler(
+    (_e, k) => {
+      if (!isBackKey(k)) return false;
+      debugLog('Player', 'back to close');
+      if (typeof onClose === 'function') onClose();
+      return true;
+    },
+    { priority: KEY_PRIORITY.PLAYER, blocking: true }
+  );
+
+  if (!routine) return null;
+
+  const index = state ? state.index : 0;
+  const phase = (state && state.phase) || phases[0] || null;
+  const remaining = state ? state.remaining : phase ? phase.durationSeconds : 0;
+  const elapsed = state ? state.elapsedSeconds : 0;
+  const overall = completed ? 1 : clamp(elapsed / Math.max(1, totalSeconds), 0, 1);
+
+  // During prep/rest the poster previews the upcoming move
+  const upcomingIndex = phases.findIndex((p, i) => i > index && isExercisePhase(p));
+  const upcoming = upcomingIndex >= 0 ? exerciseFor(phases[upcomingIndex].exerciseId) : null;
+  const current = isExercisePhase(phase) ? exerciseFor(phase.exerciseId) : upcoming;
+  const nextUp = isExercisePhase(phase) ? upcoming : phases
+    .slice(upcomingIndex + 1)
+    .map((p) => (isExercisePhase(p) ? exerciseFor(p.exerciseId) : null))
+    .find(Boolean) || null;
+  // Routine exercise id behind `current`, which a swap replaces
+  const currentBaseId = isExercisePhase(phase)
+    ? phase.exerciseId
+    : (upcomingIndex >= 0 ? phases[upcomingIndex].exerciseId : null);
+  const swapCurrent = (variation) => {
+    if (!currentBaseId) return;
+    setSwaps((prev) => {
+      const next = { ...prev };
+      if (variation.id === currentBaseId) delete next[currentBaseId];
+      else next[currentBaseId] = variation.id;
+      return next;
+    });
+  };
+  const exerciseNumber = phases.slice(0, index + 1).filter(isExercisePhase).length
+    + (isExercisePhase(phase) ? 0 : 1);
+
+  let headline = phase ? phase.label : '';
+  if (isExercisePhase(phase) && current) headline = current.name;
+  if (phase && phase.type === PHASE_TYPES.PREP) headline = 'Get Ready';
+  if (phase && phase.type === PHASE_TYPES.REST) headline = 'Rest';
+  if (completed) headline = 'Workout Complete';
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={`${routine.name} workout`}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 9999,
+        display: 'grid',
+        gridTemplateRows: 'auto 1fr auto',
+        color: '#fff',
+        overflow: 'hidden',
+        backgroundColor: '#05101c',
+        backgroundImage: current && current.thumbnail && !completed ? `url(${current.thumbnail})` : 'none',
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        paddingTop: 'env(safe-area-inset-top)',
+        paddingBottom: 'env(safe-area-inset-bottom)',
+      }}
+    >
+      {/* scrim: darker while resting so the preview reads as "up next" */}
+      <div
+        aria-hidden="true"
+        style={{
+          position: 'absolute',
+          inset: 0,
+          background: phase && phase.type !== PHASE_TYPES.WORK && !completed
+            ? 'linear-gradient(180deg, rgba(5,15,28,0.72), rgba(5,15,28,0.88))'
+            : 'linear-gradient(180deg, rgba(5,15,28,0.35), rgba(5,15,28,0.75))',
+        }}
+      />
+
+      {/* Top bar: routine name and progress counter */}
+      <div
+        className="px-container"
+        style={{
+          position: 'relative',
+          width: '100%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          paddingTop: 'var(--space-6)',
+        }}
+      >
+        <div>
+          <div className="h2" style={{ color: '#fff', margin: 0 }}>{routine.name}</div>
+          <div style={{ color: 'rgba(255,255,255,0.86)', marginTop: 4, fontSize: 'var(--font-size-sm)' }}>
+            {completed
+              ? `${exercisePhaseCount} exercises • ${formatSeconds(totalSeconds)}`
+              : `Exercise ${Math.min(exerciseNumber, exercisePhaseCount)} of ${exercisePhaseCount}${phase && phase.round ? ` • Round ${phase.round}/${Math.max(1, routine.rounds || 1)}` : ''}`}
+          </div>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-6)' }}>
+          <div style={{ fontSize: 'var(--font-size-lg)', fontWeight: 700 }} aria-label="Time left in workout">
+            {formatSeconds(Math.max(0, totalSeconds - elapsed))} left
+          </div>
+          <TVFocusable
+            id="player-favorite"
+            as="button"
+            className="btn btn-secondary"
+            aria-pressed={favorite}
+            aria-label={favorite ? `Remove ${routine.name} from favorites` : `Add ${routine.name} to favorites`}
+            onSelect={() => {
+              const next = toggleFavorite(FAVORITE_KINDS.ROUTINE, routine.id);
+              debugLog('Player', 'favorite', routine.id, next);
+              setFavorite(next);
+            }}
+          >
+            {favorite ? '★ Favorite' : '☆ Favorite'}
+          </TVFocusable>
+        </div>
+      </div>
+
+      {/* Center: current move and phase countdown */}
+      <div
+        className="px-container"
+        style={{
+          position: 'relative',
+          width: '100%',
+          display: 'grid',
+          alignContent: 'center',
+          justifyItems: 'start',
+          gap: 'var(--space-4)',
+        }}
+      >
+        <div
+          style={{
+            color: phase && phase.type === PHASE_TYPES.REST ? 'var(--color-primary)' : 'var(--color-secondary)',
+            fontWeight: 800,
+            fontSize: 'var(--font-size-lg)',
+            textTransform: 'uppercase',
+            letterSpacing: 1,
+          }}
+        >
+          {completed ? 'Great job' : phase ? phase.type : ''}
+        </div>
+        <div className="h1" style={{ color: '#fff', margin: 0 }}>{headline}</div>
+        {!completed && current && !isExercisePhase(phase) ? (
+          <div style={{ fontSize: 'var(--font-size-lg)' }}>Up next: {current.name}</div>
+        ) : null}
+        {!completed && isExercisePhase(phase) && current ? (
+          <div style={{ color: 'rgba(255,255,255,0.9)', maxWidth: 900, lineHeight: 1.5 }}>
+            {current.description}
+          </div>
+        ) : null}
+        {!completed ? (
+          <div aria-live="polite" style={{ fontSize: 'calc(var(--font-size-3xl) * 2)', fontWeight: 800, lineHeight: 1 }}>
+            {formatSeconds(remaining)}
+          </div>
+        ) : null}
+        {!completed && current ? (
+          <VariationSwitcher exercise={current} onSwap={swapCurrent} idPrefix="player-variation" />
+        ) : null}
+      </div>
+
+      {/* Bottom: next up, overall progress and controls */}
+      <div
+        className="px-container"
+        style={{
+          position: 'relative',
+          width: '100%',
+          display: 'grid',
+          gap: 'var(--space-4)',
+          paddingBottom: 'var(--space-10)',
+        }}
+      >
+        <div style={{ color: 'rgba(255,255,255,0.86)' }}>
+          {completed ? '' : nextUp && isExercisePhase(phase) ? `Next up: ${nextUp.name}` : nextUp ? `Then: ${nextUp.name}` : 'Last one — finish strong!'}
+        </div>
+        <div
+          role="progressbar"
+          aria-label="Workout progress"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(overall * 100)}
+          style={{
+            height: 14,
+            borderRadius: 999,
+            background: 'rgba(255,255,255,0.18)',
+            overflow: 'hidden',
+          }}
+        >
+          <div
+            style={{
+              width: `${Math.round(overall * 100)}%`,
+              height: '100%',
+              background: 'linear-gradient(90deg, var(--color-primary), var(--color-secondary))',
+              transition: reducedMotion ? 'none' : 'width var(--transition-med)',
+            }}
+          />
+        </div>
+
+        <div role="group" aria-label="Workout controls" style={{ display: 'flex', gap: 'var(--space-4)' }}>
+          {completed ? (
+            <TVFocusable id="player-done" autoFocus as="button" className="btn btn-secondary" onSelect={onClose}>
+              Done
+            </TVFocusable>
+          ) : (
+            <>
+              <TVFocusable id="player-prev" as="button" className="btn btn-surface" aria-label="Previous" onSelect={previous}>
+                ⏮ Prev
+              </TVFocusable>
+              <TVFocusable
+                id="player-playpause"
+                autoFocus
+                as="button"
+                className="btn"
+                aria-label={running ? 'Pause workout' : 'Resume workout'}
+                onSelect={togglePlay}
+              >
+                {running ? '⏸ Pause' : '▶ Resume'}
+              </TVFocusable>
+              <TVFocusable id="player-skip" as="button" className="btn btn-surface" aria-label="Skip" onSelect={skip}>
+                Skip ⏭
+              </TVFocusable>
+              <TVFocusable id="player-exit" as="button" className="btn btn-surface" aria-label="End workout" onSelect={onClose}>
+                End
+              </TVFocusable>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { act, fireEvent, screen } from '@testing-library/react';
+import WorkoutPlayer from './WorkoutPlayer';
+import { renderWithProviders } from '../testUtils';
+import { ROUTINES } from '../data/routines';
+import { FAVORITE_KINDS, isFavorite } from '../data/favorites';
+import { SESSION_STATUS, loadHistory } from '../data/history';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('the star button favorites the playing routine', () => {
+  const routine = ROUTINES[0];
+  const { unmount } = renderWithProviders(<WorkoutPlayer routine={routine} onClose={() => {}} />);
+
+  fireEvent.click(screen.getByRole('button', { name: `Add ${routine.name} to favorites` }));
+  expect(isFavorite(FAVORITE_KINDS.ROUTINE, routine.id)).toBe(true);
+  const star = screen.getByRole('button', { name: `Remove ${routine.name} from favorites` });
+  expect(star).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.click(star);
+  expect(isFavorite(FAVORITE_KINDS.ROUTINE, routine.id)).toBe(false);
+  unmount();
+});
+
+test('history records the seconds that ran, not the time skipped', () => {
+  jest.useFakeTimers();
+  const routine = {
+    id: 'skip-test',
+    name: 'Skip Test',
+    prepSeconds: 0,
+    rounds: 1,
+    items: [
+      { exerciseId: 'st-plank', workSeconds: 30, restSeconds: 10 },
+      { exerciseId: 'st-squats', workSeconds: 30, restSeconds: 0 },
+    ],
+    cooldown: [],
+  };
+  renderWithProviders(<WorkoutPlayer routine={routine} onClose={() => {}} />);
+
+  act(() => {
+    jest.advanceTimersByTime(5000);
+  });
+  // Skip the rest of the plank, the rest phase and the squats
+  while (!screen.queryByText('Great job')) fireEvent.click(screen.getByRole('button', { name: 'Skip' }));
+
+  const [session] = loadHistory();
+  expect(session).toMatchObject({ refId: 'skip-test', status: SESSION_STATUS.COMPLETED, plannedSeconds: 70 });
+  expect(session.actualSeconds).toBeGreaterThanOrEqual(4);
+  expect(session.actualSeconds).toBeLessThanOrEqual(5);
+  jest.useRealTimers();
+});
@@ -1,48 +1,214 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { countdown, clamp, formatSeconds } from '../utils/time';
+import { clamp, formatSeconds, stopwatch } from '../utils/time';
+import { intervalSequence, normalizePhases, PHASE_TYPES } from '../utils/intervals';
+import {
+  TIMER_MODES,
+  TIMER_MODE_DEFS,
+  DEFAULT_MODE_SETTINGS,
+  getTimerModeDef,
+  buildModePhases,
+  getModeStatusText,
+  formatRounds,
+} from '../utils/timerModes';
 import TVFocusable from './TVFocusable';
 import TimerControls from './TimerControls';
-import { normalizeTVKey, isActivationKey } from '../utils/tvKeyMap';
+import { KEY_PRIORITY } from './FocusManager';
+import { usePreferences } from './Preferences';
+import { isActivationKey } from '../utils/tvKeyMap';
 import { debugLog } from '../utils/debug';
+import { playCue } from '../utils/audioCues';
+import { announceCue, announcePhase, getVoiceCoach } from '../utils/voiceCoach';
+import { findExerciseById } from '../data/exercises';
+import { isReducedMotion } from '../utils/motion';
+import {
+  ACTIVE_SESSION_KINDS,
+  clearActiveSession,
+  createSessionSaver,
+  getSessionOwner,
+} from '../data/activeSession';
+import useSessionRecorder from '../hooks/useSessionRecorder';
+import useKeyHandler from '../hooks/useKeyHandler';
+import usePauseWhenHidden from '../hooks/usePauseWhenHidden';
+import useReducedMotion from '../hooks/useReducedMotion';
 
 /**
  * PUBLIC_INTERFACE
  * WorkoutTimer
- * A drift-safe countdown timer with TV remote controls, progress visualization (ring + bar),
- * and completion pulse animation.
+ * A drift-safe workout timer with TV remote controls, progress visualization (ring + bar),
+ * completion pulse animation and audio cues (3-2-1 beeps, halfway chime, phase and finish tones;
+ * see utils/audioCues.js) and voice coaching (utils/voiceCoach.js). While motion is reduced
+ * (utils/motion.js) the pulse is skipped and the ring and bars jump instead of gliding.
+ * Supports several modes:
+ * - countdown: count down N seconds (presets from the user's preferences, 30/45/60/90 by default)
+ * - tabata: work/rest intervals (20/10 × 8 by default, rounds and work/rest lengths have preset
+ *   chips), ring per interval + segmented bar
+ * - emom: every minute on the minute with a round counter, ring per minute + segmented bar
+ * - amrap: count down while tallying rounds with OK presses
+ * - stopwatch: count up, ring sweeps once per minute
+ *
+ * Remote keys reach a timer only while focus is inside it, so several timers can share a screen.
+ * A running timer saves its position (data/activeSession.js) so a reload can resume it, and pauses
+ * itself when the app is backgrounded.
  *
  * Props:
- * - seconds: number (initial duration)
+ * - id?: string (focus id prefix for the timer's controls, default 'timer'; unique per screen)
+ * - seconds: number (initial countdown duration)
  * - title?: string (label above timer)
+ * - mode?: string (initial mode, default 'countdown')
+ * - modeSettings?: object (overrides for DEFAULT_MODE_SETTINGS, e.g. { tabataWorkSeconds: 40 })
+ * - showModes?: boolean (render mode chips, default true)
+ * - exerciseId?: string (exercise id recorded in workout history; sessions are recorded either way).
+ *   Changing it (or title) mid-run swaps the exercise without resetting the timer
  * - onComplete?: () => void
+ * - onProgress?: ({ started, running, completed, elapsedSeconds, totalSeconds }) => void - called as
+ *   the run advances; totalSeconds is 0 for the open-ended stopwatch
  * - className?: string
+ * - resumeFrom?: saved snapshot of this timer (matching id); restores its mode, settings and
+ *   position, paused
  */
-export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete, className = '' }) {
-  const [duration, setDuration] = useState(Math.max(1, Math.floor(seconds)));
-  const [remaining, setRemaining] = useState(duration);
+export default function WorkoutTimer({
+  id = 'timer',
+  seconds = 60,
+  title = 'Timer',
+  mode: initialMode = TIMER_MODES.COUNTDOWN,
+  modeSettings,
+  showModes = true,
+  exerciseId = null,
+  onComplete,
+  onProgress,
+  className = '',
+  resumeFrom = null,
+}) {
+  const { preferences } = usePreferences();
+  // Ring and bar fills jump instead of gliding, and there is no completion pulse, while reduced
+  const reducedMotion = useReducedMotion();
+  // Pending resume snapshot; cleared once the user resets or reconfigures the timer
+  const resumeRef = useRef(
+    resumeFrom && resumeFrom.kind === ACTIVE_SESSION_KINDS.TIMER && resumeFrom.timerId === id ? resumeFrom : null
+  );
+  const [mode, setMode] = useState(getTimerModeDef(resumeRef.current?.mode || initialMode).id);
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_MODE_SETTINGS,
+    ...(modeSettings || {}),
+    seconds: Math.max(1, Math.floor(seconds)),
+    ...(resumeRef.current?.settings || {}),
+  }));
   const [running, setRunning] = useState(false);
   const [completed, setCompleted] = useState(false);
+  const [engineState, setEngineState] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [tally, setTally] = useState(0);
 
   const engineRef = useRef(null);
   const ringRef = useRef(null);
   const pulseRef = useRef(null);
+  const rootRef = useRef(null);
+  const modeRef = useRef(mode);
+  modeRef.current = mode;
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const tallyRef = useRef(tally);
+  tallyRef.current = tally;
+  // The exercise can be swapped for a variation mid-run; the running engine reads it from here
+  const exerciseIdRef = useRef(exerciseId);
+  exerciseIdRef.current = exerciseId;
+  const titleRef = useRef(title);
+  titleRef.current = title;
+  const owner = getSessionOwner({ kind: ACTIVE_SESSION_KINDS.TIMER, timerId: id });
+
+  const recorder = useSessionRecorder({
+    kind: 'exercise',
+    refId: exerciseId,
+    name: findExerciseById(exerciseId)?.name || title,
+  });
+
+  const isStopwatch = mode === TIMER_MODES.STOPWATCH;
+  const phases = useMemo(() => normalizePhases(buildModePhases(mode, settings)), [mode, settings]);
+  const totalSeconds = useMemo(() => phases.reduce((acc, p) => acc + p.durationSeconds, 0), [phases]);
+  const started = engineState !== null;
+
+  // Idle snapshot mirrors intervalSequence().getState() before the engine exists
+  const snapshot = engineState || {
+    index: 0,
+    phase: phases[0] || null,
+    remaining: phases[0] ? phases[0].durationSeconds : 0,
+    elapsedSeconds: 0,
+  };
+  const phase = snapshot.phase;
+  const roundCount = phases.reduce((acc, p) => Math.max(acc, p.round || 0), 0);
 
-  // Progress 0 to 1
+  // Ring progress 0 to 1: per interval for Tabata/EMOM, per minute for the stopwatch, overall otherwise
   const progress = useMemo(() => {
-    const safeDur = Math.max(1, duration);
-    return clamp(1 - remaining / safeDur, 0, 1);
-  }, [remaining, duration]);
+    if (isStopwatch) return (elapsed % 60) / 60;
+    if (completed) return 1;
+    if (mode === TIMER_MODES.TABATA || mode === TIMER_MODES.EMOM) {
+      const dur = Math.max(1, phase ? phase.durationSeconds : 1);
+      return clamp(1 - snapshot.remaining / dur, 0, 1);
+    }
+    return clamp(snapshot.elapsedSeconds / Math.max(1, totalSeconds), 0, 1);
+  }, [isStopwatch, elapsed, completed, mode, phase, snapshot.remaining, snapshot.elapsedSeconds, totalSeconds]);
 
-  // Initialize or reset on seconds prop change
+  // Report progress to the owner (e.g. the exercise guide following along)
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+  const reportedElapsed = isStopwatch ? elapsed : snapshot.elapsedSeconds;
+  const reportedTotal = isStopwatch ? 0 : totalSeconds;
   useEffect(() => {
-    setDuration(Math.max(1, Math.floor(seconds)));
-    setRemaining(Math.max(1, Math.floor(seconds)));
-    setRunning(false);
-    setCompleted(false);
-    stopEngine();
-  }, [seconds]);
+    if (typeof onProgressRef.current !== 'function') return;
+    onProgressRef.current({
+      started,
+      running,
+      completed,
+      elapsedSeconds: reportedElapsed,
+      totalSeconds: reportedTotal,
+    });
+  }, [started, running, completed, reportedElapsed, reportedTotal]);
+
+  const overallProgress = completed ? 1 : clamp(snapshot.elapsedSeconds / Math.max(1, totalSeconds), 0, 1);
+
+  // Active (unpaused) seconds of the current engine, for history
+  const getActiveSeconds = useCallback(() => {
+    const st = engineRef.current ? engineRef.current.getState() : null;
+    if (!st) return 0;
+    return typeof st.elapsedSeconds === 'number' ? st.elapsedSeconds : st.elapsed || 0;
+  }, []);
+
+  // Saves the running position for resume; stopwatch state is mapped onto the sequence shape
+  const save = useMemo(
+    () =>
+      createSessionSaver((st) => ({
+        kind: ACTIVE_SESSION_KINDS.TIMER,
+        timerId: id,
+        exerciseId: exerciseIdRef.current,
+        mode: modeRef.current,
+        settings: settingsRef.current,
+        tally: tallyRef.current,
+        label: titleRef.current,
+        detail: st.phase ? st.phase.label : '',
+      })),
+    [id]
+  );
+  const persist = useCallback(
+    (force = false) => {
+      const st = engineRef.current ? engineRef.current.getState() : null;
+      if (!st) return;
+      save(
+        typeof st.elapsed === 'number'
+          ? { index: 0, phase: null, remaining: 0, elapsedSeconds: st.elapsed, paused: st.paused }
+          : st,
+        force
+      );
+    },
+    [save]
+  );
 
-  const stopEngine = () => {
+  // Stopping a running engine ends its session: open-ended stopwatch runs count as completed,
+  // everything else stopped early is abandoned. No-op once the session was already recorded.
+  const stopEngine = useCallback(() => {
+    if (recorder.isActive()) {
+      if (modeRef.current === TIMER_MODES.STOPWATCH) recorder.complete(getActiveSeconds());
+      else recorder.abandon(getActiveSeconds());
+    }
     if (engineRef.current) {
       try {
         engineRef.current.cancel();
@@ -50,17 +216,37 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
         // noop
       }
       engineRef.current = null;
+      getVoiceCoach().cancel();
+      clearActiveSession(owner);
     }
-  };
+  }, [recorder, getActiveSeconds, owner]);
 
-  const handleTick = useCallback((r) => {
-    setRemaining(r);
-  }, []);
+  const resetState = useCallback(() => {
+    resumeRef.current = null;
+    stopEngine();
+    setRunning(false);
+    setCompleted(false);
+    setEngineState(null);
+    setElapsed(0);
+    setTally(0);
+  }, [stopEngine]);
+
+  // Initialize or reset on seconds prop change (a pending resume keeps its saved settings)
+  useEffect(() => {
+    if (resumeRef.current) return;
+    setSettings((prev) => ({ ...prev, seconds: Math.max(1, Math.floor(seconds)) }));
+    resetState();
+  }, [seconds, resetState]);
+
+  // Cancel any running engine on unmount
+  useEffect(() => () => stopEngine(), [stopEngine]);
 
   const handleComplete = useCallback(() => {
+    clearActiveSession(owner);
+    recorder.complete(getActiveSeconds());
     setRunning(false);
     setCompleted(true);
-    if (pulseRef.current) {
+    if (pulseRef.current && !isReducedMotion()) {
       // restart pulse animation by toggling class
       pulseRef.current.classList.remove('pulse');
       // force reflow
@@ -69,26 +255,78 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
       pulseRef.current.classList.add('pulse');
     }
     if (typeof onComplete === 'function') onComplete();
-  }, [onComplete]);
+  }, [onComplete, recorder, getActiveSeconds, owner]);
 
-  const start = useCallback(() => {
+  // Starts from the first phase, or from a saved snapshot (paused)
+  const start = useCallback((resume = null) => {
     if (running) return;
-    setCompleted(false);
-    setRunning(true);
     stopEngine();
-    engineRef.current = countdown({
-      durationSeconds: remaining,
-      onTick: handleTick,
+    setCompleted(false);
+    setTally(resume ? resume.tally || 0 : 0);
+    setRunning(!resume);
+    recorder.start({ plannedSeconds: isStopwatch ? 0 : totalSeconds, mode });
+    if (isStopwatch) {
+      const from = resume ? resume.elapsedSeconds || 0 : 0;
+      setElapsed(from);
+      setEngineState({ index: 0, phase: null, remaining: 0, elapsedSeconds: 0 });
+      engineRef.current = stopwatch({
+        onTick: (e) => {
+          setElapsed(e);
+          persist();
+        },
+        tickRateMs: 200,
+        startElapsedSeconds: from,
+      });
+      if (resume) {
+        engineRef.current.pause();
+        persist(true);
+      }
+      return;
+    }
+    engineRef.current = intervalSequence({
+      phases,
+      startIndex: resume ? resume.index : 0,
+      startPhaseElapsed: resume ? resume.phaseElapsed : 0,
+      startPaused: !!resume,
+      onTick: (st) => {
+        setEngineState(st);
+        save(st);
+      },
+      onPhaseChange: (p, i) => {
+        debugLog('Timer', 'phase', { mode, index: i, type: p.type });
+        // Introduce the exercise once; later phases only announce work/rest
+        const current = findExerciseById(exerciseIdRef.current);
+        announcePhase(p, { exercise: i === 0 ? current : null, nextExercise: p.type === PHASE_TYPES.REST ? current : null });
+      },
       onComplete: handleComplete,
+      onCue: (cue, info) => {
+        playCue(cue, info);
+        announceCue(cue, info);
+      },
       tickRateMs: 200,
     });
-  }, [running, remaining, handleTick, handleComplete]);
+  }, [running, isStopwatch, totalSeconds, phases, mode, handleComplete, recorder, stopEngine, save, persist]);
+
+  // Continue a saved run once on mount
+  const startRef = useRef(start);
+  startRef.current = start;
+  useEffect(() => {
+    if (resumeRef.current) {
+      debugLog('Timer', 'resume', { id, index: resumeRef.current.index });
+      startRef.current(resumeRef.current);
+    }
+  }, [id]);
 
   const pause = useCallback(() => {
     if (!running || !engineRef.current) return;
     engineRef.current.pause();
+    recorder.notePause();
+    getVoiceCoach().cancel();
+    persist(true);
     setRunning(false);
-  }, [running]);
+  }, [running, recorder, persist]);
+
+  usePauseWhenHidden(pause);
 
   const resume = useCallback(() => {
     if (running || !engineRef.current) return;
@@ -97,38 +335,61 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
   }, [running]);
 
   const reset = useCallback(() => {
-    setRunning(false);
-    setCompleted(false);
-    stopEngine();
-    setRemaining(duration);
-  }, [duration]);
+    resetState();
+  }, [resetState]);
 
-  // Keyboard/remote bindings: Enter to toggle play/pause, Backspace to reset
-  useEffect(() => {
-    const onKeyDown = (e) => {
-      const k = normalizeTVKey(e);
+  const play = useCallback(() => {
+    if (completed || !engineRef.current) {
+      start();
+    } else {
+      resume();
+    }
+  }, [completed, start, resume]);
+
+  const addRound = useCallback(() => {
+    debugLog('Timer', 'amrap round');
+    setTally((t) => t + 1);
+  }, []);
+
+  const selectMode = (nextMode) => {
+    if (nextMode === mode) return;
+    resetState();
+    setMode(nextMode);
+  };
+
+  const selectPreset = (key, value) => {
+    resetState();
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Remote bindings, routed through FocusManager and only while focus is inside this timer:
+  // a focused control (chip/button) handles Enter itself; otherwise Enter counts a round in a
+  // running AMRAP or toggles play/pause. Back resets.
+  useKeyHandler(
+    (e, k) => {
       if (isActivationKey(k)) {
-        e.preventDefault();
-        e.stopPropagation();
+        if (e.target?.getAttribute?.('data-focusable') === 'true') return false;
+        if (running && mode === TIMER_MODES.AMRAP) {
+          addRound();
+          return true;
+        }
         debugLog('Timer', 'toggle via activation');
         if (!running) {
-          if (remaining <= 0) setRemaining(duration);
-          start();
+          play();
         } else {
           pause();
         }
-        return;
+        return true;
       }
       if (k === 'Back') {
-        e.preventDefault();
-        e.stopPropagation();
         debugLog('Timer', 'reset via back');
         reset();
+        return true;
       }
-    };
-    window.addEventListener('keydown', onKeyDown, true);
-    return () => window.removeEventListener('keydown', onKeyDown, true);
-  }, [running, remaining, duration, start, pause, reset]);
+      return false;
+    },
+    { priority: KEY_PRIORITY.SURFACE, scopeRef: rootRef, focusWithin: true }
+  );
 
   // SVG Ring calculations
   const R = 100;
@@ -138,12 +399,56 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
     return clamp(d, 0, CIRC);
   }, [CIRC, progress]);
 
-  // Inline styles consistent with Ocean theme
+  // Inline styles consistent with Ocean theme: amber for work, blue for rest and the stopwatch
   const ringBg = 'rgba(255,255,255,0.25)';
-  const ringFg = 'var(--color-secondary)';
+  const isRestPhase = phase && phase.type === PHASE_TYPES.REST;
+  const ringFg = isStopwatch || isRestPhase ? 'var(--color-primary)' : 'var(--color-secondary)';
+
+  const displaySeconds = isStopwatch ? elapsed : snapshot.remaining;
+  const statusText = getModeStatusText(mode, {
+    started,
+    running,
+    completed,
+    phase,
+    roundCount,
+    tally,
+  });
+  const modeDef = getTimerModeDef(mode);
+  // Countdown chips follow the user's preset choice in Settings
+  const presets = mode === TIMER_MODES.COUNTDOWN ? preferences.timerPresets : modeDef.presets;
+  const segmented = mode === TIMER_MODES.TABATA || mode === TIMER_MODES.EMOM;
+
+  // One row of preset chips for a setting; picking one resets the timer
+  const renderPresetRow = (rowKey, label, settingKey, values, format, focusIdFor) => (
+    <div
+      key={rowKey}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 'var(--space-3)',
+        marginTop: 'var(--space-2)',
+        color: 'var(--color-text-secondary)',
+      }}
+    >
+      <span>{label}</span>
+      {values.map((v) => (
+        <TVFocusable
+          key={`preset-${mode}-${rowKey}-${v}`}
+          id={focusIdFor(v)}
+          as="button"
+          className={settings[settingKey] === v ? 'btn' : 'btn btn-surface'}
+          aria-pressed={settings[settingKey] === v}
+          onSelect={() => selectPreset(settingKey, v)}
+        >
+          {format(v)}
+        </TVFocusable>
+      ))}
+    </div>
+  );
 
   return (
     <div
+      ref={rootRef}
       className={className}
       style={{
         display: 'grid',
@@ -160,6 +465,28 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
         {title}
       </div>
 
+      {/* Mode selector (focusable chips) */}
+      {showModes ? (
+        <div
+          role="group"
+          aria-label="Timer mode"
+          style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 'var(--space-3)' }}
+        >
+          {TIMER_MODE_DEFS.map((def) => (
+            <TVFocusable
+              key={`mode-${def.id}`}
+              id={`${id}-mode-${def.id}`}
+              as="button"
+              className={def.id === mode ? 'btn' : 'btn btn-surface'}
+              aria-pressed={def.id === mode}
+              onSelect={() => selectMode(def.id)}
+            >
+              {def.label}
+            </TVFocusable>
+          ))}
+        </div>
+      ) : null}
+
       {/* Progress ring with completion pulse */}
       <div
         ref={pulseRef}
@@ -197,7 +524,7 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
             strokeDasharray={`${dash} ${CIRC - dash}`}
             strokeLinecap="round"
             style={{
-              transition: 'stroke-dasharray var(--transition-med)',
+              transition: reducedMotion ? 'none' : 'stroke-dasharray var(--transition-med)',
               filter: 'drop-shadow(0 6px 12px rgba(0,0,0,0.12))',
             }}
           />
@@ -215,48 +542,84 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
           }}
         >
           <div style={{ fontSize: 'calc(var(--font-size-3xl) + 10px)', fontWeight: 800 }}>
-            {formatSeconds(remaining)}
+            {formatSeconds(displaySeconds)}
           </div>
+          {mode === TIMER_MODES.AMRAP ? (
+            <div style={{ fontSize: 'var(--font-size-xl)', fontWeight: 800 }} aria-label={formatRounds(tally)}>
+              {tally}
+            </div>
+          ) : null}
           <div style={{ color: 'var(--color-text-secondary)', marginTop: 6 }}>
-            {running ? 'Running' : completed ? 'Complete' : 'Ready'}
+            {statusText}
           </div>
         </div>
       </div>
 
-      {/* Progress bar */}
-      <div
-        style={{
-          width: 'min(640px, 80vw)',
-          height: 14,
-          borderRadius: 999,
-          background: 'linear-gradient(180deg, rgba(0,0,0,0.07), rgba(0,0,0,0.02))',
-          border: '1px solid var(--color-border)',
-          overflow: 'hidden',
-          boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.08)',
-        }}
-        aria-label="Progress"
-        role="progressbar"
-        aria-valuemin={0}
-        aria-valuemax={100}
-        aria-valuenow={Math.round(progress * 100)}
-      >
+      {/* Progress bar: segmented per interval for Tabata/EMOM, none for the open-ended stopwatch */}
+      {isStopwatch ? null : (
         <div
           style={{
-            width: `${Math.round(progress * 100)}%`,
-            height: '100%',
-            background: 'linear-gradient(90deg, var(--color-primary), var(--color-secondary))',
-            transition: 'width var(--transition-med)',
+            width: 'min(640px, 80vw)',
+            height: 14,
+            borderRadius: 999,
+            background: 'linear-gradient(180deg, rgba(0,0,0,0.07), rgba(0,0,0,0.02))',
+            border: '1px solid var(--color-border)',
+            overflow: 'hidden',
+            boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.08)',
+            display: 'flex',
+            gap: segmented ? 2 : 0,
           }}
-        />
-      </div>
+          aria-label="Progress"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(overallProgress * 100)}
+        >
+          {segmented ? (
+            phases.map((p, i) => {
+              let fill = 0;
+              if (completed || i < snapshot.index) fill = 1;
+              else if (started && i === snapshot.index) fill = clamp(1 - snapshot.remaining / p.durationSeconds, 0, 1);
+              return (
+                <div
+                  key={`seg-${i}`}
+                  style={{
+                    flex: p.durationSeconds,
+                    height: '100%',
+                    background: 'rgba(0,0,0,0.06)',
+                  }}
+                >
+                  <div
+                    style={{
+                      width: `${Math.round(fill * 100)}%`,
+                      height: '100%',
+                      background: p.type === PHASE_TYPES.REST ? 'var(--color-primary)' : 'var(--color-secondary)',
+                      transition: reducedMotion ? 'none' : 'width var(--transition-med)',
+                    }}
+                  />
+                </div>
+              );
+            })
+          ) : (
+            <div
+              style={{
+                width: `${Math.round(overallProgress * 100)}%`,
+                height: '100%',
+                background: 'linear-gradient(90deg, var(--color-primary), var(--color-secondary))',
+                transition: reducedMotion ? 'none' : 'width var(--transition-med)',
+              }}
+            />
+          )}
+        </div>
+      )}
 
       {/* Controls */}
       <TimerControls
+        idPrefix={id}
         isRunning={running}
         onPlay={() => {
-          if (remaining <= 0) setRemaining(duration);
-          if (!engineRef.current) {
-            // engine starts with remaining seconds
+          if (!engineRef.current || completed) {
+            // engine starts from the first phase
             setTimeout(() => start(), 0);
           } else {
             resume();
@@ -266,35 +629,33 @@ export default function WorkoutTimer({ seconds = 60, title = 'Timer', onComplete
         onReset={reset}
       />
 
-      {/* Quick duration adjustments for demo (focusable chips) */}
-      <div
-        style={{
-          display: 'flex',
-          alignItems: 'center',
-          gap: 'var(--space-3)',
-          marginTop: 'var(--space-2)',
-          color: 'var(--color-text-secondary)',
-        }}
-      >
-        <span>Preset:</span>
-        {[30, 45, 60, 90].map((s) => (
-          <TVFocusable
-            key={`preset-${s}`}
-            id={`timer-preset-${s}`}
-            as="button"
-            className="btn btn-surface"
-            onSelect={() => {
-              stopEngine();
-              setDuration(s);
-              setRemaining(s);
-              setRunning(false);
-              setCompleted(false);
-            }}
-          >
-            {s}s
-          </TVFocusable>
-        ))}
-      </div>
+      {mode === TIMER_MODES.AMRAP && running ? (
+        <TVFocusable id={`${id}-amrap-round`} as="button" className="btn btn-secondary" onSelect={addRound}>
+          +1 Round
+        </TVFocusable>
+      ) : null}
+
+      {/* Quick duration/round adjustments for the active mode (focusable chips) */}
+      {modeDef.presetKey
+        ? renderPresetRow(
+            'preset',
+            'Preset:',
+            modeDef.presetKey,
+            presets,
+            modeDef.formatPreset,
+            (v) => (mode === TIMER_MODES.COUNTDOWN ? `${id}-preset-${v}` : `${id}-preset-${mode}-${v}`)
+          )
+        : null}
+      {(modeDef.intervalPresets || []).map((group) =>
+        renderPresetRow(
+          group.id,
+          `${group.label}:`,
+          group.key,
+          group.presets,
+          (v) => `${v}s`,
+          (v) => `${id}-preset-${mode}-${group.id}-${v}`
+        )
+      )}
 
       {/* Styles for pulse animation */}
       <style>{`
@@ -0,0 +1,44 @@
+import { screen, waitFor } from '@testing-library/react';
+import WorkoutTimer from './WorkoutTimer';
+import { pressEnter, renderWithProviders } from '../testUtils';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+function renderTimer(props) {
+  return renderWithProviders(<WorkoutTimer id="t" title="AMRAP" mode="amrap" {...props} />);
+}
+
+test('Enter on Pause pauses a running AMRAP instead of counting a round', async () => {
+  renderTimer();
+  pressEnter(screen.getByRole('button', { name: 'Start timer' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Pause timer' })).toBeInTheDocument());
+
+  pressEnter(screen.getByRole('button', { name: 'Pause timer' }));
+  expect(screen.getByRole('button', { name: 'Start timer' })).toBeInTheDocument();
+  expect(screen.getByLabelText('0 rounds')).toBeInTheDocument();
+});
+
+test('the +1 Round button counts AMRAP rounds', async () => {
+  renderTimer();
+  pressEnter(screen.getByRole('button', { name: 'Start timer' }));
+  const round = await screen.findByRole('button', { name: '+1 Round' });
+  pressEnter(round);
+  expect(screen.getByLabelText('1 round')).toBeInTheDocument();
+});
+
+test('Tabata work and rest lengths are set with preset chips', () => {
+  renderTimer({ mode: 'tabata', title: 'Tabata' });
+  expect(screen.getByText('0:20')).toBeInTheDocument();
+
+  pressEnter(screen.getByRole('button', { name: '40s' }));
+  expect(screen.getByRole('button', { name: '40s' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText('0:40')).toBeInTheDocument();
+
+  const rest = screen.getAllByRole('button', { name: '20s' }).find((el) => el.getAttribute('data-focus-id') === 't-preset-tabata-rest-20');
+  pressEnter(rest);
+  expect(rest).toHaveAttribute('aria-pressed', 'true');
+  // The work length picked first is kept
+  expect(screen.getByRole('button', { name: '40s' })).toHaveAttribute('aria-pressed', 'true');
+});
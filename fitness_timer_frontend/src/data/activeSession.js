@@ -0,0 +1,124 @@
+//
+// PUBLIC_INTERFACE
+// activeSession.js
+// Snapshot of the timer or routine currently running, persisted so a reload or a suspended TV app
+// can offer "Resume where you left off". One snapshot at a time; each belongs to an owner (a
+// routine or a timer instance) and only that owner may clear it. Snapshots record the position
+// (phase index, seconds into the phase, total elapsed), the paused flag and wall-clock anchors.
+// Each profile has its own snapshot (see profileKey in utils/storage.js).
+//
+import { profileKey, readJSON, removeKey, writeJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'activeSession';
+
+// PUBLIC_INTERFACE
+export const ACTIVE_SESSION_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const ACTIVE_SESSION_KINDS = Object.freeze({
+  ROUTINE: 'routine',
+  TIMER: 'timer',
+});
+
+// Older snapshots are not worth resuming
+const MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Identifies this page load, so a run saved by the current launch is never offered for resume
+const LAUNCH_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * PUBLIC_INTERFACE
+ * getSessionOwner
+ * Owner key for a snapshot: "routine:<routineId>" or "timer:<timer focus id prefix>".
+ */
+export function getSessionOwner(snapshot) {
+  if (!snapshot) return '';
+  return snapshot.kind === ACTIVE_SESSION_KINDS.ROUTINE ? `routine:${snapshot.routineId}` : `timer:${snapshot.timerId}`;
+}
+
+function isValid(data) {
+  return (
+    !!data &&
+    data.version === ACTIVE_SESSION_VERSION &&
+    Object.values(ACTIVE_SESSION_KINDS).includes(data.kind) &&
+    Number.isFinite(data.index) &&
+    Number.isFinite(data.phaseElapsed) &&
+    Number.isFinite(data.savedAt)
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveActiveSession
+ * Persists a snapshot:
+ * { kind, routineId? | timerId, exerciseId?, mode?, settings?, tally?, prepSeconds?, activeSeconds?,
+ *   label, detail?, index, phaseElapsed, elapsedSeconds, paused }
+ * Adds version, launchId, startedAt (kept across saves of the same owner) and savedAt anchors.
+ */
+export function saveActiveSession(snapshot) {
+  const prev = readJSON(profileKey(STORAGE_KEY), null);
+  const now = Date.now();
+  const sameRun = isValid(prev) && prev.launchId === LAUNCH_ID && getSessionOwner(prev) === getSessionOwner(snapshot);
+  return writeJSON(profileKey(STORAGE_KEY), {
+    ...snapshot,
+    version: ACTIVE_SESSION_VERSION,
+    launchId: LAUNCH_ID,
+    startedAt: sameRun ? prev.startedAt : now - Math.max(0, snapshot.elapsedSeconds || 0) * 1000,
+    savedAt: now,
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadResumableSession
+ * The snapshot left by a previous launch, or null when there is none, it is invalid or too old.
+ */
+export function loadResumableSession() {
+  const data = readJSON(profileKey(STORAGE_KEY), null);
+  if (!isValid(data) || data.launchId === LAUNCH_ID) return null;
+  if (Date.now() - data.savedAt > MAX_AGE_MS) {
+    removeKey(profileKey(STORAGE_KEY));
+    return null;
+  }
+  return data;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * clearActiveSession
+ * Removes the snapshot. With `owner` (see getSessionOwner), only when it belongs to that owner,
+ * so one timer stopping never discards another's run.
+ */
+export function clearActiveSession(owner) {
+  if (owner) {
+    const data = readJSON(profileKey(STORAGE_KEY), null);
+    if (data && getSessionOwner(data) !== owner) return false;
+  }
+  return removeKey(profileKey(STORAGE_KEY));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createSessionSaver
+ * Returns save(state, force?) for an engine's onTick state ({ index, phase, remaining,
+ * elapsedSeconds, paused }). Writes only when the whole-second position or paused flag changed
+ * (or when forced); `getBase` supplies the rest of the snapshot at save time.
+ */
+export function createSessionSaver(getBase) {
+  let lastKey = null;
+  return (state, force = false) => {
+    if (!state || state.completed) return;
+    const index = Math.max(0, state.index || 0);
+    const phaseElapsed = state.phase ? state.phase.durationSeconds - state.remaining : 0;
+    const key = `${index}|${phaseElapsed}|${state.elapsedSeconds}|${!!state.paused}`;
+    if (!force && key === lastKey) return;
+    lastKey = key;
+    saveActiveSession({
+      ...getBase(state),
+      index,
+      phaseElapsed,
+      elapsedSeconds: state.elapsedSeconds || 0,
+      paused: !!state.paused,
+    });
+  };
+}
@@ -0,0 +1,141 @@
+//
+// PUBLIC_INTERFACE
+// browse.js
+// Facets, filtering and sorting for the Browse screen. Pure functions over the exercise catalog.
+// Filters are { category: [], difficulty: [], equipment: [], tags: [] }: values within one facet
+// are OR-ed, facets are AND-ed.
+//
+import { EXERCISE_SECTIONS } from './exercises';
+import { loadCustomExercises } from './customExercises';
+
+// PUBLIC_INTERFACE
+/**
+ * FILTER_FACETS
+ * Filterable exercise fields, in display order.
+ */
+export const FILTER_FACETS = [
+  { id: 'category', label: 'Category' },
+  { id: 'difficulty', label: 'Difficulty' },
+  { id: 'equipment', label: 'Equipment' },
+  { id: 'tags', label: 'Tags' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * DIFFICULTY_ORDER
+ * Difficulty levels from easiest to hardest.
+ */
+export const DIFFICULTY_ORDER = ['Beginner', 'Intermediate', 'Advanced'];
+
+// PUBLIC_INTERFACE
+/**
+ * BROWSE_SORTS
+ * Sort options for Browse results.
+ */
+export const BROWSE_SORTS = [
+  { id: 'name', label: 'Name' },
+  { id: 'duration', label: 'Duration' },
+  { id: 'difficulty', label: 'Difficulty' },
+];
+
+// Tags on fewer exercises than this are too narrow to be worth a chip
+const MIN_TAG_COUNT = 2;
+
+/**
+ * PUBLIC_INTERFACE
+ * getBrowseCatalog
+ * Single exercises available to browse (the Quick section's timer/routine shortcuts are excluded),
+ * followed by imported custom exercises.
+ */
+export function getBrowseCatalog() {
+  return [...EXERCISE_SECTIONS.filter((s) => s.id !== 'quick').flatMap((s) => s.items), ...loadCustomExercises()];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createEmptyFilters
+ * Filters object with nothing selected.
+ */
+export function createEmptyFilters() {
+  return Object.fromEntries(FILTER_FACETS.map((f) => [f.id, []]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getFilterOptions
+ * Chip values per facet: categories in catalog order, difficulties easiest first, equipment and
+ * tags alphabetically (tags only when shared by at least two exercises).
+ */
+export function getFilterOptions(catalog) {
+  const list = Array.isArray(catalog) ? catalog : [];
+  const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+  const tagCounts = {};
+  list.forEach((e) => (e.tags || []).forEach((t) => { tagCounts[t] = (tagCounts[t] || 0) + 1; }));
+
+  return {
+    category: unique(list.map((e) => e.category)),
+    difficulty: unique(list.map((e) => e.difficulty)).sort(
+      (a, b) => difficultyRank(a) - difficultyRank(b)
+    ),
+    equipment: unique(list.map((e) => e.equipment)).sort(),
+    tags: Object.keys(tagCounts).filter((t) => tagCounts[t] >= MIN_TAG_COUNT).sort(),
+  };
+}
+
+function difficultyRank(difficulty) {
+  const idx = DIFFICULTY_ORDER.indexOf(difficulty);
+  return idx === -1 ? DIFFICULTY_ORDER.length : idx;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * countActiveFilters
+ * Number of selected chips across all facets.
+ */
+export function countActiveFilters(filters) {
+  return FILTER_FACETS.reduce((acc, f) => acc + ((filters && filters[f.id]) || []).length, 0);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleFilter
+ * Returns new filters with `value` selected/deselected in `facet`.
+ */
+export function toggleFilter(filters, facet, value) {
+  const current = (filters && filters[facet]) || [];
+  const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+  return { ...createEmptyFilters(), ...filters, [facet]: next };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * filterExercises
+ * Exercises matching every facet with a selection (any selected value within a facet).
+ */
+export function filterExercises(catalog, filters) {
+  const list = Array.isArray(catalog) ? catalog : [];
+  return list.filter((e) =>
+    FILTER_FACETS.every(({ id }) => {
+      const selected = (filters && filters[id]) || [];
+      if (!selected.length) return true;
+      if (id === 'tags') return (e.tags || []).some((t) => selected.includes(t));
+      return selected.includes(e[id]);
+    })
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sortExercises
+ * Returns a sorted copy. Ties fall back to name so the order is stable.
+ */
+export function sortExercises(list, sortId = 'name') {
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+  const compare = {
+    name: byName,
+    duration: (a, b) => (a.durationDefault || 0) - (b.durationDefault || 0) || byName(a, b),
+    difficulty: (a, b) => difficultyRank(a.difficulty) - difficultyRank(b.difficulty) || byName(a, b),
+  }[sortId] || byName;
+  return (Array.isArray(list) ? list : []).slice().sort(compare);
+}
@@ -0,0 +1,11 @@
+import { getBrowseCatalog, getFilterOptions } from './browse';
+import { deleteCustomExercise, saveCustomExercises } from './customExercises';
+
+test('the browse catalog includes imported exercises but not Quick shortcuts', () => {
+  saveCustomExercises([{ id: 'cx-wall-sit', name: 'Wall Sit', category: 'Strength', difficulty: 'Beginner', equipment: 'Wall' }]);
+  const catalog = getBrowseCatalog();
+  expect(catalog.map((e) => e.id)).toContain('cx-wall-sit');
+  expect(catalog.some((e) => e.category === 'Quick')).toBe(false);
+  expect(getFilterOptions(catalog).equipment).toContain('Wall');
+  deleteCustomExercise('cx-wall-sit');
+});
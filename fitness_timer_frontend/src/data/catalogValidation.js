@@ -0,0 +1,138 @@
+//
+// PUBLIC_INTERFACE
+// catalogValidation.js
+// Runtime checks for the built-in exercise catalog (EXERCISE_SECTIONS). Screens render the
+// catalog as is; mistakes in the data are caught here instead: by the catalog test, and in dev
+// builds by DebugOverlay, which lists the problems and logs them via debugLog.
+//
+// Problems are { sectionId, itemId, field, message }; an empty list means the catalog is valid.
+//
+import { EXERCISE_CATEGORIES, EXERCISE_SECTIONS, gradientKeys } from './exercises';
+import { DIFFICULTY_ORDER } from './browse';
+import { findRoutineById } from './routines';
+import { debugLog } from '../utils/debug';
+
+const THUMBNAIL_GRADIENTS = Object.values(gradientKeys);
+const ASSET_PATTERN = /^\/assets\/[\w.-]+\.(jpe?g|png|webp|svg)$/;
+
+/**
+ * PUBLIC_INTERFACE
+ * isThumbnailResolvable
+ * True when a thumbnail is a known gradient token, an inline image data URL, or an image under
+ * /assets/. `assetExists(path)`, when given, also checks that the asset file is there (the
+ * browser cannot do that synchronously; the catalog test can).
+ */
+export function isThumbnailResolvable(thumbnail, assetExists) {
+  if (typeof thumbnail !== 'string') return false;
+  if (thumbnail.startsWith('gradient:')) return THUMBNAIL_GRADIENTS.includes(thumbnail);
+  if (thumbnail.startsWith('data:image/')) return true;
+  if (!ASSET_PATTERN.test(thumbnail)) return false;
+  return typeof assetExists === 'function' ? !!assetExists(thumbnail) : true;
+}
+
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+
+/**
+ * PUBLIC_INTERFACE
+ * validateCatalog
+ * Checks catalog sections and their items: unique section and item ids, a name, a positive
+ * whole-second durationDefault, category and difficulty from EXERCISE_CATEGORIES/DIFFICULTY_ORDER,
+ * a resolvable thumbnail, and that routineId/easier/harder links and rep schemes make sense.
+ *
+ * Options:
+ * - assetExists?: (path) => boolean - see isThumbnailResolvable
+ * Returns an array of problems (empty when valid).
+ */
+export function validateCatalog(sections = EXERCISE_SECTIONS, { assetExists } = {}) {
+  const problems = [];
+  const report = (sectionId, itemId, field, message) => {
+    problems.push({ sectionId, itemId, field, message: `${itemId || sectionId}: ${message}` });
+  };
+
+  if (!Array.isArray(sections)) {
+    report('catalog', null, null, 'sections must be a list');
+    return problems;
+  }
+
+  const sectionIds = new Set();
+  const itemIds = new Set();
+  sections.forEach((section, index) => {
+    const sectionId = section && typeof section.id === 'string' && section.id ? section.id : `section ${index + 1}`;
+    if (sectionIds.has(sectionId)) report(sectionId, null, 'id', 'duplicate section id');
+    sectionIds.add(sectionId);
+    if (!section || typeof section.title !== 'string' || !section.title) {
+      report(sectionId, null, 'title', 'section has no title');
+    }
+    if (!section || !Array.isArray(section.items)) {
+      report(sectionId, null, 'items', 'section items must be a list');
+      return;
+    }
+    section.items.forEach((item, itemIndex) => {
+      if (!item || typeof item.id !== 'string' || !item.id) {
+        report(sectionId, null, 'id', `item ${itemIndex + 1} has no id`);
+        return;
+      }
+      const fail = (field, message) => report(sectionId, item.id, field, message);
+      if (itemIds.has(item.id)) fail('id', 'duplicate item id');
+      itemIds.add(item.id);
+
+      if (typeof item.name !== 'string' || !item.name.trim()) fail('name', 'missing name');
+      if (!isPositiveInt(item.durationDefault)) {
+        fail('durationDefault', `durationDefault must be a positive whole number of seconds (got ${item.durationDefault})`);
+      }
+      if (!EXERCISE_CATEGORIES.includes(item.category)) {
+        fail('category', `unknown category "${item.category}" (expected ${EXERCISE_CATEGORIES.join(', ')})`);
+      }
+      if (!DIFFICULTY_ORDER.includes(item.difficulty)) {
+        fail('difficulty', `unknown difficulty "${item.difficulty}" (expected ${DIFFICULTY_ORDER.join(', ')})`);
+      }
+      if (!isThumbnailResolvable(item.thumbnail, assetExists)) {
+        fail('thumbnail', `thumbnail "${item.thumbnail}" does not resolve to a gradient or image`);
+      }
+      if (item.routineId !== undefined && !findRoutineById(item.routineId)) {
+        fail('routineId', `routine "${item.routineId}" does not exist`);
+      }
+      ['reps', 'sets'].forEach((field) => {
+        if (item[field] !== undefined && !isPositiveInt(item[field])) fail(field, `${field} must be a positive whole number`);
+      });
+      if (item.restSeconds !== undefined && !(Number.isInteger(item.restSeconds) && item.restSeconds >= 0)) {
+        fail('restSeconds', 'restSeconds must be a whole number of seconds');
+      }
+      if ((item.sets !== undefined || item.restSeconds !== undefined) && item.reps === undefined) {
+        fail('reps', 'sets/restSeconds are set without reps');
+      }
+    });
+  });
+
+  // Variation links may point forward to later sections, so they are checked once all ids are known
+  sections.forEach((section) => {
+    (section && Array.isArray(section.items) ? section.items : []).forEach((item) => {
+      if (!item || !item.id) return;
+      ['easier', 'harder'].forEach((field) => {
+        if (item[field] === undefined) return;
+        if (item[field] === item.id || !itemIds.has(item[field])) {
+          report(section.id, item.id, field, `${field} variation "${item[field]}" is not another catalog item`);
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * reportCatalogProblems
+ * Validates the built-in catalog and logs each problem via debugLog (no-op output unless the
+ * debug flag is on). Returns the problems.
+ */
+export function reportCatalogProblems() {
+  const problems = validateCatalog();
+  if (problems.length) {
+    debugLog('Catalog', `${problems.length} problem(s) in EXERCISE_SECTIONS`);
+    problems.forEach((p) => debugLog('Catalog', p.message));
+  } else {
+    debugLog('Catalog', 'OK');
+  }
+  return problems;
+}
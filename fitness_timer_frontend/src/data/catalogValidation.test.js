@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { isThumbnailResolvable, validateCatalog } from './catalogValidation';
+import { EXERCISE_SECTIONS } from './exercises';
+
+// Tests run from the package root
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+const assetExists = (p) => fs.existsSync(path.join(PUBLIC_DIR, p));
+
+const validItem = {
+  id: 'wall-sit',
+  name: 'Wall Sit',
+  category: 'Strength',
+  durationDefault: 45,
+  difficulty: 'Beginner',
+  thumbnail: 'gradient:ocean',
+};
+
+test('the built-in catalog is valid and its thumbnails exist', () => {
+  expect(validateCatalog(EXERCISE_SECTIONS, { assetExists }).map((p) => p.message)).toEqual([]);
+});
+
+test('reports each kind of problem against the item it belongs to', () => {
+  const sections = [
+    {
+      id: 'strength',
+      title: 'Strength',
+      items: [
+        validItem,
+        { ...validItem, name: 'Wall Sit Again' },
+        {
+          ...validItem,
+          id: 'bad',
+          durationDefault: 0,
+          category: 'Yoga',
+          difficulty: 'Expert',
+          thumbnail: '/assets/missing.jpeg',
+          routineId: 'no-such-routine',
+          harder: 'nope',
+        },
+      ],
+    },
+  ];
+  const problems = validateCatalog(sections, { assetExists });
+  expect(problems.map((p) => `${p.itemId}.${p.field}`)).toEqual([
+    'wall-sit.id',
+    'bad.durationDefault',
+    'bad.category',
+    'bad.difficulty',
+    'bad.thumbnail',
+    'bad.routineId',
+    'bad.harder',
+  ]);
+  expect(problems[0].message).toBe('wall-sit: duplicate item id');
+});
+
+test('thumbnails resolve to known gradients, data URLs or asset images', () => {
+  expect(isThumbnailResolvable('gradient:tealMint')).toBe(true);
+  expect(isThumbnailResolvable('gradient:rainbow')).toBe(false);
+  expect(isThumbnailResolvable('data:image/svg+xml;charset=utf-8,%3Csvg')).toBe(true);
+  expect(isThumbnailResolvable('/assets/push-up-poster.jpeg', assetExists)).toBe(true);
+  expect(isThumbnailResolvable('https://example.com/a.jpeg')).toBe(false);
+  expect(isThumbnailResolvable(undefined)).toBe(false);
+});
@@ -0,0 +1,61 @@
+//
+// PUBLIC_INTERFACE
+// customExercises.js
+// Exercises added by importing a shared file (see importExport.js), persisted in localStorage.
+// Items have the same shape as those in EXERCISE_SECTIONS; findExerciseById() falls back to them,
+// so routines and the player can use them like built-in exercises.
+//
+import { readJSON, writeJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'customExercises';
+const STORE_VERSION = 1;
+
+// Read once and kept in step with writes; lookups run on every render of the player and rows
+let cache = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * loadCustomExercises
+ * Returns the saved custom exercises (newest first). Unknown store versions are ignored.
+ */
+export function loadCustomExercises() {
+  if (cache) return cache;
+  const data = readJSON(STORAGE_KEY, null);
+  cache = data && data.version === STORE_VERSION && Array.isArray(data.exercises) ? data.exercises : [];
+  return cache;
+}
+
+function persist(exercises) {
+  cache = exercises;
+  writeJSON(STORAGE_KEY, { version: STORE_VERSION, exercises });
+  return exercises;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveCustomExercises
+ * Inserts or replaces (by id) the given exercises and returns the updated list.
+ */
+export function saveCustomExercises(exercises) {
+  const list = Array.isArray(exercises) ? exercises : [];
+  const ids = new Set(list.map((e) => e.id));
+  return persist([...list, ...loadCustomExercises().filter((e) => !ids.has(e.id))]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteCustomExercise
+ * Removes a custom exercise by id and returns the updated list.
+ */
+export function deleteCustomExercise(id) {
+  return persist(loadCustomExercises().filter((e) => e.id !== id));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findCustomExerciseById
+ * Finds a saved custom exercise by id, or null.
+ */
+export function findCustomExerciseById(id) {
+  return loadCustomExercises().find((e) => e.id === id) || null;
+}
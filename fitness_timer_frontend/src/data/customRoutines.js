@@ -0,0 +1,96 @@
+//
+// PUBLIC_INTERFACE
+// customRoutines.js
+// User-built routines persisted in localStorage, per profile (see profileKey in utils/storage.js).
+// Saved routines share the shape of ROUTINES in routines.js so WorkoutPlayer and
+// buildRoutinePhases() play them unchanged.
+//
+import { profileKey, readJSON, writeJSON } from '../utils/storage';
+import { findExerciseById } from './exercises';
+import { findRoutineById } from './routines';
+
+const STORAGE_KEY = 'customRoutines';
+const STORE_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const BUILDER_LIMITS = Object.freeze({
+  minWorkSeconds: 10,
+  maxWorkSeconds: 300,
+  minRestSeconds: 0,
+  maxRestSeconds: 120,
+  stepSeconds: 5,
+  minRounds: 1,
+  maxRounds: 10,
+  maxItems: 20,
+  prepSeconds: 10,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * loadCustomRoutines
+ * Returns saved routines (newest first). Unknown store versions are ignored.
+ */
+export function loadCustomRoutines() {
+  const data = readJSON(profileKey(STORAGE_KEY), null);
+  if (!data || data.version !== STORE_VERSION || !Array.isArray(data.routines)) return [];
+  return data.routines;
+}
+
+function persist(routines) {
+  writeJSON(profileKey(STORAGE_KEY), { version: STORE_VERSION, routines });
+  return routines;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createCustomRoutine
+ * Builds a routine object from builder input. Items reference exercise ids from EXERCISE_SECTIONS.
+ * Params:
+ * - name: string
+ * - rounds: number
+ * - items: Array<{ exerciseId, workSeconds, restSeconds }>
+ */
+export function createCustomRoutine({ name, rounds, items }) {
+  const first = findExerciseById(items[0]?.exerciseId);
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name: (name || '').trim() || 'My Workout',
+    description: `${items.length} exercises × ${rounds} ${rounds === 1 ? 'round' : 'rounds'}`,
+    difficulty: 'Custom',
+    thumbnail: first?.thumbnail || 'gradient:ocean',
+    prepSeconds: BUILDER_LIMITS.prepSeconds,
+    rounds,
+    items: items.map(({ exerciseId, workSeconds, restSeconds }) => ({ exerciseId, workSeconds, restSeconds })),
+    cooldown: [],
+    custom: true,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveCustomRoutine
+ * Inserts or replaces (by id) a routine and returns the updated list.
+ */
+export function saveCustomRoutine(routine) {
+  const rest = loadCustomRoutines().filter((r) => r.id !== routine.id);
+  return persist([routine, ...rest]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteCustomRoutine
+ * Removes a routine by id and returns the updated list.
+ */
+export function deleteCustomRoutine(id) {
+  return persist(loadCustomRoutines().filter((r) => r.id !== id));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findAnyRoutineById
+ * Looks up a built-in routine first, then saved custom routines.
+ */
+export function findAnyRoutineById(id) {
+  return findRoutineById(id) || loadCustomRoutines().find((r) => r.id === id) || null;
+}
@@ -6,8 +6,30 @@
 // No external assets or network calls; thumbnails are CSS gradient keys or inline SVG data URLs.
 //
 // Durations align to common TV workout intervals: 30, 45, 60, 90 (seconds).
+// Items with a `routineId` launch the guided routine of that id (see routines.js) instead of a
+// single timer; their durationDefault is the routine's total length.
+//
+// Exercise items also carry their how-to guide (rendered by ExerciseGuide in the modal):
+// - steps: string[] - ordered instructions; the highlighted step follows the running timer
+// - formCues: string[] - short reminders to hold good form
+// - mistakes: string[] - common mistakes to avoid
+// - muscles: string[] - target muscles
+// - breathing: string - breathing guidance
+// All are optional; Quick Actions shortcuts have none.
+//
+// Rep-based exercises add `reps` (target per set), `sets` and `restSeconds` (between sets); the
+// modal then tracks sets instead of running a timer (see getRepScheme). durationDefault is kept for
+// timed use, e.g. in routines.
+//
+// Exercises imported from shared files live in customExercises.js; the lookups below include them
+// after the built-in catalog.
+//
+// Variations link exercises by id (see getVariation): `easier` is a regression and `harder` a
+// progression of the same movement, e.g. Push-ups -> Knee Push-ups / Decline Push-ups.
 //
 
+import { findCustomExerciseById, loadCustomExercises } from './customExercises';
+
 /**
  * Inline SVG generator for simple gradient badge thumbnails.
  * Returns a data URL string that can be used as <img src={...}> or background-image.
@@ -34,17 +56,26 @@ function gradientBadge(start = '#2563EB', end = '#F59E0B') {
   return `data:image/svg+xml;charset=utf-8,${svg}`;
 }
 
+// PUBLIC_INTERFACE
 /**
  * A few pre-defined gradient keys that can also be used as CSS classes or inline styles.
- * Consumers may choose to interpret strings starting with "gradient:" as CSS tokens.
+ * Consumers may choose to interpret strings starting with "gradient:" as CSS tokens
+ * (ExerciseCard maps each of these to a theme gradient).
  */
-const gradientKeys = {
+export const gradientKeys = {
   ocean: 'gradient:ocean', // map to linear-gradient(135deg, var(--color-primary), var(--color-secondary))
   amberWave: 'gradient:amberWave', // map to amber-tinted gradient
   deepBlue: 'gradient:deepBlue',
   tealMint: 'gradient:tealMint',
 };
 
+// PUBLIC_INTERFACE
+/**
+ * EXERCISE_CATEGORIES
+ * Values allowed in an item's `category` (see catalogValidation.js).
+ */
+export const EXERCISE_CATEGORIES = ['Quick', 'Warm-up', 'Strength', 'Cardio', 'Flexibility', 'Core'];
+
 // PUBLIC_INTERFACE
 export const EXERCISE_SECTIONS = [
   // Quick actions / hero cards
@@ -74,6 +105,7 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/quick-hiit.jpeg',
         tags: ['quick', 'hiit', 'cardio'],
+        routineId: 'quick-hiit',
       },
       {
         id: 'core-starter',
@@ -85,6 +117,7 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/core-starter.jpeg',
         tags: ['quick', 'core', 'beginner'],
+        routineId: 'core-starter',
       },
     ],
   },
@@ -103,6 +136,23 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/jumping-jacks-poster.jpeg',
         tags: ['cardio', 'dynamic', 'warmup'],
+        steps: [
+          'Stand tall, feet together, arms by your sides.',
+          'Jump your feet out wide while sweeping your arms overhead.',
+          'Jump back to the start, bringing your arms down.',
+          'Keep a steady rhythm and land softly each time.',
+        ],
+        formCues: [
+          'Stay on the balls of your feet',
+          'Soft knees on every landing',
+          'Arms fully overhead',
+        ],
+        mistakes: [
+          'Landing flat-footed with locked knees',
+          'Half arm swings that skip the overhead reach',
+        ],
+        muscles: ['Calves', 'Glutes', 'Shoulders', 'Heart and lungs'],
+        breathing: 'Breathe rhythmically; exhale every second or third jump.',
       },
       {
         id: 'wu-arm-circles',
@@ -114,6 +164,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/arm-circles-poster.jpeg',
         tags: ['mobility', 'upper-body', 'warmup'],
+        steps: [
+          'Stand with feet hip-width apart and arms out to the sides at shoulder height.',
+          'Draw small forward circles, growing them bigger over time.',
+          'Switch direction halfway and circle backward.',
+          'Finish with a few large, slow circles.',
+        ],
+        formCues: [
+          'Shoulders down, away from your ears',
+          'Keep arms straight but not locked',
+          'Brace your core so the torso stays still',
+        ],
+        mistakes: ['Shrugging the shoulders up', 'Arching the lower back to make bigger circles'],
+        muscles: ['Shoulders', 'Upper back', 'Rotator cuff'],
+        breathing: 'Breathe slowly and evenly through the nose.',
       },
       {
         id: 'wu-high-knees',
@@ -125,6 +189,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/high-knees-poster.jpeg',
         tags: ['cardio', 'low-impact', 'warmup'],
+        steps: [
+          'Stand tall with feet hip-width apart.',
+          'Drive one knee up toward hip height, then the other.',
+          'Pump your arms in time with your legs.',
+          'March for lower impact or jog lightly to build heat.',
+        ],
+        formCues: [
+          'Chest up, eyes forward',
+          'Land on the balls of your feet',
+          'Knees to hip height',
+        ],
+        mistakes: ['Leaning back to lift the knees', 'Stomping heavily on each step'],
+        muscles: ['Hip flexors', 'Quads', 'Calves', 'Core'],
+        breathing: 'Short, steady breaths in time with your steps.',
       },
       {
         id: 'wu-hip-openers',
@@ -136,6 +214,23 @@ export const EXERCISE_SECTIONS = [
         equipment: 'Optional',
         thumbnail: '/assets/hip-openers-poster.jpeg',
         tags: ['mobility', 'lower-body', 'warmup'],
+        steps: [
+          'Stand on one leg, holding a wall or chair if needed.',
+          'Lift the other knee and draw a slow circle out to the side.',
+          'Do several circles, then reverse the direction.',
+          'Finish with gentle front-to-back leg swings and switch sides.',
+        ],
+        formCues: [
+          'Standing leg slightly bent',
+          'Keep the pelvis level',
+          'Move slowly through the full range',
+        ],
+        mistakes: [
+          'Rushing the circles with momentum',
+          'Twisting the torso instead of moving the hip',
+        ],
+        muscles: ['Hip flexors', 'Glutes', 'Adductors'],
+        breathing: 'Breathe out as the knee opens to the side.',
       },
     ],
   },
@@ -149,22 +244,168 @@ export const EXERCISE_SECTIONS = [
         name: 'Push-ups',
         category: 'Strength',
         durationDefault: 45,
+        reps: 10,
+        sets: 3,
+        restSeconds: 60,
         description: 'Upper body push exercise targeting chest, shoulders, and triceps.',
         difficulty: 'Intermediate',
         equipment: 'None',
         thumbnail: '/assets/push-up-poster.jpeg',
         tags: ['upper-body', 'push', 'bodyweight'],
+        steps: [
+          'Start in a high plank, hands slightly wider than your shoulders.',
+          'Lower your chest toward the floor, elbows at about 45 degrees.',
+          'Pause just above the floor.',
+          'Press back up to a straight-arm plank.',
+        ],
+        formCues: [
+          'Straight line from head to heels',
+          'Squeeze glutes and brace your core',
+          'Elbows angled back, not flared',
+        ],
+        mistakes: [
+          'Sagging hips',
+          'Flaring elbows straight out to the sides',
+          'Stopping halfway down',
+        ],
+        muscles: ['Chest', 'Shoulders', 'Triceps', 'Core'],
+        breathing: 'Inhale on the way down, exhale as you press up.',
+        easier: 'st-knee-pushups',
+        harder: 'st-decline-pushups',
+      },
+      {
+        id: 'st-knee-pushups',
+        name: 'Knee Push-ups',
+        category: 'Strength',
+        durationDefault: 45,
+        reps: 12,
+        sets: 3,
+        restSeconds: 45,
+        description: 'Push-ups from the knees to build pressing strength with less load.',
+        difficulty: 'Beginner',
+        equipment: 'Optional',
+        thumbnail: '/assets/push-up-poster.jpeg',
+        tags: ['upper-body', 'push', 'bodyweight', 'beginner'],
+        steps: [
+          'Kneel on a mat and walk your hands forward, slightly wider than your shoulders.',
+          'Lean forward so there is a straight line from head to knees.',
+          'Lower your chest toward the floor, elbows at about 45 degrees.',
+          'Press back up to straight arms.',
+        ],
+        formCues: ['Hips in line with your shoulders', 'Brace your core', 'Elbows angled back'],
+        mistakes: ['Bending at the hips instead of lowering the chest', 'Flaring elbows straight out'],
+        muscles: ['Chest', 'Shoulders', 'Triceps'],
+        breathing: 'Inhale on the way down, exhale as you press up.',
+        harder: 'st-pushups',
+      },
+      {
+        id: 'st-decline-pushups',
+        name: 'Decline Push-ups',
+        category: 'Strength',
+        durationDefault: 45,
+        reps: 8,
+        sets: 3,
+        restSeconds: 75,
+        description: 'Push-ups with feet raised on a step or chair for more upper chest and shoulder work.',
+        difficulty: 'Advanced',
+        equipment: 'Optional',
+        thumbnail: '/assets/push-up-poster.jpeg',
+        tags: ['upper-body', 'push', 'bodyweight'],
+        steps: [
+          'Place your feet on a sturdy chair or step and your hands on the floor.',
+          'Set a straight line from head to heels.',
+          'Lower your chest toward the floor with control.',
+          'Press back up without letting your hips drop.',
+        ],
+        formCues: ['Squeeze glutes to keep hips level', 'Hands under the shoulders', 'Slow on the way down'],
+        mistakes: ['Hips piking up toward the ceiling', 'Letting the head drop first'],
+        muscles: ['Upper chest', 'Shoulders', 'Triceps', 'Core'],
+        breathing: 'Inhale on the way down, exhale as you press up.',
+        easier: 'st-pushups',
       },
       {
         id: 'st-squats',
         name: 'Air Squats',
         category: 'Strength',
         durationDefault: 60,
+        reps: 15,
+        sets: 3,
+        restSeconds: 60,
         description: 'Lower body compound move emphasizing quads and glutes.',
         difficulty: 'Beginner',
         equipment: 'None',
         thumbnail: '/assets/air-squats-poster.jpeg',
         tags: ['lower-body', 'glutes', 'quads', 'bodyweight'],
+        steps: [
+          'Stand with feet shoulder-width apart, toes slightly out.',
+          'Push your hips back and bend your knees to lower down.',
+          'Go as low as you can with a neutral spine.',
+          'Drive through your whole foot to stand back up.',
+        ],
+        formCues: [
+          'Knees track over your toes',
+          'Chest proud, back flat',
+          'Weight in the middle of the foot',
+        ],
+        mistakes: [
+          'Knees caving inward',
+          'Heels lifting off the floor',
+          'Rounding the lower back at the bottom',
+        ],
+        muscles: ['Quads', 'Glutes', 'Hamstrings', 'Core'],
+        breathing: 'Inhale as you lower, exhale as you stand.',
+        easier: 'st-chair-squats',
+        harder: 'st-jump-squats',
+      },
+      {
+        id: 'st-chair-squats',
+        name: 'Sit-to-Stand Squats',
+        category: 'Strength',
+        durationDefault: 60,
+        reps: 12,
+        sets: 3,
+        restSeconds: 45,
+        description: 'Squats to a chair for support while learning the movement.',
+        difficulty: 'Beginner',
+        equipment: 'Optional',
+        thumbnail: '/assets/air-squats-poster.jpeg',
+        tags: ['lower-body', 'glutes', 'quads', 'beginner'],
+        steps: [
+          'Stand in front of a sturdy chair, feet shoulder-width apart.',
+          'Push your hips back and lower until you lightly touch the seat.',
+          'Keep your weight in your heels.',
+          'Stand back up without using your hands.',
+        ],
+        formCues: ['Chest up', 'Knees track over your toes', 'Tap the seat, do not flop down'],
+        mistakes: ['Dropping onto the chair', 'Rocking forward to stand up'],
+        muscles: ['Quads', 'Glutes'],
+        breathing: 'Inhale as you sit back, exhale as you stand.',
+        harder: 'st-squats',
+      },
+      {
+        id: 'st-jump-squats',
+        name: 'Jump Squats',
+        category: 'Strength',
+        durationDefault: 45,
+        reps: 10,
+        sets: 3,
+        restSeconds: 75,
+        description: 'Explosive squats with a jump to build power in the legs.',
+        difficulty: 'Advanced',
+        equipment: 'None',
+        thumbnail: '/assets/air-squats-poster.jpeg',
+        tags: ['lower-body', 'plyometric', 'bodyweight'],
+        steps: [
+          'Stand with feet shoulder-width apart.',
+          'Squat down with your hips back and chest up.',
+          'Drive up explosively and jump.',
+          'Land softly and sink straight into the next squat.',
+        ],
+        formCues: ['Land quietly, heels down', 'Swing your arms to help the jump', 'Knees track over your toes'],
+        mistakes: ['Landing with straight legs', 'Knees caving in on landing'],
+        muscles: ['Quads', 'Glutes', 'Calves', 'Heart and lungs'],
+        breathing: 'Exhale as you jump, inhale as you land and lower.',
+        easier: 'st-squats',
       },
       {
         id: 'st-plank',
@@ -176,39 +417,113 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/plank-holder-poster.jpeg',
         tags: ['core', 'isometric', 'stability'],
+        steps: [
+          'Place your forearms on the floor, elbows under your shoulders.',
+          'Step your feet back so your body forms a straight line.',
+          'Brace your core and squeeze your glutes.',
+          'Hold the position without letting your hips move.',
+        ],
+        formCues: [
+          'Push the floor away with your forearms',
+          'Neck long, eyes on the floor',
+          'Ribs down, glutes tight',
+        ],
+        mistakes: ['Hips sagging toward the floor', 'Hips piked up high', 'Holding your breath'],
+        muscles: ['Abdominals', 'Obliques', 'Shoulders', 'Glutes'],
+        breathing: 'Keep breathing slowly; short exhales help keep the brace.',
+        harder: 'cr-side-plank',
       },
       {
         id: 'st-lunges',
         name: 'Alternating Bridge',
         category: 'Strength',
         durationDefault: 45,
+        reps: 12,
+        sets: 3,
+        restSeconds: 45,
         description: 'Alternate bridging each side to engage glutes and hamstrings; maintain stable core.',
         difficulty: 'Beginner',
         equipment: 'None',
         thumbnail: '/assets/alternating-bridge-poster.jpeg',
         tags: ['lower-body', 'glutes', 'hamstrings', 'core'],
+        steps: [
+          'Lie on your back, knees bent, feet flat and hip-width apart.',
+          'Lift your hips into a bridge.',
+          'Straighten one leg, keeping your hips level, then set it down.',
+          'Alternate sides while holding the bridge.',
+        ],
+        formCues: [
+          'Hips stay level as the leg lifts',
+          'Drive through the heel on the floor',
+          'Ribs down, core braced',
+        ],
+        mistakes: [
+          'Hips dropping on the side of the lifted leg',
+          'Pushing through the toes instead of the heel',
+        ],
+        muscles: ['Glutes', 'Hamstrings', 'Core'],
+        breathing: 'Exhale as the leg extends, inhale as it returns.',
+        easier: 'st-glute-bridge',
       },
       {
         id: 'st-glute-bridge',
         name: 'Glute Bridge',
         category: 'Strength',
         durationDefault: 60,
+        reps: 15,
+        sets: 3,
+        restSeconds: 45,
         description: 'Engage glutes and hamstrings by lifting hips and squeezing at the top.',
         difficulty: 'Beginner',
         equipment: 'None',
         thumbnail: '/assets/glute-bridge-poster.jpeg',
         tags: ['posterior-chain', 'glutes', 'hamstrings'],
+        steps: [
+          'Lie on your back, knees bent, feet flat near your hips.',
+          'Press through your heels to lift your hips.',
+          'Squeeze your glutes at the top for a moment.',
+          'Lower slowly back to the floor.',
+        ],
+        formCues: [
+          'Straight line from shoulders to knees at the top',
+          'Squeeze, do not arch',
+          'Knees in line with your feet',
+        ],
+        mistakes: ['Overarching the lower back at the top', 'Knees falling in or out'],
+        muscles: ['Glutes', 'Hamstrings', 'Lower back'],
+        breathing: 'Exhale as you lift, inhale as you lower.',
+        harder: 'st-lunges',
       },
       {
         id: 'st-tricep-dips',
         name: 'Chair Tricep Dips',
         category: 'Strength',
         durationDefault: 45,
+        reps: 12,
+        sets: 3,
+        restSeconds: 60,
         description: 'Use a stable chair or bench to target triceps with controlled dips.',
         difficulty: 'Intermediate',
         equipment: 'Optional',
         thumbnail: '/assets/chair-tricep-poster.jpeg',
         tags: ['upper-body', 'triceps', 'bodyweight'],
+        steps: [
+          'Sit on the edge of a stable chair, hands beside your hips.',
+          'Slide your hips forward off the seat.',
+          'Bend your elbows to lower until they reach about 90 degrees.',
+          'Press back up until your arms are straight.',
+        ],
+        formCues: [
+          'Elbows point straight back',
+          'Shoulders down, chest open',
+          'Keep your hips close to the chair',
+        ],
+        mistakes: [
+          'Dropping too low and straining the shoulders',
+          'Elbows flaring out to the sides',
+        ],
+        muscles: ['Triceps', 'Shoulders', 'Chest'],
+        breathing: 'Inhale as you lower, exhale as you press up.',
       },
     ],
   },
@@ -227,6 +542,21 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/burpees-poster.jpeg',
         tags: ['hiit', 'full-body', 'intense'],
+        steps: [
+          'From standing, squat down and place your hands on the floor.',
+          'Jump or step your feet back into a plank.',
+          'Jump or step your feet back in toward your hands.',
+          'Stand and jump up, reaching overhead.',
+        ],
+        formCues: [
+          'Keep the plank strong, hips level',
+          'Land softly with bent knees',
+          'Step instead of jumping to lower the impact',
+        ],
+        mistakes: ['Sagging hips in the plank', 'Landing stiff-legged from the jump'],
+        muscles: ['Full body', 'Quads', 'Chest', 'Core', 'Heart and lungs'],
+        breathing: 'Exhale on the jump, take a quick breath as you drop down.',
+        easier: 'ca-mountain-climbers',
       },
       {
         id: 'ca-mountain-climbers',
@@ -238,6 +568,17 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/mountain-climbers-poster.jpeg',
         tags: ['hiit', 'core', 'cardio'],
+        steps: [
+          'Start in a high plank, hands under your shoulders.',
+          'Drive one knee toward your chest.',
+          'Switch legs quickly, like running in place.',
+          'Keep your hips level throughout.',
+        ],
+        formCues: ['Shoulders stacked over wrists', 'Hips low and steady', 'Quick, light feet'],
+        mistakes: ['Bouncing the hips up and down', 'Hands drifting in front of the shoulders'],
+        muscles: ['Core', 'Shoulders', 'Hip flexors', 'Heart and lungs'],
+        breathing: 'Quick, rhythmic breaths; do not hold your breath.',
+        harder: 'ca-burpees',
       },
       {
         id: 'ca-fast-feet',
@@ -249,6 +590,17 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/fast-feet-poster.jpeg',
         tags: ['agility', 'low-impact', 'cardio'],
+        steps: [
+          'Stand in an athletic stance, knees bent, feet hip-width.',
+          'Lean slightly forward from the hips.',
+          'Pitter-patter your feet as fast as you can.',
+          'Stay low and light for the whole interval.',
+        ],
+        formCues: ['Stay on the balls of your feet', 'Hands up and ready', 'Small, quick steps'],
+        mistakes: ['Standing up tall as you tire', 'Heavy, flat-footed steps'],
+        muscles: ['Calves', 'Quads', 'Heart and lungs'],
+        breathing: 'Short, fast breaths that match your pace.',
+        easier: 'ca-jog-place',
       },
       {
         id: 'ca-jog-place',
@@ -260,6 +612,21 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/jog-in-place-poster.jpeg',
         tags: ['steady-state', 'low-impact', 'cardio'],
+        steps: [
+          'Stand tall with relaxed shoulders.',
+          'Jog in place, lifting your heels behind you.',
+          'Swing your arms naturally.',
+          'Ease into a brisk march if you need a break.',
+        ],
+        formCues: [
+          'Land softly on the balls of your feet',
+          'Relaxed hands and shoulders',
+          'Steady, even rhythm',
+        ],
+        mistakes: ['Stomping loudly', 'Tensing the shoulders up'],
+        muscles: ['Calves', 'Quads', 'Hamstrings', 'Heart and lungs'],
+        breathing: 'Breathe in for two steps, out for two steps.',
+        harder: 'ca-fast-feet',
       },
       {
         id: 'ca-skater-hops',
@@ -271,6 +638,23 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/skater-hops-poster.jpeg',
         tags: ['lateral', 'balance', 'cardio'],
+        steps: [
+          'Stand on your right leg with a slight bend.',
+          'Hop sideways to land on your left leg.',
+          'Sweep the right leg behind you and touch down lightly if needed.',
+          'Hop back to the right and keep alternating.',
+        ],
+        formCues: [
+          'Land softly and hold balance for a beat',
+          'Knee tracks over your toes',
+          'Swing your arms across your body',
+        ],
+        mistakes: [
+          'Landing with a straight, locked knee',
+          'Letting the knee cave inward on landing',
+        ],
+        muscles: ['Glutes', 'Quads', 'Adductors', 'Heart and lungs'],
+        breathing: 'Exhale on each landing.',
       },
     ],
   },
@@ -289,6 +673,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'Optional',
         thumbnail: '/assets/hamstring-stretch.jpeg',
         tags: ['lower-body', 'stretch', 'recovery'],
+        steps: [
+          'Sit with one leg straight and the other bent, or stand with one heel on a low step.',
+          'Hinge forward from your hips with a flat back.',
+          'Stop when you feel a stretch behind the thigh.',
+          'Hold, then switch sides halfway.',
+        ],
+        formCues: [
+          'Lead with your chest, not your head',
+          'Keep the knee soft, not locked',
+          'Relax into the stretch',
+        ],
+        mistakes: ['Rounding your back to reach further', 'Bouncing in the stretch'],
+        muscles: ['Hamstrings', 'Calves', 'Lower back'],
+        breathing: 'Long, slow exhales; ease a little deeper with each one.',
       },
       {
         id: 'flx-quad',
@@ -300,6 +698,16 @@ export const EXERCISE_SECTIONS = [
         equipment: 'Optional',
         thumbnail: '/assets/quad-stretch.jpeg',
         tags: ['lower-body', 'balance', 'stretch'],
+        steps: [
+          'Stand tall, holding a wall or chair for balance.',
+          'Bend one knee and hold that ankle behind you.',
+          'Gently draw the heel toward your glutes.',
+          'Hold, then switch sides halfway.',
+        ],
+        formCues: ['Knees side by side', 'Tuck your pelvis slightly', 'Stand tall'],
+        mistakes: ['Letting the bent knee drift forward or out', 'Arching the lower back'],
+        muscles: ['Quads', 'Hip flexors'],
+        breathing: 'Slow, relaxed breathing through the nose.',
       },
       {
         id: 'flx-shoulder',
@@ -311,6 +719,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/shoulder-crossing.jpeg',
         tags: ['upper-body', 'stretch', 'mobility'],
+        steps: [
+          'Bring one arm straight across your chest.',
+          'Hold it above the elbow with your other hand.',
+          'Gently pull it closer to your body.',
+          'Hold, then switch arms halfway.',
+        ],
+        formCues: [
+          'Keep the shoulder down',
+          'Pull from above the elbow, not on the joint',
+          'Turn your head slightly away',
+        ],
+        mistakes: ['Shrugging the shoulder up', 'Twisting the torso instead of the arm'],
+        muscles: ['Rear shoulder', 'Upper back'],
+        breathing: 'Breathe out slowly as you ease into the stretch.',
       },
       {
         id: 'flx-hip-flexor',
@@ -322,6 +744,19 @@ export const EXERCISE_SECTIONS = [
         equipment: 'Optional',
         thumbnail: '/assets/hip-flexor-stretch.jpeg',
         tags: ['hip', 'stretch', 'recovery'],
+        steps: [
+          'Kneel on one knee with the other foot flat in front.',
+          'Tuck your pelvis under slightly.',
+          'Shift your weight forward until you feel a stretch at the front of the hip.',
+          'Hold, then switch sides halfway.',
+        ],
+        formCues: ['Squeeze the glute of the back leg', 'Tall torso', 'Front knee over the ankle'],
+        mistakes: [
+          'Arching the lower back instead of tucking the pelvis',
+          'Front knee drifting past the toes',
+        ],
+        muscles: ['Hip flexors', 'Quads'],
+        breathing: 'Deep belly breaths; relax a little more on each exhale.',
       },
       {
         id: 'flx-cat-cow',
@@ -333,6 +768,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/cat-cow-flow.jpeg',
         tags: ['spine', 'mobility', 'yoga'],
+        steps: [
+          'Start on hands and knees, wrists under shoulders and knees under hips.',
+          'Cow: drop your belly and lift your chest and tailbone.',
+          'Cat: round your back toward the ceiling and tuck your chin.',
+          'Flow slowly between the two.',
+        ],
+        formCues: [
+          'Move one vertebra at a time',
+          'Press the floor away in cat',
+          'Keep your arms straight',
+        ],
+        mistakes: ['Rushing through the movement', 'Only moving the neck'],
+        muscles: ['Spine', 'Core', 'Neck'],
+        breathing: 'Inhale into cow, exhale into cat.',
       },
     ],
   },
@@ -351,6 +800,20 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/bicycle-crunch-poster.jpeg',
         tags: ['core', 'rotation', 'abs'],
+        steps: [
+          'Lie on your back, hands lightly behind your head, legs lifted.',
+          'Bring one elbow toward the opposite knee while extending the other leg.',
+          'Switch sides in a slow pedalling motion.',
+          'Keep your shoulders off the floor throughout.',
+        ],
+        formCues: [
+          'Rotate through the ribs, not the elbows',
+          'Lower back pressed into the floor',
+          'Slow and controlled',
+        ],
+        mistakes: ['Pulling on your neck', 'Pedalling too fast with small rotations'],
+        muscles: ['Obliques', 'Abdominals', 'Hip flexors'],
+        breathing: 'Exhale as you twist, inhale as you switch.',
       },
       {
         id: 'cr-dead-bug',
@@ -362,6 +825,21 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/dead-bug-poster.jpeg',
         tags: ['stability', 'control', 'beginner'],
+        steps: [
+          'Lie on your back, arms toward the ceiling, knees bent at 90 degrees above your hips.',
+          'Slowly lower one arm and the opposite leg toward the floor.',
+          'Return to the start.',
+          'Repeat on the other side.',
+        ],
+        formCues: [
+          'Lower back stays flat on the floor',
+          'Move slowly with control',
+          'Reach long through the heel',
+        ],
+        mistakes: ['Lower back arching off the floor', 'Moving the arm and leg on the same side'],
+        muscles: ['Deep core', 'Abdominals', 'Hip flexors'],
+        breathing: 'Exhale fully as you extend, inhale as you return.',
+        harder: 'cr-flutter-kicks',
       },
       {
         id: 'cr-side-plank',
@@ -373,6 +851,21 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/side-plank-poster.jpeg',
         tags: ['obliques', 'isometric', 'stability'],
+        steps: [
+          'Lie on your side with your elbow under your shoulder.',
+          'Stack or stagger your feet.',
+          'Lift your hips so your body forms a straight line.',
+          'Hold, then switch sides halfway.',
+        ],
+        formCues: [
+          'Hips high and stacked',
+          'Push the floor away with your forearm',
+          'Top arm on your hip or reaching up',
+        ],
+        mistakes: ['Hips sagging toward the floor', 'Rolling the chest forward'],
+        muscles: ['Obliques', 'Glutes', 'Shoulders'],
+        breathing: 'Steady breathing; do not hold your breath.',
+        easier: 'st-plank',
       },
       {
         id: 'cr-flutter-kicks',
@@ -384,6 +877,21 @@ export const EXERCISE_SECTIONS = [
         equipment: 'None',
         thumbnail: '/assets/flutter-kicks-poster.jpeg',
         tags: ['lower-abs', 'endurance', 'core'],
+        steps: [
+          'Lie on your back, hands under your hips or by your sides.',
+          'Lift both legs a few inches off the floor.',
+          'Kick your legs up and down in small, quick movements.',
+          'Keep your lower back pressed down.',
+        ],
+        formCues: [
+          'Legs long, toes pointed',
+          'Small, controlled kicks',
+          'Raise the legs higher if your back lifts',
+        ],
+        mistakes: ['Lower back arching off the floor', 'Big, swinging kicks'],
+        muscles: ['Lower abs', 'Hip flexors'],
+        breathing: 'Short, even breaths; exhale every few kicks.',
+        easier: 'cr-dead-bug',
       },
     ],
   },
@@ -392,23 +900,23 @@ export const EXERCISE_SECTIONS = [
 // PUBLIC_INTERFACE
 /**
  * getAllExercises
- * Returns a flattened list of all exercises across sections.
+ * Returns a flattened list of all exercises across sections, followed by custom exercises.
  */
 export function getAllExercises() {
-  return EXERCISE_SECTIONS.flatMap((s) => s.items);
+  return [...EXERCISE_SECTIONS.flatMap((s) => s.items), ...loadCustomExercises()];
 }
 
 // PUBLIC_INTERFACE
 /**
  * findExerciseById
- * Finds a single exercise by ID across all sections.
+ * Finds a single exercise by ID across all sections, then among custom exercises.
  */
 export function findExerciseById(id) {
   for (const section of EXERCISE_SECTIONS) {
     const found = section.items.find((i) => i.id === id);
     if (found) return found;
   }
-  return null;
+  return findCustomExerciseById(id);
 }
 
 // PUBLIC_INTERFACE
@@ -428,3 +936,45 @@ export function getExercisesByTag(tag) {
 export function getSectionById(id) {
   return EXERCISE_SECTIONS.find((s) => s.id === id) || null;
 }
+
+// PUBLIC_INTERFACE
+/**
+ * getVariation
+ * Returns the easier or harder variation of an exercise (object or id), or null when it has none.
+ * - direction: 'easier' | 'harder'
+ */
+export function getVariation(exerciseOrId, direction) {
+  const exercise = typeof exerciseOrId === 'string' ? findExerciseById(exerciseOrId) : exerciseOrId;
+  if (!exercise || (direction !== 'easier' && direction !== 'harder')) return null;
+  return exercise[direction] ? findExerciseById(exercise[direction]) : null;
+}
+
+// Defaults for rep-based exercises that only give `reps`
+const DEFAULT_SETS = 3;
+const DEFAULT_REST_SECONDS = 60;
+
+// PUBLIC_INTERFACE
+/**
+ * getRepScheme
+ * Returns { reps, sets, restSeconds } for a rep-based exercise, or null for timed ones.
+ */
+export function getRepScheme(exercise) {
+  const reps = Math.floor(Number(exercise?.reps) || 0);
+  if (reps < 1) return null;
+  return {
+    reps,
+    sets: Math.max(1, Math.floor(Number(exercise.sets) || DEFAULT_SETS)),
+    restSeconds: Math.max(0, Math.floor(Number(exercise.restSeconds ?? DEFAULT_REST_SECONDS) || 0)),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * formatExerciseVolume
+ * Short workload label for cards and headers: "3 × 12 reps" for rep-based exercises, "45s" otherwise.
+ */
+export function formatExerciseVolume(exercise) {
+  const scheme = getRepScheme(exercise);
+  if (scheme) return `${scheme.sets} × ${scheme.reps} reps`;
+  return `${Math.max(1, Math.floor(exercise?.durationDefault || 60))}s`;
+}
@@ -0,0 +1,94 @@
+//
+// PUBLIC_INTERFACE
+// favorites.js
+// Exercises and routines the user starred, persisted in localStorage as a versioned store, one per
+// profile (see profileKey in utils/storage.js). Newest favorite first; subscribers are notified
+// after every write and when the active profile changes, so the home screen stays in sync.
+//
+import { profileKey, readJSON, subscribeStorageProfile, writeJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'favorites';
+
+// PUBLIC_INTERFACE
+export const FAVORITES_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const FAVORITE_KINDS = Object.freeze({
+  EXERCISE: 'exercise',
+  ROUTINE: 'routine',
+});
+
+const listeners = new Set();
+
+const isEntry = (e) => !!e && Object.values(FAVORITE_KINDS).includes(e.kind) && typeof e.refId === 'string';
+
+/**
+ * PUBLIC_INTERFACE
+ * loadFavorites
+ * Returns the favorites as Array<{ kind, refId, addedAt }>, most recently added first.
+ */
+export function loadFavorites() {
+  const data = readJSON(profileKey(STORAGE_KEY), null);
+  if (!data || data.version !== FAVORITES_VERSION || !Array.isArray(data.items)) return [];
+  return data.items.filter(isEntry);
+}
+
+function notify(items) {
+  listeners.forEach((fn) => {
+    try {
+      fn(items);
+    } catch {
+      // a failing subscriber must not break saving
+    }
+  });
+}
+
+function persist(items) {
+  writeJSON(profileKey(STORAGE_KEY), { version: FAVORITES_VERSION, items });
+  notify(items);
+  return items;
+}
+
+// Another profile's favorites apply from now on
+subscribeStorageProfile(() => notify(loadFavorites()));
+
+/**
+ * PUBLIC_INTERFACE
+ * isFavorite
+ * True when the exercise or routine (FAVORITE_KINDS value + id) is a favorite.
+ */
+export function isFavorite(kind, refId) {
+  return loadFavorites().some((f) => f.kind === kind && f.refId === refId);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setFavorite
+ * Adds (to the front) or removes a favorite. Returns the updated list.
+ */
+export function setFavorite(kind, refId, favorite) {
+  const rest = loadFavorites().filter((f) => !(f.kind === kind && f.refId === refId));
+  if (!favorite) return persist(rest);
+  return persist([{ kind, refId, addedAt: Date.now() }, ...rest]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleFavorite
+ * Flips a favorite and returns whether it is now a favorite.
+ */
+export function toggleFavorite(kind, refId) {
+  const next = !isFavorite(kind, refId);
+  setFavorite(kind, refId, next);
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribeFavorites
+ * Registers a listener called with the full favorites list after each change. Returns unsubscribe.
+ */
+export function subscribeFavorites(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,39 @@
+import { setStorageProfile } from '../utils/storage';
+import { FAVORITE_KINDS, isFavorite, loadFavorites, subscribeFavorites, toggleFavorite } from './favorites';
+import { SESSION_STATUS, getRecentlyPlayed } from './history';
+
+beforeEach(() => {
+  setStorageProfile(null);
+  localStorage.clear();
+});
+
+test('favorites toggle, newest first, per profile', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeFavorites(listener);
+  expect(toggleFavorite(FAVORITE_KINDS.EXERCISE, 'plank')).toBe(true);
+  expect(toggleFavorite(FAVORITE_KINDS.ROUTINE, 'quick-hiit')).toBe(true);
+  expect(loadFavorites().map((f) => f.refId)).toEqual(['quick-hiit', 'plank']);
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  expect(toggleFavorite(FAVORITE_KINDS.EXERCISE, 'plank')).toBe(false);
+  expect(isFavorite(FAVORITE_KINDS.EXERCISE, 'plank')).toBe(false);
+
+  setStorageProfile('p-1');
+  expect(loadFavorites()).toEqual([]);
+  expect(listener).toHaveBeenLastCalledWith([]);
+  unsubscribe();
+});
+
+test('recently played keeps the latest session of each exercise or routine', () => {
+  const sessions = [
+    { kind: 'exercise', refId: 'plank', name: 'Plank', startedAt: 1, status: SESSION_STATUS.COMPLETED },
+    { kind: 'routine', refId: 'quick-hiit', name: 'Quick HIIT', startedAt: 2, status: SESSION_STATUS.COMPLETED },
+    { kind: 'exercise', refId: 'plank', name: 'Plank', startedAt: 3, status: SESSION_STATUS.ABANDONED },
+    { kind: 'exercise', refId: null, name: 'Quick Timer', startedAt: 4 },
+  ];
+  expect(getRecentlyPlayed(sessions)).toEqual([
+    { kind: 'exercise', refId: 'plank', name: 'Plank', lastPlayedAt: 3, status: SESSION_STATUS.ABANDONED },
+    { kind: 'routine', refId: 'quick-hiit', name: 'Quick HIIT', lastPlayedAt: 2, status: SESSION_STATUS.COMPLETED },
+  ]);
+  expect(getRecentlyPlayed(sessions, 1)).toHaveLength(1);
+});
@@ -0,0 +1,179 @@
+//
+// PUBLIC_INTERFACE
+// history.js
+// Workout session history persisted in localStorage as a versioned store, one per profile
+// (see profileKey in utils/storage.js). Guests record nothing.
+// Sessions are appended when a timer or routine completes or is abandoned; subscribers are
+// notified after every write so screens can update live.
+//
+import { GUEST_PROFILE_ID, getStorageProfile, profileKey, readJSON, writeJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'history';
+
+// PUBLIC_INTERFACE
+export const HISTORY_VERSION = 1;
+
+// Oldest sessions are dropped beyond this count to keep storage bounded
+const MAX_SESSIONS = 500;
+
+// PUBLIC_INTERFACE
+export const SESSION_STATUS = Object.freeze({
+  COMPLETED: 'completed',
+  ABANDONED: 'abandoned',
+});
+
+// PUBLIC_INTERFACE
+/** Session mode of set-tracked (rep-based) exercise sessions; timed sessions use a timer mode id */
+export const REPS_SESSION_MODE = 'reps';
+
+const listeners = new Set();
+
+/**
+ * Upgrades older store shapes to HISTORY_VERSION. Returns null when the data is unusable.
+ */
+function migrate(data) {
+  if (!data || typeof data !== 'object') return null;
+  // Pre-versioned stores were a bare array of sessions
+  if (Array.isArray(data)) return { version: HISTORY_VERSION, sessions: data };
+  if (data.version === HISTORY_VERSION && Array.isArray(data.sessions)) return data;
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadHistory
+ * Returns all recorded sessions, oldest first.
+ */
+export function loadHistory() {
+  const store = migrate(readJSON(profileKey(STORAGE_KEY), null));
+  return store ? store.sessions : [];
+}
+
+function persist(sessions) {
+  writeJSON(profileKey(STORAGE_KEY), { version: HISTORY_VERSION, sessions });
+  listeners.forEach((fn) => {
+    try {
+      fn(sessions);
+    } catch {
+      // a failing subscriber must not break recording
+    }
+  });
+  return sessions;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * recordSession
+ * Appends a session and returns the stored record (null for a guest, whose sessions are not kept).
+ * Session fields:
+ * - kind: 'exercise' | 'routine'
+ * - refId: exercise id (findExerciseById) or routine id
+ * - name: display name at the time of recording
+ * - mode?: timer mode id (countdown, tabata, ...), or REPS_SESSION_MODE for set-tracked
+ *   exercises
+ * - plannedSeconds: number (0 for open-ended stopwatch sessions)
+ * - actualSeconds: number of active (unpaused) seconds
+ * - pauses: number of times the session was paused
+ * - status: SESSION_STATUS value
+ * - startedAt / endedAt: epoch milliseconds
+ * Set-tracked (REPS_SESSION_MODE) sessions also carry:
+ * - sets: completed sets; plannedSets: target number of sets
+ * - reps: total reps over all sets; setReps: reps per completed set; targetReps: target per set
+ */
+export function recordSession(session) {
+  if (getStorageProfile() === GUEST_PROFILE_ID) return null;
+  const record = {
+    id: `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    kind: 'exercise',
+    refId: null,
+    name: '',
+    mode: null,
+    plannedSeconds: 0,
+    actualSeconds: 0,
+    pauses: 0,
+    status: SESSION_STATUS.COMPLETED,
+    startedAt: Date.now(),
+    endedAt: Date.now(),
+    ...session,
+  };
+  const sessions = [...loadHistory(), record].slice(-MAX_SESSIONS);
+  persist(sessions);
+  return record;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * clearHistory
+ * Removes every recorded session.
+ */
+export function clearHistory() {
+  persist([]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribeHistory
+ * Registers a listener called with the full session list after each write. Returns unsubscribe.
+ */
+export function subscribeHistory(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getDayKey
+ * Local calendar day key (YYYY-MM-DD) for an epoch-ms timestamp.
+ */
+export function getDayKey(timestamp) {
+  const d = new Date(timestamp);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * groupSessionsByDay
+ * Groups sessions by local day, newest day first and newest session first within a day.
+ * Returns Array<{ dayKey, date: Date, sessions }>.
+ */
+export function groupSessionsByDay(sessions) {
+  const byDay = new Map();
+  (Array.isArray(sessions) ? sessions : []).forEach((s) => {
+    const key = getDayKey(s.startedAt);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(s);
+  });
+  return Array.from(byDay.entries())
+    .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+    .map(([dayKey, list]) => {
+      const [y, m, d] = dayKey.split('-').map(Number);
+      return {
+        dayKey,
+        date: new Date(y, m - 1, d),
+        sessions: list.slice().sort((a, b) => b.startedAt - a.startedAt),
+      };
+    });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getRecentlyPlayed
+ * One entry per exercise or routine played, most recently played first, up to `limit`.
+ * Returns Array<{ kind, refId, name, lastPlayedAt, status }> taken from each item's latest session.
+ */
+export function getRecentlyPlayed(sessions, limit = 10) {
+  const seen = new Set();
+  const recent = [];
+  (Array.isArray(sessions) ? sessions : [])
+    .filter((s) => s && s.refId)
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .forEach((s) => {
+      const key = `${s.kind}:${s.refId}`;
+      if (seen.has(key) || recent.length >= limit) return;
+      seen.add(key);
+      recent.push({ kind: s.kind, refId: s.refId, name: s.name, lastPlayedAt: s.startedAt, status: s.status });
+    });
+  return recent;
+}
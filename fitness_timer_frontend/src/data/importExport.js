@@ -0,0 +1,445 @@
+//
+// PUBLIC_INTERFACE
+// importExport.js
+// Versioned JSON file format for sharing custom exercises and routines between TVs.
+//
+//   {
+//     "format": "fitness-tv-workouts",
+//     "version": 1,
+//     "exportedAt": "2024-05-01T12:00:00.000Z",
+//     "exercises": [ ...items shaped like those in EXERCISE_SECTIONS ],
+//     "routines": [ ...routines shaped like ROUTINES in routines.js ]
+//   }
+//
+// validateShareFile() checks a parsed file and explains every problem in plain words;
+// planImport()/resolveImport() handle ids that collide with built-in or already saved items:
+// built-ins are never replaced (the import is renamed, e.g. "st-pushups-imported"), saved custom
+// items are replaced or kept side by side as the user chooses.
+//
+import { EXERCISE_CATEGORIES, EXERCISE_SECTIONS } from './exercises';
+import { ROUTINES } from './routines';
+import { DIFFICULTY_ORDER } from './browse';
+import { loadCustomExercises, saveCustomExercises } from './customExercises';
+import { loadCustomRoutines, saveCustomRoutine } from './customRoutines';
+import { getDayKey } from './history';
+
+// PUBLIC_INTERFACE
+export const SHARE_FILE_FORMAT = 'fitness-tv-workouts';
+
+// PUBLIC_INTERFACE
+export const SHARE_FILE_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * IMPORT_CONFLICTS
+ * Why an imported id cannot be used as is: it belongs to a built-in item, or to a saved custom one.
+ */
+export const IMPORT_CONFLICTS = Object.freeze({
+  BUILT_IN: 'built-in',
+  CUSTOM: 'custom',
+});
+
+// PUBLIC_INTERFACE
+/**
+ * CONFLICT_STRATEGIES
+ * What to do with imported items whose id matches a saved custom item.
+ */
+export const CONFLICT_STRATEGIES = Object.freeze({
+  REPLACE: 'replace',
+  KEEP_BOTH: 'keep-both',
+});
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,59}$/;
+const MAX_ITEMS_PER_FILE = 200;
+const TOP_LEVEL_KEYS = ['format', 'version', 'exportedAt', 'exercises', 'routines'];
+// Category for imported exercises that name none; Browse and the stats dashboard group by category
+const DEFAULT_CATEGORY = 'Strength';
+
+// Field rules. Types: id, string, int, enum, list (of strings), objects (list of nested objects).
+const EXERCISE_FIELDS = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true, max: 60 },
+  category: { type: 'enum', values: EXERCISE_CATEGORIES },
+  durationDefault: { type: 'int', required: true, min: 1, max: 3600 },
+  reps: { type: 'int', min: 1, max: 1000 },
+  sets: { type: 'int', min: 1, max: 20 },
+  restSeconds: { type: 'int', min: 0, max: 600 },
+  description: { type: 'string', max: 500 },
+  difficulty: { type: 'enum', values: DIFFICULTY_ORDER },
+  equipment: { type: 'string', max: 40 },
+  thumbnail: { type: 'string', max: 2000 },
+  tags: { type: 'list', max: 40 },
+  steps: { type: 'list', max: 300 },
+  formCues: { type: 'list', max: 200 },
+  mistakes: { type: 'list', max: 200 },
+  muscles: { type: 'list', max: 40 },
+  breathing: { type: 'string', max: 300 },
+  easier: { type: 'id' },
+  harder: { type: 'id' },
+};
+
+const ROUTINE_ITEM_FIELDS = {
+  exerciseId: { type: 'id', required: true },
+  workSeconds: { type: 'int', required: true, min: 1, max: 3600 },
+  restSeconds: { type: 'int', min: 0, max: 3600 },
+};
+
+const COOLDOWN_FIELDS = {
+  exerciseId: { type: 'id', required: true },
+  workSeconds: { type: 'int', required: true, min: 1, max: 3600 },
+};
+
+const ROUTINE_FIELDS = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true, max: 60 },
+  description: { type: 'string', max: 500 },
+  difficulty: { type: 'string', max: 40 },
+  thumbnail: { type: 'string', max: 2000 },
+  prepSeconds: { type: 'int', min: 0, max: 600 },
+  rounds: { type: 'int', required: true, min: 1, max: 50 },
+  items: { type: 'objects', required: true, fields: ROUTINE_ITEM_FIELDS, label: 'item', min: 1, max: 100 },
+  cooldown: { type: 'objects', fields: COOLDOWN_FIELDS, label: 'cooldown item', max: 20 },
+};
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Short description of a bad value for error messages
+function describeValue(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'a list';
+  if (typeof v === 'object') return 'an object';
+  if (typeof v === 'string') return v.length > 30 ? `"${v.slice(0, 30)}…"` : `"${v}"`;
+  return String(v);
+}
+
+// Checks one field against its rule; returns an error message or null
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'id':
+      if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+        return `must be an id of lowercase letters, digits and dashes (got ${describeValue(value)})`;
+      }
+      return null;
+    case 'string':
+      if (typeof value !== 'string' || (rule.required && !value.trim())) {
+        return `must be ${rule.required ? 'non-empty ' : ''}text (got ${describeValue(value)})`;
+      }
+      if (rule.max && value.length > rule.max) return `must be at most ${rule.max} characters long`;
+      return null;
+    case 'int':
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        return `must be a whole number from ${rule.min} to ${rule.max} (got ${describeValue(value)})`;
+      }
+      return null;
+    case 'enum':
+      if (!rule.values.includes(value)) return `must be one of ${rule.values.join(', ')} (got ${describeValue(value)})`;
+      return null;
+    case 'list':
+      if (!Array.isArray(value) || value.some((s) => typeof s !== 'string')) return 'must be a list of text';
+      if (value.some((s) => s.length > rule.max)) return `entries must be at most ${rule.max} characters long`;
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Validates an object against field rules. Returns a copy holding only the known fields; problems
+// are appended to errors (unusable) or warnings (ignored parts) prefixed with `where`.
+function validateObject(value, fields, where, errors, warnings) {
+  if (!isPlainObject(value)) {
+    errors.push(`${where} must be an object (got ${describeValue(value)}).`);
+    return null;
+  }
+  const clean = {};
+  Object.entries(fields).forEach(([key, rule]) => {
+    const v = value[key];
+    if (v === undefined) {
+      if (rule.required) errors.push(`${where}: "${key}" is missing.`);
+      return;
+    }
+    if (rule.type === 'objects') {
+      if (!Array.isArray(v)) {
+        errors.push(`${where}: "${key}" must be a list (got ${describeValue(v)}).`);
+        return;
+      }
+      if ((rule.min && v.length < rule.min) || v.length > rule.max) {
+        errors.push(`${where}: "${key}" must have ${rule.min ? `${rule.min} to ` : 'at most '}${rule.max} entries.`);
+        return;
+      }
+      clean[key] = v.map((entry, i) => validateObject(entry, rule.fields, `${where}, ${rule.label} ${i + 1}`, errors, warnings));
+      return;
+    }
+    const problem = checkField(v, rule);
+    if (problem) errors.push(`${where}: "${key}" ${problem}.`);
+    else clean[key] = v;
+  });
+  Object.keys(value)
+    .filter((key) => !(key in fields))
+    .forEach((key) => warnings.push(`${where}: unknown field "${key}" was ignored.`));
+  return clean;
+}
+
+const labelOf = (kind, index, item) =>
+  `${kind} ${index + 1}${isPlainObject(item) && typeof item.id === 'string' ? ` (${item.id})` : ''}`;
+
+/**
+ * PUBLIC_INTERFACE
+ * validateShareFile
+ * Checks a parsed share file. Returns { ok, errors, warnings, data }: errors are human-readable
+ * sentences that make the file unusable, warnings list parts that were ignored, and data holds the
+ * cleaned { exercises, routines } when ok. Routine items must reference a built-in exercise, a
+ * saved custom exercise or one in the same file.
+ */
+export function validateShareFile(file) {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => ({ ok: false, errors: [message], warnings: [], data: null });
+
+  if (!isPlainObject(file)) return fail('The file must contain a JSON object.');
+  if (file.format !== SHARE_FILE_FORMAT) {
+    return fail(`This is not a workout file for this app (expected "format": "${SHARE_FILE_FORMAT}").`);
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    return fail(`"version" must be a whole number (got ${describeValue(file.version)}).`);
+  }
+  if (file.version > SHARE_FILE_VERSION) {
+    return fail(
+      `This file was made by a newer version of the app (file version ${file.version}); update the app to import it.`
+    );
+  }
+
+  const lists = {};
+  ['exercises', 'routines'].forEach((key) => {
+    const v = file[key] === undefined ? [] : file[key];
+    if (!Array.isArray(v)) errors.push(`"${key}" must be a list (got ${describeValue(v)}).`);
+    else if (v.length > MAX_ITEMS_PER_FILE) errors.push(`"${key}" has more than ${MAX_ITEMS_PER_FILE} entries.`);
+    lists[key] = Array.isArray(v) ? v : [];
+  });
+  if (errors.length) return { ok: false, errors, warnings, data: null };
+  if (!lists.exercises.length && !lists.routines.length) return fail('The file has no exercises or routines.');
+  Object.keys(file)
+    .filter((key) => !TOP_LEVEL_KEYS.includes(key))
+    .forEach((key) => warnings.push(`Unknown field "${key}" was ignored.`));
+
+  const exercises = lists.exercises.map((item, i) =>
+    validateObject(item, EXERCISE_FIELDS, labelOf('Exercise', i, item), errors, warnings)
+  );
+  const routines = lists.routines.map((item, i) =>
+    validateObject(item, ROUTINE_FIELDS, labelOf('Routine', i, item), errors, warnings)
+  );
+
+  // Ids must be unique within the file
+  [['Exercise', exercises], ['Routine', routines]].forEach(([kind, list]) => {
+    const seen = new Set();
+    list.forEach((item) => {
+      if (!item || !item.id) return;
+      if (seen.has(item.id)) errors.push(`${kind} id "${item.id}" appears more than once.`);
+      seen.add(item.id);
+    });
+  });
+
+  // Routine items must point at an exercise this TV will know after the import
+  const known = new Set([
+    ...EXERCISE_SECTIONS.flatMap((s) => s.items.map((e) => e.id)),
+    ...loadCustomExercises().map((e) => e.id),
+    ...exercises.filter(Boolean).map((e) => e.id),
+  ]);
+  routines.forEach((routine, i) => {
+    if (!routine) return;
+    [...(routine.items || []), ...(routine.cooldown || [])].forEach((entry) => {
+      if (entry && entry.exerciseId && !known.has(entry.exerciseId)) {
+        errors.push(`${labelOf('Routine', i, routine)}: exercise "${entry.exerciseId}" is not in this file or on this TV.`);
+      }
+    });
+  });
+  exercises.forEach((exercise, i) => {
+    if (!exercise) return;
+    ['easier', 'harder'].forEach((key) => {
+      if (exercise[key] && !known.has(exercise[key])) {
+        warnings.push(`${labelOf('Exercise', i, exercise)}: ${key} variation "${exercise[key]}" is unknown and was ignored.`);
+        delete exercise[key];
+      }
+    });
+  });
+
+  if (errors.length) return { ok: false, errors, warnings, data: null };
+  return { ok: true, errors, warnings, data: { exercises, routines } };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseShareText
+ * Parses pasted or uploaded text and validates it (see validateShareFile).
+ */
+export function parseShareText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { ok: false, errors: ['Nothing to import: choose a file or paste its contents first.'], warnings: [], data: null };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, errors: [`This is not valid JSON (${err.message}).`], warnings: [], data: null };
+  }
+  return validateShareFile(parsed);
+}
+
+// Ids currently taken, by kind
+function getTakenIds() {
+  return {
+    builtInExercises: new Set(EXERCISE_SECTIONS.flatMap((s) => s.items.map((e) => e.id))),
+    customExercises: new Set(loadCustomExercises().map((e) => e.id)),
+    builtInRoutines: new Set(ROUTINES.map((r) => r.id)),
+    customRoutines: new Set(loadCustomRoutines().map((r) => r.id)),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * planImport
+ * Lists the validated items with the conflict each one has, for confirmation before importing.
+ * Returns { exercises, routines }: Array<{ id, name, conflict: IMPORT_CONFLICTS value | null }>.
+ */
+export function planImport(data) {
+  const taken = getTakenIds();
+  const conflictOf = (id, builtIn, custom) => {
+    if (builtIn.has(id)) return IMPORT_CONFLICTS.BUILT_IN;
+    if (custom.has(id)) return IMPORT_CONFLICTS.CUSTOM;
+    return null;
+  };
+  return {
+    exercises: data.exercises.map((e) => ({
+      id: e.id,
+      name: e.name,
+      conflict: conflictOf(e.id, taken.builtInExercises, taken.customExercises),
+    })),
+    routines: data.routines.map((r) => ({
+      id: r.id,
+      name: r.name,
+      conflict: conflictOf(r.id, taken.builtInRoutines, taken.customRoutines),
+    })),
+  };
+}
+
+// First free "<id>-imported", "<id>-imported-2", ... not in any of the sets
+function freeId(id, sets) {
+  const base = `${id}-imported`;
+  const isTaken = (candidate) => sets.some((s) => s.has(candidate));
+  let candidate = base;
+  for (let n = 2; isTaken(candidate); n += 1) candidate = `${base}-${n}`;
+  return candidate;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveImport
+ * Applies conflict handling to validated data. Built-in ids are always renamed; saved custom ids
+ * are replaced or renamed per `onCustomConflict` (CONFLICT_STRATEGIES). References inside the file
+ * (routine items, variations) follow renamed exercises.
+ * Returns { exercises, routines, renamed: Array<{ kind: 'exercise'|'routine', from, to }> }.
+ */
+export function resolveImport(data, { onCustomConflict = CONFLICT_STRATEGIES.KEEP_BOTH } = {}) {
+  const taken = getTakenIds();
+  const keepBoth = onCustomConflict !== CONFLICT_STRATEGIES.REPLACE;
+  const renamed = [];
+
+  const renameAll = (list, kind, builtIn, custom) => {
+    const inFile = new Set(list.map((item) => item.id));
+    const assigned = new Set();
+    const map = new Map();
+    list.forEach((item) => {
+      if (builtIn.has(item.id) || (keepBoth && custom.has(item.id))) {
+        const to = freeId(item.id, [builtIn, custom, inFile, assigned]);
+        assigned.add(to);
+        map.set(item.id, to);
+        renamed.push({ kind, from: item.id, to });
+      }
+    });
+    return map;
+  };
+
+  const exerciseIds = renameAll(data.exercises, 'exercise', taken.builtInExercises, taken.customExercises);
+  const routineIds = renameAll(data.routines, 'routine', taken.builtInRoutines, taken.customRoutines);
+  const exerciseRef = (id) => exerciseIds.get(id) || id;
+
+  const exercises = data.exercises.map((e) => {
+    const next = { ...e, id: exerciseRef(e.id) };
+    if (next.easier) next.easier = exerciseRef(next.easier);
+    if (next.harder) next.harder = exerciseRef(next.harder);
+    if (!next.category) next.category = DEFAULT_CATEGORY;
+    return next;
+  });
+
+  const exerciseById = new Map(exercises.map((e) => [e.id, e]));
+  const routines = data.routines.map((r) => {
+    const items = r.items.map((it) => ({ ...it, exerciseId: exerciseRef(it.exerciseId), restSeconds: it.restSeconds || 0 }));
+    const rounds = r.rounds;
+    return {
+      description: `${items.length} exercises × ${rounds} ${rounds === 1 ? 'round' : 'rounds'}`,
+      difficulty: 'Custom',
+      thumbnail: exerciseById.get(items[0].exerciseId)?.thumbnail || 'gradient:ocean',
+      prepSeconds: 10,
+      ...r,
+      id: routineIds.get(r.id) || r.id,
+      items,
+      cooldown: (r.cooldown || []).map((it) => ({ ...it, exerciseId: exerciseRef(it.exerciseId) })),
+      custom: true,
+      createdAt: Date.now(),
+    };
+  });
+
+  return { exercises, routines, renamed };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * importShareData
+ * Resolves conflicts (see resolveImport) and saves the result as custom exercises and routines.
+ * Returns the resolveImport() result.
+ */
+export function importShareData(data, options) {
+  const result = resolveImport(data, options);
+  if (result.exercises.length) saveCustomExercises(result.exercises);
+  result.routines
+    .slice()
+    .reverse()
+    .forEach((routine) => saveCustomRoutine(routine));
+  return result;
+}
+
+// Copy of an object with only the fields a share file carries
+function pick(source, fields) {
+  const out = {};
+  Object.keys(fields).forEach((key) => {
+    if (source[key] !== undefined) out[key] = source[key];
+  });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * buildShareFile
+ * Builds a share file object. Defaults to every saved custom exercise and routine.
+ */
+export function buildShareFile({ exercises = loadCustomExercises(), routines = loadCustomRoutines() } = {}) {
+  return {
+    format: SHARE_FILE_FORMAT,
+    version: SHARE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exercises: exercises.map((e) => pick(e, EXERCISE_FIELDS)),
+    routines: routines.map((r) => ({
+      ...pick(r, ROUTINE_FIELDS),
+      items: r.items.map((it) => pick(it, ROUTINE_ITEM_FIELDS)),
+      cooldown: (r.cooldown || []).map((it) => pick(it, COOLDOWN_FIELDS)),
+    })),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getShareFileName
+ * Download name for an export, e.g. "fitness-tv-workouts-2024-05-01.json".
+ */
+export function getShareFileName(timestamp = Date.now()) {
+  return `${SHARE_FILE_FORMAT}-${getDayKey(timestamp)}.json`;
+}
@@ -0,0 +1,137 @@
+import {
+  CONFLICT_STRATEGIES,
+  IMPORT_CONFLICTS,
+  SHARE_FILE_FORMAT,
+  SHARE_FILE_VERSION,
+  buildShareFile,
+  importShareData,
+  parseShareText,
+  planImport,
+  validateShareFile,
+} from './importExport';
+import { findExerciseById } from './exercises';
+import { deleteCustomExercise, loadCustomExercises } from './customExercises';
+import { loadCustomRoutines, saveCustomRoutine } from './customRoutines';
+
+const wallSit = { id: 'wall-sit', name: 'Wall Sit', category: 'Strength', durationDefault: 45 };
+
+const shareFile = (overrides = {}) => ({
+  format: SHARE_FILE_FORMAT,
+  version: SHARE_FILE_VERSION,
+  exercises: [wallSit],
+  routines: [
+    {
+      id: 'leg-day',
+      name: 'Leg Day',
+      rounds: 2,
+      items: [
+        { exerciseId: 'wall-sit', workSeconds: 45, restSeconds: 15 },
+        { exerciseId: 'st-squats', workSeconds: 40 },
+      ],
+    },
+  ],
+  ...overrides,
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  // The exercise store caches its contents, so empty it through the store
+  loadCustomExercises().forEach((e) => deleteCustomExercise(e.id));
+});
+
+describe('validateShareFile', () => {
+  test('accepts a well-formed file and references to built-in or bundled exercises', () => {
+    const result = validateShareFile(shareFile());
+    expect(result.errors).toEqual([]);
+    expect(result.ok).toBe(true);
+    expect(result.data.routines[0].items).toHaveLength(2);
+  });
+
+  test('explains every problem with the item it belongs to', () => {
+    const result = validateShareFile(
+      shareFile({
+        exercises: [{ id: 'Wall Sit', durationDefault: '45' }],
+        routines: [{ id: 'leg-day', name: 'Leg Day', rounds: 0, items: [{ exerciseId: 'nope', workSeconds: 30 }] }],
+      })
+    );
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      'Exercise 1 (Wall Sit): "id" must be an id of lowercase letters, digits and dashes (got "Wall Sit").',
+      'Exercise 1 (Wall Sit): "name" is missing.',
+      'Exercise 1 (Wall Sit): "durationDefault" must be a whole number from 1 to 3600 (got "45").',
+      'Routine 1 (leg-day): "rounds" must be a whole number from 1 to 50 (got 0).',
+      'Routine 1 (leg-day): exercise "nope" is not in this file or on this TV.',
+    ]);
+  });
+
+  test('rejects other formats, newer versions and bad JSON', () => {
+    expect(validateShareFile({ exercises: [] }).errors[0]).toMatch(/not a workout file/);
+    expect(validateShareFile(shareFile({ version: SHARE_FILE_VERSION + 1 })).errors[0]).toMatch(/newer version/);
+    expect(parseShareText('{ "format": ').errors[0]).toMatch(/^This is not valid JSON/);
+    expect(parseShareText('  ').ok).toBe(false);
+  });
+
+  test('accepts only catalog categories', () => {
+    const result = validateShareFile(shareFile({ exercises: [{ ...wallSit, category: 'Custom' }] }));
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      'Exercise 1 (wall-sit): "category" must be one of Quick, Warm-up, Strength, Cardio, Flexibility, Core (got "Custom").',
+    ]);
+  });
+
+  test('ignores unknown fields with a warning', () => {
+    const result = validateShareFile(shareFile({ exercises: [{ ...wallSit, color: 'red' }] }));
+    expect(result.ok).toBe(true);
+    expect(result.warnings).toEqual(['Exercise 1 (wall-sit): unknown field "color" was ignored.']);
+    expect(result.data.exercises[0].color).toBeUndefined();
+  });
+});
+
+describe('importing', () => {
+  test('renames ids that clash with built-ins and updates references to them', () => {
+    const file = shareFile({
+      exercises: [{ ...wallSit, id: 'st-pushups', name: 'My Push-ups' }],
+      routines: [{ id: 'quick-hiit', name: 'HIIT', rounds: 1, items: [{ exerciseId: 'st-pushups', workSeconds: 30 }] }],
+    });
+    const { data } = validateShareFile(file);
+    const plan = planImport(data);
+    expect(plan.exercises[0].conflict).toBe(IMPORT_CONFLICTS.BUILT_IN);
+    expect(plan.routines[0].conflict).toBe(IMPORT_CONFLICTS.BUILT_IN);
+
+    const result = importShareData(data);
+    expect(result.renamed).toEqual([
+      { kind: 'exercise', from: 'st-pushups', to: 'st-pushups-imported' },
+      { kind: 'routine', from: 'quick-hiit', to: 'quick-hiit-imported' },
+    ]);
+    expect(findExerciseById('st-pushups').name).toBe('Push-ups');
+    expect(findExerciseById('st-pushups-imported').name).toBe('My Push-ups');
+    expect(loadCustomRoutines()[0].items[0].exerciseId).toBe('st-pushups-imported');
+  });
+
+  test('replaces or keeps saved custom items as chosen', () => {
+    saveCustomRoutine({ id: 'leg-day', name: 'Old Leg Day', rounds: 1, items: [] });
+    const { data } = validateShareFile(shareFile());
+    expect(planImport(data).routines[0].conflict).toBe(IMPORT_CONFLICTS.CUSTOM);
+
+    importShareData(data, { onCustomConflict: CONFLICT_STRATEGIES.KEEP_BOTH });
+    expect(loadCustomRoutines().map((r) => r.id).sort()).toEqual(['leg-day', 'leg-day-imported']);
+
+    importShareData(data, { onCustomConflict: CONFLICT_STRATEGIES.REPLACE });
+    expect(loadCustomRoutines().find((r) => r.id === 'leg-day').name).toBe('Leg Day');
+    expect(loadCustomExercises().map((e) => e.id)).toEqual(['wall-sit']);
+  });
+
+  test('gives exercises without a category one from the catalog', () => {
+    importShareData(validateShareFile(shareFile({ exercises: [{ ...wallSit, category: undefined }] })).data);
+    expect(findExerciseById('wall-sit').category).toBe('Strength');
+  });
+
+  test('an export imports back unchanged', () => {
+    importShareData(validateShareFile(shareFile()).data);
+    const exported = JSON.parse(JSON.stringify(buildShareFile()));
+    const again = validateShareFile(exported);
+    expect(again.ok).toBe(true);
+    expect(again.warnings).toEqual([]);
+    expect(again.data.exercises).toEqual(loadCustomExercises());
+  });
+});
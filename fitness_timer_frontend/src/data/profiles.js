@@ -0,0 +1,185 @@
+//
+// PUBLIC_INTERFACE
+// profiles.js
+// Household profiles: who is working out on this TV. Each profile has a name, an avatar color from
+// the Ocean palette and a fitness level, and its own history, favorites, custom routines,
+// preferences and resumable run (stores that build their key with profileKey(), see
+// utils/storage.js).
+// The profile list itself is shared. Data recorded before the first profile was created is handed
+// to that profile. A guest (GUEST_PROFILE) can work out without recording anything.
+//
+import {
+  GUEST_PROFILE_ID,
+  getStorageProfile,
+  moveKeysToProfile,
+  readJSON,
+  removeProfileData,
+  setStorageProfile,
+  writeJSON,
+} from '../utils/storage';
+import { DIFFICULTY_ORDER } from './browse';
+import { debugLog } from '../utils/debug';
+
+const STORAGE_KEY = 'profiles';
+const STORE_VERSION = 1;
+
+// Per-profile stores whose pre-profile data the first profile takes over
+const PROFILE_DATA_KEYS = ['history', 'favorites', 'customRoutines', 'preferences', 'activeSession'];
+
+// PUBLIC_INTERFACE
+export const MAX_PROFILES = 8;
+
+// PUBLIC_INTERFACE
+export const PROFILE_NAME_MAX_LENGTH = 20;
+
+// PUBLIC_INTERFACE
+/**
+ * PROFILE_COLORS
+ * Avatar colors, drawn from the Ocean Professional palette.
+ */
+export const PROFILE_COLORS = [
+  { id: 'ocean', label: 'Ocean', value: '#2563EB' },
+  { id: 'amber', label: 'Amber', value: '#F59E0B' },
+  { id: 'teal', label: 'Teal', value: '#14B8A6' },
+  { id: 'navy', label: 'Navy', value: '#1E3A8A' },
+  { id: 'mint', label: 'Mint', value: '#34D399' },
+  { id: 'sand', label: 'Sand', value: '#FDE68A' },
+];
+
+// PUBLIC_INTERFACE
+/** Fitness levels a profile can pick, easiest first (same scale as exercise difficulty) */
+export const FITNESS_LEVELS = DIFFICULTY_ORDER;
+
+// PUBLIC_INTERFACE
+/**
+ * GUEST_PROFILE
+ * Stand-in profile for guest mode: nothing is recorded and settings last only for the visit.
+ */
+export const GUEST_PROFILE = Object.freeze({
+  id: GUEST_PROFILE_ID,
+  name: 'Guest',
+  color: '#9CA3AF',
+  level: null,
+  guest: true,
+});
+
+function loadStore() {
+  const data = readJSON(STORAGE_KEY, null);
+  if (!data || data.version !== STORE_VERSION || !Array.isArray(data.profiles)) {
+    return { profiles: [], lastProfileId: null };
+  }
+  return { profiles: data.profiles, lastProfileId: data.lastProfileId || null };
+}
+
+function persist(store) {
+  writeJSON(STORAGE_KEY, { version: STORE_VERSION, ...store });
+  return store.profiles;
+}
+
+const colorOf = (color) => (PROFILE_COLORS.some((c) => c.value === color) ? color : PROFILE_COLORS[0].value);
+const levelOf = (level) => (FITNESS_LEVELS.includes(level) ? level : FITNESS_LEVELS[0]);
+const nameOf = (name, fallback) => String(name || '').trim().slice(0, PROFILE_NAME_MAX_LENGTH) || fallback;
+
+/**
+ * PUBLIC_INTERFACE
+ * loadProfiles
+ * Returns the household's profiles in the order they were created.
+ */
+export function loadProfiles() {
+  return loadStore().profiles;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findProfileById
+ * A saved profile by id, GUEST_PROFILE for the guest id, or null.
+ */
+export function findProfileById(id) {
+  if (id === GUEST_PROFILE_ID) return GUEST_PROFILE;
+  return loadProfiles().find((p) => p.id === id) || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getLastProfileId
+ * Id of the profile chosen most recently (never the guest), or null.
+ */
+export function getLastProfileId() {
+  return loadStore().lastProfileId;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createProfile
+ * Adds a profile and returns it, or null once MAX_PROFILES exist. A blank name becomes
+ * "Player N". The first profile takes over data recorded before profiles existed.
+ */
+export function createProfile({ name, color, level } = {}) {
+  const store = loadStore();
+  if (store.profiles.length >= MAX_PROFILES) return null;
+  const profile = {
+    id: `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: nameOf(name, `Player ${store.profiles.length + 1}`),
+    color: colorOf(color),
+    level: levelOf(level),
+    createdAt: Date.now(),
+  };
+  if (!store.profiles.length) {
+    debugLog('Profiles', 'first profile adopts existing data', profile.id);
+    moveKeysToProfile(PROFILE_DATA_KEYS, profile.id);
+  }
+  persist({ ...store, profiles: [...store.profiles, profile] });
+  return profile;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updateProfile
+ * Renames or restyles a profile ({ name?, color?, level? }). Returns the updated profile or null.
+ */
+export function updateProfile(id, patch = {}) {
+  const store = loadStore();
+  const current = store.profiles.find((p) => p.id === id);
+  if (!current) return null;
+  const updated = {
+    ...current,
+    name: patch.name !== undefined ? nameOf(patch.name, current.name) : current.name,
+    color: patch.color !== undefined ? colorOf(patch.color) : current.color,
+    level: patch.level !== undefined ? levelOf(patch.level) : current.level,
+  };
+  persist({ ...store, profiles: store.profiles.map((p) => (p.id === id ? updated : p)) });
+  return updated;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteProfile
+ * Removes a profile together with all of its data. Deleting the active profile leaves no profile
+ * selected. Returns the remaining profiles.
+ */
+export function deleteProfile(id) {
+  const store = loadStore();
+  if (!store.profiles.some((p) => p.id === id)) return store.profiles;
+  debugLog('Profiles', 'delete', id);
+  removeProfileData(id);
+  if (getStorageProfile() === id) setStorageProfile(null);
+  return persist({
+    profiles: store.profiles.filter((p) => p.id !== id),
+    lastProfileId: store.lastProfileId === id ? null : store.lastProfileId,
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * selectProfile
+ * Makes a profile (or GUEST_PROFILE_ID) the one whose data is read and written, and remembers it
+ * for next launch unless it is the guest. Returns the profile, or null for an unknown id.
+ */
+export function selectProfile(id) {
+  const profile = findProfileById(id);
+  if (!profile) return null;
+  debugLog('Profiles', 'select', id);
+  setStorageProfile(profile.id);
+  if (!profile.guest) persist({ ...loadStore(), lastProfileId: profile.id });
+  return profile;
+}
@@ -0,0 +1,50 @@
+import { STORAGE_PREFIX, setStorageProfile } from '../utils/storage';
+import { GUEST_PROFILE, createProfile, deleteProfile, getLastProfileId, loadProfiles, selectProfile } from './profiles';
+import { loadHistory, recordSession } from './history';
+
+const keysStartingWith = (prefix) => Object.keys(localStorage).filter((k) => k.startsWith(STORAGE_PREFIX + prefix));
+
+beforeEach(() => {
+  setStorageProfile(null);
+  localStorage.clear();
+});
+
+test('the first profile takes over history recorded before profiles existed', () => {
+  recordSession({ name: 'Plank' });
+  const first = createProfile({ name: '  Sam  ', level: 'Advanced' });
+  expect(first).toMatchObject({ name: 'Sam', level: 'Advanced' });
+  expect(localStorage.getItem(STORAGE_PREFIX + 'history')).toBeNull();
+
+  selectProfile(first.id);
+  expect(loadHistory().map((s) => s.name)).toEqual(['Plank']);
+  expect(getLastProfileId()).toBe(first.id);
+
+  const second = createProfile({});
+  expect(second.name).toBe('Player 2');
+  selectProfile(second.id);
+  expect(loadHistory()).toEqual([]);
+});
+
+test('guests record nothing and leave nothing in storage', () => {
+  const sam = createProfile({ name: 'Sam' });
+  selectProfile(sam.id);
+  selectProfile(GUEST_PROFILE.id);
+  expect(recordSession({ name: 'Plank' })).toBeNull();
+  expect(loadHistory()).toEqual([]);
+  expect(keysStartingWith('profile.guest.')).toEqual([]);
+  expect(getLastProfileId()).toBe(sam.id);
+});
+
+test('deleting a profile removes its data and deselects it', () => {
+  const sam = createProfile({ name: 'Sam' });
+  const alex = createProfile({ name: 'Alex' });
+  selectProfile(sam.id);
+  recordSession({ name: 'Plank' });
+  expect(keysStartingWith(`profile.${sam.id}.`)).not.toEqual([]);
+
+  deleteProfile(sam.id);
+  expect(keysStartingWith(`profile.${sam.id}.`)).toEqual([]);
+  expect(loadProfiles().map((p) => p.id)).toEqual([alex.id]);
+  expect(getLastProfileId()).toBeNull();
+  expect(loadHistory()).toEqual([]);
+});
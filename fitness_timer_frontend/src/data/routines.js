@@ -0,0 +1,127 @@
+//
+// PUBLIC_INTERFACE
+// routines.js
+// Guided workout routines composed of exercises from EXERCISE_SECTIONS.
+// A routine lists exercise ids with per-item work/rest seconds and is repeated for `rounds`;
+// buildRoutinePhases() turns it into the phase list consumed by intervalSequence().
+//
+import { findExerciseById } from './exercises';
+import { PHASE_TYPES, getSequenceTotalSeconds } from '../utils/intervals';
+
+// PUBLIC_INTERFACE
+export const ROUTINES = [
+  {
+    id: 'quick-hiit',
+    name: 'Quick HIIT',
+    description: 'Two fast rounds of cardio intervals to get your heart rate up.',
+    difficulty: 'Intermediate',
+    thumbnail: '/assets/quick-hiit.jpeg',
+    prepSeconds: 20,
+    rounds: 2,
+    items: [
+      { exerciseId: 'wu-jumping-jacks', workSeconds: 40, restSeconds: 20 },
+      { exerciseId: 'ca-mountain-climbers', workSeconds: 40, restSeconds: 20 },
+      { exerciseId: 'ca-fast-feet', workSeconds: 40, restSeconds: 20 },
+      { exerciseId: 'ca-skater-hops', workSeconds: 40, restSeconds: 20 },
+      { exerciseId: 'ca-burpees', workSeconds: 40, restSeconds: 20 },
+    ],
+    cooldown: [],
+  },
+  {
+    id: 'core-starter',
+    name: 'Core Starter',
+    description: 'Beginner-friendly core circuit with short holds and a gentle cool down.',
+    difficulty: 'Beginner',
+    thumbnail: '/assets/core-starter.jpeg',
+    prepSeconds: 15,
+    rounds: 2,
+    items: [
+      { exerciseId: 'cr-dead-bug', workSeconds: 30, restSeconds: 15 },
+      { exerciseId: 'st-glute-bridge', workSeconds: 30, restSeconds: 15 },
+      { exerciseId: 'st-plank', workSeconds: 30, restSeconds: 15 },
+      { exerciseId: 'cr-bicycle-crunch', workSeconds: 30, restSeconds: 15 },
+      { exerciseId: 'cr-side-plank', workSeconds: 30, restSeconds: 15 },
+    ],
+    cooldown: [{ exerciseId: 'flx-cat-cow', workSeconds: 30 }],
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * buildRoutinePhases
+ * Expands a routine into intervalSequence() phases:
+ * prep → (work, rest) × items × rounds → cooldown. The rest after the very last work phase is
+ * dropped. Work/cooldown phases carry `exerciseId`; every phase carries 1-based `round`.
+ * Options:
+ * - prepSeconds?: number | null - replaces the routine's own prep length (0 skips the prep phase)
+ */
+export function buildRoutinePhases(routine, { prepSeconds = null } = {}) {
+  if (!routine) return [];
+  const prep = typeof prepSeconds === 'number' ? prepSeconds : routine.prepSeconds;
+  const items = Array.isArray(routine.items) ? routine.items : [];
+  const rounds = Math.max(1, Math.floor(routine.rounds || 1));
+  const nameOf = (id) => findExerciseById(id)?.name || id;
+  const phases = [];
+
+  if (prep > 0 && items.length) {
+    phases.push({
+      type: PHASE_TYPES.PREP,
+      durationSeconds: prep,
+      label: 'Get Ready',
+      exerciseId: null,
+      round: 1,
+    });
+  }
+
+  for (let round = 1; round <= rounds; round += 1) {
+    items.forEach((item, i) => {
+      phases.push({
+        type: PHASE_TYPES.WORK,
+        durationSeconds: item.workSeconds,
+        label: nameOf(item.exerciseId),
+        exerciseId: item.exerciseId,
+        round,
+      });
+      const isLast = round === rounds && i === items.length - 1;
+      if (item.restSeconds > 0 && !isLast) {
+        phases.push({
+          type: PHASE_TYPES.REST,
+          durationSeconds: item.restSeconds,
+          label: 'Rest',
+          exerciseId: null,
+          round,
+        });
+      }
+    });
+  }
+
+  (Array.isArray(routine.cooldown) ? routine.cooldown : []).forEach((item) => {
+    phases.push({
+      type: PHASE_TYPES.COOLDOWN,
+      durationSeconds: item.workSeconds,
+      label: nameOf(item.exerciseId),
+      exerciseId: item.exerciseId,
+      round: rounds,
+    });
+  });
+
+  return phases;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * getRoutineTotalSeconds
+ * Total planned duration of a routine in seconds.
+ */
+export function getRoutineTotalSeconds(routine) {
+  return getSequenceTotalSeconds(buildRoutinePhases(routine));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * findRoutineById
+ * Finds a built-in routine by ID, or null if not found.
+ */
+export function findRoutineById(id) {
+  return ROUTINES.find((r) => r.id === id) || null;
+}
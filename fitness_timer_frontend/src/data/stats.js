@@ -0,0 +1,157 @@
+//
+// PUBLIC_INTERFACE
+// stats.js
+// Derived workout statistics over session history: day streaks, minutes per week and time per
+// exercise category. Pure functions; pass `now` to make results deterministic.
+//
+import { EXERCISE_SECTIONS, findExerciseById } from './exercises';
+import { buildRoutinePhases } from './routines';
+import { findAnyRoutineById } from './customRoutines';
+import { getDayKey, SESSION_STATUS } from './history';
+
+// PUBLIC_INTERFACE
+/**
+ * STAT_CATEGORIES
+ * Exercise categories tracked by the dashboard, in catalog order (the Quick section is excluded).
+ */
+export const STAT_CATEGORIES = EXERCISE_SECTIONS.filter((s) => s.id !== 'quick').map((s) => s.title);
+
+// Local midnight for a timestamp
+function startOfDay(timestamp) {
+  const d = new Date(timestamp);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+// Local Monday 00:00 of the week containing the timestamp
+function startOfWeek(timestamp) {
+  const d = startOfDay(timestamp);
+  const offset = (d.getDay() + 6) % 7;
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - offset);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeStreaks
+ * Counts consecutive local days with at least one completed session.
+ * The current streak stays alive through today if yesterday was active.
+ * Returns { current, longest, activeDays }.
+ */
+export function computeStreaks(sessions, now = Date.now()) {
+  const days = new Set(
+    (Array.isArray(sessions) ? sessions : [])
+      .filter((s) => s.status === SESSION_STATUS.COMPLETED)
+      .map((s) => getDayKey(s.startedAt))
+  );
+  const sorted = Array.from(days).sort();
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  sorted.forEach((key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    // Compare via calendar dates so DST shifts don't break adjacency
+    const isNext = prev && getDayKey(new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + 1).getTime()) === key;
+    run = isNext ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = date;
+  });
+
+  const today = startOfDay(now);
+  let cursor = days.has(getDayKey(today.getTime()))
+    ? today
+    : new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  let current = 0;
+  while (days.has(getDayKey(cursor.getTime()))) {
+    current += 1;
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() - 1);
+  }
+
+  return { current, longest, activeDays: days.size };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeWeeklyMinutes
+ * Active minutes per Monday-based week for the last `weeks` weeks (oldest first, current week last).
+ * Returns Array<{ weekStart: Date, minutes: number }>.
+ */
+export function computeWeeklyMinutes(sessions, weeks = 8, now = Date.now()) {
+  const thisWeek = startOfWeek(now);
+  const buckets = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 7 * (weeks - 1 - i)),
+    seconds: 0,
+  }));
+  (Array.isArray(sessions) ? sessions : []).forEach((s) => {
+    const ws = startOfWeek(s.startedAt).getTime();
+    const bucket = buckets.find((b) => b.weekStart.getTime() === ws);
+    if (bucket) bucket.seconds += s.actualSeconds || 0;
+  });
+  return buckets.map((b) => ({ weekStart: b.weekStart, minutes: Math.round(b.seconds / 60) }));
+}
+
+/**
+ * Splits one session's active seconds across categories. Routines are split by their planned
+ * work time per exercise category, scaled to the actual time spent.
+ */
+function categorySecondsForSession(session) {
+  const result = {};
+  const actual = session.actualSeconds || 0;
+  if (!actual) return result;
+
+  if (session.kind === 'routine') {
+    const routine = findAnyRoutineById(session.refId);
+    const planned = {};
+    let plannedTotal = 0;
+    buildRoutinePhases(routine).forEach((p) => {
+      const category = p.exerciseId ? findExerciseById(p.exerciseId)?.category : null;
+      if (!category) return;
+      planned[category] = (planned[category] || 0) + p.durationSeconds;
+      plannedTotal += p.durationSeconds;
+    });
+    Object.keys(planned).forEach((c) => {
+      result[c] = (actual * planned[c]) / plannedTotal;
+    });
+    return result;
+  }
+
+  const category = findExerciseById(session.refId)?.category;
+  if (category) result[category] = actual;
+  return result;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeCategoryBreakdown
+ * Active minutes per STAT_CATEGORIES entry (every category is present, possibly 0).
+ * Returns Array<{ category, minutes }>.
+ */
+export function computeCategoryBreakdown(sessions) {
+  const totals = Object.fromEntries(STAT_CATEGORIES.map((c) => [c, 0]));
+  (Array.isArray(sessions) ? sessions : []).forEach((s) => {
+    const split = categorySecondsForSession(s);
+    Object.keys(split).forEach((c) => {
+      if (c in totals) totals[c] += split[c];
+    });
+  });
+  return STAT_CATEGORIES.map((category) => ({ category, minutes: Math.round(totals[category] / 60) }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeStatsSummary
+ * One-call summary for the dashboard.
+ * Returns { streaks, weekly, categories, totalMinutes, completedCount, thisWeekMinutes }.
+ */
+export function computeStatsSummary(sessions, now = Date.now()) {
+  const list = Array.isArray(sessions) ? sessions : [];
+  const weekly = computeWeeklyMinutes(list, 8, now);
+  return {
+    streaks: computeStreaks(list, now),
+    weekly,
+    categories: computeCategoryBreakdown(list),
+    totalMinutes: Math.round(list.reduce((acc, s) => acc + (s.actualSeconds || 0), 0) / 60),
+    completedCount: list.filter((s) => s.status === SESSION_STATUS.COMPLETED).length,
+    thisWeekMinutes: weekly.length ? weekly[weekly.length - 1].minutes : 0,
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment ./src/timeZoneEnvironment.js
+ * @time-zone America/New_York
+ */
+// Fixed dates around the daylight saving changes of America/New_York: in 2026 clocks spring
+// forward on Sunday March 8 (a 23-hour day) and fall back on Sunday November 1 (a 25-hour day)
+import { computeCategoryBreakdown, computeStreaks, computeWeeklyMinutes, STAT_CATEGORIES } from './stats';
+import { SESSION_STATUS } from './history';
+
+const at = (y, m, d, h = 12, min = 0) => new Date(y, m - 1, d, h, min).getTime();
+const session = (startedAt, actualSeconds = 600, extra = {}) => ({
+  kind: 'exercise',
+  refId: 'st-pushups',
+  startedAt,
+  actualSeconds,
+  status: SESSION_STATUS.COMPLETED,
+  ...extra,
+});
+
+test('runs in the time zone set for this file', () => {
+  expect(at(2026, 3, 9, 0) - at(2026, 3, 8, 0)).toBe(23 * 3600 * 1000);
+  expect(at(2026, 11, 2, 0) - at(2026, 11, 1, 0)).toBe(25 * 3600 * 1000);
+});
+
+test('streaks run across the spring-forward day and break on a missed day', () => {
+  const sessions = [
+    session(at(2026, 3, 4)),
+    // missed March 5 and 6
+    session(at(2026, 3, 7, 22)),
+    session(at(2026, 3, 8, 23, 30)),
+    session(at(2026, 3, 9, 0, 15)),
+    session(at(2026, 3, 10, 9), 600, { status: SESSION_STATUS.ABANDONED }),
+  ];
+  expect(computeStreaks(sessions, at(2026, 3, 9, 18))).toEqual({ current: 3, longest: 3, activeDays: 4 });
+  // Nothing yet today (the abandoned run does not count): yesterday keeps the streak alive
+  expect(computeStreaks(sessions, at(2026, 3, 10, 20)).current).toBe(3);
+  expect(computeStreaks(sessions, at(2026, 3, 11, 8)).current).toBe(0);
+});
+
+test('streaks run across the fall-back day', () => {
+  const sessions = [session(at(2026, 10, 31, 23)), session(at(2026, 11, 1, 0, 30)), session(at(2026, 11, 2, 6))];
+  expect(computeStreaks(sessions, at(2026, 11, 2, 12))).toEqual({ current: 3, longest: 3, activeDays: 3 });
+});
+
+test('weekly minutes split at local Monday midnight, DST weeks included', () => {
+  const sessions = [
+    session(at(2026, 3, 2, 0, 5), 300), // Monday of the spring-forward week
+    session(at(2026, 3, 8, 23, 30), 600), // its Sunday, the 23-hour day
+    session(at(2026, 3, 9, 0, 15), 1200), // next Monday
+    session(at(2026, 2, 22, 12), 6000), // outside the window
+  ];
+  const weeks = computeWeeklyMinutes(sessions, 2, at(2026, 3, 11));
+  expect(weeks.map((w) => w.weekStart.getTime())).toEqual([at(2026, 3, 2, 0), at(2026, 3, 9, 0)]);
+  expect(weeks.map((w) => w.minutes)).toEqual([15, 20]);
+
+  const fall = computeWeeklyMinutes([session(at(2026, 11, 1, 23, 30), 1800)], 2, at(2026, 11, 2, 0, 30));
+  expect(fall.map((w) => w.weekStart.getTime())).toEqual([at(2026, 10, 26, 0), at(2026, 11, 2, 0)]);
+  expect(fall.map((w) => w.minutes)).toEqual([30, 0]);
+});
+
+test('category split credits exercises and spreads routines by planned work time', () => {
+  const sessions = [
+    session(at(2026, 3, 2), 300),
+    // Quick HIIT plans 80s of warm-up and 320s of cardio work
+    session(at(2026, 3, 3), 600, { kind: 'routine', refId: 'quick-hiit' }),
+    session(at(2026, 3, 4), 600, { refId: 'no-such-exercise' }),
+  ];
+  const minutes = Object.fromEntries(computeCategoryBreakdown(sessions).map((c) => [c.category, c.minutes]));
+  expect(Object.keys(minutes)).toEqual(STAT_CATEGORIES);
+  expect(minutes).toMatchObject({ Strength: 5, 'Warm-up': 2, Cardio: 8, Flexibility: 0, Core: 0 });
+});
@@ -1,6 +1,9 @@
-import { useCallback, useEffect, useRef, useState } from 'react';
-import { normalizeTVKey, isArrow, isActivationKey, isBackKey } from '../utils/tvKeyMap';
+import { useCallback, useRef, useState } from 'react';
+import { isArrow, isActivationKey, isBackKey } from '../utils/tvKeyMap';
 import { debugLog } from '../utils/debug';
+import { getScrollBehavior } from '../utils/motion';
+import { KEY_PRIORITY } from '../components/FocusManager';
+import useKeyHandler from './useKeyHandler';
 
 /**
  * PUBLIC_INTERFACE
@@ -18,6 +21,8 @@ import { debugLog } from '../utils/debug';
  *   - getRef(row, col): function returning ref to DOM element for focus/scroll
  *   - loop: boolean to loop within bounds (default false)
  *   - verticalFirst: boolean to prefer vertical navigation on Up/Down (default true)
+ *   - itemCount: total items when the last row may be partial (row-major); moves past the last
+ *     item land on it instead of an empty cell
  *
  * Returns:
  * - state:
@@ -25,7 +30,11 @@ import { debugLog } from '../utils/debug';
  *   - focusedColIndex
  * - handlers:
  *   - setFocused(row, col)
- * - effect: installs keydown listener for D-pad navigation
+ *   - syncFocused(row, col) - update indices only (focus already moved, e.g. by FocusManager)
+ * - containerRef: attach to the grid element to scope keys to it. While attached, keys are only
+ *   handled when focus is inside the container, and arrows at a non-looping edge are left to
+ *   FocusManager so focus can move spatially out of the grid.
+ * - effect: registers a row-priority handler on FocusManager's key-routing stack
  */
 export default function useDpadNavigation(options) {
   const {
@@ -38,12 +47,13 @@ export default function useDpadNavigation(options) {
     getRef,
     loop = false,
     verticalFirst = true,
+    itemCount,
   } = options || {};
+  const lastIndex = typeof itemCount === 'number' ? itemCount - 1 : null;
 
   const [focusedRowIndex, setFocusedRowIndex] = useState(initialRow);
   const [focusedColIndex, setFocusedColIndex] = useState(initialCol);
   const containerRef = useRef(null);
-  const listenerAttachedRef = useRef(false);
 
   const setFocused = useCallback((r, c) => {
     setFocusedRowIndex(r);
@@ -54,9 +64,9 @@ export default function useDpadNavigation(options) {
       const el = ref && ref.current;
       if (el) {
         if (typeof el.scrollIntoView === 'function') {
-          // Use smooth scroll and try to center in view horizontally
+          // Scroll (smoothly unless motion is reduced) and try to center in view horizontally
           try {
-            el.scrollIntoView({ block: 'nearest', inline: 'center', behavior: 'smooth' });
+            el.scrollIntoView({ block: 'nearest', inline: 'center', behavior: getScrollBehavior() });
           } catch {
             try {
               el.scrollIntoView({ block: 'nearest', inline: 'center' });
@@ -75,8 +85,26 @@ export default function useDpadNavigation(options) {
     }
   }, [getRef]);
 
+  const syncFocused = useCallback((r, c) => {
+    setFocusedRowIndex(r);
+    setFocusedColIndex(c);
+  }, []);
+
   const clampVal = (val, min, max) => Math.max(min, Math.min(max, val));
 
+  // Whether an arrow would move past a non-looping edge of the grid
+  const isAtEdge = useCallback((key) => {
+    if (loop) return false;
+    if (key === 'ArrowUp') return focusedRowIndex <= 0;
+    if (key === 'ArrowDown') return focusedRowIndex >= (rowCount || 1) - 1;
+    if (key === 'ArrowLeft') return focusedColIndex <= 0;
+    if (key === 'ArrowRight') {
+      if (lastIndex !== null && focusedRowIndex * (colCount || 1) + focusedColIndex >= lastIndex) return true;
+      return focusedColIndex >= (colCount || 1) - 1;
+    }
+    return false;
+  }, [loop, focusedRowIndex, focusedColIndex, rowCount, colCount, lastIndex]);
+
   const handleArrow = useCallback((key) => {
     let nextRow = focusedRowIndex;
     let nextCol = focusedColIndex;
@@ -97,57 +125,44 @@ export default function useDpadNavigation(options) {
 
     nextRow = clampVal(nextRow, 0, Math.max(0, (rowCount || 1) - 1));
     nextCol = clampVal(nextCol, 0, Math.max(0, (colCount || 1) - 1));
+
+    // Partial last row: never land on an empty cell
+    if (lastIndex !== null && nextRow * (colCount || 1) + nextCol > lastIndex) {
+      if (key === 'ArrowRight') nextCol = loop ? 0 : focusedColIndex;
+      else nextCol = Math.max(0, lastIndex - nextRow * (colCount || 1));
+    }
     debugLog('useDpad', 'arrow', key, '->', { nextRow, nextCol });
     setFocused(nextRow, nextCol);
-  }, [focusedRowIndex, focusedColIndex, loop, rowCount, colCount, setFocused]);
+  }, [focusedRowIndex, focusedColIndex, loop, rowCount, colCount, lastIndex, setFocused]);
 
-  const onKeyDown = useCallback((e) => {
-    const norm = normalizeTVKey(e);
+  // Routed through FocusManager at row priority, so modals/players/screens and timers above it
+  // win; while containerRef is attached the grid only hears keys when focus is inside it
+  useKeyHandler((_e, norm) => {
     if (isArrow(norm)) {
-      try { e.preventDefault(); } catch { /* noop */ }
-      try { e.stopPropagation(); } catch { /* noop */ }
+      if (containerRef.current && isAtEdge(norm)) return false;
       handleArrow(norm);
-      return;
+      return true;
     }
     if (isActivationKey(norm)) {
-      try { e.preventDefault(); } catch { /* noop */ }
-      try { e.stopPropagation(); } catch { /* noop */ }
-      if (typeof onEnter === 'function') {
-        debugLog('useDpad', 'enter', { focusedRowIndex, focusedColIndex });
-        onEnter(focusedRowIndex, focusedColIndex);
-      }
-      return;
+      if (typeof onEnter !== 'function') return false;
+      debugLog('useDpad', 'enter', { focusedRowIndex, focusedColIndex });
+      onEnter(focusedRowIndex, focusedColIndex);
+      return true;
     }
     if (isBackKey(norm)) {
-      try { e.preventDefault(); } catch { /* noop */ }
-      try { e.stopPropagation(); } catch { /* noop */ }
-      if (typeof onBack === 'function') {
-        debugLog('useDpad', 'back', { focusedRowIndex, focusedColIndex });
-        onBack(focusedRowIndex, focusedColIndex);
-      }
+      if (typeof onBack !== 'function') return false;
+      debugLog('useDpad', 'back', { focusedRowIndex, focusedColIndex });
+      onBack(focusedRowIndex, focusedColIndex);
+      return true;
     }
-  }, [handleArrow, onEnter, onBack, focusedRowIndex, focusedColIndex]);
-
-  useEffect(() => {
-    if (listenerAttachedRef.current) return undefined;
-    window.addEventListener('keydown', onKeyDown, true); // capture to out-prioritize default scrolling
-    listenerAttachedRef.current = true;
-    debugLog('useDpad', 'listener attached');
-    return () => {
-      try {
-        window.removeEventListener('keydown', onKeyDown, true);
-        listenerAttachedRef.current = false;
-        debugLog('useDpad', 'listener removed');
-      } catch {
-        /* ignore */
-      }
-    };
-  }, [onKeyDown]);
+    return false;
+  }, { priority: KEY_PRIORITY.ROW, scopeRef: containerRef, focusWithin: true });
 
   return {
     focusedRowIndex,
     focusedColIndex,
     setFocused,
+    syncFocused,
     containerRef,
   };
 }
@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { getFeatureFlags, subscribeFeatureFlags } from '../utils/featureFlags';
+
+/**
+ * PUBLIC_INTERFACE
+ * useFeatureFlags
+ * The feature flags in effect (see utils/featureFlags.js); re-renders when they change, e.g. from
+ * the developer menu.
+ */
+export default function useFeatureFlags() {
+  const [flags, setFlags] = useState(getFeatureFlags);
+
+  useEffect(() => {
+    // Catch a change made between the first render and subscribing
+    setFlags(getFeatureFlags());
+    return subscribeFeatureFlags(setFlags);
+  }, []);
+
+  return flags;
+}
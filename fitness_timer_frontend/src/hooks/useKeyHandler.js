@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+import { useFocusManager, KEY_PRIORITY } from '../components/FocusManager';
+
+/**
+ * PUBLIC_INTERFACE
+ * useKeyHandler
+ * Registers a remote/keyboard handler on FocusManager's key-routing stack instead of a window
+ * listener. Handlers are offered keys top-most first (priority, then most recently mounted) and
+ * return true to consume a key; consumed keys get preventDefault/stopPropagation.
+ *
+ * Params:
+ * - handler(event, key): boolean - key is the normalized TV key (see normalizeTVKey)
+ * - options:
+ *   - priority: one of KEY_PRIORITY (default SURFACE)
+ *   - scopeRef: ref to the surface's root element
+ *   - focusWithin: only receive keys while focus is inside scopeRef (default false)
+ *   - blocking: hide keys from lower handlers that are not nested inside scopeRef (modals,
+ *     players and full screens; default false)
+ *   - enabled: register only while true (default true)
+ */
+export default function useKeyHandler(handler, options = {}) {
+  const {
+    priority = KEY_PRIORITY.SURFACE,
+    scopeRef = null,
+    focusWithin = false,
+    blocking = false,
+    enabled = true,
+  } = options;
+  const { addKeyHandler } = useFocusManager();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!enabled || typeof addKeyHandler !== 'function') return undefined;
+    return addKeyHandler({
+      handler: (e, key) => handlerRef.current(e, key) === true,
+      priority,
+      scopeRef,
+      focusWithin,
+      blocking,
+    });
+  }, [addKeyHandler, priority, scopeRef, focusWithin, blocking, enabled]);
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+
+// PUBLIC_INTERFACE
+/** How long OK (or a pointer) must be held to count as a long press */
+export const LONG_PRESS_MS = 600;
+
+/**
+ * PUBLIC_INTERFACE
+ * useLongPress
+ * Tells a short press from a held one. Call `start()` when OK or a pointer goes down (repeats are
+ * ignored) and `end()` when it is released: `end()` returns true for a short press, while holding
+ * past `delay` calls `onLongPress` and the release then does nothing. `consumeLongPress()` reports
+ * (once) that the last press was a long one, so the click that follows a held pointer is skipped.
+ *
+ * Params:
+ * - onLongPress: () => void - latest callback is always used
+ * - delay?: number (ms, default LONG_PRESS_MS)
+ */
+export default function useLongPress(onLongPress, delay = LONG_PRESS_MS) {
+  const handlerRef = useRef(onLongPress);
+  handlerRef.current = onLongPress;
+  const timerRef = useRef(null);
+  const firedRef = useRef(false);
+
+  const cancel = useCallback(() => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }, []);
+
+  const start = useCallback(() => {
+    if (timerRef.current) return;
+    firedRef.current = false;
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      firedRef.current = true;
+      if (typeof handlerRef.current === 'function') handlerRef.current();
+    }, delay);
+  }, [delay]);
+
+  const end = useCallback(() => {
+    const pressing = !!timerRef.current;
+    cancel();
+    return pressing;
+  }, [cancel]);
+
+  const consumeLongPress = useCallback(() => {
+    const fired = firedRef.current;
+    firedRef.current = false;
+    return fired;
+  }, []);
+
+  useEffect(() => cancel, [cancel]);
+
+  return useMemo(() => ({ start, end, cancel, consumeLongPress }), [start, end, cancel, consumeLongPress]);
+}
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * usePauseWhenHidden
+ * Calls `onHidden` when the app is backgrounded or about to be unloaded (document
+ * `visibilitychange` to hidden, `pagehide`), so a running timer pauses instead of silently
+ * finishing a set while the TV shows something else.
+ *
+ * Params:
+ * - onHidden: () => void - latest callback is always used
+ */
+export default function usePauseWhenHidden(onHidden) {
+  const handlerRef = useRef(onHidden);
+  handlerRef.current = onHidden;
+
+  useEffect(() => {
+    if (typeof document === 'undefined') return undefined;
+    const fire = () => {
+      if (typeof handlerRef.current === 'function') handlerRef.current();
+    };
+    const onVisibility = () => {
+      if (document.hidden) fire();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', fire);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', fire);
+    };
+  }, []);
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { isReducedMotion, subscribeMotion } from '../utils/motion';
+
+/**
+ * PUBLIC_INTERFACE
+ * useReducedMotion
+ * True while motion should be reduced (animationsOff flag, OS prefers-reduced-motion or the
+ * Reduce motion preference; see utils/motion.js). Re-renders when that changes.
+ */
+export default function useReducedMotion() {
+  const [reduced, setReduced] = useState(isReducedMotion);
+
+  useEffect(() => {
+    setReduced(isReducedMotion());
+    return subscribeMotion(setReduced);
+  }, []);
+
+  return reduced;
+}
@@ -0,0 +1,64 @@
+import { useCallback, useMemo, useRef } from 'react';
+import { recordSession, SESSION_STATUS } from '../data/history';
+import { debugLog } from '../utils/debug';
+
+/**
+ * PUBLIC_INTERFACE
+ * useSessionRecorder
+ * Tracks one workout session at a time and writes it to history when it ends.
+ *
+ * Params:
+ * - meta: { kind: 'exercise'|'routine', refId, name } - read at the moment the session ends
+ *
+ * Returns:
+ * - start({ plannedSeconds, mode? }): begin a session (replaces any unfinished one)
+ * - notePause(): count a pause
+ * - complete(actualSeconds, extra?): record as completed
+ * - abandon(actualSeconds, extra?): record as abandoned; sessions under 1 active second are dropped
+ *   (extra: additional session fields, e.g. sets/reps for rep-based exercises)
+ * - isActive(): whether a session is in progress
+ * All calls are no-ops when no session is active, so callers can invoke abandon() from any
+ * reset/unmount path without checking.
+ */
+export default function useSessionRecorder(meta) {
+  const metaRef = useRef(meta);
+  metaRef.current = meta;
+  const sessionRef = useRef(null);
+
+  const start = useCallback(({ plannedSeconds = 0, mode = null } = {}) => {
+    sessionRef.current = { plannedSeconds, mode, pauses: 0, startedAt: Date.now() };
+  }, []);
+
+  const notePause = useCallback(() => {
+    if (sessionRef.current) sessionRef.current.pauses += 1;
+  }, []);
+
+  const end = useCallback((status, actualSeconds, extra = null) => {
+    const session = sessionRef.current;
+    if (!session) return null;
+    sessionRef.current = null;
+    const actual = Math.max(0, Math.floor(actualSeconds || 0));
+    if (status === SESSION_STATUS.ABANDONED && actual < 1) return null;
+    const { kind = 'exercise', refId = null, name = '' } = metaRef.current || {};
+    debugLog('History', 'record', { kind, refId, status, actual });
+    return recordSession({
+      kind,
+      refId,
+      name,
+      ...session,
+      ...(extra || {}),
+      actualSeconds: actual,
+      status,
+      endedAt: Date.now(),
+    });
+  }, []);
+
+  const complete = useCallback((actualSeconds, extra) => end(SESSION_STATUS.COMPLETED, actualSeconds, extra), [end]);
+  const abandon = useCallback((actualSeconds, extra) => end(SESSION_STATUS.ABANDONED, actualSeconds, extra), [end]);
+  const isActive = useCallback(() => sessionRef.current !== null, []);
+
+  return useMemo(
+    () => ({ start, notePause, complete, abandon, isActive }),
+    [start, notePause, complete, abandon, isActive]
+  );
+}
@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useRef } from 'react';
+import { getScrollBehavior } from '../utils/motion';
 
 /**
  * PUBLIC_INTERFACE
@@ -20,7 +21,7 @@ export default function useTVFocusRing() {
     if (focused) {
       el.classList.add(FOCUS_CLASS);
       try {
-        el.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
+        el.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: getScrollBehavior() });
       } catch {
         el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
       }
@@ -3,13 +3,21 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import './theme'; // initialize feature flags (safe no-op in tests/SSR)
 import App from './App';
+import DevMenu from './components/DevMenu';
 import { FocusManagerProvider } from './components/FocusManager';
+import { RouterProvider } from './components/Router';
+import { PreferencesProvider } from './components/Preferences';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <FocusManagerProvider>
-      <App />
-    </FocusManagerProvider>
+    <PreferencesProvider>
+      <FocusManagerProvider>
+        <RouterProvider>
+          <App />
+          <DevMenu />
+        </RouterProvider>
+      </FocusManagerProvider>
+    </PreferencesProvider>
   </React.StrictMode>
 );
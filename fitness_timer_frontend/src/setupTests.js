@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no layout; focus handling scrolls the focused element into view
+Element.prototype.scrollIntoView = () => {};
@@ -0,0 +1,35 @@
+//
+// PUBLIC_INTERFACE
+// testUtils.js
+// Helpers shared by component tests: rendering inside the app's providers and pressing Enter
+// on a TVFocusable the way the remote does.
+//
+import { act, fireEvent, render } from '@testing-library/react';
+import { FocusManagerProvider } from './components/FocusManager';
+import { PreferencesProvider } from './components/Preferences';
+
+/**
+ * PUBLIC_INTERFACE
+ * renderWithProviders
+ * Renders `ui` inside PreferencesProvider and FocusManagerProvider.
+ */
+export function renderWithProviders(ui) {
+  return render(
+    <PreferencesProvider>
+      <FocusManagerProvider>{ui}</FocusManagerProvider>
+    </PreferencesProvider>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pressEnter
+ * Focuses `el` and presses and releases Enter on it.
+ */
+export function pressEnter(el) {
+  act(() => {
+    el.focus();
+  });
+  fireEvent.keyDown(el, { key: 'Enter' });
+  fireEvent.keyUp(el, { key: 'Enter' });
+}
@@ -0,0 +1,34 @@
+//
+// PUBLIC_INTERFACE
+// timeZoneEnvironment.js
+// Jest environment that runs one test file in the time zone named by its `@time-zone` docblock
+// pragma and restores the previous zone afterwards, so date logic can be checked across daylight
+// saving changes whatever zone the machine is in:
+//
+//   /**
+//    * @jest-environment ./src/timeZoneEnvironment.js
+//    * @time-zone America/New_York
+//    */
+//
+// The zone has to be set on the worker's own process.env; tests only see a copy of it.
+//
+import JSDOMEnvironment from 'jest-environment-jsdom';
+
+export default class TimeZoneEnvironment extends JSDOMEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    this.timeZone = context.docblockPragmas['time-zone'];
+    this.previousTimeZone = process.env.TZ;
+  }
+
+  async setup() {
+    await super.setup();
+    if (this.timeZone) process.env.TZ = this.timeZone;
+  }
+
+  async teardown() {
+    if (this.previousTimeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = this.previousTimeZone;
+    await super.teardown();
+  }
+}
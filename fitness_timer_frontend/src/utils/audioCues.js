@@ -0,0 +1,142 @@
+//
+// PUBLIC_INTERFACE
+// audioCues.js
+// Synthesized timer sounds (Web Audio oscillators, no audio assets) for the TIMER_CUES emitted by
+// countdown()/intervalSequence(): 3-2-1 beeps, halfway chime, phase-change and finish tones.
+// Volume/mute are kept in the preferences store (preferences.js). Every call is a silent no-op
+// where Web Audio is unavailable.
+//
+import { TIMER_CUES } from './time';
+import { PHASE_TYPES } from './intervals';
+import { getPreferences, updatePreferences } from './preferences';
+import { debugLog } from './debug';
+
+// PUBLIC_INTERFACE
+/**
+ * AUDIO_VOLUME_LEVELS
+ * Volume presets offered in Settings (0 to 1).
+ */
+export const AUDIO_VOLUME_LEVELS = [
+  { id: 'low', label: 'Low', value: 0.3 },
+  { id: 'medium', label: 'Medium', value: 0.6 },
+  { id: 'high', label: 'High', value: 1 },
+];
+
+// Note sequences per sound: [frequencyHz, startOffsetSec, durationSec]
+const SOUNDS = {
+  beep: { wave: 'square', notes: [[880, 0, 0.12]] },
+  go: { wave: 'square', notes: [[1320, 0, 0.28]] },
+  chime: { wave: 'triangle', notes: [[660, 0, 0.35], [990, 0.12, 0.5]] },
+  work: { wave: 'triangle', notes: [[523, 0, 0.16], [784, 0.14, 0.3]] },
+  rest: { wave: 'triangle', notes: [[784, 0, 0.16], [523, 0.14, 0.3]] },
+  finish: { wave: 'triangle', notes: [[523, 0, 0.2], [659, 0.15, 0.2], [784, 0.3, 0.2], [1047, 0.45, 0.7]] },
+};
+
+// Peak gain at volume 1; square waves are much louder than triangles at the same gain
+const PEAK_GAIN = { square: 0.12, triangle: 0.35 };
+
+let context = null;
+
+const loadSettings = () => getPreferences().sound;
+
+/**
+ * PUBLIC_INTERFACE
+ * getAudioSettings
+ * Current { volume: 0..1, muted: boolean }.
+ */
+export function getAudioSettings() {
+  return { ...loadSettings() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setAudioSettings
+ * Merges and persists { volume?, muted? }. Returns the new settings.
+ */
+export function setAudioSettings(patch) {
+  return { ...updatePreferences({ sound: patch || {} }).sound };
+}
+
+// Lazily created shared context; browsers cap how many may exist
+function getContext() {
+  if (context) return context;
+  try {
+    const Ctor = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!Ctor) return null;
+    context = new Ctor();
+  } catch {
+    context = null;
+  }
+  return context;
+}
+
+function playSound(name, volume) {
+  const sound = SOUNDS[name];
+  const ctx = getContext();
+  if (!sound || !ctx) return;
+  try {
+    // Autoplay policies start contexts suspended until a user gesture; timers start from one
+    if (ctx.state === 'suspended' && typeof ctx.resume === 'function') ctx.resume().catch(() => {});
+    const peak = Math.max(0.0002, PEAK_GAIN[sound.wave] * volume);
+    const now = ctx.currentTime;
+    sound.notes.forEach(([freq, offset, duration]) => {
+      const start = now + offset;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = sound.wave;
+      osc.frequency.setValueAtTime(freq, start);
+      // Short attack and exponential decay avoid clicks
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + duration + 0.05);
+    });
+  } catch {
+    // Audio failures must never break the timer
+  }
+}
+
+// Which sound a cue maps to, or null for none
+function soundForCue(cue, info) {
+  switch (cue) {
+    case TIMER_CUES.COUNT:
+      return 'beep';
+    case TIMER_CUES.HALFWAY:
+      return 'chime';
+    case TIMER_CUES.PHASE: {
+      const type = info && info.phase ? info.phase.type : null;
+      return type === PHASE_TYPES.REST || type === PHASE_TYPES.COOLDOWN ? 'rest' : 'work';
+    }
+    case TIMER_CUES.FINISH:
+      return 'finish';
+    default:
+      return null;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * playCue
+ * Plays the sound for a TIMER_CUES event; pass directly as the onCue option of countdown() or
+ * intervalSequence(). Respects the persisted volume/mute.
+ */
+export function playCue(cue, info) {
+  const { volume, muted } = loadSettings();
+  if (muted || volume <= 0) return;
+  const name = soundForCue(cue, info);
+  if (!name) return;
+  debugLog('Audio', 'cue', cue, info && info.remaining);
+  playSound(name, volume);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * playTestSound
+ * Plays a short beep at the given volume (defaults to the current one), e.g. from Settings.
+ */
+export function playTestSound(volume) {
+  playSound('go', typeof volume === 'number' ? volume : loadSettings().volume);
+}
@@ -0,0 +1,77 @@
+//
+// PUBLIC_INTERFACE
+// clock.js
+// Clock/scheduler abstraction for the timer engines in time.js and intervals.js.
+// A clock is { now(): ms, setTimeout(fn, ms): handle, clearTimeout(handle) }. The engines default
+// to systemClock; tests pass createVirtualClock() and advance time by hand.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * systemClock
+ * High-resolution real clock. Resolves the globals on every call so fake timers installed after
+ * import (e.g. by a test runner) still apply.
+ */
+export const systemClock = Object.freeze({
+  now: () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now()),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * createVirtualClock
+ * Manually driven clock for deterministic tests. Time only moves when advanced.
+ * Returns the clock interface plus:
+ * - advance(ms): moves time forward, firing due timers in order, each at its due time
+ * - jump(ms): moves time forward without firing anything, like a blocked main thread; overdue
+ *   timers then fire late on the next advance()
+ * - runUntilIdle(limitMs?): advances until no timers are pending (bounded by limitMs)
+ * - pendingCount(): number of scheduled timers
+ */
+export function createVirtualClock(startMs = 0) {
+  let now = startMs;
+  let seq = 0;
+  const timers = new Map();
+
+  const nextDue = () => {
+    let found = null;
+    timers.forEach((t) => {
+      if (!found || t.due < found.due || (t.due === found.due && t.seq < found.seq)) found = t;
+    });
+    return found;
+  };
+
+  const clock = {
+    now: () => now,
+    setTimeout: (fn, ms) => {
+      seq += 1;
+      timers.set(seq, { id: seq, seq, fn, due: now + Math.max(0, Number(ms) || 0) });
+      return seq;
+    },
+    clearTimeout: (handle) => {
+      timers.delete(handle);
+    },
+    advance: (ms) => {
+      const target = now + Math.max(0, ms);
+      for (let t = nextDue(); t && t.due <= target; t = nextDue()) {
+        timers.delete(t.id);
+        // Overdue timers (after jump) fire at the current time, not in the past
+        now = Math.max(now, t.due);
+        t.fn();
+      }
+      now = target;
+    },
+    jump: (ms) => {
+      now += Math.max(0, ms);
+    },
+    runUntilIdle: (limitMs = 24 * 60 * 60 * 1000) => {
+      const limit = now + limitMs;
+      for (let t = nextDue(); t && t.due <= limit; t = nextDue()) {
+        clock.advance(t.due - now);
+      }
+    },
+    pendingCount: () => timers.size,
+  };
+  return clock;
+}
@@ -2,47 +2,21 @@
 // PUBLIC_INTERFACE
 // debug.js
 // Minimal gated logger for focus/keydown debugging without console spam.
-// Controlled by feature flags via theme/index.js -> getFeatureFlags().debugFocus
+// Controlled by the debugFocus feature flag (utils/featureFlags.js), so it follows the developer
+// menu and ?flags= overrides live.
 //
-let cached = null;
+import { getFeatureFlags } from './featureFlags';
+
+// Test override (setDebugCache); null follows the flag
+let forced = null;
 
-/**
- * Resolve debug flag lazily to avoid importing theme in every module.
- */
 function isDebugEnabled() {
-  if (cached === null) {
-    try {
-      const raw = (typeof process !== 'undefined' && process.env && process.env.REACT_APP_FEATURE_FLAGS) || '';
-      // Try JSON parse first
-      let flags = {};
-      if (raw) {
-        try {
-          const maybe = JSON.parse(raw);
-          if (maybe && typeof maybe === 'object') flags = maybe;
-        } catch {
-          // Fallback to tokens
-          String(raw)
-            .split(/[,\s]+/)
-            .map((t) => t.trim())
-            .filter(Boolean)
-            .forEach((kv) => {
-              const [k, v] = kv.split('=');
-              if (!k) return;
-              if (typeof v === 'undefined') flags[k] = true;
-              else if (v === 'true' || v === '1') flags[k] = true;
-              else if (v === 'false' || v === '0') flags[k] = false;
-              else flags[k] = v;
-            });
-        }
-      }
-      const nodeEnv = (process && process.env && process.env.REACT_APP_NODE_ENV) || '';
-      const devDefault = String(nodeEnv).toLowerCase() === 'development';
-      cached = typeof flags.debugFocus === 'boolean' ? flags.debugFocus : !!devDefault;
-    } catch {
-      cached = false;
-    }
+  if (forced !== null) return forced;
+  try {
+    return !!getFeatureFlags().debugFocus;
+  } catch {
+    return false;
   }
-  return cached;
 }
 
 // PUBLIC_INTERFACE
@@ -60,6 +34,6 @@ export function debugLog(scope, ...args) {
 
 // PUBLIC_INTERFACE
 export function setDebugCache(value) {
-  /** Manually override cache for tests */
-  cached = !!value;
+  /** Manually override the debugFocus flag for tests (null follows the flag again) */
+  forced = value === null ? null : !!value;
 }
@@ -0,0 +1,197 @@
+//
+// PUBLIC_INTERFACE
+// featureFlags.js
+// The one place feature flags are resolved. Each flag in FEATURE_FLAGS is read from these layers,
+// later ones winning:
+// 1. its default
+// 2. REACT_APP_FEATURE_FLAGS, baked in at build time (REACT_APP_NODE_ENV=development also turns
+//    debugFocus on unless the build sets it)
+// 3. overrides saved on this device (the hidden developer menu, see components/DevMenu.js)
+// 4. the page URL: ?flags=animationsOff,debugFocus=false
+// Flag strings are either JSON ('{"animationsOff":true}') or a comma/space separated list of
+// `name`, `name=true|false|1|0` tokens. Unknown names and non-boolean values are ignored.
+// Flags can change while the app runs; subscribeFeatureFlags() reports every change.
+//
+import { readJSON, removeKey, writeJSON } from './storage';
+
+const STORAGE_KEY = 'featureFlags';
+const URL_PARAM = 'flags';
+
+// PUBLIC_INTERFACE
+/**
+ * FEATURE_FLAGS
+ * Known flags with their defaults and what they do (shown in the developer menu).
+ */
+export const FEATURE_FLAGS = Object.freeze({
+  animationsOff: { defaultValue: false, description: 'Turn off transitions and animations' },
+  debugFocus: { defaultValue: false, description: 'Debug logging and the focus/key overlay' },
+  safeAreaGuides: { defaultValue: false, description: 'Outline the TV title-safe area (5% inset)' },
+});
+
+// PUBLIC_INTERFACE
+export const FLAG_SOURCES = Object.freeze({
+  DEFAULT: 'default',
+  BUILD: 'build',
+  DEVICE: 'device',
+  URL: 'url',
+});
+
+const listeners = new Set();
+let resolved = null;
+// URL overrides are read once per launch; the developer menu can drop them for this launch
+let urlOverrides = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * parseFlagString
+ * Parses a JSON object or a token list ("a,b=false c=1") into { name: boolean } for known flags.
+ */
+export function parseFlagString(raw) {
+  if (!raw) return {};
+  let parsed = {};
+  try {
+    const maybe = JSON.parse(raw);
+    if (maybe && typeof maybe === 'object') parsed = maybe;
+  } catch {
+    String(raw)
+      .split(/[,\s]+/)
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .forEach((token) => {
+        const [k, v] = token.split('=');
+        if (!k) return;
+        if (typeof v === 'undefined' || v === 'true' || v === '1') parsed[k] = true;
+        else if (v === 'false' || v === '0') parsed[k] = false;
+      });
+  }
+  return pickKnown(parsed);
+}
+
+function pickKnown(values) {
+  const out = {};
+  if (!values || typeof values !== 'object') return out;
+  Object.keys(FEATURE_FLAGS).forEach((name) => {
+    if (typeof values[name] === 'boolean') out[name] = values[name];
+  });
+  return out;
+}
+
+function readBuildFlags() {
+  const env = (typeof process !== 'undefined' && process.env) || {};
+  const flags = parseFlagString(env.REACT_APP_FEATURE_FLAGS || '');
+  if (String(env.REACT_APP_NODE_ENV || '').toLowerCase() === 'development' && flags.debugFocus === undefined) {
+    flags.debugFocus = true;
+  }
+  return flags;
+}
+
+function readUrlFlags() {
+  if (urlOverrides === null) {
+    try {
+      const search = typeof window !== 'undefined' && window.location ? window.location.search : '';
+      urlOverrides = parseFlagString(new URLSearchParams(search).get(URL_PARAM) || '');
+    } catch {
+      urlOverrides = {};
+    }
+  }
+  return urlOverrides;
+}
+
+function readDeviceFlags() {
+  return pickKnown(readJSON(STORAGE_KEY, null));
+}
+
+function resolve() {
+  const layers = [
+    [FLAG_SOURCES.BUILD, readBuildFlags()],
+    [FLAG_SOURCES.DEVICE, readDeviceFlags()],
+    [FLAG_SOURCES.URL, readUrlFlags()],
+  ];
+  const values = {};
+  const sources = {};
+  Object.entries(FEATURE_FLAGS).forEach(([name, def]) => {
+    values[name] = def.defaultValue;
+    sources[name] = FLAG_SOURCES.DEFAULT;
+    layers.forEach(([source, flags]) => {
+      if (flags[name] === undefined) return;
+      values[name] = flags[name];
+      sources[name] = source;
+    });
+  });
+  return { values: Object.freeze(values), sources: Object.freeze(sources) };
+}
+
+function current() {
+  if (!resolved) resolved = resolve();
+  return resolved;
+}
+
+function changed() {
+  resolved = null;
+  const flags = getFeatureFlags();
+  listeners.forEach((fn) => {
+    try {
+      fn(flags);
+    } catch {
+      // a failing subscriber must not block the others
+    }
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getFeatureFlags
+ * Returns the frozen { [flag]: boolean } currently in effect.
+ */
+export function getFeatureFlags() {
+  return current().values;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getFlagSources
+ * Which layer set each flag: { [flag]: FLAG_SOURCES value }.
+ */
+export function getFlagSources() {
+  return current().sources;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setFlagOverride
+ * Saves a device override for a flag (null removes it) and applies it right away. A URL override
+ * for the same flag is dropped for the rest of this launch so the change is visible.
+ */
+export function setFlagOverride(name, value) {
+  if (!FEATURE_FLAGS[name]) return false;
+  const device = readDeviceFlags();
+  if (value === null || value === undefined) delete device[name];
+  else device[name] = !!value;
+  if (Object.keys(device).length) writeJSON(STORAGE_KEY, device);
+  else removeKey(STORAGE_KEY);
+  urlOverrides = { ...readUrlFlags() };
+  delete urlOverrides[name];
+  changed();
+  return true;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * clearFlagOverrides
+ * Removes every device and URL override, leaving the build's flags.
+ */
+export function clearFlagOverrides() {
+  removeKey(STORAGE_KEY);
+  urlOverrides = {};
+  changed();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribeFeatureFlags
+ * Calls listener(flags) after flags change. Returns an unsubscribe function.
+ */
+export function subscribeFeatureFlags(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,61 @@
+import { STORAGE_PREFIX } from './storage';
+
+// Build and URL flags are read once per module instance; load a fresh copy per test
+function loadService() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('./featureFlags');
+  });
+  return service;
+}
+
+const ORIGINAL_ENV = process.env;
+
+beforeEach(() => {
+  localStorage.clear();
+  process.env = { ...ORIGINAL_ENV, REACT_APP_FEATURE_FLAGS: '', REACT_APP_NODE_ENV: '' };
+  window.history.replaceState(null, '', '/');
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+  window.history.replaceState(null, '', '/');
+});
+
+test('parses JSON and token lists, keeping only known boolean flags', () => {
+  const { parseFlagString } = loadService();
+  expect(parseFlagString('{"animationsOff":true,"debugFocus":"yes","other":true}')).toEqual({ animationsOff: true });
+  expect(parseFlagString('animationsOff, debugFocus=0 safeAreaGuides=1 other')).toEqual({
+    animationsOff: true,
+    debugFocus: false,
+    safeAreaGuides: true,
+  });
+});
+
+test('layers build, device and URL flags, later ones winning', () => {
+  process.env.REACT_APP_FEATURE_FLAGS = 'animationsOff,debugFocus';
+  localStorage.setItem(STORAGE_PREFIX + 'featureFlags', JSON.stringify({ debugFocus: false, safeAreaGuides: true }));
+  window.history.replaceState(null, '', '/?flags=safeAreaGuides=false');
+  const { getFeatureFlags, getFlagSources } = loadService();
+  expect(getFeatureFlags()).toEqual({ animationsOff: true, debugFocus: false, safeAreaGuides: false });
+  expect(getFlagSources()).toEqual({ animationsOff: 'build', debugFocus: 'device', safeAreaGuides: 'url' });
+});
+
+test('overrides apply live, replace URL values and can be reset', () => {
+  process.env.REACT_APP_NODE_ENV = 'development';
+  window.history.replaceState(null, '', '/?flags=animationsOff');
+  const { getFeatureFlags, setFlagOverride, clearFlagOverrides, subscribeFeatureFlags } = loadService();
+  expect(getFeatureFlags().debugFocus).toBe(true);
+
+  const listener = jest.fn();
+  subscribeFeatureFlags(listener);
+  setFlagOverride('animationsOff', false);
+  setFlagOverride('debugFocus', false);
+  expect(getFeatureFlags()).toMatchObject({ animationsOff: false, debugFocus: false });
+  expect(listener).toHaveBeenLastCalledWith(getFeatureFlags());
+  expect(JSON.parse(localStorage.getItem(STORAGE_PREFIX + 'featureFlags'))).toEqual({ animationsOff: false, debugFocus: false });
+
+  clearFlagOverrides();
+  expect(getFeatureFlags()).toMatchObject({ animationsOff: false, debugFocus: true });
+  expect(localStorage.getItem(STORAGE_PREFIX + 'featureFlags')).toBeNull();
+});
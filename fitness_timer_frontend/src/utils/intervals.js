@@ -0,0 +1,218 @@
+//
+// PUBLIC_INTERFACE
+// intervals.js
+// Interval/sequence engine for multi-phase workouts (prep → work → rest → ... → cooldown).
+// Each phase is driven by the drift-safe countdown() engine from time.js so phases inherit its
+// pause accounting and tick alignment.
+//
+import { clamp, countdown, TIMER_CUES } from './time';
+import { systemClock } from './clock';
+
+// PUBLIC_INTERFACE
+export const PHASE_TYPES = Object.freeze({
+  PREP: 'prep',
+  WORK: 'work',
+  REST: 'rest',
+  COOLDOWN: 'cooldown',
+});
+
+const DEFAULT_LABELS = {
+  prep: 'Get Ready',
+  work: 'Work',
+  rest: 'Rest',
+  cooldown: 'Cool Down',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizePhases
+ * Returns a cleaned copy of the phases list: drops entries without a positive duration,
+ * floors durations to whole seconds and fills in default type/label.
+ */
+export function normalizePhases(phases) {
+  return (Array.isArray(phases) ? phases : [])
+    .filter((p) => p && Number(p.durationSeconds) >= 1)
+    .map((p) => {
+      const type = Object.values(PHASE_TYPES).includes(p.type) ? p.type : PHASE_TYPES.WORK;
+      return {
+        ...p,
+        type,
+        durationSeconds: Math.floor(Number(p.durationSeconds)),
+        label: p.label || DEFAULT_LABELS[type],
+      };
+    });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getSequenceTotalSeconds
+ * Sums the durations of a (normalized or raw) phase list.
+ */
+export function getSequenceTotalSeconds(phases) {
+  return normalizePhases(phases).reduce((acc, p) => acc + p.durationSeconds, 0);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * intervalSequence
+ * Runs an ordered list of phases back to back. Starts immediately, like countdown().
+ * Options:
+ * - phases: Array<{ type: 'prep'|'work'|'rest'|'cooldown', durationSeconds: number, label?: string, ...meta }>
+ * - onTick: (state) => void - state as returned by getState()
+ * - onPhaseChange: (phase, index, prevIndex) => void - fired when a phase starts (including the first)
+ * - onComplete: () => void - fired once after the last phase ends
+ * - onCue: (cue, info) => void - TIMER_CUES for audio/voice feedback: count/halfway/warning from each
+ *   phase's countdown() ({ remaining, total, phase, index }), phase when a later phase starts
+ *   ({ phase, index, prevIndex }), and finish once at the very end ({ remaining: 0 })
+ * - tickRateMs: default 250
+ * - startIndex / startPhaseElapsed: begin at this phase, this many seconds in (resuming a saved run)
+ * - startPaused: begin paused; resume() starts the clock
+ * - clock: default systemClock (see clock.js), passed to each phase's countdown()
+ *
+ * Returns control: { pause, resume, skip, previous, cancel, getState }
+ */
+export function intervalSequence({
+  phases,
+  onTick,
+  onPhaseChange,
+  onComplete,
+  onCue,
+  tickRateMs = 250,
+  startIndex = 0,
+  startPhaseElapsed = 0,
+  startPaused = false,
+  clock = systemClock,
+}) {
+  const list = normalizePhases(phases);
+  const totalSeconds = list.reduce((acc, p) => acc + p.durationSeconds, 0);
+  let index = -1;
+  let engine = null;
+  let remaining = 0;
+  let paused = !!startPaused;
+  let completed = false;
+  let cancelled = false;
+
+  const elapsedBefore = (i) => list.slice(0, i).reduce((acc, p) => acc + p.durationSeconds, 0);
+
+  const getState = () => {
+    const phase = list[index] || null;
+    const phaseElapsed = phase ? phase.durationSeconds - remaining : 0;
+    return {
+      index,
+      phase,
+      nextPhase: list[index + 1] || null,
+      phaseCount: list.length,
+      remaining,
+      paused,
+      completed,
+      totalSeconds,
+      elapsedSeconds: completed ? totalSeconds : elapsedBefore(Math.max(0, index)) + phaseElapsed,
+    };
+  };
+
+  const emitTick = () => {
+    if (typeof onTick === 'function') onTick(getState());
+  };
+
+  const emitCue = (cue, info) => {
+    if (typeof onCue === 'function') onCue(cue, info);
+  };
+
+  const stopEngine = () => {
+    if (engine) engine.cancel();
+    engine = null;
+  };
+
+  const finish = () => {
+    if (completed) return;
+    stopEngine();
+    completed = true;
+    remaining = 0;
+    emitTick();
+    if (list.length) emitCue(TIMER_CUES.FINISH, { remaining: 0, total: totalSeconds });
+    if (typeof onComplete === 'function') onComplete();
+  };
+
+  const enterPhase = (nextIndex, phaseElapsed = 0) => {
+    if (cancelled || completed) return;
+    stopEngine();
+    if (nextIndex >= list.length) {
+      finish();
+      return;
+    }
+    const prevIndex = index;
+    index = Math.max(0, nextIndex);
+    const phase = list[index];
+    // Resume at least one second before the end so the phase is still under way
+    const offset = clamp(Math.floor(Number(phaseElapsed) || 0), 0, phase.durationSeconds - 1);
+    remaining = phase.durationSeconds - offset;
+    if (typeof onPhaseChange === 'function') onPhaseChange(phase, index, prevIndex);
+    if (prevIndex >= 0) emitCue(TIMER_CUES.PHASE, { phase, index, prevIndex });
+
+    const phaseIndex = index;
+    engine = countdown({
+      durationSeconds: phase.durationSeconds,
+      startElapsedSeconds: offset,
+      tickRateMs,
+      clock,
+      onTick: (r) => {
+        if (phaseIndex !== index) return;
+        remaining = r;
+        emitTick();
+      },
+      onComplete: () => {
+        if (phaseIndex !== index) return;
+        enterPhase(phaseIndex + 1);
+      },
+      // A phase ending is announced by the next phase's cue (or the sequence's finish)
+      onCue: (cue, info) => {
+        if (phaseIndex !== index || cue === TIMER_CUES.FINISH) return;
+        emitCue(cue, { ...info, phase, index: phaseIndex });
+      },
+    });
+    // Carry the paused state across skip/previous so navigation never starts the clock.
+    if (paused) engine.pause();
+  };
+
+  const pause = () => {
+    if (paused || completed || cancelled) return;
+    paused = true;
+    if (engine) engine.pause();
+    emitTick();
+  };
+
+  const resume = () => {
+    if (!paused || completed || cancelled) return;
+    paused = false;
+    if (engine) engine.resume();
+    emitTick();
+  };
+
+  const skip = () => {
+    if (completed || cancelled) return;
+    enterPhase(index + 1);
+  };
+
+  // Restarts the current phase when it is already under way (>2s in), otherwise steps back,
+  // mirroring media-player "previous" behavior.
+  const previous = () => {
+    if (completed || cancelled) return;
+    const phase = list[index];
+    const phaseElapsed = phase ? phase.durationSeconds - remaining : 0;
+    enterPhase(phaseElapsed > 2 ? index : Math.max(0, index - 1));
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    stopEngine();
+  };
+
+  if (list.length === 0) {
+    finish();
+  } else {
+    const first = clamp(Math.floor(Number(startIndex) || 0), 0, list.length - 1);
+    enterPhase(first, first === startIndex ? startPhaseElapsed : 0);
+  }
+
+  return { pause, resume, skip, previous, cancel, getState };
+}
@@ -0,0 +1,94 @@
+import { createVirtualClock } from './clock';
+import { intervalSequence, PHASE_TYPES } from './intervals';
+import { TIMER_CUES } from './time';
+
+const PHASES = [
+  { type: PHASE_TYPES.PREP, durationSeconds: 3 },
+  { type: PHASE_TYPES.WORK, durationSeconds: 5 },
+  { type: PHASE_TYPES.REST, durationSeconds: 2 },
+];
+
+describe('intervalSequence', () => {
+  test('runs phases back to back and completes exactly once', () => {
+    const clock = createVirtualClock();
+    const changes = [];
+    const onComplete = jest.fn();
+    const seq = intervalSequence({
+      phases: PHASES,
+      clock,
+      onPhaseChange: (p, i) => changes.push([i, p.type, clock.now()]),
+      onComplete,
+    });
+
+    clock.advance(10000);
+    expect(changes).toEqual([
+      [0, PHASE_TYPES.PREP, 0],
+      [1, PHASE_TYPES.WORK, 3000],
+      [2, PHASE_TYPES.REST, 8000],
+    ]);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(seq.getState()).toMatchObject({ completed: true, elapsedSeconds: 10 });
+
+    seq.skip();
+    clock.advance(10000);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('pausing freezes the current phase and overall elapsed time', () => {
+    const clock = createVirtualClock();
+    const seq = intervalSequence({ phases: PHASES, clock });
+    clock.advance(4000);
+    seq.pause();
+    clock.advance(60000);
+    expect(seq.getState()).toMatchObject({ index: 1, remaining: 4, elapsedSeconds: 4, paused: true });
+    seq.resume();
+    clock.advance(4000);
+    expect(seq.getState()).toMatchObject({ index: 2, remaining: 2 });
+  });
+
+  test('skip and previous keep a paused sequence paused', () => {
+    const clock = createVirtualClock();
+    const seq = intervalSequence({ phases: PHASES, clock });
+    seq.pause();
+    seq.skip();
+    clock.advance(10000);
+    expect(seq.getState()).toMatchObject({ index: 1, remaining: 5, paused: true });
+    seq.previous();
+    expect(seq.getState()).toMatchObject({ index: 0, remaining: 3, paused: true });
+  });
+
+  test('cancel stops everything without completing', () => {
+    const clock = createVirtualClock();
+    const onComplete = jest.fn();
+    const onTick = jest.fn();
+    const seq = intervalSequence({ phases: PHASES, clock, onComplete, onTick });
+    clock.advance(2000);
+    seq.cancel();
+    onTick.mockClear();
+    clock.advance(20000);
+    expect(onTick).not.toHaveBeenCalled();
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('resumes from a saved position, paused', () => {
+    const clock = createVirtualClock();
+    const seq = intervalSequence({ phases: PHASES, clock, startIndex: 1, startPhaseElapsed: 2, startPaused: true });
+    clock.advance(5000);
+    expect(seq.getState()).toMatchObject({ index: 1, remaining: 3, elapsedSeconds: 5, paused: true });
+    seq.resume();
+    clock.advance(3000);
+    expect(seq.getState().index).toBe(2);
+  });
+
+  test('announces phase changes and a single finish', () => {
+    const clock = createVirtualClock();
+    const cues = [];
+    intervalSequence({ phases: PHASES, clock, onCue: (cue) => cues.push(cue) });
+    clock.advance(10000);
+    expect(cues.filter((c) => c === TIMER_CUES.PHASE)).toHaveLength(2);
+    expect(cues.filter((c) => c === TIMER_CUES.FINISH)).toHaveLength(1);
+    expect(cues[cues.length - 1]).toBe(TIMER_CUES.FINISH);
+  });
+});
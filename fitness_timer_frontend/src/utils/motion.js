@@ -0,0 +1,130 @@
+//
+// PUBLIC_INTERFACE
+// motion.js
+// Whether the UI should move. Motion is reduced when any of these asks for it:
+// - the animationsOff feature flag (utils/featureFlags.js)
+// - the OS / browser setting, CSS `prefers-reduced-motion: reduce`
+// - the "Reduce motion" preference in Settings (utils/preferences.js)
+// While reduced, html[data-animations-off="true"] turns CSS animations and transitions off (see
+// index.css), scripted scrolls jump instead of gliding (getScrollBehavior) and components skip
+// their own effects such as the timer pulse (useReducedMotion).
+//
+import { getFeatureFlags, subscribeFeatureFlags } from './featureFlags';
+import { getPreferences, subscribePreferences } from './preferences';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const listeners = new Set();
+let mediaQuery;
+let last = null;
+
+function getMediaQuery() {
+  if (mediaQuery === undefined) {
+    try {
+      const canMatch = typeof window !== 'undefined' && typeof window.matchMedia === 'function';
+      mediaQuery = canMatch ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+    } catch {
+      mediaQuery = null;
+    }
+  }
+  return mediaQuery;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getMotionSources
+ * Which sources currently ask for reduced motion: { flag, system, preference } booleans.
+ */
+export function getMotionSources() {
+  const query = getMediaQuery();
+  return {
+    flag: !!getFeatureFlags().animationsOff,
+    system: !!(query && query.matches),
+    preference: !!getPreferences().reducedMotion,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isReducedMotion
+ * True when the flag, the OS setting or the user preference asks for reduced motion.
+ */
+export function isReducedMotion() {
+  const { flag, system, preference } = getMotionSources();
+  return flag || system || preference;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getScrollBehavior
+ * `behavior` for scrollIntoView/scrollTo: 'smooth', or 'auto' (jump) while motion is reduced.
+ */
+export function getScrollBehavior() {
+  return isReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyMotionToDocument
+ * Sets html[data-animations-off] from isReducedMotion(), the switch index.css keys off.
+ */
+export function applyMotionToDocument() {
+  if (typeof document === 'undefined' || !document.documentElement) return;
+  try {
+    document.documentElement.setAttribute('data-animations-off', String(isReducedMotion()));
+  } catch {
+    // no-op if DOM not available
+  }
+}
+
+// Re-evaluates after any source changed; subscribers hear only real changes
+function update() {
+  const reduced = isReducedMotion();
+  applyMotionToDocument();
+  if (reduced === last) return;
+  last = reduced;
+  listeners.forEach((fn) => {
+    try {
+      fn(reduced);
+    } catch {
+      // a failing subscriber must not block the others
+    }
+  });
+}
+
+let sourcesAttached = false;
+
+function attachSources() {
+  if (sourcesAttached) return;
+  sourcesAttached = true;
+  last = isReducedMotion();
+  subscribeFeatureFlags(update);
+  subscribePreferences(update);
+  const query = getMediaQuery();
+  if (!query) return;
+  if (typeof query.addEventListener === 'function') query.addEventListener('change', update);
+  else if (typeof query.addListener === 'function') query.addListener(update);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribeMotion
+ * Calls listener(reduced) whenever reduced motion turns on or off. Returns unsubscribe.
+ */
+export function subscribeMotion(listener) {
+  attachSources();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * initMotion
+ * Applies the current motion setting to the document and keeps it applied as sources change.
+ * Returns whether motion is reduced.
+ */
+export function initMotion() {
+  attachSources();
+  applyMotionToDocument();
+  return isReducedMotion();
+}
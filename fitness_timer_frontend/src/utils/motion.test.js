@@ -0,0 +1,68 @@
+// matchMedia is read once per module instance; load fresh copies with a fake OS setting per test
+function loadServices(systemReduced) {
+  const query = { matches: systemReduced, addEventListener: jest.fn() };
+  window.matchMedia = jest.fn(() => query);
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      motion: require('./motion'),
+      flags: require('./featureFlags'),
+      preferences: require('./preferences'),
+    };
+  });
+  return { ...services, query };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  document.documentElement.removeAttribute('data-animations-off');
+});
+
+afterAll(() => {
+  delete window.matchMedia;
+});
+
+test('the flag, the OS setting and the preference each reduce motion', () => {
+  let s = loadServices(false);
+  expect(s.motion.isReducedMotion()).toBe(false);
+  expect(s.motion.getScrollBehavior()).toBe('smooth');
+
+  s.flags.setFlagOverride('animationsOff', true);
+  expect(s.motion.getMotionSources()).toEqual({ flag: true, system: false, preference: false });
+  expect(s.motion.getScrollBehavior()).toBe('auto');
+
+  localStorage.clear();
+  s = loadServices(false);
+  s.preferences.updatePreferences({ reducedMotion: true });
+  expect(s.motion.getMotionSources()).toEqual({ flag: false, system: false, preference: true });
+
+  localStorage.clear();
+  s = loadServices(true);
+  expect(s.motion.getMotionSources()).toEqual({ flag: false, system: true, preference: false });
+  expect(s.motion.initMotion()).toBe(true);
+  expect(document.documentElement.getAttribute('data-animations-off')).toBe('true');
+});
+
+test('subscribers hear when reduced motion turns on or off', () => {
+  const s = loadServices(false);
+  const listener = jest.fn();
+  const unsubscribe = s.motion.subscribeMotion(listener);
+
+  s.preferences.updatePreferences({ reducedMotion: true });
+  expect(listener).toHaveBeenLastCalledWith(true);
+  expect(document.documentElement.getAttribute('data-animations-off')).toBe('true');
+
+  // Still reduced: no second notification
+  s.flags.setFlagOverride('animationsOff', true);
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  s.preferences.updatePreferences({ reducedMotion: false });
+  s.flags.setFlagOverride('animationsOff', false);
+  expect(listener).toHaveBeenLastCalledWith(false);
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  s.query.matches = true;
+  s.query.addEventListener.mock.calls[0][1]();
+  expect(listener).toHaveBeenLastCalledWith(true);
+  unsubscribe();
+});
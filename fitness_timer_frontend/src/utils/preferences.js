@@ -0,0 +1,210 @@
+//
+// PUBLIC_INTERFACE
+// preferences.js
+// User preferences persisted in localStorage under one versioned key per profile (see profileKey
+// in storage.js): theme, countdown presets, routine prep countdown, timer sounds, voice coach,
+// reduced motion and text size. Switching profiles loads that profile's preferences and notifies
+// subscribers.
+// Components read them through the PreferencesProvider context (components/Preferences.js);
+// audioCues.js and voiceCoach.js read and write their sections here.
+//
+// Stored data carries `version`. On load, older data is brought up to PREFERENCES_VERSION by the
+// MIGRATIONS steps in order and saved back; data from a newer app version is not read (defaults
+// apply until a preference is changed here). Every field is normalized, so a bad value falls back
+// to its default.
+//
+import { profileKey, readJSON, removeKey, subscribeStorageProfile, writeJSON } from './storage';
+import { debugLog } from './debug';
+
+const STORAGE_KEY = 'preferences';
+
+// PUBLIC_INTERFACE
+export const PREFERENCES_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * TEXT_SIZES
+ * Text size options; `px` becomes the root font size (--font-size-base).
+ */
+export const TEXT_SIZES = [
+  { id: 'small', label: 'Small', px: 18 },
+  { id: 'medium', label: 'Medium', px: 20 },
+  { id: 'large', label: 'Large', px: 23 },
+  { id: 'xlarge', label: 'Extra large', px: 26 },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * TIMER_PRESET_SETS
+ * Countdown preset chips offered in Settings (seconds).
+ */
+export const TIMER_PRESET_SETS = [
+  { id: 'short', label: 'Short', values: [20, 30, 45, 60] },
+  { id: 'standard', label: 'Standard', values: [30, 45, 60, 90] },
+  { id: 'long', label: 'Long', values: [60, 90, 120, 180] },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * PREP_COUNTDOWN_OPTIONS
+ * "Get Ready" countdown before a routine; null keeps each routine's own length.
+ */
+export const PREP_COUNTDOWN_OPTIONS = [
+  { id: 'routine', label: 'Routine default', value: null },
+  { id: 'off', label: 'Off', value: 0 },
+  { id: '5', label: '5s', value: 5 },
+  { id: '10', label: '10s', value: 10 },
+  { id: '20', label: '20s', value: 20 },
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PREFERENCES = Object.freeze({
+  theme: 'light',
+  timerPresets: [30, 45, 60, 90],
+  prepSeconds: null,
+  sound: { volume: 0.6, muted: false },
+  voice: { enabled: true, voiceURI: null, rate: 1 },
+  reducedMotion: false,
+  textSize: 'medium',
+});
+
+// Step to version N: receives data at version N - 1, returns data for version N
+const MIGRATIONS = {
+  // 1: sound and voice settings used to be stored under their own keys
+  1: (data) => ({
+    ...data,
+    sound: readJSON('audio', null) || undefined,
+    voice: readJSON('voice', null) || undefined,
+  }),
+};
+const LEGACY_KEYS = ['audio', 'voice'];
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+function normalizeSound(sound) {
+  const s = isObject(sound) ? sound : {};
+  return {
+    volume: typeof s.volume === 'number' ? clamp(s.volume, 0, 1) : DEFAULT_PREFERENCES.sound.volume,
+    muted: typeof s.muted === 'boolean' ? s.muted : DEFAULT_PREFERENCES.sound.muted,
+  };
+}
+
+function normalizeVoice(voice) {
+  const v = isObject(voice) ? voice : {};
+  return {
+    enabled: typeof v.enabled === 'boolean' ? v.enabled : DEFAULT_PREFERENCES.voice.enabled,
+    voiceURI: typeof v.voiceURI === 'string' && v.voiceURI ? v.voiceURI : null,
+    rate: typeof v.rate === 'number' && Number.isFinite(v.rate) ? clamp(v.rate, 0.5, 2) : DEFAULT_PREFERENCES.voice.rate,
+  };
+}
+
+function normalizePresets(presets) {
+  if (!Array.isArray(presets)) return DEFAULT_PREFERENCES.timerPresets;
+  const values = [...new Set(presets.filter((s) => Number.isInteger(s) && s >= 1 && s <= 3600))].sort((a, b) => a - b);
+  return values.length ? values.slice(0, 6) : DEFAULT_PREFERENCES.timerPresets;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizePreferences
+ * Returns a complete preferences object, replacing missing or invalid fields with defaults.
+ */
+export function normalizePreferences(data) {
+  const d = isObject(data) ? data : {};
+  return {
+    theme: d.theme === 'dark' ? 'dark' : 'light',
+    timerPresets: normalizePresets(d.timerPresets),
+    prepSeconds: Number.isInteger(d.prepSeconds) && d.prepSeconds >= 0 && d.prepSeconds <= 600 ? d.prepSeconds : null,
+    sound: normalizeSound(d.sound),
+    voice: normalizeVoice(d.voice),
+    reducedMotion: typeof d.reducedMotion === 'boolean' ? d.reducedMotion : DEFAULT_PREFERENCES.reducedMotion,
+    textSize: TEXT_SIZES.some((t) => t.id === d.textSize) ? d.textSize : DEFAULT_PREFERENCES.textSize,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * migratePreferences
+ * Brings stored data (any version, or null when nothing is stored) up to PREFERENCES_VERSION.
+ * Returns { data, migrated } where `migrated` tells whether it should be written back;
+ * data from a newer version comes back as null.
+ */
+export function migratePreferences(stored) {
+  let data = isObject(stored) ? stored : { version: 0 };
+  const from = Number.isInteger(data.version) ? data.version : 0;
+  if (from > PREFERENCES_VERSION) return { data: null, migrated: false };
+  for (let v = from + 1; v <= PREFERENCES_VERSION; v += 1) {
+    data = { ...MIGRATIONS[v](data), version: v };
+  }
+  return { data, migrated: from < PREFERENCES_VERSION };
+}
+
+let current = null;
+const listeners = new Set();
+
+function load() {
+  if (current) return current;
+  const { data, migrated } = migratePreferences(readJSON(profileKey(STORAGE_KEY), null));
+  current = normalizePreferences(data);
+  if (migrated) {
+    debugLog('Preferences', 'migrated to version', PREFERENCES_VERSION);
+    if (writeJSON(profileKey(STORAGE_KEY), { ...current, version: PREFERENCES_VERSION })) LEGACY_KEYS.forEach(removeKey);
+  }
+  return current;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getPreferences
+ * Current preferences. The object is replaced, never mutated, on every update.
+ */
+export function getPreferences() {
+  return load();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updatePreferences
+ * Merges a patch (sound and voice merge one level deeper), normalizes, persists and notifies
+ * subscribers. Returns the new preferences.
+ */
+export function updatePreferences(patch) {
+  const prev = load();
+  const p = isObject(patch) ? patch : {};
+  current = normalizePreferences({
+    ...prev,
+    ...p,
+    sound: { ...prev.sound, ...(p.sound || {}) },
+    voice: { ...prev.voice, ...(p.voice || {}) },
+  });
+  writeJSON(profileKey(STORAGE_KEY), { ...current, version: PREFERENCES_VERSION });
+  listeners.forEach((listener) => listener(current));
+  return current;
+}
+
+// Another profile has other preferences
+subscribeStorageProfile(() => {
+  current = null;
+  const next = load();
+  listeners.forEach((listener) => listener(next));
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribePreferences
+ * Calls listener(preferences) after every update. Returns an unsubscribe function.
+ */
+export function subscribePreferences(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTextSizePx
+ * Root font size in px for a text size id.
+ */
+export function getTextSizePx(textSize) {
+  return (TEXT_SIZES.find((t) => t.id === textSize) || TEXT_SIZES[1]).px;
+}
@@ -0,0 +1,61 @@
+import { STORAGE_PREFIX } from './storage';
+
+// The store keeps the loaded preferences in module state; load a fresh copy per test
+function loadStore() {
+  let store;
+  jest.isolateModules(() => {
+    store = require('./preferences');
+  });
+  return store;
+}
+
+const stored = (key) => JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('defaults when nothing is stored', () => {
+  const { getPreferences, DEFAULT_PREFERENCES, PREFERENCES_VERSION } = loadStore();
+  expect(getPreferences()).toEqual(DEFAULT_PREFERENCES);
+  expect(stored('preferences').version).toBe(PREFERENCES_VERSION);
+});
+
+test('migrates the separate audio and voice keys into the store', () => {
+  localStorage.setItem(STORAGE_PREFIX + 'audio', JSON.stringify({ volume: 0.3, muted: true }));
+  localStorage.setItem(STORAGE_PREFIX + 'voice', JSON.stringify({ enabled: false, voiceURI: 'en-GB', rate: 1.2 }));
+  const { getPreferences } = loadStore();
+  expect(getPreferences().sound).toEqual({ volume: 0.3, muted: true });
+  expect(getPreferences().voice).toEqual({ enabled: false, voiceURI: 'en-GB', rate: 1.2 });
+  expect(localStorage.getItem(STORAGE_PREFIX + 'audio')).toBeNull();
+  expect(localStorage.getItem(STORAGE_PREFIX + 'voice')).toBeNull();
+  expect(stored('preferences').sound.volume).toBe(0.3);
+});
+
+test('ignores data from a newer version and replaces invalid fields', () => {
+  localStorage.setItem(STORAGE_PREFIX + 'preferences', JSON.stringify({ version: 99, theme: 'dark' }));
+  expect(loadStore().getPreferences().theme).toBe('light');
+
+  localStorage.setItem(
+    STORAGE_PREFIX + 'preferences',
+    JSON.stringify({ version: 1, theme: 'dark', textSize: 'huge', timerPresets: [90, 'x', 30, 30], prepSeconds: -1 })
+  );
+  const prefs = loadStore().getPreferences();
+  expect(prefs.theme).toBe('dark');
+  expect(prefs.textSize).toBe('medium');
+  expect(prefs.timerPresets).toEqual([30, 90]);
+  expect(prefs.prepSeconds).toBeNull();
+});
+
+test('updates merge, persist and notify subscribers', () => {
+  const { updatePreferences, subscribePreferences, getPreferences } = loadStore();
+  const listener = jest.fn();
+  const unsubscribe = subscribePreferences(listener);
+  updatePreferences({ sound: { muted: true }, reducedMotion: true });
+  expect(getPreferences().sound).toEqual({ volume: 0.6, muted: true });
+  expect(listener).toHaveBeenCalledWith(getPreferences());
+  expect(stored('preferences').reducedMotion).toBe(true);
+  unsubscribe();
+  updatePreferences({ theme: 'dark' });
+  expect(listener).toHaveBeenCalledTimes(1);
+});
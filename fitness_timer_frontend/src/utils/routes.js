@@ -0,0 +1,87 @@
+//
+// PUBLIC_INTERFACE
+// routes.js
+// Named app screens and their URL hash form, e.g. "#/browse" or "#/player/quick-hiit".
+// Pure helpers used by the Router; unknown hashes resolve to Home.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * SCREENS
+ * Screen names understood by the router.
+ */
+export const SCREENS = {
+  HOME: 'home',
+  BROWSE: 'browse',
+  SEARCH: 'search',
+  PLAYER: 'player',
+  HISTORY: 'history',
+  STATS: 'stats',
+  BUILDER: 'builder',
+  SETTINGS: 'settings',
+  SHARE: 'share',
+};
+
+// Screens that take an id segment in the hash, and the param it maps to
+const PARAM_KEYS = {
+  [SCREENS.PLAYER]: 'routineId',
+};
+
+const KNOWN = new Set(Object.values(SCREENS));
+
+/**
+ * PUBLIC_INTERFACE
+ * createRoute
+ * Builds a route object { screen, params }; unknown screens fall back to Home.
+ */
+export function createRoute(screen, params = {}) {
+  if (!KNOWN.has(screen)) return { screen: SCREENS.HOME, params: {} };
+  return { screen, params: params && typeof params === 'object' ? { ...params } : {} };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseHash
+ * "#/player/quick-hiit" -> { screen: 'player', params: { routineId: 'quick-hiit' } }.
+ * A screen that needs an id but has none resolves to Home.
+ */
+export function parseHash(hash) {
+  const parts = String(hash || '')
+    .replace(/^#\/?/, '')
+    .split('/')
+    .filter(Boolean)
+    .map((p) => {
+      try {
+        return decodeURIComponent(p);
+      } catch {
+        return p;
+      }
+    });
+  const [screen, id] = parts;
+  if (!screen) return createRoute(SCREENS.HOME);
+  const paramKey = PARAM_KEYS[screen];
+  if (paramKey) return id ? createRoute(screen, { [paramKey]: id }) : createRoute(SCREENS.HOME);
+  return createRoute(screen);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatHash
+ * Inverse of parseHash; Home is "#/".
+ */
+export function formatHash(route) {
+  const { screen, params = {} } = route || {};
+  if (!screen || screen === SCREENS.HOME || !KNOWN.has(screen)) return '#/';
+  const paramKey = PARAM_KEYS[screen];
+  const id = paramKey ? params[paramKey] : null;
+  return id ? `#/${screen}/${encodeURIComponent(id)}` : `#/${screen}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isSameRoute
+ * True when both routes point at the same screen and hash.
+ */
+export function isSameRoute(a, b) {
+  return formatHash(a) === formatHash(b);
+}
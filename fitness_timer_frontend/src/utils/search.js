@@ -0,0 +1,204 @@
+//
+// PUBLIC_INTERFACE
+// search.js
+// Accent-insensitive fuzzy search over exercises (name, description, tags, equipment).
+// Every query word must match some field, by word prefix, substring, in-order letters (name only)
+// or a single typo. Results carry highlight ranges as [start, end) offsets into the original text.
+//
+
+// Field weights: a hit in the name outranks the same hit in the description
+const FIELD_WEIGHTS = { name: 3, tags: 2, equipment: 1.5, description: 1 };
+// Score per match kind, multiplied by the field weight
+const MATCH_SCORES = { prefix: 10, substring: 6, typo: 3, fuzzy: 2 };
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeText
+ * Lowercases and strips accents ("Café" -> "cafe").
+ */
+export function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * Normalizes per character so every normalized index maps back to an original index.
+ * Returns { text, map } where map[i] is the original index of normalized char i.
+ */
+function normalizeWithMap(text) {
+  const source = String(text || '');
+  let out = '';
+  const map = [];
+  for (let i = 0; i < source.length; i += 1) {
+    const n = normalizeText(source[i]);
+    for (let j = 0; j < n.length; j += 1) map.push(i);
+    out += n;
+  }
+  return { text: out, map };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tokenizeQuery
+ * Splits a query into normalized words.
+ */
+export function tokenizeQuery(query) {
+  return normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// True when a and b are at most one insertion, deletion or substitution apart
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i += 1;
+      j += 1;
+    } else {
+      edits += 1;
+      if (edits > 1) return false;
+      if (a.length > b.length) i += 1;
+      else if (b.length > a.length) j += 1;
+      else {
+        i += 1;
+        j += 1;
+      }
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Best match of one token in one normalized string: { kind, ranges } in normalized offsets
+function matchToken(token, norm, allowFuzzy) {
+  const words = [];
+  norm.replace(/[a-z0-9]+/g, (w, offset) => {
+    words.push({ w, offset });
+    return w;
+  });
+
+  const prefix = words.find(({ w }) => w.startsWith(token));
+  if (prefix) return { kind: 'prefix', ranges: [[prefix.offset, prefix.offset + token.length]] };
+
+  const at = norm.indexOf(token);
+  if (at !== -1) return { kind: 'substring', ranges: [[at, at + token.length]] };
+
+  if (token.length >= 4) {
+    // Compare against the word, or its start when the user is still typing
+    const typo = words.find(({ w }) => withinOneEdit(token, w) || withinOneEdit(token, w.slice(0, token.length)));
+    if (typo) return { kind: 'typo', ranges: [[typo.offset, typo.offset + Math.min(typo.w.length, token.length)]] };
+  }
+
+  if (allowFuzzy && token.length >= 2) {
+    // Letters in order (e.g. "mtn clmb" -> "mountain climbers")
+    const ranges = [];
+    let from = 0;
+    for (let k = 0; k < token.length; k += 1) {
+      const idx = norm.indexOf(token[k], from);
+      if (idx === -1) return null;
+      ranges.push([idx, idx + 1]);
+      from = idx + 1;
+    }
+    // Reject matches spread across most of a long string; they are noise
+    if (ranges[ranges.length - 1][1] - ranges[0][0] > token.length * 3) return null;
+    return { kind: 'fuzzy', ranges };
+  }
+  return null;
+}
+
+// Sorts ranges and merges overlapping/adjacent ones
+function mergeRanges(ranges) {
+  const merged = [];
+  ranges
+    .slice()
+    .sort((a, b) => a[0] - b[0])
+    .forEach((r) => {
+      const last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push([...r]);
+    });
+  return merged;
+}
+
+// Converts normalized ranges back to original offsets
+function toOriginalRanges(ranges, map) {
+  return ranges.map(([s, e]) => [map[s], map[e - 1] + 1]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * searchExercises
+ * Ranks exercises against a free-text query.
+ * Returns Array<{ exercise, score, highlights }> best first, where highlights is
+ * { name: ranges, description: ranges, equipment: ranges, tags: { [tag]: ranges } }.
+ * An empty query returns [].
+ */
+export function searchExercises(exercises, query) {
+  const tokens = tokenizeQuery(query);
+  if (!tokens.length) return [];
+
+  const results = [];
+  (Array.isArray(exercises) ? exercises : []).forEach((exercise) => {
+    const fields = [
+      { key: 'name', text: exercise.name },
+      { key: 'description', text: exercise.description },
+      { key: 'equipment', text: exercise.equipment },
+      ...(exercise.tags || []).map((tag) => ({ key: 'tags', tag, text: tag })),
+    ].map((f) => ({ ...f, ...normalizeWithMap(f.text) }));
+
+    const pending = { name: [], description: [], equipment: [], tags: {} };
+    let score = 0;
+
+    const allMatched = tokens.every((token) => {
+      let best = null;
+      fields.forEach((f) => {
+        const m = matchToken(token, f.text, f.key === 'name');
+        if (!m) return;
+        const s = MATCH_SCORES[m.kind] * FIELD_WEIGHTS[f.key];
+        if (!best || s > best.score) best = { score: s, field: f, ranges: m.ranges };
+      });
+      if (!best) return false;
+      score += best.score;
+      const { field } = best;
+      const ranges = toOriginalRanges(best.ranges, field.map);
+      if (field.key === 'tags') pending.tags[field.tag] = [...(pending.tags[field.tag] || []), ...ranges];
+      else pending[field.key].push(...ranges);
+      return true;
+    });
+
+    if (allMatched) {
+      results.push({
+        exercise,
+        score,
+        highlights: {
+          name: mergeRanges(pending.name),
+          description: mergeRanges(pending.description),
+          equipment: mergeRanges(pending.equipment),
+          tags: Object.fromEntries(Object.entries(pending.tags).map(([t, r]) => [t, mergeRanges(r)])),
+        },
+      });
+    }
+  });
+
+  return results.sort((a, b) => b.score - a.score || String(a.exercise.name).localeCompare(String(b.exercise.name)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * splitHighlights
+ * Splits text into [{ text, match }] segments for rendering highlighted ranges.
+ */
+export function splitHighlights(text, ranges) {
+  const source = String(text || '');
+  const segments = [];
+  let cursor = 0;
+  (ranges || []).forEach(([s, e]) => {
+    if (s > cursor) segments.push({ text: source.slice(cursor, s), match: false });
+    if (e > Math.max(s, cursor)) segments.push({ text: source.slice(Math.max(s, cursor), e), match: true });
+    cursor = Math.max(cursor, e);
+  });
+  if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false });
+  return segments;
+}
@@ -0,0 +1,85 @@
+import { normalizeText, searchExercises, splitHighlights, tokenizeQuery } from './search';
+
+const CLIMBERS = {
+  id: 'climbers',
+  name: 'Mountain Climbers',
+  description: 'Start in a plank and drive your knees toward your chest.',
+  equipment: 'None',
+  tags: ['cardio', 'core'],
+};
+const PLANK = {
+  id: 'plank',
+  name: 'Plank',
+  description: 'Hold a straight line from head to heels.',
+  equipment: 'Mat',
+  tags: ['core'],
+};
+const PLIE = {
+  id: 'plie',
+  name: 'Plié Squats',
+  description: 'Wide stance squat with toes turned out.',
+  equipment: 'None',
+  tags: ['legs'],
+};
+const CATALOG = [CLIMBERS, PLANK, PLIE];
+
+const ids = (results) => results.map((r) => r.exercise.id);
+
+test('normalizes case and accents', () => {
+  expect(normalizeText('Plié Café')).toBe('plie cafe');
+  expect(tokenizeQuery('  PLIÉ, squats ')).toEqual(['plie', 'squats']);
+});
+
+test('matches without accents and highlights the original text', () => {
+  const [result] = searchExercises(CATALOG, 'plie');
+  expect(result.exercise).toBe(PLIE);
+  expect(result.highlights.name).toEqual([[0, 4]]);
+  expect(splitHighlights(PLIE.name, result.highlights.name)).toEqual([
+    { text: 'Plié', match: true },
+    { text: ' Squats', match: false },
+  ]);
+  expect(ids(searchExercises(CATALOG, 'PLIÉ SQ'))).toEqual(['plie']);
+});
+
+test('tolerates one typo in longer words', () => {
+  const [plank] = searchExercises(CATALOG, 'plamk');
+  expect(plank.exercise).toBe(PLANK);
+  expect(plank.highlights.name).toEqual([[0, 5]]);
+
+  // A dropped letter, highlighted over the typed length
+  const [climbers] = searchExercises(CATALOG, 'mountan');
+  expect(climbers.exercise).toBe(CLIMBERS);
+  expect(climbers.highlights.name).toEqual([[0, 7]]);
+
+  // Short words must match exactly
+  expect(searchExercises(CATALOG, 'plx')).toEqual([]);
+});
+
+test('matches letters in order in names only', () => {
+  const [result] = searchExercises(CATALOG, 'mtn clmb');
+  expect(result.exercise).toBe(CLIMBERS);
+  expect(result.highlights.name).toEqual([[0, 1], [4, 5], [7, 8], [9, 11], [12, 14]]);
+  // "hld" is only spread through a description ("Hold ... line"), which takes no fuzzy matches
+  expect(searchExercises(CATALOG, 'hld')).toEqual([]);
+});
+
+test('every query word has to match', () => {
+  expect(ids(searchExercises(CATALOG, 'plank'))).toEqual(['plank', 'climbers']);
+  expect(searchExercises(CATALOG, 'plank zzzz')).toEqual([]);
+  expect(searchExercises(CATALOG, '  ')).toEqual([]);
+});
+
+test('ranks name hits above tag and description hits, then by name', () => {
+  const [plank, climbers] = searchExercises(CATALOG, 'plank');
+  expect(plank.score).toBeGreaterThan(climbers.score);
+  expect(climbers.highlights.description).toEqual([[11, 16]]);
+
+  // Same tag hit for both: ties fall back to alphabetical order
+  const core = searchExercises(CATALOG, 'core');
+  expect(ids(core)).toEqual(['climbers', 'plank']);
+  expect(core[1].highlights.tags).toEqual({ core: [[0, 4]] });
+
+  // A prefix outranks a typo match
+  const squats = searchExercises([{ id: 'sq', name: 'Squad Drill', tags: [] }, PLIE], 'squat');
+  expect(ids(squats)).toEqual(['plie', 'sq']);
+});
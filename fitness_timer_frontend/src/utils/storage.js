@@ -0,0 +1,181 @@
+//
+// PUBLIC_INTERFACE
+// storage.js
+// Guarded localStorage helpers. TV WebViews may disable storage or throw on quota; every call
+// degrades to the fallback value instead of throwing.
+//
+// Per-profile data: stores that belong to whoever is working out build their key with
+// profileKey(key), which namespaces it by the active profile ("profile.<id>.<key>"). With no
+// profile selected the plain key is used. The guest profile's keys live in memory only and are
+// forgotten when the guest leaves, so a guest visit leaves nothing behind.
+//
+
+// PUBLIC_INTERFACE
+export const STORAGE_PREFIX = 'fitnessTV.';
+
+// PUBLIC_INTERFACE
+export const GUEST_PROFILE_ID = 'guest';
+
+const GUEST_KEY_PREFIX = `profile.${GUEST_PROFILE_ID}.`;
+const guestMemory = new Map();
+let activeProfileId = null;
+const profileListeners = new Set();
+
+// Guest data never touches localStorage
+const isGuestKey = (key) => String(key).startsWith(GUEST_KEY_PREFIX);
+
+function getStore() {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) return window.localStorage;
+  } catch {
+    // Access itself can throw (e.g., disabled storage)
+  }
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readJSON
+ * Reads and parses a JSON value stored under STORAGE_PREFIX + key. Returns fallback when missing,
+ * unparsable or when storage is unavailable.
+ */
+export function readJSON(key, fallback = null) {
+  if (isGuestKey(key)) return guestMemory.has(key) ? JSON.parse(guestMemory.get(key)) : fallback;
+  const store = getStore();
+  if (!store) return fallback;
+  try {
+    const raw = store.getItem(STORAGE_PREFIX + key);
+    if (raw === null || raw === undefined) return fallback;
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * writeJSON
+ * Serializes and stores a value under STORAGE_PREFIX + key. Returns true on success.
+ */
+export function writeJSON(key, value) {
+  if (isGuestKey(key)) {
+    guestMemory.set(key, JSON.stringify(value));
+    return true;
+  }
+  const store = getStore();
+  if (!store) return false;
+  try {
+    store.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeKey
+ * Removes a stored value. Returns true on success.
+ */
+export function removeKey(key) {
+  if (isGuestKey(key)) {
+    guestMemory.delete(key);
+    return true;
+  }
+  const store = getStore();
+  if (!store) return false;
+  try {
+    store.removeItem(STORAGE_PREFIX + key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * profileKey
+ * Storage key for per-profile data: namespaced by the active profile, or `key` itself when no
+ * profile is selected.
+ */
+export function profileKey(key) {
+  return activeProfileId ? `profile.${activeProfileId}.${key}` : key;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getStorageProfile
+ * Id of the profile whose data profileKey() points at (GUEST_PROFILE_ID for a guest), or null.
+ */
+export function getStorageProfile() {
+  return activeProfileId;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setStorageProfile
+ * Points per-profile keys at another profile (null for none) and notifies subscribers.
+ * Entering or leaving guest mode discards the guest's in-memory data.
+ */
+export function setStorageProfile(profileId) {
+  const next = profileId || null;
+  if (next === activeProfileId) return;
+  if (next === GUEST_PROFILE_ID || activeProfileId === GUEST_PROFILE_ID) guestMemory.clear();
+  activeProfileId = next;
+  profileListeners.forEach((listener) => listener(next));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subscribeStorageProfile
+ * Calls listener(profileId) after the active profile changes. Returns an unsubscribe function.
+ */
+export function subscribeStorageProfile(listener) {
+  profileListeners.add(listener);
+  return () => profileListeners.delete(listener);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveKeysToProfile
+ * Moves values stored under plain keys to the given profile's namespace (existing values there
+ * are kept). Used to hand data recorded before profiles existed to the first profile.
+ */
+export function moveKeysToProfile(keys, profileId) {
+  const store = getStore();
+  if (!store || !profileId) return false;
+  try {
+    keys.forEach((key) => {
+      const raw = store.getItem(STORAGE_PREFIX + key);
+      if (raw === null) return;
+      const target = `${STORAGE_PREFIX}profile.${profileId}.${key}`;
+      if (store.getItem(target) === null) store.setItem(target, raw);
+      store.removeItem(STORAGE_PREFIX + key);
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeProfileData
+ * Removes everything stored for a profile. Returns true on success.
+ */
+export function removeProfileData(profileId) {
+  const store = getStore();
+  if (!store || !profileId) return false;
+  const prefix = `${STORAGE_PREFIX}profile.${profileId}.`;
+  try {
+    const keys = [];
+    for (let i = 0; i < store.length; i += 1) {
+      const k = store.key(i);
+      if (k && k.startsWith(prefix)) keys.push(k);
+    }
+    keys.forEach((k) => store.removeItem(k));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -2,6 +2,9 @@
 // PUBLIC_INTERFACE
 // time.js
 // Time utilities for drift-safe countdowns and formatting tailored for TV timers.
+// Engines read time and schedule ticks through a clock (see clock.js), systemClock by default.
+
+import { systemClock } from './clock';
 
 /**
  * PUBLIC_INTERFACE
@@ -26,35 +29,61 @@ export function formatSeconds(totalSeconds) {
 
 /**
  * Drift-safe setInterval: schedules next tick based on a fixed start time to minimize drift.
+ * Optional `clock` (default systemClock) supplies now/setTimeout/clearTimeout.
  * Returns a cancel function.
  */
-export function startDriftSafeInterval(callback, intervalMs) {
+export function startDriftSafeInterval(callback, intervalMs, clock = systemClock) {
   let active = true;
-  const start = performance.now();
+  const start = clock.now();
   let count = 0;
+  let timerId = null;
 
   function tick() {
     if (!active) return;
     const target = start + ++count * intervalMs;
-    const now = performance.now();
+    const now = clock.now();
     const drift = now - target;
     // Execute callback, pass count and drift info
     callback({ count, drift, now, target });
+    if (!active) return;
 
     const nextDelay = Math.max(0, intervalMs - drift);
     // Use setTimeout instead of setInterval for better alignment
-    setTimeout(tick, nextDelay);
+    timerId = clock.setTimeout(tick, nextDelay);
   }
 
   const firstDelay = intervalMs;
-  const timerId = setTimeout(tick, firstDelay);
+  timerId = clock.setTimeout(tick, firstDelay);
 
   return () => {
     active = false;
-    clearTimeout(timerId);
+    clock.clearTimeout(timerId);
   };
 }
 
+// PUBLIC_INTERFACE
+/**
+ * TIMER_CUES
+ * Moments a timer can announce (see countdown() onCue and intervalSequence()).
+ * - count: one of the last COUNTDOWN_BEEPS seconds, info.remaining is 3, 2 or 1
+ * - halfway: half of a phase of at least HALFWAY_MIN_SECONDS has elapsed
+ * - warning: WARNING_SECONDS left in a phase of at least HALFWAY_MIN_SECONDS
+ * - phase: a new phase started (emitted by intervalSequence, not countdown)
+ * - finish: the countdown reached zero
+ */
+export const TIMER_CUES = Object.freeze({
+  COUNT: 'count',
+  HALFWAY: 'halfway',
+  WARNING: 'warning',
+  PHASE: 'phase',
+  FINISH: 'finish',
+});
+
+const COUNTDOWN_BEEPS = 3;
+const WARNING_SECONDS = 10;
+// Shorter phases (e.g. a 10s Tabata rest) would chime almost immediately; skip them
+const HALFWAY_MIN_SECONDS = 20;
+
 /**
  * PUBLIC_INTERFACE
  * countdown
@@ -63,21 +92,58 @@ export function startDriftSafeInterval(callback, intervalMs) {
  * - durationSeconds: number
  * - onTick: (remainingSeconds) => void
  * - onComplete: () => void
+ * - onCue: (cue, { remaining, total }) => void - TIMER_CUES count/halfway/warning/finish, each at most
+ *   once per second boundary; a cue is only emitted when the clock crosses it, never on start
  * - tickRateMs: default 250 (UI smoothness), but computes seconds based on high-res clock
+ * - startElapsedSeconds: default 0; begin part-way through, e.g. when resuming a saved run
+ * - clock: default systemClock (see clock.js)
  *
  * Returns control: { pause, resume, cancel, getState }
  */
-export function countdown({ durationSeconds, onTick, onComplete, tickRateMs = 250 }) {
-  const startTime = performance.now();
-  const endTime = startTime + durationSeconds * 1000;
+export function countdown({
+  durationSeconds,
+  onTick,
+  onComplete,
+  onCue,
+  tickRateMs = 250,
+  startElapsedSeconds = 0,
+  clock = systemClock,
+}) {
+  const startTime = clock.now();
+  const offsetMs = clamp(Number(startElapsedSeconds) || 0, 0, durationSeconds) * 1000;
+  const endTime = startTime + durationSeconds * 1000 - offsetMs;
   let paused = false;
   let pauseStartedAt = 0;
   let accumulatedPause = 0;
   let cancelInterval = null;
   let completed = false;
+  let lastRemaining = null;
+  let halfwayCued = false;
+  let warningCued = false;
+
+  const emitCue = (cue, remaining) => {
+    if (typeof onCue === 'function') onCue(cue, { remaining, total: durationSeconds });
+  };
+
+  // Cues for second boundaries crossed since the previous tick
+  const checkCues = (remaining) => {
+    if (lastRemaining !== null && remaining < lastRemaining) {
+      if (!halfwayCued && durationSeconds >= HALFWAY_MIN_SECONDS && remaining <= durationSeconds / 2) {
+        halfwayCued = true;
+        emitCue(TIMER_CUES.HALFWAY, remaining);
+      }
+      if (!warningCued && durationSeconds >= HALFWAY_MIN_SECONDS && remaining <= WARNING_SECONDS) {
+        warningCued = true;
+        emitCue(TIMER_CUES.WARNING, remaining);
+      }
+      if (remaining > 0 && remaining <= COUNTDOWN_BEEPS) emitCue(TIMER_CUES.COUNT, remaining);
+      if (remaining <= 0) emitCue(TIMER_CUES.FINISH, remaining);
+    }
+    lastRemaining = remaining;
+  };
 
   const computeRemaining = () => {
-    const now = performance.now();
+    const now = clock.now();
     const effectiveNow = paused ? pauseStartedAt : now;
     const remainMs = Math.max(0, endTime + accumulatedPause - effectiveNow);
     return Math.ceil(remainMs / 1000);
@@ -87,6 +153,7 @@ export function countdown({ durationSeconds, onTick, onComplete, tickRateMs = 25
     if (completed) return;
     const remaining = computeRemaining();
     if (typeof onTick === 'function') onTick(remaining);
+    checkCues(remaining);
     if (remaining <= 0 && !completed) {
       completed = true;
       if (cancelInterval) cancelInterval();
@@ -98,7 +165,7 @@ export function countdown({ durationSeconds, onTick, onComplete, tickRateMs = 25
     if (cancelInterval) cancelInterval();
     cancelInterval = startDriftSafeInterval(() => {
       if (!paused) tick();
-    }, tickRateMs);
+    }, tickRateMs, clock);
   };
 
   loop();
@@ -108,12 +175,12 @@ export function countdown({ durationSeconds, onTick, onComplete, tickRateMs = 25
   const pause = () => {
     if (paused || completed) return;
     paused = true;
-    pauseStartedAt = performance.now();
+    pauseStartedAt = clock.now();
   };
 
   const resume = () => {
     if (!paused || completed) return;
-    const now = performance.now();
+    const now = clock.now();
     accumulatedPause += now - pauseStartedAt;
     paused = false;
   };
@@ -131,3 +198,59 @@ export function countdown({ durationSeconds, onTick, onComplete, tickRateMs = 25
 
   return { pause, resume, cancel, getState };
 }
+
+/**
+ * PUBLIC_INTERFACE
+ * stopwatch
+ * Drift-safe count-up engine in seconds (counterpart to countdown()).
+ * Options:
+ * - onTick: (elapsedSeconds) => void
+ * - tickRateMs: default 250
+ * - startElapsedSeconds: default 0; continue counting from here, e.g. when resuming a saved run
+ * - clock: default systemClock (see clock.js)
+ *
+ * Returns control: { pause, resume, cancel, getState }
+ */
+export function stopwatch({ onTick, tickRateMs = 250, startElapsedSeconds = 0, clock = systemClock }) {
+  const startTime = clock.now() - Math.max(0, Number(startElapsedSeconds) || 0) * 1000;
+  let paused = false;
+  let pauseStartedAt = 0;
+  let accumulatedPause = 0;
+
+  const computeElapsed = () => {
+    const effectiveNow = paused ? pauseStartedAt : clock.now();
+    return Math.floor(Math.max(0, effectiveNow - startTime - accumulatedPause) / 1000);
+  };
+
+  const tick = () => {
+    if (typeof onTick === 'function') onTick(computeElapsed());
+  };
+
+  const cancelInterval = startDriftSafeInterval(() => {
+    if (!paused) tick();
+  }, tickRateMs, clock);
+  tick();
+
+  const pause = () => {
+    if (paused) return;
+    paused = true;
+    pauseStartedAt = clock.now();
+  };
+
+  const resume = () => {
+    if (!paused) return;
+    accumulatedPause += clock.now() - pauseStartedAt;
+    paused = false;
+  };
+
+  const cancel = () => {
+    cancelInterval();
+  };
+
+  const getState = () => ({
+    paused,
+    elapsed: computeElapsed(),
+  });
+
+  return { pause, resume, cancel, getState };
+}
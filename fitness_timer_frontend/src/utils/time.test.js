@@ -0,0 +1,226 @@
+import { createVirtualClock } from './clock';
+import { countdown, startDriftSafeInterval, stopwatch, TIMER_CUES } from './time';
+
+describe('createVirtualClock', () => {
+  test('fires timers in due order only when advanced', () => {
+    const clock = createVirtualClock(1000);
+    const fired = [];
+    clock.setTimeout(() => fired.push(`b@${clock.now()}`), 200);
+    clock.setTimeout(() => fired.push(`a@${clock.now()}`), 100);
+    const cancelled = clock.setTimeout(() => fired.push('never'), 150);
+    clock.clearTimeout(cancelled);
+
+    expect(fired).toEqual([]);
+    clock.advance(150);
+    expect(fired).toEqual(['a@1100']);
+    clock.advance(100);
+    expect(fired).toEqual(['a@1100', 'b@1200']);
+    expect(clock.now()).toBe(1250);
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('jump() makes overdue timers fire late on the next advance', () => {
+    const clock = createVirtualClock();
+    const fired = [];
+    clock.setTimeout(() => fired.push(clock.now()), 100);
+    clock.jump(180);
+    expect(fired).toEqual([]);
+    clock.advance(0);
+    expect(fired).toEqual([180]);
+  });
+});
+
+describe('startDriftSafeInterval', () => {
+  test('ticks on multiples of the interval from the start time', () => {
+    const clock = createVirtualClock();
+    const ticks = [];
+    startDriftSafeInterval(({ count, now }) => ticks.push([count, now]), 250, clock);
+    clock.advance(1000);
+    expect(ticks).toEqual([[1, 250], [2, 500], [3, 750], [4, 1000]]);
+  });
+
+  test('reports drift and realigns the next tick to the original schedule', () => {
+    const clock = createVirtualClock();
+    const ticks = [];
+    startDriftSafeInterval(({ count, drift, now }) => ticks.push({ count, drift, now }), 250, clock);
+
+    clock.advance(250);
+    // The main thread stalls for 90ms past the second tick's target
+    clock.jump(340);
+    clock.advance(0);
+    clock.advance(500);
+
+    expect(ticks).toEqual([
+      { count: 1, drift: 0, now: 250 },
+      { count: 2, drift: 90, now: 590 },
+      { count: 3, drift: 0, now: 750 },
+      { count: 4, drift: 0, now: 1000 },
+    ]);
+  });
+
+  test('cancel stops ticking and leaves no timer scheduled', () => {
+    const clock = createVirtualClock();
+    const callback = jest.fn();
+    const cancel = startDriftSafeInterval(callback, 100, clock);
+    clock.advance(250);
+    cancel();
+    clock.advance(1000);
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('cancelling from inside the callback prevents the next tick', () => {
+    const clock = createVirtualClock();
+    let cancel = null;
+    const callback = jest.fn(() => cancel());
+    cancel = startDriftSafeInterval(callback, 100, clock);
+    clock.advance(500);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(clock.pendingCount()).toBe(0);
+  });
+});
+
+describe('countdown', () => {
+  test('reports whole seconds remaining, starting immediately', () => {
+    const clock = createVirtualClock();
+    const ticks = [];
+    countdown({ durationSeconds: 3, tickRateMs: 250, onTick: (r) => ticks.push(r), clock });
+    expect(ticks).toEqual([3]);
+    clock.advance(1000);
+    expect(ticks[ticks.length - 1]).toBe(2);
+    expect(new Set(ticks)).toEqual(new Set([3, 2]));
+  });
+
+  test('completes exactly once, on time', () => {
+    const clock = createVirtualClock();
+    const onComplete = jest.fn(() => expect(clock.now()).toBe(2000));
+    const control = countdown({ durationSeconds: 2, tickRateMs: 250, onComplete, clock });
+
+    clock.advance(1999);
+    expect(onComplete).not.toHaveBeenCalled();
+    clock.advance(1);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+
+    clock.advance(10000);
+    control.pause();
+    control.resume();
+    clock.advance(10000);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(control.getState()).toMatchObject({ completed: true, remaining: 0 });
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('time spent paused is not counted, across several pauses', () => {
+    const clock = createVirtualClock();
+    const onComplete = jest.fn();
+    const control = countdown({ durationSeconds: 10, tickRateMs: 250, onComplete, clock });
+
+    clock.advance(3000);
+    control.pause();
+    clock.advance(60000);
+    expect(control.getState()).toMatchObject({ paused: true, remaining: 7 });
+
+    control.resume();
+    clock.advance(2500);
+    control.pause();
+    clock.advance(5000);
+    control.resume();
+    expect(control.getState()).toMatchObject({ paused: false, remaining: 5 });
+
+    clock.advance(4499);
+    expect(onComplete).not.toHaveBeenCalled();
+    clock.advance(1);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  test('pause and resume are idempotent', () => {
+    const clock = createVirtualClock();
+    const control = countdown({ durationSeconds: 5, clock });
+    clock.advance(1000);
+    control.pause();
+    clock.advance(1000);
+    control.pause();
+    clock.advance(1000);
+    control.resume();
+    control.resume();
+    expect(control.getState().remaining).toBe(4);
+  });
+
+  test('no ticks are delivered while paused', () => {
+    const clock = createVirtualClock();
+    const onTick = jest.fn();
+    const control = countdown({ durationSeconds: 5, tickRateMs: 250, onTick, clock });
+    control.pause();
+    onTick.mockClear();
+    clock.advance(3000);
+    expect(onTick).not.toHaveBeenCalled();
+  });
+
+  test('stays accurate when ticks arrive late', () => {
+    const clock = createVirtualClock();
+    const onComplete = jest.fn();
+    const control = countdown({ durationSeconds: 5, tickRateMs: 250, onComplete, clock });
+    // A 2.2s stall: the next tick catches up with the wall clock instead of losing time
+    clock.advance(500);
+    clock.jump(2200);
+    clock.advance(0);
+    expect(control.getState().remaining).toBe(3);
+    clock.advance(2300);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(clock.now()).toBe(5000);
+  });
+
+  test('cancel stops ticks and never completes', () => {
+    const clock = createVirtualClock();
+    const onTick = jest.fn();
+    const onComplete = jest.fn();
+    const control = countdown({ durationSeconds: 2, tickRateMs: 250, onTick, onComplete, clock });
+    clock.advance(500);
+    control.cancel();
+    onTick.mockClear();
+    clock.advance(5000);
+    expect(onTick).not.toHaveBeenCalled();
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(clock.pendingCount()).toBe(0);
+  });
+
+  test('startElapsedSeconds begins part-way through', () => {
+    const clock = createVirtualClock();
+    const onComplete = jest.fn();
+    const control = countdown({ durationSeconds: 60, startElapsedSeconds: 45, onComplete, clock });
+    expect(control.getState().remaining).toBe(15);
+    clock.advance(15000);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  test('emits each cue once as its second boundary is crossed', () => {
+    const clock = createVirtualClock();
+    const cues = [];
+    countdown({ durationSeconds: 20, tickRateMs: 250, onCue: (cue, { remaining }) => cues.push(`${cue}:${remaining}`), clock });
+    clock.advance(20000);
+    expect(cues).toEqual([
+      `${TIMER_CUES.HALFWAY}:10`,
+      `${TIMER_CUES.WARNING}:10`,
+      `${TIMER_CUES.COUNT}:3`,
+      `${TIMER_CUES.COUNT}:2`,
+      `${TIMER_CUES.COUNT}:1`,
+      `${TIMER_CUES.FINISH}:0`,
+    ]);
+  });
+});
+
+describe('stopwatch', () => {
+  test('counts up whole seconds and excludes paused time', () => {
+    const clock = createVirtualClock();
+    const control = stopwatch({ clock });
+    clock.advance(4200);
+    expect(control.getState().elapsed).toBe(4);
+    control.pause();
+    clock.advance(30000);
+    control.resume();
+    clock.advance(900);
+    expect(control.getState()).toMatchObject({ paused: false, elapsed: 5 });
+    control.cancel();
+    expect(clock.pendingCount()).toBe(0);
+  });
+});
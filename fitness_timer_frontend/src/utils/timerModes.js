@@ -0,0 +1,163 @@
+//
+// PUBLIC_INTERFACE
+// timerModes.js
+// Mode definitions for WorkoutTimer: plain countdown, Tabata, EMOM, AMRAP and count-up stopwatch.
+// Interval modes are expressed as phase lists for intervalSequence(); the stopwatch is open-ended.
+//
+import { PHASE_TYPES } from './intervals';
+
+// PUBLIC_INTERFACE
+export const TIMER_MODES = Object.freeze({
+  COUNTDOWN: 'countdown',
+  TABATA: 'tabata',
+  EMOM: 'emom',
+  AMRAP: 'amrap',
+  STOPWATCH: 'stopwatch',
+});
+
+// PUBLIC_INTERFACE
+export const DEFAULT_MODE_SETTINGS = Object.freeze({
+  seconds: 60,
+  tabataWorkSeconds: 20,
+  tabataRestSeconds: 10,
+  tabataRounds: 8,
+  emomMinutes: 10,
+  amrapMinutes: 10,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * TIMER_MODE_DEFS
+ * Selectable modes in display order. `presetKey` names the setting the preset chips change.
+ * `intervalPresets` (optional) adds more chip rows, one per setting: { id, label, key, presets }.
+ */
+export const TIMER_MODE_DEFS = Object.freeze([
+  {
+    id: TIMER_MODES.COUNTDOWN,
+    label: 'Timer',
+    presetKey: 'seconds',
+    presets: [30, 45, 60, 90],
+    formatPreset: (v) => `${v}s`,
+  },
+  {
+    id: TIMER_MODES.TABATA,
+    label: 'Tabata',
+    presetKey: 'tabataRounds',
+    presets: [4, 6, 8, 10],
+    formatPreset: (v) => `${v} rounds`,
+    intervalPresets: [
+      { id: 'work', label: 'Work', key: 'tabataWorkSeconds', presets: [20, 30, 40, 45] },
+      { id: 'rest', label: 'Rest', key: 'tabataRestSeconds', presets: [10, 15, 20, 30] },
+    ],
+  },
+  {
+    id: TIMER_MODES.EMOM,
+    label: 'EMOM',
+    presetKey: 'emomMinutes',
+    presets: [5, 10, 12, 15],
+    formatPreset: (v) => `${v} min`,
+  },
+  {
+    id: TIMER_MODES.AMRAP,
+    label: 'AMRAP',
+    presetKey: 'amrapMinutes',
+    presets: [5, 10, 15, 20],
+    formatPreset: (v) => `${v} min`,
+  },
+  {
+    id: TIMER_MODES.STOPWATCH,
+    label: 'Stopwatch',
+    presetKey: null,
+    presets: [],
+    formatPreset: (v) => String(v),
+  },
+]);
+
+// PUBLIC_INTERFACE
+export function getTimerModeDef(mode) {
+  /** Returns the definition for a mode id, falling back to the plain countdown. */
+  return TIMER_MODE_DEFS.find((d) => d.id === mode) || TIMER_MODE_DEFS[0];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * buildModePhases
+ * Returns the intervalSequence() phases for a mode and its settings.
+ * Phases carry a 1-based `round` so the UI can show round counters.
+ * The stopwatch has no phases and returns an empty list.
+ */
+export function buildModePhases(mode, settings = {}) {
+  const s = { ...DEFAULT_MODE_SETTINGS, ...settings };
+  switch (mode) {
+    case TIMER_MODES.TABATA: {
+      const phases = [];
+      for (let round = 1; round <= s.tabataRounds; round += 1) {
+        phases.push({ type: PHASE_TYPES.WORK, durationSeconds: s.tabataWorkSeconds, label: 'Work', round });
+        // No trailing rest after the final round
+        if (round < s.tabataRounds) {
+          phases.push({ type: PHASE_TYPES.REST, durationSeconds: s.tabataRestSeconds, label: 'Rest', round });
+        }
+      }
+      return phases;
+    }
+    case TIMER_MODES.EMOM:
+      return Array.from({ length: s.emomMinutes }, (_, i) => ({
+        type: PHASE_TYPES.WORK,
+        durationSeconds: 60,
+        label: `Minute ${i + 1}`,
+        round: i + 1,
+      }));
+    case TIMER_MODES.AMRAP:
+      return [{ type: PHASE_TYPES.WORK, durationSeconds: s.amrapMinutes * 60, label: 'AMRAP', round: 1 }];
+    case TIMER_MODES.STOPWATCH:
+      return [];
+    case TIMER_MODES.COUNTDOWN:
+    default:
+      return [{ type: PHASE_TYPES.WORK, durationSeconds: s.seconds, label: 'Work', round: 1 }];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function formatRounds(n) {
+  /** "1 round" / "N rounds". */
+  return `${n} ${n === 1 ? 'round' : 'rounds'}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getModeStatusText
+ * Human-readable status line shown under the timer digits.
+ * Params:
+ * - mode: timer mode id
+ * - info: { started, running, completed, phase, roundCount, tally }
+ *   - roundCount: total rounds in the mode (Tabata rounds, EMOM minutes)
+ *   - tally: AMRAP rounds counted via OK presses
+ */
+export function getModeStatusText(mode, { started, running, completed, phase, roundCount = 0, tally = 0 }) {
+  let detail = '';
+  switch (mode) {
+    case TIMER_MODES.TABATA:
+      detail = started && phase
+        ? `${phase.type === PHASE_TYPES.REST ? 'Rest' : 'Work'} • Round ${phase.round}/${roundCount}`
+        : formatRounds(roundCount);
+      break;
+    case TIMER_MODES.EMOM:
+      detail = started && phase ? `Minute ${phase.round} of ${roundCount}` : `${roundCount} min`;
+      break;
+    case TIMER_MODES.AMRAP:
+      detail = started ? formatRounds(tally) : 'Press OK to count rounds';
+      break;
+    case TIMER_MODES.STOPWATCH:
+      detail = started ? 'Elapsed' : '';
+      break;
+    default:
+      break;
+  }
+
+  let state = 'Ready';
+  if (completed) state = 'Complete';
+  else if (running) state = mode === TIMER_MODES.COUNTDOWN ? 'Running' : '';
+  else if (started) state = 'Paused';
+
+  return [state, detail].filter(Boolean).join(' • ');
+}
@@ -0,0 +1,77 @@
+import { PHASE_TYPES, getSequenceTotalSeconds } from './intervals';
+import {
+  DEFAULT_MODE_SETTINGS,
+  TIMER_MODES,
+  TIMER_MODE_DEFS,
+  buildModePhases,
+  formatRounds,
+  getModeStatusText,
+  getTimerModeDef,
+} from './timerModes';
+
+test('tabata alternates work and rest without a trailing rest', () => {
+  const phases = buildModePhases(TIMER_MODES.TABATA, { tabataWorkSeconds: 40, tabataRestSeconds: 20, tabataRounds: 3 });
+  expect(phases.map((p) => [p.type, p.durationSeconds, p.round])).toEqual([
+    [PHASE_TYPES.WORK, 40, 1],
+    [PHASE_TYPES.REST, 20, 1],
+    [PHASE_TYPES.WORK, 40, 2],
+    [PHASE_TYPES.REST, 20, 2],
+    [PHASE_TYPES.WORK, 40, 3],
+  ]);
+  // 20/10 × 8 by default: 8 × 20 + 7 × 10
+  expect(getSequenceTotalSeconds(buildModePhases(TIMER_MODES.TABATA))).toBe(230);
+});
+
+test('emom, amrap, stopwatch and countdown phases', () => {
+  const emom = buildModePhases(TIMER_MODES.EMOM, { emomMinutes: 3 });
+  expect(emom.map((p) => [p.label, p.durationSeconds, p.round])).toEqual([
+    ['Minute 1', 60, 1],
+    ['Minute 2', 60, 2],
+    ['Minute 3', 60, 3],
+  ]);
+  expect(buildModePhases(TIMER_MODES.AMRAP, { amrapMinutes: 5 })).toEqual([
+    { type: PHASE_TYPES.WORK, durationSeconds: 300, label: 'AMRAP', round: 1 },
+  ]);
+  expect(buildModePhases(TIMER_MODES.STOPWATCH)).toEqual([]);
+  expect(buildModePhases('unknown', { seconds: 45 })[0].durationSeconds).toBe(45);
+});
+
+test('every preset chip sets a known setting', () => {
+  expect(getTimerModeDef('nope').id).toBe(TIMER_MODES.COUNTDOWN);
+  TIMER_MODE_DEFS.forEach((def) => {
+    const groups = [
+      ...(def.presetKey ? [{ key: def.presetKey, presets: def.presets }] : []),
+      ...(def.intervalPresets || []),
+    ];
+    groups.forEach((g) => {
+      expect(DEFAULT_MODE_SETTINGS).toHaveProperty(g.key);
+      expect(g.presets.length).toBeGreaterThan(0);
+      g.presets.forEach((v) => expect(v).toBeGreaterThan(0));
+    });
+  });
+  expect(getTimerModeDef(TIMER_MODES.TABATA).intervalPresets.map((g) => g.key)).toEqual([
+    'tabataWorkSeconds',
+    'tabataRestSeconds',
+  ]);
+  // The defaults are among the chips, so one is selected out of the box
+  expect(getTimerModeDef(TIMER_MODES.TABATA).intervalPresets.map((g) => g.presets.includes(DEFAULT_MODE_SETTINGS[g.key]))).toEqual([
+    true,
+    true,
+  ]);
+});
+
+test('status text per mode', () => {
+  const work = { type: PHASE_TYPES.WORK, round: 2 };
+  const rest = { type: PHASE_TYPES.REST, round: 2 };
+  expect(getModeStatusText(TIMER_MODES.COUNTDOWN, { started: true, running: true })).toBe('Running');
+  expect(getModeStatusText(TIMER_MODES.TABATA, { roundCount: 8 })).toBe('Ready • 8 rounds');
+  expect(getModeStatusText(TIMER_MODES.TABATA, { started: true, running: true, phase: rest, roundCount: 8 })).toBe(
+    'Rest • Round 2/8'
+  );
+  expect(getModeStatusText(TIMER_MODES.EMOM, { started: true, running: false, phase: work, roundCount: 10 })).toBe(
+    'Paused • Minute 2 of 10'
+  );
+  expect(getModeStatusText(TIMER_MODES.AMRAP, { started: true, running: true, tally: 1 })).toBe('1 round');
+  expect([0, 1, 2].map(formatRounds)).toEqual(['0 rounds', '1 round', '2 rounds']);
+  expect(getModeStatusText(TIMER_MODES.STOPWATCH, { completed: true, started: true })).toBe('Complete • Elapsed');
+});
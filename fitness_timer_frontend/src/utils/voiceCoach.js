@@ -0,0 +1,239 @@
+//
+// PUBLIC_INTERFACE
+// voiceCoach.js
+// Spoken coaching via the browser speechSynthesis API: exercise name and description when a move
+// starts, "10 seconds left", "Rest" and "Next up: X". Announcements go through a priority queue so
+// they never talk over each other; an urgent one interrupts a less important one in progress.
+// Voice, rate and on/off are kept in the preferences store (preferences.js). Without speech
+// support every call is a no-op.
+//
+import { TIMER_CUES } from './time';
+import { PHASE_TYPES } from './intervals';
+import { getPreferences, updatePreferences } from './preferences';
+import { debugLog } from './debug';
+
+// PUBLIC_INTERFACE
+/**
+ * VOICE_PRIORITY
+ * Queue priority: higher is spoken first and interrupts lower announcements in progress.
+ */
+export const VOICE_PRIORITY = Object.freeze({ LOW: 0, NORMAL: 1, HIGH: 2 });
+
+// PUBLIC_INTERFACE
+/**
+ * VOICE_RATES
+ * Speaking rate presets offered in Settings.
+ */
+export const VOICE_RATES = [
+  { id: 'slow', label: 'Slow', value: 0.85 },
+  { id: 'normal', label: 'Normal', value: 1 },
+  { id: 'fast', label: 'Fast', value: 1.2 },
+];
+
+// Time-sensitive announcements are pointless once late ("10 seconds left" said at 4 seconds)
+const TIMELY_MS = 3000;
+// Some TV engines never fire `end`; assume an utterance is over after roughly this long
+const WATCHDOG_MS_PER_CHAR = 90;
+const WATCHDOG_MIN_MS = 2500;
+
+const loadSettings = () => getPreferences().voice;
+
+/**
+ * PUBLIC_INTERFACE
+ * getVoiceSettings
+ * Current { enabled: boolean, voiceURI: string|null (null = system default), rate: number }.
+ */
+export function getVoiceSettings() {
+  return { ...loadSettings() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setVoiceSettings
+ * Merges and persists { enabled?, voiceURI?, rate? }. Returns the new settings.
+ */
+export function setVoiceSettings(patch) {
+  const next = updatePreferences({ voice: patch || {} }).voice;
+  if (!next.enabled) getVoiceCoach().cancel();
+  return { ...next };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createVoiceCoach
+ * Creates a speech queue over a speechSynthesis-like object. Inject `synth`/`Utterance` to test
+ * with stubs; defaults to the browser's.
+ * Options:
+ * - synth?: { speak, cancel, getVoices }
+ * - Utterance?: constructor taking the text
+ * - getSettings?: () => { enabled, voiceURI, rate }
+ * - now?: () => number (ms)
+ *
+ * Returns { say(text, { priority?, timely? }) => boolean, cancel(), isAvailable(), getVoices(), isSpeaking() }
+ */
+export function createVoiceCoach({
+  synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined,
+  Utterance = typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : undefined,
+  getSettings = getVoiceSettings,
+  now = () => Date.now(),
+} = {}) {
+  const queue = [];
+  let current = null;
+  let seq = 0;
+  let watchdog = null;
+
+  const isAvailable = () => !!(synth && typeof synth.speak === 'function' && typeof Utterance === 'function');
+
+  const getVoices = () => {
+    try {
+      return (synth && typeof synth.getVoices === 'function' && synth.getVoices()) || [];
+    } catch {
+      return [];
+    }
+  };
+
+  const clearWatchdog = () => {
+    if (watchdog) clearTimeout(watchdog);
+    watchdog = null;
+  };
+
+  const speakNext = () => {
+    clearWatchdog();
+    current = null;
+    const t = now();
+    for (let i = queue.length - 1; i >= 0; i -= 1) {
+      if (queue[i].expiresAt && queue[i].expiresAt < t) queue.splice(i, 1);
+    }
+    if (!queue.length) return;
+    queue.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+    const item = queue.shift();
+    const { voiceURI, rate } = getSettings();
+    try {
+      const utterance = new Utterance(item.text);
+      utterance.rate = rate || 1;
+      const voice = voiceURI ? getVoices().find((v) => v.voiceURI === voiceURI) : null;
+      if (voice) utterance.voice = voice;
+      // Events from an interrupted utterance arrive late; only the current one advances the queue
+      const done = () => {
+        if (current === item) speakNext();
+      };
+      utterance.onend = done;
+      utterance.onerror = done;
+      current = item;
+      watchdog = setTimeout(done, Math.max(WATCHDOG_MIN_MS, (item.text.length * WATCHDOG_MS_PER_CHAR) / (rate || 1)));
+      debugLog('Voice', 'speak', item.text);
+      synth.speak(utterance);
+    } catch {
+      speakNext();
+    }
+  };
+
+  const say = (text, { priority = VOICE_PRIORITY.NORMAL, timely = false } = {}) => {
+    if (!text || !isAvailable() || !getSettings().enabled) return false;
+    seq += 1;
+    queue.push({ text: String(text), priority, seq, expiresAt: timely ? now() + TIMELY_MS : 0 });
+    if (current && priority > current.priority) {
+      current = null;
+      try {
+        synth.cancel();
+      } catch {
+        // noop
+      }
+    }
+    if (!current) speakNext();
+    return true;
+  };
+
+  const cancel = () => {
+    queue.length = 0;
+    current = null;
+    clearWatchdog();
+    if (!isAvailable()) return;
+    try {
+      synth.cancel();
+    } catch {
+      // noop
+    }
+  };
+
+  return { say, cancel, isAvailable, getVoices, isSpeaking: () => current !== null };
+}
+
+let sharedCoach = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * getVoiceCoach
+ * The app-wide coach over the browser's speechSynthesis (created on first use).
+ */
+export function getVoiceCoach() {
+  if (!sharedCoach) sharedCoach = createVoiceCoach();
+  return sharedCoach;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listVoices
+ * Installed voices for the page language (all voices if none match), as [{ voiceURI, name, lang }].
+ */
+export function listVoices() {
+  const voices = getVoiceCoach().getVoices();
+  const lang = String((typeof document !== 'undefined' && document.documentElement.lang) || 'en').slice(0, 2).toLowerCase();
+  const matching = voices.filter((v) => String(v.lang || '').toLowerCase().startsWith(lang));
+  return (matching.length ? matching : voices).map(({ voiceURI, name, lang: l }) => ({ voiceURI, name, lang: l }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * onVoicesChanged
+ * Calls `callback` when the browser finishes loading voices (often after first paint).
+ * Returns an unsubscribe function.
+ */
+export function onVoicesChanged(callback) {
+  const synth = typeof window !== 'undefined' ? window.speechSynthesis : null;
+  if (!synth || typeof synth.addEventListener !== 'function') return () => {};
+  synth.addEventListener('voiceschanged', callback);
+  return () => synth.removeEventListener('voiceschanged', callback);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * announcePhase
+ * Speaks the start of a phase. For moves: name, then description at low priority; for rest:
+ * "Rest" and the next move; for prep: "Get ready" and the first move.
+ * Options: { exercise?, nextExercise?, withDescription? (default true) }
+ */
+export function announcePhase(phase, { exercise = null, nextExercise = null, withDescription = true } = {}, coach = getVoiceCoach()) {
+  if (!phase) return;
+  if (phase.type === PHASE_TYPES.PREP) {
+    coach.say('Get ready.', { priority: VOICE_PRIORITY.HIGH });
+    if (nextExercise) coach.say(`First up: ${nextExercise.name}.`);
+    return;
+  }
+  if (phase.type === PHASE_TYPES.REST) {
+    coach.say('Rest.', { priority: VOICE_PRIORITY.HIGH });
+    if (nextExercise) coach.say(`Next up: ${nextExercise.name}.`);
+    return;
+  }
+  if (exercise) {
+    coach.say(`${exercise.name}.`);
+    if (withDescription && exercise.description) coach.say(exercise.description, { priority: VOICE_PRIORITY.LOW });
+    return;
+  }
+  coach.say(phase.type === PHASE_TYPES.COOLDOWN ? 'Cool down.' : 'Work.', { priority: VOICE_PRIORITY.HIGH });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * announceCue
+ * Speaks the TIMER_CUES that have a spoken form ("10 seconds left", workout complete); pass as or
+ * alongside the onCue option of countdown()/intervalSequence().
+ */
+export function announceCue(cue, info, coach = getVoiceCoach()) {
+  if (cue === TIMER_CUES.WARNING) {
+    coach.say(`${info && info.remaining ? info.remaining : 10} seconds left.`, { priority: VOICE_PRIORITY.HIGH, timely: true });
+  } else if (cue === TIMER_CUES.FINISH) {
+    coach.cancel();
+    coach.say('Done. Great work!', { priority: VOICE_PRIORITY.HIGH });
+  }
+}
@@ -0,0 +1,99 @@
+import { VOICE_PRIORITY, createVoiceCoach } from './voiceCoach';
+
+// speechSynthesis stand-in: records what is spoken and lets the test end the current utterance
+function createStubSynth() {
+  const synth = {
+    spoken: [],
+    current: null,
+    speak: jest.fn((utterance) => {
+      synth.spoken.push(utterance.text);
+      synth.current = utterance;
+    }),
+    cancel: jest.fn(),
+    getVoices: () => [],
+    finish: () => {
+      const utterance = synth.current;
+      synth.current = null;
+      utterance.onend();
+    },
+  };
+  return synth;
+}
+
+function StubUtterance(text) {
+  this.text = text;
+}
+
+let clock;
+
+function createCoach(synth, settings = { enabled: true, voiceURI: null, rate: 1 }) {
+  return createVoiceCoach({ synth, Utterance: StubUtterance, getSettings: () => settings, now: () => clock });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  clock = 0;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('queued announcements are spoken by priority, then in order', () => {
+  const synth = createStubSynth();
+  const coach = createCoach(synth);
+  coach.say('Plank.');
+  coach.say('Keep your hips level.', { priority: VOICE_PRIORITY.LOW });
+  coach.say('Next up: Squats.');
+  coach.say('Stay tall.', { priority: VOICE_PRIORITY.LOW });
+  expect(synth.spoken).toEqual(['Plank.']);
+
+  synth.finish();
+  synth.finish();
+  synth.finish();
+  expect(synth.spoken).toEqual(['Plank.', 'Next up: Squats.', 'Keep your hips level.', 'Stay tall.']);
+  synth.finish();
+  expect(coach.isSpeaking()).toBe(false);
+});
+
+test('a higher-priority announcement interrupts a lower one', () => {
+  const synth = createStubSynth();
+  const coach = createCoach(synth);
+  coach.say('A long description of the move.', { priority: VOICE_PRIORITY.LOW });
+  const interrupted = synth.current;
+  coach.say('Rest.', { priority: VOICE_PRIORITY.HIGH });
+  expect(synth.cancel).toHaveBeenCalledTimes(1);
+  expect(synth.spoken).toEqual(['A long description of the move.', 'Rest.']);
+
+  // The cancelled utterance's late end event must not skip "Rest."
+  interrupted.onend();
+  expect(synth.current.text).toBe('Rest.');
+  expect(coach.isSpeaking()).toBe(true);
+});
+
+test('the watchdog moves on when the engine never ends an utterance, dropping stale cues', () => {
+  const synth = createStubSynth();
+  const coach = createCoach(synth);
+  coach.say('Mountain climbers.');
+  coach.say('10 seconds left.', { timely: true });
+  coach.say('Next up: Plank.');
+  expect(synth.spoken).toEqual(['Mountain climbers.']);
+
+  // No end event; by the time the watchdog fires the timely cue is too late to say
+  clock = 5000;
+  jest.advanceTimersByTime(5000);
+  expect(synth.spoken).toEqual(['Mountain climbers.', 'Next up: Plank.']);
+});
+
+test('does nothing without speechSynthesis or while switched off', () => {
+  const coach = createVoiceCoach({ synth: undefined, Utterance: undefined, getSettings: () => ({ enabled: true }) });
+  expect(coach.isAvailable()).toBe(false);
+  expect(coach.say('Plank.')).toBe(false);
+  expect(coach.getVoices()).toEqual([]);
+  expect(() => coach.cancel()).not.toThrow();
+
+  const synth = createStubSynth();
+  const muted = createCoach(synth, { enabled: false, voiceURI: null, rate: 1 });
+  expect(muted.say('Plank.')).toBe(false);
+  expect(synth.speak).not.toHaveBeenCalled();
+});